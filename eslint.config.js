@@ -5,7 +5,8 @@ export default [
   {
     files: [
       'src/**/*.js',
-      'examples/**/*.js'
+      'examples/**/*.js',
+      'test/**/*.js'
     ],
     ignores: [
       'examples/browser/**/*'
@@ -6,8 +6,11 @@
  * @private
  */
 
+import { JanodeError } from './errors.js';
+
 const DEF_RETRY_TIME = 10;
 const DEF_MAX_RETRIES = 5;
+const DEF_REQUEST_TIMEOUT = 0;
 
 /**
  * Class representing a Janode configuration.
@@ -20,23 +23,25 @@ class Configuration {
    * @private
    * @param {module:janode~RawConfiguration} config
    */
-  constructor({ address, retry_time_secs, max_retries, is_admin, ws_options }) {
+  constructor({ address, retry_time_secs, max_retries, is_admin, ws_options, reconnect, request_timeout_secs }) {
     if (!address)
-      throw new Error('invalid configuration, missing parameter "address"');
+      throw new JanodeError('invalid configuration, missing parameter "address"');
     if (Array.isArray(address) && address.length === 0)
-      throw new Error('invalid configuration, empty parameter "address"');
+      throw new JanodeError('invalid configuration, empty parameter "address"');
     this.address = Array.isArray(address) ? address : [address];
     for (const server of this.address) {
       if (typeof server !== 'object' || !server)
-        throw new Error('invalid configuration, every element of address attribute must be an object');
+        throw new JanodeError('invalid configuration, every element of address attribute must be an object');
       if (typeof server.url !== 'string' || !server.url)
-        throw new Error('invalid configuration, missing server url attribute ');
+        throw new JanodeError('invalid configuration, missing server url attribute ');
     }
 
     this.retry_time_secs = (typeof retry_time_secs === 'number') ? retry_time_secs : DEF_RETRY_TIME;
     this.max_retries = (typeof max_retries === 'number') ? max_retries : DEF_MAX_RETRIES;
     this.is_admin = (typeof is_admin === 'boolean') ? is_admin : false;
     this.ws_options = (typeof ws_options === 'object') ? ws_options : null;
+    this.reconnect = (typeof reconnect === 'boolean') ? reconnect : false;
+    this.request_timeout_secs = (typeof request_timeout_secs === 'number') ? request_timeout_secs : DEF_REQUEST_TIMEOUT;
   }
 
   /**
@@ -66,6 +71,15 @@ class Configuration {
     return this.max_retries;
   }
 
+  /**
+   * Get the default number of seconds to wait for a response before a request times out.
+   *
+   * @returns {number} The value of the property (0 means no timeout)
+   */
+  getRequestTimeoutSeconds() {
+    return this.request_timeout_secs;
+  }
+
   /**
    * Check if the configuration is for an admin connection.
    *
@@ -83,6 +97,15 @@ class Configuration {
   wsOptions() {
     return this.ws_options;
   }
+
+  /**
+   * Check if the connection must try to reconnect (and claim its sessions) after an unexpected disconnection.
+   *
+   * @returns {boolean} True if reconnection is enabled
+   */
+  isReconnectEnabled() {
+    return this.reconnect;
+  }
 }
 
 export default Configuration;
@@ -14,8 +14,11 @@ import { getNumericID, checkUrl, newIterator } from './utils/utils.js';
 import { JANODE, JANUS, isResponseData, isErrorData } from './protocol.js';
 import WsTransport from './transport-ws.js';
 import UnixTransport from './transport-unix.js';
+import HttpTransport from './transport-http.js';
 import JanodeSession from './session.js';
 import TransactionManager from './tmanager.js';
+import { JanodeError, JanusCoreError, TransportError, AbortError } from './errors.js';
+import Metrics from './utils/metrics.js';
 
 
 /**
@@ -54,7 +57,7 @@ class Connection extends EventEmitter {
      * @private
      * @type {module:tmanager~TransactionManager}
      */
-    this._tm = new TransactionManager();
+    this._tm = new TransactionManager(undefined, { request_timeout_secs: this._config.getRequestTimeoutSeconds() });
 
     /**
      * Keep track of the sessions.
@@ -72,6 +75,14 @@ class Connection extends EventEmitter {
      */
     this._address_iterator = newIterator(this._config.getAddress());
 
+    /**
+     * A boolean flag indicating that the transport is reconnecting after an unexpected disconnection.
+     *
+     * @private
+     * @type {boolean}
+     */
+    this._reconnecting = false;
+
     /**
      * A numerical identifier assigned for logging purposes.
      *
@@ -86,6 +97,14 @@ class Connection extends EventEmitter {
      */
     this.name = `[${this.id}]`;
 
+    /**
+     * The context of the log messages of this connection.
+     *
+     * @private
+     * @type {module:logger~LogContext}
+     */
+    this._logctx = Logger.context({ ns: LOG_NS, connection: this.id });
+
     /**
      * The internal transport that will be used for the connection.
      *
@@ -96,10 +115,10 @@ class Connection extends EventEmitter {
      * @property {function} getRemoteHostname
      */
     this._transport = {
-      open: async _ => { throw new Error('transport does not implement the "open" function'); },
-      close: async _ => { throw new Error('transport does not implement the "close" function'); },
-      send: async _ => { throw new Error('transport does not implement the "send" function'); },
-      getRemoteHostname: _ => { throw new Error('transport does not implement the "getRemoteHostname" function'); },
+      open: async _ => { throw new JanodeError('transport does not implement the "open" function'); },
+      close: async _ => { throw new JanodeError('transport does not implement the "close" function'); },
+      send: async _ => { throw new JanodeError('transport does not implement the "send" function'); },
+      getRemoteHostname: _ => { throw new JanodeError('transport does not implement the "getRemoteHostname" function'); },
     };
 
     try {
@@ -111,9 +130,12 @@ class Connection extends EventEmitter {
       if (checkUrl(server_config.getAddress()[0].url, ['file'])) {
         transport = new UnixTransport(this);
       }
+      if (checkUrl(server_config.getAddress()[0].url, ['http', 'https'])) {
+        transport = new HttpTransport(this);
+      }
       if (transport) this._transport = transport;
     } catch (error) {
-      Logger.error(`${LOG_NS} ${this.name} error while initializing transport (${error.message})`);
+      Logger.error(this._logctx, `error while initializing transport (${error.message})`);
     }
 
     /* Set a dummy error listener to avoid unmanaged errors */
@@ -128,8 +150,10 @@ class Connection extends EventEmitter {
    * @param {boolean} graceful - True if this is an expected disconnection
    */
   _signalClose(graceful) {
+    this._reconnecting = false;
+    Metrics.removeConnection(this);
     /* Close all pending transactions inside this connection with an error */
-    this._tm.closeAllTransactionsWithError(null, new Error('connection closed'));
+    this._tm.closeAllTransactionsWithError(null, new TransportError('connection closed'));
     /* Clear tx table */
     this._tm.clear();
     /* Clear session table */
@@ -149,7 +173,7 @@ class Connection extends EventEmitter {
     }
     else {
       /* If this event is unexpected emit an error */
-      const error = new Error('unexpected disconnection');
+      const error = new TransportError('unexpected disconnection');
       /**
        * An error occurred on the connection.
        *
@@ -163,6 +187,62 @@ class Connection extends EventEmitter {
     this.removeAllListeners();
   }
 
+  /**
+   * Notify that the transport has been unexpectedly disconnected and it is trying to reconnect.
+   * Sessions and handles are kept, while the pending transactions are closed with an error
+   * since their responses will never be received.
+   *
+   * @private
+   */
+  _signalReconnecting() {
+    this._reconnecting = true;
+    /* Close all pending transactions inside this connection with an error */
+    this._tm.closeAllTransactionsWithError(null, new TransportError('connection lost'));
+
+    /**
+     * The connection has been unexpectedly closed and the transport is trying to reconnect.
+     *
+     * @event module:connection~Connection#event:CONNECTION_RECONNECTING
+     * @type {object}
+     * @property {number} id - The connection identifier
+     */
+    this.emit(JANODE.EVENT.CONNECTION_RECONNECTING, { id: this.id });
+  }
+
+  /**
+   * Notify that the transport has been reopened after an unexpected disconnection.
+   * Every existing session is claimed on the new transport, sessions that can not be claimed
+   * (e.g. expired in Janus) are destroyed.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _signalReconnected() {
+    const claimed = [];
+
+    await Promise.all(Array.from(this._sessions.values()).map(async session => {
+      try {
+        await session._claim();
+        claimed.push(session.id);
+      } catch (error) {
+        Logger.error(this._logctx, `unable to claim session ${session.id} (${error.message})`);
+        session._signalDestroy();
+      }
+    }));
+
+    this._reconnecting = false;
+
+    /**
+     * The transport has been reopened after an unexpected disconnection.
+     *
+     * @event module:connection~Connection#event:CONNECTION_RECONNECTED
+     * @type {object}
+     * @property {number} id - The connection identifier
+     * @property {number[]} sessions - The identifiers of the sessions that have been claimed
+     */
+    this.emit(JANODE.EVENT.CONNECTION_RECONNECTED, { id: this.id, sessions: claimed });
+  }
+
   /**
    * Open a connection using the transport defined open method.
    * Users do not need to call this method, since the connection is opened by Janode.connect().
@@ -171,6 +251,7 @@ class Connection extends EventEmitter {
    */
   async open() {
     await this._transport.open();
+    Metrics.addConnection(this);
     return this;
   }
 
@@ -183,7 +264,11 @@ class Connection extends EventEmitter {
    * @param {object} janus_message
    */
   _handleMessage(janus_message) {
-    const { session_id, transaction, janus } = janus_message;
+    const { session_id, transaction, janus, plugindata } = janus_message;
+
+    /* Count the errors coming from Janus core and plugins */
+    if (isErrorData(janus_message)) Metrics.countError(janus_message.error.code, 'janus');
+    else if (plugindata && plugindata.data && plugindata.data.error_code) Metrics.countError(plugindata.data.error_code, plugindata.plugin);
 
     /* Check if a session is involved */
     if (session_id && !this._config.isAdmin()) {
@@ -191,7 +276,7 @@ class Connection extends EventEmitter {
       const session = this._sessions.get(session_id);
       /* If the handle is missing notifies the user */
       if (!session) {
-        Logger.warn(`${LOG_NS} ${this.name} session ${session_id} not found for incoming message ${janus}`);
+        Logger.warn(this._logctx, `session ${session_id} not found for incoming message ${janus}`);
         return;
       }
 
@@ -199,18 +284,25 @@ class Connection extends EventEmitter {
         /* Let the session manage the message */
         session._handleMessage(janus_message);
       } catch (error) {
-        Logger.error(`${LOG_NS} ${this.name} error while handling message (${error.message})`);
+        Logger.error(this._logctx, `error while handling message (${error.message})`);
       }
       return;
     }
 
     /* Check if a transaction is involved */
     if (transaction) {
-      Logger.verbose(`${LOG_NS} ${this.name} received ${janus} for transaction ${transaction}`);
+      Logger.verbose(this._logctx, `received ${janus} for transaction ${transaction}`);
+
+      /* Late reply to an aborted request, nobody is waiting for it */
+      if (this._tm.isAborted(transaction)) {
+        Logger.verbose(this._logctx, `ignoring ${janus} for aborted transaction ${transaction}`);
+        this._tm.deleteAborted(transaction);
+        return;
+      }
 
       /* Not owned by this connection? */
       if (this._tm.getTransactionOwner(transaction) !== this) {
-        Logger.warn(`${LOG_NS} ${this.name} transaction ${transaction} not found for incoming messsage ${janus}`);
+        Logger.warn(this._logctx, `transaction ${transaction} not found for incoming messsage ${janus}`);
         return;
       }
 
@@ -221,7 +313,8 @@ class Connection extends EventEmitter {
        */
       if (isResponseData(janus_message)) {
         if (isErrorData(janus_message)) {
-          const error = new Error(`${janus_message.error.code} ${janus_message.error.reason}`);
+          const { code, reason } = janus_message.error;
+          const error = new JanusCoreError({ code, reason, request: this._tm.getTransactionRequest(transaction), transaction });
           return this._tm.closeTransactionWithError(transaction, this, error);
         }
 
@@ -232,7 +325,7 @@ class Connection extends EventEmitter {
     }
 
     /* No session, no transaction? */
-    Logger.error(`${LOG_NS} ${this.name} unexpected janus message directed to the connection ${JSON.stringify(janus_message)}`);
+    Logger.error(this._logctx, `unexpected janus message directed to the connection ${JSON.stringify(janus_message)}`);
   }
 
   /**
@@ -250,7 +343,7 @@ class Connection extends EventEmitter {
         request.admin_secret = request.admin_secret || this._address_iterator.currElem().apisecret;
     }
     if (this._address_iterator.currElem().token)
-      request.token = this._address_iterator.currElem().token;
+      request.token = request.token || this._address_iterator.currElem().token;
   }
 
   /**
@@ -267,18 +360,31 @@ class Connection extends EventEmitter {
    * Send a request from this connection using the transport defined send method.
    *
    * @param {object} request - The request to be sent
+   * @param {module:janode~RequestOptions} [options] - The request options
    * @returns {Promise<object>} A promise resolving with a response from Janus
    */
-  async sendRequest(request) {
+  async sendRequest(request, options = {}) {
+    /* A token specified for this request takes precedence over the session and address tokens */
+    if (typeof options.token === 'string') request.token = options.token;
     /* Add connection properties */
     this._decorateRequest(request);
 
+    /* Check the abort signal */
+    if (options.signal && options.signal.aborted) {
+      const error = new AbortError({ request: request.janus, owner: this, transaction: request.transaction });
+      Logger.verbose(this._logctx, `${error.message}`);
+      throw error;
+    }
+
     return new Promise((resolve, reject) => {
       /* Create a new transaction if the transaction does not exist */
       /* Use promise resolve and reject fn as callbacks for the transaction */
-      this._tm.createTransaction(request.transaction, this, request.janus, resolve, reject);
+      this._tm.createTransaction(request.transaction, this, request.janus, resolve, reject, options);
 
       this._transport.send(request).catch(error => {
+        /* Errors coming from the underlying socket or fetch are wrapped */
+        if (!(error instanceof JanodeError))
+          error = new TransportError(error.message, { request: request.janus, transaction: request.transaction, cause: error });
         /* In case of error quickly close the transaction */
         this._tm.closeTransactionWithError(request.transaction, this, error);
         reject(error);
@@ -300,19 +406,25 @@ class Connection extends EventEmitter {
    * Create a new session in this connection.
    *
    * @param {number} [ka_interval] - The time interval (seconds) for session keep-alive requests
+   * @param {object} [options]
+   * @param {string} [options.token] - The Janus API token used by this session, overriding the address token
    * @returns {Promise<module:session~Session>} The newly created session
    *
    * @example
    *
    * const session = await connection.create();
    * Logger.info(`***** SESSION CREATED *****`);
+   *
+   * // act on behalf of a user with a stored token
+   * const user_session = await connection.create(30, { token: user_token });
    */
-  async create(ka_interval) {
-    Logger.info(`${LOG_NS} ${this.name} creating new session`);
+  async create(ka_interval, { token } = {}) {
+    Logger.info(this._logctx, 'creating new session');
 
     const request = {
       janus: JANUS.REQUEST.CREATE_SESSION,
     };
+    if (typeof token === 'string') request.token = token;
 
     try {
       const { data: { id } } = await this.sendRequest(request);
@@ -321,7 +433,7 @@ class Connection extends EventEmitter {
       this.setMaxListeners(this.getMaxListeners() + 2);
 
       /* Create a new Janode Session and add it to the table */
-      const session_instance = new JanodeSession(this, id, ka_interval);
+      const session_instance = new JanodeSession(this, id, ka_interval, token);
       this._sessions.set(session_instance.id, session_instance);
 
       /* On session destroy delete the entry from session map and decrease the number of listeners */
@@ -330,11 +442,11 @@ class Connection extends EventEmitter {
         this.setMaxListeners(this.getMaxListeners() - 2);
       });
 
-      Logger.info(`${LOG_NS} ${this.name} session created (id=${id})`);
+      Logger.info(this._logctx, `session created (id=${id})`);
       return session_instance;
     }
     catch (error) {
-      Logger.error(`${LOG_NS} ${this.name} session creation error (${error.message})`);
+      Logger.error(this._logctx, `session creation error (${error.message})`);
       throw error;
     }
   }
@@ -350,7 +462,7 @@ class Connection extends EventEmitter {
    * Logger.info(`${info.name} ${info.version_string}`);
    */
   async getInfo() {
-    Logger.info(`${LOG_NS} ${this.name} requesting server info`);
+    Logger.info(this._logctx, 'requesting server info');
 
     const request = {
       janus: JANUS.REQUEST.SERVER_INFO,
@@ -376,7 +488,7 @@ class Connection extends EventEmitter {
    * Logger.info(`${JSON.stringify(data)}`);
    */
   async listSessions() {
-    Logger.verbose(`${LOG_NS} ${this.name} requesting session list`);
+    Logger.verbose(this._logctx, 'requesting session list');
 
     const request = {
       janus: JANUS.ADMIN.LIST_SESSIONS,
@@ -397,10 +509,10 @@ class Connection extends EventEmitter {
    * Logger.info(`${JSON.stringify(data)}`);
    */
   async listHandles(session_id) {
-    Logger.info(`${LOG_NS} ${this.name} requesting handle list`);
+    Logger.info(this._logctx, 'requesting handle list');
     if (!session_id) {
-      const error = new Error('session_id parameter not specified');
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      const error = new JanodeError('session_id parameter not specified');
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
     const request = {
@@ -424,15 +536,15 @@ class Connection extends EventEmitter {
    * Logger.info(`${JSON.stringify(data)}`);
    */
   async handleInfo(session_id, handle_id) {
-    Logger.info(`${LOG_NS} ${this.name} requesting handle info`);
+    Logger.info(this._logctx, 'requesting handle info');
     if (!session_id) {
-      const error = new Error('session_id parameter not specified');
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      const error = new JanodeError('session_id parameter not specified');
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
     if (!handle_id) {
-      const error = new Error('handle_id parameter not specified');
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      const error = new JanodeError('handle_id parameter not specified');
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
     const request = {
@@ -455,20 +567,20 @@ class Connection extends EventEmitter {
    * @returns {Promise<object>} The start pcap response
    */
   async startPcap(session_id, handle_id, folder, filename, truncate) {
-    Logger.info(`${LOG_NS} ${this.name} requesting pcap start for handle ${handle_id}`);
+    Logger.info(this._logctx, `requesting pcap start for handle ${handle_id}`);
     if (!session_id) {
-      const error = new Error('session_id parameter not specified');
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      const error = new JanodeError('session_id parameter not specified');
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
     if (!handle_id) {
-      const error = new Error('handle_id parameter not specified');
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      const error = new JanodeError('handle_id parameter not specified');
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
     if (typeof folder !== 'string' || typeof filename !== 'string') {
-      const error = new Error('invalid folder or filename specified');
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      const error = new JanodeError('invalid folder or filename specified');
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
     const request = {
@@ -493,15 +605,15 @@ class Connection extends EventEmitter {
    * @returns {Promsie<object>} The stop pcap response
    */
   async stopPcap(session_id, handle_id) {
-    Logger.info(`${LOG_NS} ${this.name} requesting pcap stop for handle ${handle_id}`);
+    Logger.info(this._logctx, `requesting pcap stop for handle ${handle_id}`);
     if (!session_id) {
-      const error = new Error('session_id parameter not specified');
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      const error = new JanodeError('session_id parameter not specified');
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
     if (!handle_id) {
-      const error = new Error('handle_id parameter not specified');
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      const error = new JanodeError('handle_id parameter not specified');
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
     const request = {
@@ -513,6 +625,562 @@ class Connection extends EventEmitter {
     return this.sendRequest(request);
   }
 
+  /**
+   * Throw (and log) an error if an admin API parameter is not valid.
+   *
+   * @private
+   * @param {boolean} valid - The result of the parameter check
+   * @param {string} message - The error message
+   */
+  _checkAdminParam(valid, message) {
+    if (valid) return;
+    const error = new JanodeError(message);
+    Logger.error(this._logctx, `${error.message}`);
+    throw error;
+  }
+
+  /**
+   * (Admin API) Get the current settings of a janus instance.
+   *
+   * @returns {Promise<object>} The status object (e.g. session_timeout, log_level, locking_debug ...)
+   *
+   * @example
+   *
+   * const status = await connection.getStatus();
+   * Logger.info(`session timeout is ${status.session_timeout}`);
+   */
+  async getStatus() {
+    Logger.info(this._logctx, 'requesting server status');
+
+    const request = {
+      janus: JANUS.ADMIN.GET_STATUS,
+    };
+
+    const { status } = await this.sendRequest(request);
+    return status;
+  }
+
+  /**
+   * (Admin API) Set the session timeout.
+   *
+   * @param {number} timeout - The timeout in seconds (0 to disable)
+   * @returns {Promise<number>} The new session timeout
+   */
+  async setSessionTimeout(timeout) {
+    Logger.info(this._logctx, `requesting session timeout change to ${timeout}`);
+    this._checkAdminParam(Number.isInteger(timeout) && timeout >= 0, 'invalid timeout specified');
+
+    const request = {
+      janus: JANUS.ADMIN.SET_SESSION_TIMEOUT,
+      timeout,
+    };
+
+    const response = await this.sendRequest(request);
+    return response.timeout;
+  }
+
+  /**
+   * (Admin API) Set the log level.
+   *
+   * @param {number} level - The log level in the range [0, 7]
+   * @returns {Promise<number>} The new log level
+   */
+  async setLogLevel(level) {
+    Logger.info(this._logctx, `requesting log level change to ${level}`);
+    this._checkAdminParam(Number.isInteger(level) && level >= 0 && level <= 7, 'invalid level specified');
+
+    const request = {
+      janus: JANUS.ADMIN.SET_LOG_LEVEL,
+      level,
+    };
+
+    const response = await this.sendRequest(request);
+    return response.level;
+  }
+
+  /**
+   * (Admin API) Enable or disable the timestamps in the logs.
+   *
+   * @param {boolean} timestamps - True to enable the timestamps
+   * @returns {Promise<boolean>} The new setting
+   */
+  async setLogTimestamps(timestamps) {
+    Logger.info(this._logctx, `requesting log timestamps change to ${timestamps}`);
+    this._checkAdminParam(typeof timestamps === 'boolean', 'invalid timestamps specified');
+
+    const request = {
+      janus: JANUS.ADMIN.SET_LOG_TIMESTAMPS,
+      timestamps,
+    };
+
+    const response = await this.sendRequest(request);
+    return response.log_timestamps;
+  }
+
+  /**
+   * (Admin API) Enable or disable the colors in the logs.
+   *
+   * @param {boolean} colors - True to enable the colors
+   * @returns {Promise<boolean>} The new setting
+   */
+  async setLogColors(colors) {
+    Logger.info(this._logctx, `requesting log colors change to ${colors}`);
+    this._checkAdminParam(typeof colors === 'boolean', 'invalid colors specified');
+
+    const request = {
+      janus: JANUS.ADMIN.SET_LOG_COLORS,
+      colors,
+    };
+
+    const response = await this.sendRequest(request);
+    return response.log_colors;
+  }
+
+  /**
+   * (Admin API) Enable or disable the debugging of locks.
+   *
+   * @param {boolean} debug - True to enable the locking debug
+   * @returns {Promise<boolean>} The new setting
+   */
+  async setLockingDebug(debug) {
+    Logger.info(this._logctx, `requesting locking debug change to ${debug}`);
+    this._checkAdminParam(typeof debug === 'boolean', 'invalid debug specified');
+
+    const request = {
+      janus: JANUS.ADMIN.SET_LOCKING_DEBUG,
+      debug,
+    };
+
+    const response = await this.sendRequest(request);
+    return response.locking_debug;
+  }
+
+  /**
+   * (Admin API) Enable or disable the debugging of reference counters.
+   *
+   * @param {boolean} debug - True to enable the refcount debug
+   * @returns {Promise<boolean>} The new setting
+   */
+  async setRefcountDebug(debug) {
+    Logger.info(this._logctx, `requesting refcount debug change to ${debug}`);
+    this._checkAdminParam(typeof debug === 'boolean', 'invalid debug specified');
+
+    const request = {
+      janus: JANUS.ADMIN.SET_REFCOUNT_DEBUG,
+      debug,
+    };
+
+    const response = await this.sendRequest(request);
+    return response.refcount_debug;
+  }
+
+  /**
+   * (Admin API) Configure whether the janus instance must accept new sessions or not.
+   *
+   * @param {boolean} accept - False to reject new sessions (e.g. before a maintenance)
+   * @returns {Promise<boolean>} The new setting
+   */
+  async acceptNewSessions(accept) {
+    Logger.info(this._logctx, `requesting accept new sessions change to ${accept}`);
+    this._checkAdminParam(typeof accept === 'boolean', 'invalid accept specified');
+
+    const request = {
+      janus: JANUS.ADMIN.ACCEPT_NEW_SESSIONS,
+      accept,
+    };
+
+    const response = await this.sendRequest(request);
+    return response.accept;
+  }
+
+  /**
+   * (Admin API) Send a request to an event handler.
+   *
+   * @param {string} handler - The package name of the event handler (e.g. janus.eventhandler.sampleevh)
+   * @param {object} request - The request for the event handler
+   * @returns {Promise<object>} The response of the event handler
+   */
+  async queryEventHandler(handler, request) {
+    Logger.info(this._logctx, `querying event handler ${handler}`);
+    this._checkAdminParam(typeof handler === 'string' && handler, 'invalid handler specified');
+    this._checkAdminParam(typeof request === 'object' && request, 'invalid request specified');
+
+    const response = await this.sendRequest({
+      janus: JANUS.ADMIN.QUERY_EVENTHANDLER,
+      handler,
+      request,
+    });
+    return response.response;
+  }
+
+  /**
+   * (Admin API) Send a request to a logger.
+   *
+   * @param {string} logger - The package name of the logger (e.g. janus.logger.jsonlog)
+   * @param {object} request - The request for the logger
+   * @returns {Promise<object>} The response of the logger
+   */
+  async queryLogger(logger, request) {
+    Logger.info(this._logctx, `querying logger ${logger}`);
+    this._checkAdminParam(typeof logger === 'string' && logger, 'invalid logger specified');
+    this._checkAdminParam(typeof request === 'object' && request, 'invalid request specified');
+
+    const response = await this.sendRequest({
+      janus: JANUS.ADMIN.QUERY_LOGGER,
+      logger,
+      request,
+    });
+    return response.response;
+  }
+
+  /**
+   * (Admin API) Send a request to a transport.
+   *
+   * @param {string} transport - The package name of the transport (e.g. janus.transport.http)
+   * @param {object} request - The request for the transport
+   * @returns {Promise<object>} The response of the transport
+   */
+  async queryTransport(transport, request) {
+    Logger.info(this._logctx, `querying transport ${transport}`);
+    this._checkAdminParam(typeof transport === 'string' && transport, 'invalid transport specified');
+    this._checkAdminParam(typeof request === 'object' && request, 'invalid request specified');
+
+    const response = await this.sendRequest({
+      janus: JANUS.ADMIN.QUERY_TRANSPORT,
+      transport,
+      request,
+    });
+    return response.response;
+  }
+
+  /**
+   * (Admin API) Send a synchronous request to a plugin.
+   *
+   * @param {string} plugin - The package name of the plugin (e.g. janus.plugin.videoroom)
+   * @param {object} request - The request for the plugin
+   * @returns {Promise<object>} The response of the plugin
+   *
+   * @example
+   *
+   * const rooms = await connection.messagePlugin('janus.plugin.videoroom', { request: 'list' });
+   */
+  async messagePlugin(plugin, request) {
+    Logger.info(this._logctx, `sending message to plugin ${plugin}`);
+    this._checkAdminParam(typeof plugin === 'string' && plugin, 'invalid plugin specified');
+    this._checkAdminParam(typeof request === 'object' && request, 'invalid request specified');
+
+    const response = await this.sendRequest({
+      janus: JANUS.ADMIN.MESSAGE_PLUGIN,
+      plugin,
+      request,
+    });
+    return response.response;
+  }
+
+  /**
+   * (Admin API) Hangup the PeerConnection of an handle.
+   *
+   * @param {number} session_id - The session identifier
+   * @param {number} handle_id - The handle identifier
+   * @returns {Promise<void>}
+   */
+  async hangupWebRTC(session_id, handle_id) {
+    Logger.info(this._logctx, `requesting webrtc hangup for handle ${handle_id}`);
+    this._checkAdminParam(session_id, 'session_id parameter not specified');
+    this._checkAdminParam(handle_id, 'handle_id parameter not specified');
+
+    const request = {
+      janus: JANUS.ADMIN.HANGUP_WEBRTC,
+      session_id,
+      handle_id,
+    };
+
+    await this.sendRequest(request);
+  }
+
+  /**
+   * (Admin API) Detach an handle from its session.
+   *
+   * @param {number} session_id - The session identifier
+   * @param {number} handle_id - The handle identifier
+   * @returns {Promise<void>}
+   */
+  async detachHandle(session_id, handle_id) {
+    Logger.info(this._logctx, `requesting detach for handle ${handle_id}`);
+    this._checkAdminParam(session_id, 'session_id parameter not specified');
+    this._checkAdminParam(handle_id, 'handle_id parameter not specified');
+
+    const request = {
+      janus: JANUS.ADMIN.DETACH_HANDLE,
+      session_id,
+      handle_id,
+    };
+
+    await this.sendRequest(request);
+  }
+
+  /**
+   * (Admin API) Destroy a session.
+   *
+   * @param {number} session_id - The session identifier
+   * @returns {Promise<void>}
+   */
+  async destroySession(session_id) {
+    Logger.info(this._logctx, `requesting destroy for session ${session_id}`);
+    this._checkAdminParam(session_id, 'session_id parameter not specified');
+
+    const request = {
+      janus: JANUS.ADMIN.DESTROY_SESSION,
+      session_id,
+    };
+
+    await this.sendRequest(request);
+  }
+
+  /**
+   * (Admin API) Start a text2pcap capture on an handle.
+   *
+   * @param {number} session_id - The session identifier
+   * @param {number} handle_id - The handle identifier
+   * @param {string} folder - The folder in which save the text dump
+   * @param {string} filename - The text dump file name
+   * @param {number} [truncate] - Number of bytes to truncate the packets to
+   * @returns {Promise<void>}
+   */
+  async startText2Pcap(session_id, handle_id, folder, filename, truncate) {
+    Logger.info(this._logctx, `requesting text2pcap start for handle ${handle_id}`);
+    this._checkAdminParam(session_id, 'session_id parameter not specified');
+    this._checkAdminParam(handle_id, 'handle_id parameter not specified');
+    this._checkAdminParam(typeof folder === 'string' && typeof filename === 'string', 'invalid folder or filename specified');
+
+    const request = {
+      janus: JANUS.ADMIN.START_TEXT2PCAP,
+      session_id,
+      handle_id,
+      folder,
+      filename,
+    };
+    if ((typeof truncate === 'number') && truncate > 0) {
+      request.truncate = truncate;
+    }
+
+    await this.sendRequest(request);
+  }
+
+  /**
+   * (Admin API) Stop an ongoing text2pcap capture.
+   *
+   * @param {number} session_id - The session identifier
+   * @param {number} handle_id - The handle identifier
+   * @returns {Promise<void>}
+   */
+  async stopText2Pcap(session_id, handle_id) {
+    Logger.info(this._logctx, `requesting text2pcap stop for handle ${handle_id}`);
+    this._checkAdminParam(session_id, 'session_id parameter not specified');
+    this._checkAdminParam(handle_id, 'handle_id parameter not specified');
+
+    const request = {
+      janus: JANUS.ADMIN.STOP_TEXT2PCAP,
+      session_id,
+      handle_id,
+    };
+
+    await this.sendRequest(request);
+  }
+
+  /**
+   * (Admin API) Resolve an address from the janus instance.
+   *
+   * @param {string} address - The address to resolve
+   * @returns {Promise<object>} An object with the resolved "ip" and the "elapsed" microseconds
+   */
+  async resolveAddress(address) {
+    Logger.info(this._logctx, `requesting resolution of ${address}`);
+    this._checkAdminParam(typeof address === 'string' && address, 'invalid address specified');
+
+    const request = {
+      janus: JANUS.ADMIN.RESOLVE_ADDRESS,
+      address,
+    };
+
+    const { ip, elapsed } = await this.sendRequest(request);
+    return { ip, elapsed };
+  }
+
+  /**
+   * (Admin API) Test a STUN server from the janus instance.
+   *
+   * @param {string} address - The address of the STUN server
+   * @param {number} port - The port of the STUN server
+   * @param {number} [localport] - The local port to bind to
+   * @returns {Promise<object>} An object with the "public_ip", the "public_port" and the "elapsed" microseconds
+   */
+  async testStun(address, port, localport) {
+    Logger.info(this._logctx, `requesting stun test with ${address}:${port}`);
+    this._checkAdminParam(typeof address === 'string' && address, 'invalid address specified');
+    this._checkAdminParam(Number.isInteger(port) && port > 0, 'invalid port specified');
+
+    const request = {
+      janus: JANUS.ADMIN.TEST_STUN,
+      address,
+      port,
+    };
+    if (Number.isInteger(localport) && localport > 0) {
+      request.localport = localport;
+    }
+
+    const { public_ip, public_port, elapsed } = await this.sendRequest(request);
+    return { public_ip, public_port, elapsed };
+  }
+
+  /**
+   * (Admin API) Push a custom event to the event handlers.
+   *
+   * @param {string} schema - The schema of the event, used by the event handlers to route it
+   * @param {object} data - The event payload
+   * @returns {Promise<void>}
+   */
+  async customEvent(schema, data) {
+    Logger.info(this._logctx, `pushing custom event with schema ${schema}`);
+    this._checkAdminParam(typeof schema === 'string' && schema, 'invalid schema specified');
+    this._checkAdminParam(typeof data === 'object' && data, 'invalid data specified');
+
+    const request = {
+      janus: JANUS.ADMIN.CUSTOM_EVENT,
+      schema,
+      data,
+    };
+
+    await this.sendRequest(request);
+  }
+
+  /**
+   * (Admin API) Push a custom line to the janus logs.
+   *
+   * @param {string} line - The line to log
+   * @param {number} [level] - The log level of the line in the range [0, 7]
+   * @returns {Promise<void>}
+   */
+  async customLogline(line, level) {
+    Logger.info(this._logctx, 'pushing custom log line');
+    this._checkAdminParam(typeof line === 'string' && line, 'invalid line specified');
+
+    const request = {
+      janus: JANUS.ADMIN.CUSTOM_LOGLINE,
+      line,
+    };
+    if (Number.isInteger(level) && level >= 0 && level <= 7) {
+      request.level = level;
+    }
+
+    await this.sendRequest(request);
+  }
+
+  /**
+   * (Admin API) Add a stored token.
+   *
+   * @param {string} token - The token to add
+   * @param {string[]} [plugins] - The plugins the token is allowed to access (all the plugins if missing)
+   * @returns {Promise<string[]>} The plugins the token is allowed to access
+   *
+   * @example
+   *
+   * await admin.addToken('user_token', ['janus.plugin.videoroom']);
+   * const session = await connection.create(30, { token: 'user_token' });
+   */
+  async addToken(token, plugins) {
+    Logger.info(this._logctx, 'requesting token addition');
+    this._checkAdminParam(typeof token === 'string' && token, 'invalid token specified');
+    this._checkAdminParam(typeof plugins === 'undefined' || Array.isArray(plugins), 'invalid plugins specified');
+
+    const request = {
+      janus: JANUS.ADMIN.ADD_TOKEN,
+      token,
+    };
+    if (plugins) request.plugins = plugins;
+
+    const { data } = await this.sendRequest(request);
+    return data.plugins;
+  }
+
+  /**
+   * (Admin API) List the stored tokens.
+   *
+   * @returns {Promise<object[]>} The list of tokens, every item has a "token" and the "allowed_plugins" array
+   */
+  async listTokens() {
+    Logger.info(this._logctx, 'requesting token list');
+
+    const request = {
+      janus: JANUS.ADMIN.LIST_TOKENS,
+    };
+
+    const { data } = await this.sendRequest(request);
+    return data.tokens;
+  }
+
+  /**
+   * (Admin API) Allow a stored token to access some plugins.
+   *
+   * @param {string} token - The stored token
+   * @param {string[]} plugins - The plugins to allow
+   * @returns {Promise<string[]>} The plugins the token is allowed to access
+   */
+  async allowToken(token, plugins) {
+    Logger.info(this._logctx, 'requesting token permissions update');
+    this._checkAdminParam(typeof token === 'string' && token, 'invalid token specified');
+    this._checkAdminParam(Array.isArray(plugins) && plugins.length > 0, 'invalid plugins specified');
+
+    const request = {
+      janus: JANUS.ADMIN.ALLOW_TOKEN,
+      token,
+      plugins,
+    };
+
+    const { data } = await this.sendRequest(request);
+    return data.plugins;
+  }
+
+  /**
+   * (Admin API) Forbid a stored token to access some plugins.
+   *
+   * @param {string} token - The stored token
+   * @param {string[]} plugins - The plugins to disallow
+   * @returns {Promise<string[]>} The plugins the token is still allowed to access
+   */
+  async disallowToken(token, plugins) {
+    Logger.info(this._logctx, 'requesting token permissions update');
+    this._checkAdminParam(typeof token === 'string' && token, 'invalid token specified');
+    this._checkAdminParam(Array.isArray(plugins) && plugins.length > 0, 'invalid plugins specified');
+
+    const request = {
+      janus: JANUS.ADMIN.DISALLOW_TOKEN,
+      token,
+      plugins,
+    };
+
+    const { data } = await this.sendRequest(request);
+    return data.plugins;
+  }
+
+  /**
+   * (Admin API) Remove a stored token.
+   *
+   * @param {string} token - The token to remove
+   * @returns {Promise<void>}
+   */
+  async removeToken(token) {
+    Logger.info(this._logctx, 'requesting token removal');
+    this._checkAdminParam(typeof token === 'string' && token, 'invalid token specified');
+
+    const request = {
+      janus: JANUS.ADMIN.REMOVE_TOKEN,
+      token,
+    };
+
+    await this.sendRequest(request);
+  }
+
 }
 
 export default Connection;
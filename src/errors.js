@@ -0,0 +1,260 @@
+'use strict';
+
+/**
+ * This module contains the error classes raised by Janode.
+ * Users can check the kind of a rejection with `instanceof` (e.g. `error instanceof Janode.TimeoutError`).<br>
+ *
+ * Every error raised by Janode extends {@link module:errors~JanodeError}:
+ * - {@link module:errors~JanusCoreError} when Janus rejects a core request (e.g. a session that does not exist)
+ * - {@link module:errors~PluginError} when a plugin answers with an error (e.g. a VideoRoom room that does not exist)
+ * - {@link module:errors~TransportError} when the underlying transport fails (e.g. the connection has been lost)
+ * - {@link module:errors~TimeoutError} when a request does not get a response in time
+ * - {@link module:errors~AbortError} when a request is cancelled through an AbortSignal
+ * - {@link module:errors~StateError} when a request is not allowed in the current state (e.g. a handle that has been detached)
+ *
+ * The numeric codes of the core errors are exported as {@link module:errors~JANUS_ERROR}, while the codes of the plugin
+ * errors are exported by every plugin module as `ERROR_CODE`.
+ * @module errors
+ */
+
+/**
+ * The error codes returned by the Janus core (ref. janus/apierror.h).
+ *
+ * @type {object}
+ * @property {number} UNAUTHORIZED - 403
+ * @property {number} UNAUTHORIZED_PLUGIN - 405
+ * @property {number} UNKNOWN - 490
+ * @property {number} TRANSPORT_SPECIFIC - 450
+ * @property {number} MISSING_REQUEST - 452
+ * @property {number} UNKNOWN_REQUEST - 453
+ * @property {number} INVALID_JSON - 454
+ * @property {number} INVALID_JSON_OBJECT - 455
+ * @property {number} MISSING_MANDATORY_ELEMENT - 456
+ * @property {number} INVALID_REQUEST_PATH - 457
+ * @property {number} SESSION_NOT_FOUND - 458
+ * @property {number} HANDLE_NOT_FOUND - 459
+ * @property {number} PLUGIN_NOT_FOUND - 460
+ * @property {number} PLUGIN_ATTACH - 461
+ * @property {number} PLUGIN_MESSAGE - 462
+ * @property {number} PLUGIN_DETACH - 463
+ * @property {number} JSEP_UNKNOWN_TYPE - 464
+ * @property {number} JSEP_INVALID_SDP - 465
+ * @property {number} TRICKLE_INVALID_STREAM - 466
+ * @property {number} INVALID_ELEMENT_TYPE - 467
+ * @property {number} SESSION_CONFLICT - 468
+ * @property {number} UNEXPECTED_ANSWER - 469
+ * @property {number} TOKEN_NOT_FOUND - 470
+ * @property {number} WEBRTC_STATE - 471
+ * @property {number} NOT_ACCEPTING_SESSIONS - 472
+ */
+export const JANUS_ERROR = {
+  UNAUTHORIZED: 403,
+  UNAUTHORIZED_PLUGIN: 405,
+  UNKNOWN: 490,
+  TRANSPORT_SPECIFIC: 450,
+  MISSING_REQUEST: 452,
+  UNKNOWN_REQUEST: 453,
+  INVALID_JSON: 454,
+  INVALID_JSON_OBJECT: 455,
+  MISSING_MANDATORY_ELEMENT: 456,
+  INVALID_REQUEST_PATH: 457,
+  SESSION_NOT_FOUND: 458,
+  HANDLE_NOT_FOUND: 459,
+  PLUGIN_NOT_FOUND: 460,
+  PLUGIN_ATTACH: 461,
+  PLUGIN_MESSAGE: 462,
+  PLUGIN_DETACH: 463,
+  JSEP_UNKNOWN_TYPE: 464,
+  JSEP_INVALID_SDP: 465,
+  TRICKLE_INVALID_STREAM: 466,
+  INVALID_ELEMENT_TYPE: 467,
+  SESSION_CONFLICT: 468,
+  UNEXPECTED_ANSWER: 469,
+  TOKEN_NOT_FOUND: 470,
+  WEBRTC_STATE: 471,
+  NOT_ACCEPTING_SESSIONS: 472,
+};
+
+/**
+ * The base class of the errors raised by Janode.<br>
+ *
+ * It is also used as is for the errors that do not fit a more specific class (e.g. invalid arguments).
+ */
+export class JanodeError extends Error {
+  /**
+   * Create a Janode error.
+   *
+   * @param {string} message - The error message
+   * @param {object} [details]
+   * @param {number} [details.code] - The numeric error code returned by Janus
+   * @param {string} [details.reason] - The error reason returned by Janus
+   * @param {string} [details.plugin] - The identifier of the plugin that raised the error
+   * @param {string} [details.request] - The name of the failed request
+   * @param {string} [details.transaction] - The transaction identifier of the failed request
+   * @param {Error} [details.cause] - The underlying error (e.g. a socket error)
+   */
+  constructor(message, { code, reason, plugin, request, transaction, cause } = {}) {
+    super(message, (typeof cause !== 'undefined') ? { cause } : undefined);
+    this.name = 'JanodeError';
+    /**
+     * The numeric error code returned by Janus, if any.
+     *
+     * @type {number}
+     */
+    this.code = code;
+    /**
+     * The error reason returned by Janus, if any.
+     *
+     * @type {string}
+     */
+    this.reason = reason;
+    /**
+     * The identifier of the plugin that raised the error, if any (e.g. "janus.plugin.videoroom").
+     *
+     * @type {string}
+     */
+    this.plugin = plugin;
+    /**
+     * The name of the failed request, if known (e.g. "attach" or "joinandconfigure").
+     *
+     * @type {string}
+     */
+    this.request = request;
+    /**
+     * The transaction identifier of the failed request, if known.
+     *
+     * @type {string}
+     */
+    this.transaction = transaction;
+  }
+}
+
+/**
+ * Error raised when Janus rejects a core request with an error response.<br>
+ *
+ * The code is one of {@link module:errors~JANUS_ERROR}.
+ */
+export class JanusCoreError extends JanodeError {
+  /**
+   * Create a Janus core error.
+   *
+   * @param {object} params
+   * @param {number} params.code - The error code
+   * @param {string} params.reason - The error reason
+   * @param {string} [params.request] - The janus request that failed (e.g. "attach")
+   * @param {string} [params.transaction] - The transaction identifier
+   */
+  constructor({ code, reason, request, transaction }) {
+    super(`${code} ${reason}`, { code, reason, request, transaction });
+    this.name = 'JanusCoreError';
+  }
+}
+
+/**
+ * Error raised when a plugin answers with an error.<br>
+ *
+ * The code is one of the `ERROR_CODE` constants exported by the plugin module.
+ */
+export class PluginError extends JanodeError {
+  /**
+   * Create a plugin error.
+   *
+   * @param {object} params
+   * @param {number} [params.code] - The error code
+   * @param {string} params.reason - The error reason
+   * @param {string} params.plugin - The plugin identifier
+   * @param {string} [params.request] - The plugin request that failed (e.g. "join")
+   * @param {string} [params.transaction] - The transaction identifier
+   */
+  constructor({ code, reason, plugin, request, transaction }) {
+    super((typeof code !== 'undefined') ? `${code} ${reason}` : `${reason}`, { code, reason, plugin, request, transaction });
+    this.name = 'PluginError';
+  }
+}
+
+/**
+ * Error raised when the transport to Janus fails (e.g. connection closed or lost, message not sent).
+ */
+export class TransportError extends JanodeError {
+  /**
+   * Create a transport error.
+   *
+   * @param {string} message - The error message
+   * @param {object} [details] - The error details, see {@link module:errors~JanodeError}
+   */
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TransportError';
+  }
+}
+
+/**
+ * Error raised when an operation is not allowed in the current state (e.g. a request on a destroyed session).
+ */
+export class StateError extends JanodeError {
+  /**
+   * Create a state error.
+   *
+   * @param {string} message - The error message
+   * @param {object} [details] - The error details, see {@link module:errors~JanodeError}
+   */
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'StateError';
+  }
+}
+
+/**
+ * Error raised when a request does not get a response from Janus in time.
+ */
+export class TimeoutError extends JanodeError {
+  /**
+   * Create a timeout error.
+   *
+   * @param {object} params
+   * @param {string} params.request - The janus request that timed out (e.g. "message")
+   * @param {object} params.owner - A reference to the connection, session or handle that sent the request
+   * @param {string} params.transaction - The transaction identifier
+   * @param {number} params.timeout_secs - The expired timeout in seconds
+   */
+  constructor({ request, owner, transaction, timeout_secs }) {
+    super(`request "${request}" timed out after ${timeout_secs} seconds`, { request, transaction });
+    this.name = 'TimeoutError';
+    /**
+     * The connection, session or handle that sent the request.
+     *
+     * @type {object}
+     */
+    this.owner = owner;
+    /**
+     * The expired timeout in seconds.
+     *
+     * @type {number}
+     */
+    this.timeout_secs = timeout_secs;
+  }
+}
+
+/**
+ * Error raised when a request is cancelled through an AbortSignal.
+ */
+export class AbortError extends JanodeError {
+  /**
+   * Create an abort error.
+   *
+   * @param {object} params
+   * @param {string} params.request - The janus request that has been aborted (e.g. "message")
+   * @param {object} params.owner - A reference to the connection, session or handle that sent the request
+   * @param {string} params.transaction - The transaction identifier
+   */
+  constructor({ request, owner, transaction }) {
+    super(`request "${request}" aborted`, { request, transaction });
+    this.name = 'AbortError';
+    /**
+     * The connection, session or handle that sent the request.
+     *
+     * @type {object}
+     */
+    this.owner = owner;
+  }
+}
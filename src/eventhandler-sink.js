@@ -0,0 +1,479 @@
+'use strict';
+
+/**
+ * This module contains a receiver for the events pushed by the Janus HTTP and WebSocket event handlers
+ * (ref. {@link https://janus.conf.meetecho.com/docs/eventhandlers.html}).<br>
+ *
+ * The sink runs a local server accepting both HTTP POST requests (janus.eventhandler.sampleevh)
+ * and WebSocket connections (janus.eventhandler.wsevh). This module is only available on Node.
+ * @module eventhandler-sink
+ */
+
+import { EventEmitter } from 'events';
+import { createServer } from 'http';
+import { WebSocketServer } from 'ws';
+
+import Logger from './utils/logger.js';
+const LOG_NS = '[eventhandler-sink.js]';
+import { getNumericID } from './utils/utils.js';
+import { JANODE } from './protocol.js';
+import { JanodeError, StateError } from './errors.js';
+
+/* The numeric event types used by Janus, mapped to a name */
+const EVENT_TYPE = {
+  1: 'session',
+  2: 'handle',
+  4: 'external',
+  8: 'jsep',
+  16: 'webrtc',
+  32: 'media',
+  64: 'plugin',
+  128: 'transport',
+  256: 'core',
+};
+
+/* Default max size of a payload pushed by Janus (bytes) */
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+/* These are the events emitted by the sink */
+const SINK_EVENT = {
+  EVENT: 'eventhandler_event',
+  SESSION: 'eventhandler_session',
+  HANDLE: 'eventhandler_handle',
+  EXTERNAL: 'eventhandler_external',
+  JSEP: 'eventhandler_jsep',
+  WEBRTC: 'eventhandler_webrtc',
+  MEDIA: 'eventhandler_media',
+  PLUGIN: 'eventhandler_plugin',
+  TRANSPORT: 'eventhandler_transport',
+  CORE: 'eventhandler_core',
+  ERROR: 'eventhandler_error',
+};
+
+/**
+ * Class representing a sink for Janus event handlers.<br>
+ *
+ * Every event received is decoded and emitted twice: once with the specific event name (e.g. EVENT.SESSION)
+ * and once with the generic EVENT.EVENT name. Batched events (arrays) are split and emitted one by one.<br>
+ *
+ * Connections added to the sink are used to correlate the events with the Janode sessions and handles.<br>
+ *
+ * @example
+ *
+ * import { EventHandlerSink, EVENT } from 'janode/eventhandler-sink';
+ *
+ * const sink = new EventHandlerSink({ port: 7777, username: 'janus', password: 'secret' });
+ * sink.addConnection(connection);
+ * sink.on(EVENT.WEBRTC, ({ session_id, handle, event }) => Logger.info(`${session_id} ${event.ice}`));
+ * await sink.start();
+ */
+class EventHandlerSink extends EventEmitter {
+  /**
+   * Create an event handler sink.
+   *
+   * @param {object} params
+   * @param {number} params.port - The port to listen on
+   * @param {string} [params.host] - The address to bind to (all the interfaces if missing)
+   * @param {string} [params.path='/'] - The path where events are expected
+   * @param {string} [params.username] - The username for HTTP basic authentication (janus backend_user)
+   * @param {string} [params.password] - The password for HTTP basic authentication (janus backend_pwd)
+   * @param {number} [params.max_body_size=1048576] - The max size in bytes of a payload, larger HTTP bodies are rejected with a 413
+   */
+  constructor({ port, host, path = '/', username, password, max_body_size = DEFAULT_MAX_BODY_SIZE }) {
+    super();
+
+    if (typeof port !== 'number')
+      throw new JanodeError('invalid sink configuration, missing parameter "port"');
+
+    /**
+     * The server options.
+     *
+     * @private
+     * @type {object}
+     */
+    this._options = { port, host, path, max_body_size };
+
+    /**
+     * The expected value of the Authorization header, null if authentication is disabled.
+     *
+     * @private
+     * @type {string}
+     */
+    this._authorization = (typeof username === 'string' && typeof password === 'string')
+      ? `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`
+      : null;
+
+    /**
+     * The internal HTTP server.
+     *
+     * @private
+     * @type {http.Server}
+     */
+    this._server = null;
+
+    /**
+     * The internal WebSocket server, attached to the HTTP server.
+     *
+     * @private
+     * @type {WebSocketServer}
+     */
+    this._wss = null;
+
+    /**
+     * The Janode connections used to correlate the events.
+     *
+     * @private
+     * @type {Set<module:connection~Connection>}
+     */
+    this._connections = new Set();
+
+    /**
+     * A numerical identifier assigned for logging purposes.
+     *
+     * @type {number}
+     */
+    this.id = parseInt(getNumericID());
+
+    /**
+     * A more descriptive, not unique string (used for logging).
+     *
+     * @type {string}
+     */
+    this.name = `[${this.id}]`;
+
+    /**
+     * The context of the log messages of this sink.
+     *
+     * @private
+     * @type {module:logger~LogContext}
+     */
+    this._logctx = Logger.context({ ns: LOG_NS });
+
+    /* Set a dummy error listener to avoid unmanaged errors */
+    this.on('error', e => `${LOG_NS} ${this.name} catched unmanaged error ${e.message}`);
+  }
+
+  /**
+   * Check the basic authentication of an incoming request.
+   *
+   * @private
+   * @param {http.IncomingMessage} req
+   * @returns {boolean} True if the request is authorized
+   */
+  _isAuthorized(req) {
+    if (!this._authorization) return true;
+    return req.headers.authorization === this._authorization;
+  }
+
+  /**
+   * Check the path of an incoming request.
+   *
+   * @private
+   * @param {http.IncomingMessage} req
+   * @returns {boolean} True if the path matches the configured one
+   */
+  _isValidPath(req) {
+    return (new URL(req.url, 'http://localhost')).pathname === this._options.path;
+  }
+
+  /**
+   * Handle an HTTP request from the Janus HTTP event handler.
+   *
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  _handleHttpRequest(req, res) {
+    if (!this._isValidPath(req)) {
+      res.writeHead(404).end();
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.writeHead(405, { Allow: 'POST' }).end();
+      return;
+    }
+    if (!this._isAuthorized(req)) {
+      Logger.warn(this._logctx, `unauthorized request from ${req.socket.remoteAddress}`);
+      res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="janode"' }).end();
+      return;
+    }
+
+    const { max_body_size } = this._options;
+    const tooLarge = _ => {
+      Logger.warn(this._logctx, `payload too large from ${req.socket.remoteAddress}`);
+      /* Stop reading the body once the response has been sent */
+      res.writeHead(413, { Connection: 'close' }).end(_ => req.destroy());
+    };
+    if (parseInt(req.headers['content-length']) > max_body_size) {
+      tooLarge();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      if (size > max_body_size) return;
+      size += chunk.length;
+      if (size > max_body_size) {
+        chunks.length = 0;
+        tooLarge();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', _ => {
+      if (size > max_body_size) return;
+      res.writeHead(this._handleData(Buffer.concat(chunks).toString())).end();
+    });
+  }
+
+  /**
+   * Handle a WebSocket connection from the Janus WebSocket event handler.
+   *
+   * @private
+   * @param {WebSocket} ws
+   * @param {http.IncomingMessage} req
+   */
+  _handleWsConnection(ws, req) {
+    Logger.info(this._logctx, `websocket event handler connected from ${req.socket.remoteAddress}`);
+    /* Invalid payloads are notified through the error event */
+    ws.on('message', data => this._handleData(data.toString()));
+    ws.on('close', _ => Logger.info(this._logctx, 'websocket event handler disconnected'));
+  }
+
+  /**
+   * Parse the raw payload pushed by Janus and emit the events.
+   * The whole payload is validated before emitting anything, an invalid payload is only notified
+   * through the error event. A listener throwing does not stop the emission of the remaining events.
+   *
+   * @private
+   * @param {string} raw - The payload
+   * @returns {number} The HTTP status for the payload: 200 if all the events have been emitted,
+   * 400 for an invalid payload and 500 if a listener failed
+   */
+  _handleData(raw) {
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (_error) {
+      this._notifyInvalidPayload(new JanodeError('invalid event payload', { cause: _error }));
+      return 400;
+    }
+
+    /* Events can be grouped in an array by Janus */
+    const janus_events = Array.isArray(data) ? data : [data];
+    const invalid = janus_events.findIndex(janus_event => typeof janus_event !== 'object' || !janus_event || Array.isArray(janus_event));
+    if (invalid >= 0) {
+      this._notifyInvalidPayload(new JanodeError(`invalid event payload, element #${invalid} is not an object`));
+      return 400;
+    }
+
+    let status = 200;
+    for (const janus_event of janus_events) {
+      const sink_event = this._decodeEvent(janus_event);
+      Logger.verbose(this._logctx, `received ${sink_event.type} event`);
+      try {
+        if (EVENT_TYPE[sink_event.type_code]) this.emit(SINK_EVENT[sink_event.type.toUpperCase()], sink_event);
+        this.emit(SINK_EVENT.EVENT, sink_event);
+      } catch (error) {
+        status = 500;
+        this._notifyListenerFailure(new JanodeError(`listener failed on ${sink_event.type} event (${error.message})`, { cause: error }));
+      }
+    }
+    return status;
+  }
+
+  /**
+   * Log and emit the error for an invalid payload.
+   *
+   * @private
+   * @param {Error} error
+   */
+  _notifyInvalidPayload(error) {
+    Logger.error(this._logctx, `${error.message}`);
+    /**
+     * The sink received an invalid payload or a listener failed while handling an event.
+     *
+     * @event module:eventhandler-sink~EventHandlerSink#event:EVENTHANDLER_ERROR
+     * @type {Error}
+     */
+    this.emit(SINK_EVENT.ERROR, error);
+  }
+
+  /**
+   * Log and emit the error for a listener that threw while handling an event.
+   * A failure of the error listeners themselves is only logged.
+   *
+   * @private
+   * @param {Error} error
+   */
+  _notifyListenerFailure(error) {
+    Logger.error(this._logctx, `${error.message}`);
+    try {
+      this.emit(SINK_EVENT.ERROR, error);
+    } catch (_error) {
+      Logger.error(this._logctx, `error listener failed (${_error.message})`);
+    }
+  }
+
+  /**
+   * Decode an event pushed by Janus and correlate it with the known Janode sessions and handles.
+   *
+   * @private
+   * @param {object} janus_event
+   * @returns {module:eventhandler-sink~EVENTHANDLER_EVENT}
+   */
+  _decodeEvent(janus_event) {
+    const { emitter, type, subtype, timestamp, session_id, handle_id, opaque_id, event } = janus_event;
+
+    const sink_event = {
+      type: EVENT_TYPE[type] || 'unknown',
+      type_code: type,
+      emitter,
+      timestamp,
+      event,
+      session: null,
+      handle: null,
+    };
+    if (typeof subtype !== 'undefined') sink_event.subtype = subtype;
+    if (typeof session_id !== 'undefined') sink_event.session_id = session_id;
+    if (typeof handle_id !== 'undefined') sink_event.handle_id = handle_id;
+    if (typeof opaque_id !== 'undefined') sink_event.opaque_id = opaque_id;
+
+    /* Look for the session and the handle in the added connections */
+    if (session_id) {
+      for (const connection of this._connections) {
+        const session = connection._sessions.get(session_id);
+        if (!session) continue;
+        sink_event.session = session;
+        if (handle_id) sink_event.handle = session._handles.get(handle_id) || null;
+        break;
+      }
+    }
+
+    return sink_event;
+  }
+
+  /**
+   * Add a Janode connection whose sessions and handles will be correlated with the received events.
+   * The connection is automatically removed once closed.
+   *
+   * @param {module:connection~Connection} connection
+   */
+  addConnection(connection) {
+    if (this._connections.has(connection)) return;
+    this._connections.add(connection);
+    const remove = _ => this.removeConnection(connection);
+    connection.once(JANODE.EVENT.CONNECTION_CLOSED, remove);
+    connection.once(JANODE.EVENT.CONNECTION_ERROR, remove);
+  }
+
+  /**
+   * Remove a Janode connection from the sink.
+   *
+   * @param {module:connection~Connection} connection
+   */
+  removeConnection(connection) {
+    this._connections.delete(connection);
+  }
+
+  /**
+   * Start listening for events.
+   *
+   * @returns {Promise<module:eventhandler-sink~EventHandlerSink>}
+   */
+  async start() {
+    if (this._server) {
+      const error = new StateError('sink already started');
+      Logger.error(this._logctx, `${error.message}`);
+      throw error;
+    }
+
+    const { port, host, path } = this._options;
+    const server = createServer((req, res) => this._handleHttpRequest(req, res));
+
+    this._wss = new WebSocketServer({
+      server,
+      path,
+      /* Accept any subprotocol configured in the Janus event handler */
+      handleProtocols: protocols => protocols.values().next().value || false,
+      verifyClient: ({ req }) => this._isAuthorized(req),
+      maxPayload: this._options.max_body_size,
+    });
+    this._wss.on('connection', (ws, req) => this._handleWsConnection(ws, req));
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, _ => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    }).catch(error => {
+      Logger.error(this._logctx, `unable to start sink (${error.message})`);
+      this._wss.close();
+      this._wss = null;
+      throw error;
+    });
+
+    this._server = server;
+    Logger.info(this._logctx, `event handler sink listening on ${host || '*'}:${port}${path}`);
+    return this;
+  }
+
+  /**
+   * Stop listening for events, closing the open WebSocket connections.
+   *
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this._server) return;
+    for (const ws of this._wss.clients) ws.terminate();
+    this._wss.close();
+    await new Promise(resolve => this._server.close(_ => resolve()));
+    this._server = null;
+    this._wss = null;
+    Logger.info(this._logctx, 'event handler sink stopped');
+  }
+}
+
+/**
+ * An event pushed by Janus, decoded by the sink.
+ *
+ * @typedef {object} EVENTHANDLER_EVENT
+ * @property {string} type - The name of the event type (session, handle, external, jsep, webrtc, media, plugin, transport, core or unknown)
+ * @property {number} type_code - The numeric event type sent by Janus
+ * @property {number} [subtype] - The event subtype, if any
+ * @property {string} emitter - The Janus instance that emitted the event
+ * @property {number} timestamp - The event timestamp (microseconds)
+ * @property {number} [session_id] - The Janus session identifier
+ * @property {number} [handle_id] - The Janus handle identifier
+ * @property {string} [opaque_id] - The opaque identifier of the handle
+ * @property {object} event - The event payload
+ * @property {module:session~Session} session - The Janode session, if known
+ * @property {module:handle~Handle} handle - The Janode handle, if known
+ */
+
+/**
+ * The events emitted by the sink.
+ *
+ * @type {object}
+ * @property {string} EVENT - Every decoded event {@link module:eventhandler-sink~EVENTHANDLER_EVENT}
+ * @property {string} SESSION - Session related events
+ * @property {string} HANDLE - Handle related events
+ * @property {string} EXTERNAL - External events (e.g. from the Admin API custom_event)
+ * @property {string} JSEP - JSEP related events
+ * @property {string} WEBRTC - WebRTC related events (ICE, DTLS ...)
+ * @property {string} MEDIA - Media related events
+ * @property {string} PLUGIN - Plugin originated events
+ * @property {string} TRANSPORT - Transport originated events
+ * @property {string} CORE - Core events (e.g. startup, shutdown)
+ * @property {string} ERROR - {@link module:eventhandler-sink~EventHandlerSink#event:EVENTHANDLER_ERROR}
+ */
+export const EVENT = SINK_EVENT;
+
+export { EventHandlerSink };
+
+export default {
+  EventHandlerSink,
+  EVENT,
+};
@@ -12,6 +12,7 @@ import Logger from './utils/logger.js';
 const LOG_NS = '[handle.js]';
 import { getNumericID } from './utils/utils.js';
 import { JANUS, JANODE, isAckData, isResponseData, isErrorData } from './protocol.js';
+import { JanodeError, JanusCoreError, PluginError, StateError, AbortError } from './errors.js';
 
 /**
  * Class representing a Janode handle.<br>
@@ -80,6 +81,14 @@ class Handle extends EventEmitter {
      */
     this.name = `[${this.id}]`;
 
+    /**
+     * The context of the log messages of this handle.
+     *
+     * @private
+     * @type {module:logger~LogContext}
+     */
+    this._logctx = Logger.context({ ns: LOG_NS, connection: session.connection.id, session: session.id, handle: this.id });
+
     /**
      * The callback function used for a session destroyed event.
      *
@@ -107,7 +116,7 @@ class Handle extends EventEmitter {
     /* Remove the listener for session destroyed event */
     this.session.removeListener(JANODE.EVENT.SESSION_DESTROYED, this._sessionDestroyedListener);
     /* Close all pending transactions for this handle with an error */
-    this._tm.closeAllTransactionsWithError(this, new Error('handle detached'));
+    this._tm.closeAllTransactionsWithError(this, new StateError('handle detached'));
     /* Emit the detached event */
     /**
      * The handle has been detached.
@@ -175,7 +184,7 @@ class Handle extends EventEmitter {
 
     /* First check if a transaction is involved */
     if (transaction) {
-      Logger.verbose(`${LOG_NS} ${this.name} received ${janus} for transaction ${transaction}`);
+      Logger.verbose(this._logctx, `received ${janus} for transaction ${transaction}`);
 
       /* First check if this handle owns the transaction */
       if (this.ownsTransaction(transaction)) {
@@ -198,7 +207,8 @@ class Handle extends EventEmitter {
         if (isResponseData(janus_message)) {
           if (isErrorData(janus_message)) {
             /* Case #2 (error): close tx with a definitive error */
-            const error = new Error(`${janus_message.error.code} ${janus_message.error.reason}`);
+            const { code, reason } = janus_message.error;
+            const error = new JanusCoreError({ code, reason, request: this._tm.getTransactionRequest(transaction), transaction });
             this.closeTransactionWithError(transaction, error);
             return;
           }
@@ -223,7 +233,7 @@ class Handle extends EventEmitter {
            * A falsy return from handleMessage is considered as a "not-handled" message.
            */
           if (!this.handleMessage(janus_message)) {
-            Logger.verbose(`${LOG_NS} ${this.name} received response could not be handled by the plugin`);
+            Logger.verbose(this._logctx, 'received response could not be handled by the plugin');
           }
 
           /*
@@ -236,6 +246,20 @@ class Handle extends EventEmitter {
       }
     }
 
+    /* Late reply to an aborted request, nobody is waiting for it */
+    if (this._tm.isAborted(transaction)) {
+      Logger.verbose(this._logctx, `ignoring ${janus} for aborted transaction ${transaction}`);
+      /* An ack will be followed by the actual reply */
+      if (!isAckData(janus_message)) this._tm.deleteAborted(transaction);
+      return;
+    }
+
+    /* Late response to a transaction that is not pending anymore (e.g. expired) */
+    if (transaction && (isAckData(janus_message) || isResponseData(janus_message))) {
+      Logger.verbose(this._logctx, `ignoring ${janus} for transaction ${transaction} not pending anymore`);
+      return;
+    }
+
     /* Handling of a message that did not close a transaction (e.g. async events) */
     const janode_event_data = {};
     switch (janus) {
@@ -245,8 +269,8 @@ class Handle extends EventEmitter {
         /* If an instance implements a handleMessage method, use it */
         if (!this.handleMessage(janus_message)) {
           /* If handleMessage has a falsy return close tx with error */
-          Logger.warn(`${LOG_NS} ${this.name} received event could not be handled by the plugin`);
-          const error = new Error('unmanaged event');
+          Logger.warn(this._logctx, 'received event could not be handled by the plugin');
+          const error = new JanodeError('unmanaged event', { transaction });
           this.closeTransactionWithError(transaction, error);
         }
         else {
@@ -372,7 +396,7 @@ class Handle extends EventEmitter {
       }
 
       default:
-        Logger.error(`${LOG_NS} ${this.name} unknown janus event directed to the handle ${JSON.stringify(janus_message)}`);
+        Logger.error(this._logctx, `unknown janus event directed to the handle ${JSON.stringify(janus_message)}`);
     }
   }
 
@@ -409,12 +433,15 @@ class Handle extends EventEmitter {
 
   /**
    * Helper to close a transaction with error.
+   * A plugin error that does not specify the failed request gets the one carried by the message.
    *
    * @property {string} id - The transaction id
    * @property {object} error - The error object
    * @returns {void}
    */
   closeTransactionWithError(id, error) {
+    if (error instanceof PluginError && typeof error.request === 'undefined' && this.ownsTransaction(id))
+      error.request = this._tm.get(id).plugin_request;
     this._tm.closeTransactionWithError(id, this, error);
     return;
   }
@@ -436,33 +463,43 @@ class Handle extends EventEmitter {
    * Send a request from this handle.
    *
    * @param {object} request
+   * @param {module:janode~RequestOptions} [options] - The request options
    * @returns {Promise<object>} A promsie resolving with the response to the request
    */
-  async sendRequest(request) {
+  async sendRequest(request, options = {}) {
     /* Input check */
     if (typeof request !== 'object' || !request) {
-      const error = new Error('request must be an object');
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      const error = new JanodeError('request must be an object');
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
 
     /* Check handle status */
     if (this._detached) {
-      const error = new Error('unable to send request because handle has been detached');
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      const error = new StateError('unable to send request because handle has been detached', { request: request.janus });
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
 
     /* Add handle properties */
     this._decorateRequest(request);
 
+    /* Check the abort signal */
+    if (options.signal && options.signal.aborted) {
+      const error = new AbortError({ request: request.janus, owner: this, transaction: request.transaction });
+      Logger.verbose(this._logctx, `${error.message}`);
+      throw error;
+    }
+
     return new Promise((resolve, reject) => {
       /* Create a new transaction if the transaction does not exist */
       /* Use promise resolve and reject fn as callbacks for the transaction */
-      this._tm.createTransaction(request.transaction, this, request.janus, resolve, reject);
+      const tx = this._tm.createTransaction(request.transaction, this, request.janus, resolve, reject, options);
+      /* Keep track of the plugin request to decorate the plugin errors */
+      if (tx && request.body && typeof request.body.request === 'string') tx.plugin_request = request.body.request;
 
       /* Send this message through the parent janode session */
-      this.session.sendRequest(request).catch(error => {
+      this.session.sendRequest(request, options).catch(error => {
         /* In case of error quickly close the transaction */
         this.closeTransactionWithError(request.transaction, error);
       });
@@ -476,16 +513,16 @@ class Handle extends EventEmitter {
    */
   async detach() {
     if (this._detaching) {
-      const error = new Error('detaching already in progress');
-      Logger.verbose(`${LOG_NS} ${this.name} ${error.message}`);
+      const error = new StateError('detaching already in progress');
+      Logger.verbose(this._logctx, `${error.message}`);
       throw error;
     }
     if (this._detached) {
-      const error = new Error('already detached');
-      Logger.verbose(`${LOG_NS} ${this.name} ${error.message}`);
+      const error = new StateError('already detached');
+      Logger.verbose(this._logctx, `${error.message}`);
       throw error;
     }
-    Logger.info(`${LOG_NS} ${this.name} detaching handle`);
+    Logger.info(this._logctx, 'detaching handle');
     this._detaching = true;
 
     const request = {
@@ -499,7 +536,7 @@ class Handle extends EventEmitter {
     }
     catch ({ message }) {
       this._detaching = false;
-      Logger.error(`${LOG_NS} ${this.name} error while detaching (${message})`);
+      Logger.error(this._logctx, `error while detaching (${message})`);
     }
   }
 
@@ -517,7 +554,7 @@ class Handle extends EventEmitter {
       return this.sendRequest(request);
     }
     catch (error) {
-      Logger.error(`${LOG_NS} ${this.name} error while hanging up (${error.message})`);
+      Logger.error(this._logctx, `error while hanging up (${error.message})`);
       throw error;
     }
   }
@@ -534,8 +571,8 @@ class Handle extends EventEmitter {
 
     /* Input checking */
     if (typeof candidate !== 'object') {
-      const error = new Error('invalid candidate object');
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      const error = new JanodeError('invalid candidate object');
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
 
@@ -554,7 +591,7 @@ class Handle extends EventEmitter {
     try {
       return this.sendRequest(request);
     } catch (error) {
-      Logger.error(`${LOG_NS} ${this.name} error on trickle (${error.message})`);
+      Logger.error(this._logctx, `error on trickle (${error.message})`);
       throw error;
     }
   }
@@ -575,6 +612,7 @@ class Handle extends EventEmitter {
    *
    * @param {object} body - The body of the message
    * @param {RTCSessionDescription} [jsep]
+   * @param {module:janode~RequestOptions} [options] - The request options
    * @returns {Promise<object>} A promise resolving with the response to the message
    *
    * @example
@@ -587,8 +625,11 @@ class Handle extends EventEmitter {
    *
    * await handle.message(body, jsep);
    *
+   * // Reject with a TimeoutError if Janus does not answer within 5 seconds
+   * await handle.message(body, jsep, { timeout_secs: 5 });
+   *
    */
-  async message(body, jsep) {
+  async message(body, jsep, options = {}) {
     const request = {
       janus: JANUS.REQUEST.MESSAGE,
       body,
@@ -596,10 +637,10 @@ class Handle extends EventEmitter {
     if (jsep) request.jsep = jsep;
 
     try {
-      return this.sendRequest(request);
+      return this.sendRequest(request, options);
     }
     catch (error) {
-      Logger.error(`${LOG_NS} ${this.name} error on message (${error.message})`);
+      Logger.error(this._logctx, `error on message (${error.message})`);
       throw error;
     }
   }
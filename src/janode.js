@@ -8,10 +8,13 @@
  */
 
 import Logger from './utils/logger.js';
+import Metrics from './utils/metrics.js';
 const LOG_NS = '[janode.js]';
+const LOG_CTX = Logger.context({ ns: LOG_NS });
 import Configuration from './configuration.js';
 import Connection from './connection.js';
 import { JANODE as JANODE_PROTO } from './protocol.js';
+import { JANUS_ERROR, JanodeError, JanusCoreError, PluginError, TransportError, StateError, TimeoutError, AbortError } from './errors.js';
 const { EVENT } = JANODE_PROTO;
 
 /**
@@ -33,6 +36,17 @@ const { EVENT } = JANODE_PROTO;
  * @property {number} [max_retries=5] - The maximum number of retries before issuing a connection error
  * @property {boolean} [is_admin=false] - True if the connection is dedicated to the Janus Admin API
  * @property {object} [ws_options] - Specific WebSocket transport options
+ * @property {number} [request_timeout_secs=0] - The default seconds to wait for a response before rejecting a request with a TimeoutError (0 to disable)
+ * @property {boolean} [reconnect=false] - True to reopen a WebSocket connection after an unexpected disconnection and claim the existing sessions
+ */
+
+/**
+ * The options that can be passed when sending a request.
+ *
+ * @typedef {object} RequestOptions
+ * @property {number} [timeout_secs] - The seconds to wait for a response before rejecting with a TimeoutError, overriding the configuration (0 to disable)
+ * @property {AbortSignal} [signal] - A signal to cancel the request, an aborted request is rejected with an AbortError
+ * @property {string} [token] - The Janus API token to use for this request, overriding the session and address tokens
  */
 
 /**
@@ -105,7 +119,7 @@ const { EVENT } = JANODE_PROTO;
  * }], 'server_B');
  */
 const connect = (config = {}, key = null) => {
-  Logger.info(`${LOG_NS} creating new connection`);
+  Logger.info(LOG_CTX, 'creating new connection');
 
   const janus_server_list = Array.isArray(config) ? config : [config];
   let index = 0;
@@ -114,17 +128,17 @@ const connect = (config = {}, key = null) => {
   if (typeof key === 'string')
     index = janus_server_list.findIndex(({ server_key }) => server_key === key);
   if (!key)
-    Logger.verbose(`${LOG_NS} omitted server key, falling back to the first server in configuration`);
+    Logger.verbose(LOG_CTX, 'omitted server key, falling back to the first server in configuration');
 
   const server_raw_conf = janus_server_list[index];
   if (!server_raw_conf) {
-    const error = new Error(`server configuration not defined for server #${key || index}`);
-    Logger.error(`${LOG_NS} ${error.message}`);
+    const error = new JanodeError(`server configuration not defined for server #${key || index}`);
+    Logger.error(LOG_CTX, error.message);
     throw error;
   }
 
   const server_conf = new Configuration(server_raw_conf);
-  Logger.verbose(`${LOG_NS} creating connection with server configuration ${JSON.stringify(server_conf)}`);
+  Logger.verbose(LOG_CTX, `creating connection with server configuration ${JSON.stringify(server_conf)}`);
   const janus_connection = new Connection(server_conf);
   return janus_connection.open();
 };
@@ -141,9 +155,20 @@ export default {
    * @property {function} warn - Print out a warning message
    * @property {function} error - Print out an error message
    * @property {function} setLevel - Set logger level
+   * @property {function} setSink - Replace the console output with a custom structured sink
    */
   Logger,
 
+  /**
+   * The metrics registry used in Janode.
+   *
+   * @type {object}
+   * @property {function} toPrometheus - Export the metrics in the Prometheus text format
+   * @property {function} setHook - Set a hook invoked for every observation
+   * @property {function} reset - Reset the recorded histograms and counters
+   */
+  Metrics,
+
   /**
    * Events emitted by Janode
    *
@@ -156,6 +181,64 @@ export default {
    * @property {string} HANDLE_WEBRTCUP - {@link module:handle~Handle#event:HANDLE_WEBRTCUP}
    * @property {string} HANDLE_SLOWLINK - {@link module:handle~Handle#event:HANDLE_SLOWLINK}
    * @property {string} CONNECTION_ERROR - {@link module:connection~Connection#event:CONNECTION_ERROR}
+   * @property {string} CONNECTION_RECONNECTING - {@link module:connection~Connection#event:CONNECTION_RECONNECTING}
+   * @property {string} CONNECTION_RECONNECTED - {@link module:connection~Connection#event:CONNECTION_RECONNECTED}
    */
   EVENT,
+
+  /**
+   * The error codes returned by the Janus core, matching the code of a JanusCoreError.
+   *
+   * @type {module:errors~JANUS_ERROR}
+   */
+  JANUS_ERROR,
+
+  /**
+   * The base class of every error raised by Janode.
+   *
+   * @type {module:errors~JanodeError}
+   */
+  JanodeError,
+
+  /**
+   * The error raised when Janus rejects a core request.
+   *
+   * @type {module:errors~JanusCoreError}
+   */
+  JanusCoreError,
+
+  /**
+   * The error raised when a plugin answers with an error.
+   *
+   * @type {module:errors~PluginError}
+   */
+  PluginError,
+
+  /**
+   * The error raised when the transport to Janus fails.
+   *
+   * @type {module:errors~TransportError}
+   */
+  TransportError,
+
+  /**
+   * The error raised when a request is not allowed in the current state.
+   *
+   * @type {module:errors~StateError}
+   */
+  StateError,
+
+  /**
+   * The error raised when a request does not get a response in time.
+   *
+   * @type {module:errors~TimeoutError}
+   */
+  TimeoutError,
+
+  /**
+   * The error raised when a request is cancelled through an AbortSignal.
+   *
+   * @type {module:errors~AbortError}
+   */
+  AbortError,
 };
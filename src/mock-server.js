@@ -0,0 +1,1665 @@
+'use strict';
+
+/**
+ * This module contains an in-process mock of the Janus WebSocket API, useful to test applications built on Janode
+ * without a real Janus instance.<br>
+ *
+ * The mock speaks the "janus-protocol" and "janus-admin-protocol" subprotocols and the REST API (with long-polls for the
+ * events) on the same port, implements the core session and handle semantics (acks, async events, keep-alives,
+ * session timeouts), ships scripted behaviours for the EchoTest, VideoRoom, AudioBridge, Streaming, SIP, TextRoom,
+ * Record&Play, VideoCall and NoSIP plugins and can inject faults (dropped requests, delays, error codes, disconnections).
+ * This module is only available on Node.
+ * @module mock-server
+ */
+
+import { createServer } from 'node:http';
+import { WebSocketServer } from 'ws';
+
+import Logger from './utils/logger.js';
+const LOG_NS = '[mock-server.js]';
+import { getNumericID, delayOp } from './utils/utils.js';
+import { JANUS } from './protocol.js';
+import { JANUS_ERROR, StateError } from './errors.js';
+import { ERROR_CODE as VIDEOROOM_ERROR } from './plugins/videoroom-plugin.js';
+import { ERROR_CODE as AUDIOBRIDGE_ERROR } from './plugins/audiobridge-plugin.js';
+import { ERROR_CODE as STREAMING_ERROR } from './plugins/streaming-plugin.js';
+import { ERROR_CODE as SIP_ERROR } from './plugins/sip-plugin.js';
+import { ERROR_CODE as TEXTROOM_ERROR } from './plugins/textroom-plugin.js';
+import { ERROR_CODE as RECORDPLAY_ERROR } from './plugins/recordplay-plugin.js';
+import { ERROR_CODE as VIDEOCALL_ERROR } from './plugins/videocall-plugin.js';
+import { ERROR_CODE as NOSIP_ERROR } from './plugins/nosip-plugin.js';
+
+/* Janus API ws subprotocol */
+const API_WS = 'janus-protocol';
+/* Janus Admin API ws subprotocol */
+const ADMIN_WS = 'janus-admin-protocol';
+/* Janus API REST path */
+const API_PATH = '/janus';
+/* Janus Admin API REST path */
+const ADMIN_PATH = '/admin';
+/* Seconds after which an empty long-poll is answered with a keep-alive, as Janus does */
+const LONG_POLL_TIMEOUT_SECS = 30;
+/* The pseudo request name used to match the long-polls in the faults */
+const LONG_POLL_REQUEST = 'longpoll';
+
+
+/* A minimal SDP, good enough for the JSEP exchanges of the scripted plugins */
+const FAKE_SDP = 'v=0\r\no=- 0 0 IN IP4 127.0.0.1\r\ns=janode-mock\r\nt=0 0\r\n';
+const fakeJsep = type => ({ type, sdp: FAKE_SDP });
+const answerTo = jsep => (jsep && jsep.type === 'offer') ? fakeJsep('answer') : undefined;
+
+/**
+ * The result of a scripted plugin for a single message.
+ *
+ * @typedef {object} MockPluginResult
+ * @property {object} data - The plugin data sent back to the handle
+ * @property {RTCSessionDescription} [jsep] - The JSEP sent along with the data
+ * @property {boolean} [async=false] - True to send an ack and deliver the data as an async event, false for a synchronous response
+ */
+
+/**
+ * A scripted plugin behaviour.
+ * It is invoked for every message sent to a handle attached to the plugin.
+ *
+ * @callback MockPlugin
+ * @param {object} params
+ * @param {object} params.handle - The mocked handle ({ id, session_id, plugin, state })
+ * @param {object} params.body - The message body
+ * @param {RTCSessionDescription} [params.jsep] - The JSEP sent along with the message
+ * @param {module:mock-server~MockJanusServer} params.server - The mock server, e.g. to push events to other handles
+ * @returns {module:mock-server~MockPluginResult|Promise<module:mock-server~MockPluginResult>}
+ */
+
+/**
+ * A fault to be injected by the mock.
+ *
+ * @typedef {object} MockFault
+ * @property {string} [request] - The janus request to match (e.g. "message", "keepalive", or "longpoll" for the REST long-polls), any request if missing
+ * @property {string} [plugin_request] - The plugin request to match (the "request" field of a message body)
+ * @property {boolean} [drop=false] - True to ignore the request without replying (a dropped long-poll resets the HTTP connection)
+ * @property {number} [delay_ms=0] - Milliseconds to wait before processing the request
+ * @property {object} [error] - Reply with a Janus core error ({ code, reason }) instead of processing the request
+ * @property {object} [plugin_error] - Answer a message with a plugin error ({ code, reason }) instead of invoking the plugin
+ * @property {number} [times=1] - How many requests the fault applies to (Infinity for a permanent fault)
+ */
+
+/* Build the plugin error data in the format used by the Janus plugins */
+const pluginError = (name, error_code, error) => ({ data: { [name]: 'event', error_code, error } });
+
+/* Scripted EchoTest: every message is answered with an async "ok" result */
+const echoTestPlugin = _ => ({ jsep }) => ({
+  async: true,
+  data: { echotest: 'event', result: 'ok' },
+  jsep: answerTo(jsep),
+});
+
+/* The streams of the publishers of the scripted VideoRoom */
+const PUBLISHER_STREAMS = [
+  { type: 'audio', mindex: 0, mid: '0', codec: 'opus' },
+  { type: 'video', mindex: 1, mid: '1', codec: 'vp8' },
+];
+
+/* Scripted VideoRoom with in-memory rooms, publishers (local or remote) and subscribers */
+const videoRoomPlugin = server => {
+  const rooms = new Map([[1234, { room: 1234, description: 'Demo Room', participants: new Map() }]]);
+  const getRoom = room => rooms.get(room);
+  const toPublisher = ({ id, display, streams }) => ({ id, display, streams });
+  const publishersOf = (r, except) => Array.from(r.participants.values())
+    .filter(p => p.publishing && p.id !== except)
+    .map(toPublisher);
+  /* Remote publishers have no handle to notify */
+  const notify = (r, except, data) => {
+    for (const p of r.participants.values()) {
+      if (p.id !== except && p.handle_id) server.pushEvent(p.handle_id, { videoroom: 'event', room: r.room, ...data });
+    }
+  };
+  const startPublishing = (r, p) => {
+    Object.assign(p, { publishing: true, streams: PUBLISHER_STREAMS.map(stream => ({ ...stream })) });
+    notify(r, p.id, { publishers: [toPublisher(p)] });
+  };
+  /* Janus stops the remote publications of a publisher that goes away */
+  const stopPublishing = p => {
+    Object.assign(p, { publishing: false, streams: [] });
+    p.remotes.clear();
+  };
+  const error = (code, reason) => pluginError('videoroom', code, reason);
+
+  return ({ handle, body, jsep }) => {
+    const { request, room } = body;
+    const state = handle.state;
+
+    switch (request) {
+      case 'create': {
+        const id = room || parseInt(getNumericID());
+        if (rooms.has(id)) return error(VIDEOROOM_ERROR.ROOM_EXISTS, `Room ${id} already exists`);
+        rooms.set(id, { room: id, description: body.description || `Room ${id}`, participants: new Map() });
+        return { data: { videoroom: 'created', room: id, permanent: false } };
+      }
+      case 'destroy': {
+        const r = getRoom(room);
+        if (!r) return error(VIDEOROOM_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+        rooms.delete(room);
+        notify(r, null, { videoroom: 'destroyed' });
+        return { data: { videoroom: 'destroyed', room, permanent: false } };
+      }
+      case 'exists':
+        return { data: { videoroom: 'success', room, exists: rooms.has(room) } };
+      case 'list':
+        return { data: { videoroom: 'success', list: Array.from(rooms.values()).map(r => ({ room: r.room, description: r.description, num_participants: 0 })) } };
+      case 'listparticipants': {
+        const r = getRoom(room);
+        if (!r) return error(VIDEOROOM_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+        return { data: { videoroom: 'participants', room, participants: Array.from(r.participants.values()).map(({ id, display, publishing }) => ({ id, display, publisher: publishing })) } };
+      }
+      case 'join':
+      case 'joinandconfigure': {
+        const r = getRoom(room);
+        if (!r) return { async: true, ...error(VIDEOROOM_ERROR.NO_SUCH_ROOM, `No such room (${room})`) };
+        if (body.ptype === 'publisher') {
+          const id = body.id || parseInt(getNumericID());
+          if (r.participants.has(id)) return { async: true, ...error(VIDEOROOM_ERROR.ID_EXISTS, `User ID ${id} already exists`) };
+          const p = { id, display: body.display, handle_id: handle.id, publishing: false, streams: [], remotes: new Map() };
+          r.participants.set(id, p);
+          Object.assign(state, { room, feed: id, ptype: 'publisher' });
+          if (request === 'joinandconfigure' && jsep) startPublishing(r, p);
+          return {
+            async: true,
+            data: { videoroom: 'joined', room, description: r.description, id, private_id: parseInt(getNumericID()), publishers: publishersOf(r, id) },
+            jsep: answerTo(jsep),
+          };
+        }
+        /* Subscribers */
+        const feed = body.feed || (body.streams && body.streams[0] && body.streams[0].feed);
+        const pub = r.participants.get(feed);
+        if (!pub || !pub.publishing) return { async: true, ...error(VIDEOROOM_ERROR.NO_SUCH_FEED, `No such feed (${feed})`) };
+        Object.assign(state, { room, feed, ptype: 'subscriber' });
+        return { async: true, data: { videoroom: 'attached', room, id: feed, display: pub.display }, jsep: fakeJsep('offer') };
+      }
+      case 'configure':
+      case 'publish': {
+        const r = getRoom(state.room);
+        if (!r) return { async: true, ...error(VIDEOROOM_ERROR.JOIN_FIRST, 'Not in a room') };
+        const p = r.participants.get(state.feed);
+        if (p && jsep && !p.publishing) startPublishing(r, p);
+        return { async: true, data: { videoroom: 'event', room: state.room, configured: 'ok' }, jsep: answerTo(jsep) };
+      }
+      case 'unpublish': {
+        const r = getRoom(state.room);
+        const p = r && r.participants.get(state.feed);
+        if (!p || !p.publishing) return { async: true, ...error(VIDEOROOM_ERROR.NOT_PUBLISHED, 'Can\'t unpublish, not published') };
+        stopPublishing(p);
+        notify(r, p.id, { unpublished: p.id });
+        return { async: true, data: { videoroom: 'event', room: state.room, unpublished: 'ok' } };
+      }
+      case 'start':
+        return { async: true, data: { videoroom: 'event', room: state.room, started: 'ok' } };
+      case 'pause':
+        return { async: true, data: { videoroom: 'event', room: state.room, paused: 'ok' } };
+      case 'switch':
+        state.feed = body.feed;
+        return { async: true, data: { videoroom: 'event', room: state.room, switched: 'ok', id: body.feed } };
+      case 'leave': {
+        const r = getRoom(state.room);
+        const p = r && r.participants.get(state.feed);
+        if (p && state.ptype === 'publisher') {
+          stopPublishing(p);
+          r.participants.delete(state.feed);
+          notify(r, state.feed, { leaving: state.feed });
+          return { async: true, data: { videoroom: 'event', room: state.room, leaving: 'ok' } };
+        }
+        return { async: true, data: { videoroom: 'event', room: state.room, left: 'ok' } };
+      }
+      case 'kick': {
+        const r = getRoom(room);
+        if (!r) return error(VIDEOROOM_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+        if (!r.participants.has(body.id)) return error(VIDEOROOM_ERROR.NO_SUCH_FEED, `No such user ${body.id} in room ${room}`);
+        r.participants.delete(body.id);
+        notify(r, null, { kicked: body.id });
+        return { data: { videoroom: 'success' } };
+      }
+      case 'edit': {
+        const r = getRoom(room);
+        if (!r) return error(VIDEOROOM_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+        if (typeof body.new_description === 'string') r.description = body.new_description;
+        return { data: { videoroom: 'edited', room, permanent: !!body.permanent } };
+      }
+      case 'moderate': {
+        const r = getRoom(room);
+        if (!r) return error(VIDEOROOM_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+        const p = r.participants.get(body.id);
+        if (!p || !p.publishing) return error(VIDEOROOM_ERROR.NO_SUCH_FEED, `No such feed (${body.id})`);
+        if (!p.streams.some(({ mid }) => mid === body.mid)) return error(VIDEOROOM_ERROR.NO_SUCH_FEED, `No such mid ${body.mid} in feed (${body.id})`);
+        notify(r, null, { id: p.id, mid: body.mid, moderation: body.mute ? 'muted' : 'unmuted' });
+        return { data: { videoroom: 'success' } };
+      }
+      case 'add_remote_publisher': {
+        const r = getRoom(room);
+        if (!r) return error(VIDEOROOM_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+        if (!Array.isArray(body.streams) || body.streams.length === 0) return error(VIDEOROOM_ERROR.MISSING_ELEMENT, 'Missing element (streams)');
+        const id = body.id || parseInt(getNumericID());
+        if (r.participants.has(id)) return error(VIDEOROOM_ERROR.ID_EXISTS, `User ID ${id} already exists`);
+        const p = { id, display: body.display, handle_id: null, publishing: true, remote: true, streams: body.streams, remotes: new Map() };
+        r.participants.set(id, p);
+        notify(r, id, { publishers: [toPublisher(p)] });
+        return { data: { videoroom: 'success', room, id, ip: '127.0.0.1', port: body.port || 10000 + (id % 50000), rtcp_port: body.rtcp_port } };
+      }
+      case 'update_remote_publisher':
+      case 'remove_remote_publisher': {
+        const r = getRoom(room);
+        if (!r) return error(VIDEOROOM_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+        const p = r.participants.get(body.id);
+        if (!p || !p.remote) return error(VIDEOROOM_ERROR.NO_SUCH_FEED, `No such remote publisher (${body.id})`);
+        if (request === 'update_remote_publisher') {
+          if (Array.isArray(body.streams)) p.streams = body.streams;
+          if (typeof body.display === 'string') p.display = body.display;
+          notify(r, p.id, { publishers: [toPublisher(p)] });
+        }
+        else {
+          r.participants.delete(p.id);
+          notify(r, p.id, { unpublished: p.id });
+          notify(r, p.id, { leaving: p.id });
+        }
+        return { data: { videoroom: 'success', room, id: p.id } };
+      }
+      case 'publish_remotely':
+      case 'unpublish_remotely':
+      case 'list_remotes': {
+        const r = getRoom(room);
+        if (!r) return error(VIDEOROOM_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+        const p = r.participants.get(body.publisher_id);
+        if (!p || !p.publishing) return error(VIDEOROOM_ERROR.NO_SUCH_FEED, `No such publisher (${body.publisher_id})`);
+        if (request === 'list_remotes') {
+          return { data: { videoroom: 'success', room, publisher_id: p.id, remotes: Array.from(p.remotes.values()) } };
+        }
+        const { remote_id } = body;
+        if (request === 'publish_remotely') {
+          if (typeof body.host !== 'string' || typeof body.port !== 'number') return error(VIDEOROOM_ERROR.MISSING_ELEMENT, 'Missing element (host/port)');
+          if (p.remotes.has(remote_id)) return error(VIDEOROOM_ERROR.ID_EXISTS, `Remote publisher ID ${remote_id} already exists`);
+          p.remotes.set(remote_id, { remote_id, host: body.host, port: body.port, rtcp_port: body.rtcp_port });
+        }
+        else {
+          if (!p.remotes.has(remote_id)) return error(VIDEOROOM_ERROR.NO_SUCH_FEED, `No such remote publisher ID (${remote_id})`);
+          p.remotes.delete(remote_id);
+        }
+        return { data: { videoroom: 'success', room, publisher_id: p.id, remote_id } };
+      }
+      default:
+        return { async: true, ...error(VIDEOROOM_ERROR.INVALID_REQUEST, `Unknown request '${request}'`) };
+    }
+  };
+};
+
+/* Scripted AudioBridge with in-memory rooms and participants */
+const audioBridgePlugin = server => {
+  const rooms = new Map([[1234, { room: 1234, description: 'Demo Room', participants: new Map(), announcements: new Map() }]]);
+  const toPeer = ({ id, display, muted }) => ({ id, display, muted, setup: false });
+  const notify = (r, except, data) => {
+    for (const p of r.participants.values()) {
+      if (p.id !== except) server.pushEvent(p.handle_id, { room: r.room, ...data });
+    }
+  };
+  const error = (code, reason) => pluginError('audiobridge', code, reason);
+
+  return ({ handle, body, jsep }) => {
+    const { request, room } = body;
+    const state = handle.state;
+
+    switch (request) {
+      case 'create': {
+        const id = room || parseInt(getNumericID());
+        if (rooms.has(id)) return error(AUDIOBRIDGE_ERROR.ROOM_EXISTS, `Room ${id} already exists`);
+        rooms.set(id, { room: id, description: body.description || `Room ${id}`, participants: new Map(), announcements: new Map() });
+        return { data: { audiobridge: 'created', room: id, permanent: false } };
+      }
+      case 'destroy': {
+        const r = rooms.get(room);
+        if (!r) return error(AUDIOBRIDGE_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+        rooms.delete(room);
+        notify(r, null, { audiobridge: 'destroyed' });
+        return { data: { audiobridge: 'destroyed', room, permanent: false } };
+      }
+      case 'edit': {
+        const r = rooms.get(room);
+        if (!r) return error(AUDIOBRIDGE_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+        if (typeof body.new_description === 'string') r.description = body.new_description;
+        return { data: { audiobridge: 'edited', room, permanent: !!body.permanent } };
+      }
+      case 'exists':
+        return { data: { audiobridge: 'success', room, exists: rooms.has(room) } };
+      case 'list':
+        return { data: { audiobridge: 'success', list: Array.from(rooms.values()).map(r => ({ room: r.room, description: r.description, num_participants: 0 })) } };
+      case 'listparticipants': {
+        const r = rooms.get(room);
+        if (!r) return error(AUDIOBRIDGE_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+        return { data: { audiobridge: 'participants', room, participants: Array.from(r.participants.values()).map(toPeer) } };
+      }
+      case 'join': {
+        const r = rooms.get(room);
+        if (!r) return { async: true, ...error(AUDIOBRIDGE_ERROR.NO_SUCH_ROOM, `No such room (${room})`) };
+        const id = body.id || parseInt(getNumericID());
+        if (r.participants.has(id)) return { async: true, ...error(AUDIOBRIDGE_ERROR.ID_EXISTS, `User ID ${id} already exists`) };
+        const peer = { id, display: body.display, muted: !!body.muted, handle_id: handle.id };
+        const others = Array.from(r.participants.values()).map(toPeer);
+        r.participants.set(id, peer);
+        Object.assign(state, { room, feed: id });
+        notify(r, id, { audiobridge: 'joined', participants: [toPeer(peer)] });
+        const data = { audiobridge: 'joined', room, id, participants: others };
+        /* Plain RTP participants are told where to send their media */
+        if (body.rtp) data.rtp = { ip: '127.0.0.1', port: 10000 + (id % 50000), payload_type: body.rtp.payload_type || 100 };
+        return { async: true, data, jsep: answerTo(jsep) };
+      }
+      case 'changeroom': {
+        const from = rooms.get(state.room);
+        const p = from && from.participants.get(state.feed);
+        if (!p) return { async: true, ...error(AUDIOBRIDGE_ERROR.NOT_JOINED, 'Can\'t change room (not in a room)') };
+        const r = rooms.get(room);
+        if (!r) return { async: true, ...error(AUDIOBRIDGE_ERROR.NO_SUCH_ROOM, `No such room (${room})`) };
+        const id = body.id || parseInt(getNumericID());
+        if (r.participants.has(id)) return { async: true, ...error(AUDIOBRIDGE_ERROR.ID_EXISTS, `User ID ${id} already exists`) };
+        from.participants.delete(state.feed);
+        notify(from, state.feed, { audiobridge: 'event', leaving: state.feed });
+        const peer = { ...p, id, display: body.display || p.display, muted: (typeof body.muted === 'boolean') ? body.muted : p.muted };
+        const others = Array.from(r.participants.values()).map(toPeer);
+        r.participants.set(id, peer);
+        Object.assign(state, { room, feed: id });
+        notify(r, id, { audiobridge: 'joined', participants: [toPeer(peer)] });
+        return { async: true, data: { audiobridge: 'roomchanged', room, id, participants: others } };
+      }
+      case 'configure': {
+        const r = rooms.get(state.room);
+        const p = r && r.participants.get(state.feed);
+        if (!p) return { async: true, ...error(AUDIOBRIDGE_ERROR.NOT_JOINED, 'Can\'t configure (not in a room)') };
+        if (typeof body.muted === 'boolean') p.muted = body.muted;
+        if (typeof body.display === 'string') p.display = body.display;
+        return { async: true, data: { audiobridge: 'event', room: state.room, result: 'ok' }, jsep: answerTo(jsep) };
+      }
+      case 'play_file': {
+        const r = rooms.get(room);
+        if (!r) return error(AUDIOBRIDGE_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+        if (typeof body.filename !== 'string') return error(AUDIOBRIDGE_ERROR.MISSING_ELEMENT, 'Missing element (filename)');
+        if (!body.filename.endsWith('.opus')) return error(AUDIOBRIDGE_ERROR.INVALID_ELEMENT, 'Unsupported file type');
+        const file_id = body.file_id || getNumericID();
+        if (r.announcements.has(file_id)) return error(AUDIOBRIDGE_ERROR.INVALID_ELEMENT, `File ID exists (${file_id})`);
+        /* The announcements never end on their own, they play until stopped */
+        r.announcements.set(file_id, { file_id, filename: body.filename, playing: true, loop: !!body.loop });
+        notify(r, null, { audiobridge: 'announcement-started', file_id });
+        return { data: { audiobridge: 'success', room, file_id } };
+      }
+      case 'is_playing': {
+        const r = rooms.get(room);
+        if (!r) return error(AUDIOBRIDGE_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+        return { data: { audiobridge: 'success', room, file_id: body.file_id, playing: r.announcements.has(body.file_id) } };
+      }
+      case 'stop_file': {
+        const r = rooms.get(room);
+        if (!r) return error(AUDIOBRIDGE_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+        if (!r.announcements.has(body.file_id)) return error(AUDIOBRIDGE_ERROR.NO_SUCH_USER, `No such file ID (${body.file_id})`);
+        r.announcements.delete(body.file_id);
+        notify(r, null, { audiobridge: 'announcement-stopped', file_id: body.file_id });
+        return { data: { audiobridge: 'success', room, file_id: body.file_id } };
+      }
+      case 'stop_all_announcements': {
+        const r = rooms.get(room);
+        if (!r) return error(AUDIOBRIDGE_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+        for (const file_id of r.announcements.keys()) notify(r, null, { audiobridge: 'announcement-stopped', file_id });
+        r.announcements.clear();
+        return { data: { audiobridge: 'success', room } };
+      }
+      case 'listannouncements': {
+        const r = rooms.get(room);
+        if (!r) return error(AUDIOBRIDGE_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+        return { data: { audiobridge: 'announcements', room, announcements: Array.from(r.announcements.values()) } };
+      }
+      case 'hangup':
+        return { async: true, data: { audiobridge: 'hangingup', room: state.room, id: state.feed } };
+      case 'leave': {
+        const r = rooms.get(state.room);
+        if (!r || !r.participants.has(state.feed)) return { async: true, ...error(AUDIOBRIDGE_ERROR.NOT_JOINED, 'Can\'t leave (not in a room)') };
+        r.participants.delete(state.feed);
+        notify(r, state.feed, { audiobridge: 'event', leaving: state.feed });
+        const data = { audiobridge: 'left', room: state.room, id: state.feed };
+        delete state.room;
+        delete state.feed;
+        return { async: true, data };
+      }
+      default:
+        return { async: true, ...error(AUDIOBRIDGE_ERROR.INVALID_REQUEST, `Unknown request '${request}'`) };
+    }
+  };
+};
+
+/* Scripted Streaming with in-memory mountpoints (RTP, file based and RTSP) and their viewers */
+const streamingPlugin = server => {
+  const mountpoints = new Map([[1, { id: 1, type: 'rtp', description: 'Opus/VP8 live stream coming from external source', enabled: true, is_private: false, kinds: ['audio', 'video'], viewers: new Set(), recordings: {} }]]);
+  const error = (code, reason) => pluginError('streaming', code, reason);
+  /* The ports bound by the plain RTP mountpoints created with port 0 */
+  let last_port = 20000;
+  const nextPort = _ => (last_port += 2);
+  const status = status => ({ async: true, data: { streaming: 'event', result: { status } } });
+  const toEntry = ({ id, type, description, metadata, enabled, media }) => ({ id, type, description, metadata, enabled, media });
+  /* The info of the legacy mountpoints report the age of the last packet per media kind, as if the media was flowing */
+  const toInfo = (mp, admin) => {
+    const info = { ...toEntry(mp), viewers: mp.viewers.size };
+    for (const kind of mp.kinds) info[`${kind}_age_ms`] = 20;
+    /* Like Janus, the recordings are only reported to the users providing the secret */
+    if (admin) {
+      for (const [kind, filename] of Object.entries(mp.recordings)) info[`${kind}_rec`] = filename;
+    }
+    return info;
+  };
+  const unwatch = handle_id => {
+    for (const mp of mountpoints.values()) mp.viewers.delete(handle_id);
+  };
+
+  return ({ handle, body, jsep }) => {
+    const { request, id } = body;
+    const state = handle.state;
+    /* The numeric ids are also accepted as strings, the users may pass them either way */
+    const mp = mountpoints.get((typeof id === 'string') ? parseInt(id) : id);
+    const authorized = !mp || !mp.secret || body.secret === mp.secret;
+
+    switch (request) {
+      case 'list':
+        return { data: { streaming: 'list', list: Array.from(mountpoints.values()).filter(mp => !mp.is_private).map(toEntry) } };
+      case 'info': {
+        if (!mp) return error(STREAMING_ERROR.NO_SUCH_MOUNTPOINT, `No such mountpoint/stream ${id}`);
+        return { data: { streaming: 'info', info: toInfo(mp, !!mp.secret && authorized) } };
+      }
+      case 'create': {
+        const mp_id = id || parseInt(getNumericID());
+        if (mountpoints.has(mp_id)) return error(STREAMING_ERROR.CANT_CREATE, 'A stream with the provided ID already exists');
+        const type = body.type || 'rtp';
+        if ((type === 'live' || type === 'ondemand') && typeof body.filename !== 'string') return error(STREAMING_ERROR.MISSING_ELEMENT, 'Missing element (filename)');
+        if (type === 'rtsp' && typeof body.url !== 'string') return error(STREAMING_ERROR.MISSING_ELEMENT, 'Missing element (url)');
+        const mp = {
+          id: mp_id,
+          type,
+          description: body.description || body.name || `Stream ${mp_id}`,
+          metadata: body.metadata,
+          secret: body.secret,
+          enabled: true,
+          is_private: !!body.is_private,
+          kinds: [],
+          viewers: new Set(),
+          recordings: {},
+        };
+        mountpoints.set(mp_id, mp);
+        const stream = { id: mp_id, type, description: mp.description, is_private: mp.is_private };
+        /* Plain RTP mountpoints return the ports where they expect the media, per mid in multistream mountpoints */
+        if (type === 'rtp' && Array.isArray(body.media)) {
+          mp.media = body.media.map(({ type, mid, label, msid, codec, pt, fmtp, port, rtcpport, port2, port3 }, mindex) => {
+            const m = { type, mid, mindex, port: port || nextPort() };
+            for (const [key, value] of Object.entries({ label, msid, codec, pt, fmtp })) {
+              if (typeof value !== 'undefined') m[key] = value;
+            }
+            if (rtcpport) m.rtcp_port = rtcpport;
+            if (port2 && port3) Object.assign(m, { port_2: port2, port_3: port3 });
+            return m;
+          });
+          stream.ports = mp.media.map(({ type, mid, msid, port, rtcp_port, port_2, port_3 }) => ({ type, mid, msid, port, rtcp_port, port_2, port_3 }));
+        }
+        else {
+          mp.kinds = ['audio', 'video', 'data'].filter(kind => body[kind]);
+          if (type === 'rtp') {
+            for (const kind of mp.kinds) stream[`${kind}_port`] = body[`${kind}port`] || nextPort();
+          }
+        }
+        return { data: { streaming: 'created', created: body.name || mp.description, permanent: !!body.permanent, stream } };
+      }
+      case 'edit': {
+        if (!mp) return error(STREAMING_ERROR.NO_SUCH_MOUNTPOINT, `No such mountpoint/stream ${id}`);
+        if (!authorized) return error(STREAMING_ERROR.UNAUTHORIZED, 'Unauthorized (wrong secret)');
+        if (typeof body.new_description === 'string') mp.description = body.new_description;
+        if (typeof body.new_metadata === 'string') mp.metadata = body.new_metadata;
+        if (typeof body.new_secret === 'string') mp.secret = body.new_secret;
+        if (typeof body.new_is_private === 'boolean') mp.is_private = body.new_is_private;
+        return { data: { streaming: 'edited', id, permanent: !!body.permanent } };
+      }
+      case 'enable':
+      case 'disable': {
+        if (!mp) return error(STREAMING_ERROR.NO_SUCH_MOUNTPOINT, `No such mountpoint/stream ${id}`);
+        if (!authorized) return error(STREAMING_ERROR.UNAUTHORIZED, 'Unauthorized (wrong secret)');
+        mp.enabled = (request === 'enable');
+        if (request === 'disable' && body.stop_recording) mp.recordings = {};
+        return { data: { streaming: 'ok' } };
+      }
+      case 'recording': {
+        if (!mp) return error(STREAMING_ERROR.NO_SUCH_MOUNTPOINT, `No such mountpoint/stream ${id}`);
+        if (!authorized) return error(STREAMING_ERROR.UNAUTHORIZED, 'Unauthorized (wrong secret)');
+        const kinds = ['audio', 'video', 'data'].filter(kind => body[kind]);
+        if (kinds.length === 0) return error(STREAMING_ERROR.INVALID_REQUEST, 'Missing audio, video and/or data');
+        for (const kind of kinds) {
+          if (body.action === 'start') mp.recordings[kind] = body[kind];
+          else delete mp.recordings[kind];
+        }
+        return { data: { streaming: 'ok' } };
+      }
+      case 'kick_all': {
+        if (!mp) return error(STREAMING_ERROR.NO_SUCH_MOUNTPOINT, `No such mountpoint/stream ${id}`);
+        if (!authorized) return error(STREAMING_ERROR.UNAUTHORIZED, 'Unauthorized (wrong secret)');
+        for (const viewer of mp.viewers) server.pushEvent(viewer, { streaming: 'event', result: { status: 'stopped' } });
+        mp.viewers.clear();
+        return { data: { streaming: 'ok' } };
+      }
+      case 'destroy': {
+        if (!mp) return error(STREAMING_ERROR.NO_SUCH_MOUNTPOINT, `No such mountpoint/stream ${id}`);
+        if (!authorized) return error(STREAMING_ERROR.UNAUTHORIZED, 'Unauthorized (wrong secret)');
+        mountpoints.delete(mp.id);
+        return { data: { streaming: 'destroyed', destroyed: mp.id } };
+      }
+      case 'watch': {
+        if (!mp) return { async: true, ...error(STREAMING_ERROR.NO_SUCH_MOUNTPOINT, `No such mountpoint/stream ${id}`) };
+        unwatch(handle.id);
+        mp.viewers.add(handle.id);
+        state.mp = id;
+        const preparing = status('preparing');
+        if (mp.media) preparing.data.media = mp.media;
+        return { ...preparing, jsep: fakeJsep('offer') };
+      }
+      case 'start':
+        return { ...status('starting'), jsep: answerTo(jsep) };
+      case 'pause':
+        return status('pausing');
+      case 'stop':
+        unwatch(handle.id);
+        return status('stopping');
+      case 'switch': {
+        if (!mp) return { async: true, ...error(STREAMING_ERROR.NO_SUCH_MOUNTPOINT, `No such mountpoint/stream ${id}`) };
+        unwatch(handle.id);
+        mp.viewers.add(handle.id);
+        state.mp = id;
+        return { async: true, data: { streaming: 'event', result: { switched: 'ok', id } } };
+      }
+      case 'configure':
+        return { async: true, data: { streaming: 'event', result: { event: 'configured' } } };
+      default:
+        return { async: true, ...error(STREAMING_ERROR.INVALID_REQUEST, `Unknown request '${request}'`) };
+    }
+  };
+};
+
+/* Scripted SIP with in-memory registrations, calls are bridged between the handles registered on the mock */
+const sipPlugin = server => {
+  /* The registered SIP URIs, mapped to the handle identifiers */
+  const accounts = new Map();
+  /* The calls in progress, by call-id */
+  const calls = new Map();
+  const callOf = handle_id => Array.from(calls.entries()).find(([_, { caller, callee }]) => caller === handle_id || callee === handle_id) || [];
+  const error = (code, reason) => ({ async: true, ...pluginError('sip', code, reason) });
+  const sipEvent = (result, call_id) => ({ sip: 'event', ...(call_id ? { call_id } : {}), result });
+  const later = (handle_id, result, call_id, jsep) => setImmediate(_ => server.pushEvent(handle_id, sipEvent(result, call_id), jsep));
+
+  return ({ handle, body, jsep }) => {
+    const { request } = body;
+    const state = handle.state;
+
+    switch (request) {
+      case 'register': {
+        if (state.username) return error(SIP_ERROR.ALREADY_REGISTERED, 'Already registered');
+        if (typeof body.username !== 'string' || !body.username.startsWith('sip:')) return error(SIP_ERROR.INVALID_ADDRESS, `Invalid user address ${body.username}`);
+        const guest = (body.type === 'guest');
+        if (!guest && typeof body.secret !== 'string' && typeof body.ha1_secret !== 'string')
+          return { async: true, data: sipEvent({ event: 'registration_failed', code: 401, reason: 'Unauthorized' }) };
+        state.username = body.username;
+        state.display_name = body.display_name;
+        accounts.set(body.username, handle.id);
+        if (guest) return { async: true, data: sipEvent({ event: 'registered', username: body.username, register_sent: false }) };
+        later(handle.id, { event: 'registered', username: body.username, register_sent: true });
+        return { async: true, data: sipEvent({ event: 'registering' }) };
+      }
+      case 'unregister': {
+        if (!state.username) return error(SIP_ERROR.WRONG_STATE, 'Wrong state (not registered)');
+        const { username } = state;
+        accounts.delete(username);
+        delete state.username;
+        later(handle.id, { event: 'unregistered', username });
+        return { async: true, data: sipEvent({ event: 'unregistering' }) };
+      }
+      case 'call': {
+        if (!state.username) return error(SIP_ERROR.WRONG_STATE, 'Wrong state (register first)');
+        if (callOf(handle.id).length > 0) return error(SIP_ERROR.WRONG_STATE, 'Wrong state (already in a call)');
+        if (!jsep) return error(SIP_ERROR.MISSING_SDP, 'Missing SDP');
+        const call_id = body.call_id || `${getNumericID()}@janode-mock`;
+        const callee = accounts.get(body.uri);
+        if (typeof callee === 'undefined') {
+          later(handle.id, { event: 'hangup', code: 404, reason: 'Not Found' }, call_id);
+        }
+        else if (callOf(callee).length > 0) {
+          later(callee, { event: 'missed_call', caller: state.username, displayname: state.display_name, callee: body.uri });
+          later(handle.id, { event: 'hangup', code: 486, reason: 'Busy Here' }, call_id);
+        }
+        else {
+          calls.set(call_id, { caller: handle.id, callee, caller_uri: state.username, callee_uri: body.uri, established: false });
+          later(callee, { event: 'incomingcall', username: state.username, displayname: state.display_name, callee: body.uri }, call_id, jsep);
+        }
+        return { async: true, data: sipEvent({ event: 'calling' }, call_id) };
+      }
+      case 'accept':
+      case 'decline': {
+        const [call_id, call] = callOf(handle.id);
+        if (!call || call.callee !== handle.id || call.established) return error(SIP_ERROR.WRONG_STATE, 'Wrong state (no incoming call)');
+        if (request === 'decline') {
+          calls.delete(call_id);
+          const code = body.code || 486;
+          later(call.caller, { event: 'hangup', code, reason: (code === 486) ? 'Busy Here' : 'Declined' }, call_id);
+          return { async: true, data: sipEvent({ event: 'declining', code }, call_id) };
+        }
+        if (!jsep) return error(SIP_ERROR.MISSING_SDP, 'Missing SDP');
+        call.established = true;
+        later(call.caller, { event: 'accepted', username: call.callee_uri }, call_id, fakeJsep('answer'));
+        later(handle.id, { event: 'accepted', username: call.caller_uri }, call_id);
+        return { async: true, data: sipEvent({ event: 'accepting' }, call_id) };
+      }
+      case 'hangup': {
+        const [call_id, call] = callOf(handle.id);
+        if (!call) return error(SIP_ERROR.WRONG_STATE, 'Wrong state (not in a call)');
+        calls.delete(call_id);
+        const peer = (call.caller === handle.id) ? call.callee : call.caller;
+        later(handle.id, { event: 'hangup', code: 200, reason: 'Session Terminated' }, call_id);
+        later(peer, { event: 'hangup', code: 200, reason: 'Session Terminated' }, call_id);
+        return { async: true, data: sipEvent({ event: 'hangingup' }, call_id) };
+      }
+      default:
+        return error(SIP_ERROR.INVALID_REQUEST, `Unknown request '${request}'`);
+    }
+  };
+};
+
+/* Scripted TextRoom with in-memory rooms, participants join through the datachannel so the rooms are always empty */
+const textRoomPlugin = _ => {
+  const rooms = new Map([[1234, { room: 1234, description: 'Demo Room', is_private: false, allowed: null }]]);
+  const error = (code, reason) => ({ data: { textroom: 'error', error_code: code, error: reason } });
+  const ok = jsep => ({ async: true, data: { textroom: 'event', result: 'ok' }, jsep });
+  const checkRoom = (room, secret) => {
+    const r = rooms.get(room);
+    if (!r) return error(TEXTROOM_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+    if (r.secret && r.secret !== secret) return error(TEXTROOM_ERROR.UNAUTHORIZED, 'Unauthorized (wrong secret)');
+    return null;
+  };
+
+  return ({ body, jsep }) => {
+    const { request, room } = body;
+
+    switch (request) {
+      case 'setup':
+        return ok(fakeJsep('offer'));
+      case 'ack':
+        if (!jsep) return { async: true, ...error(TEXTROOM_ERROR.MISSING_ELEMENT, 'Missing SDP') };
+        return ok();
+      case 'restart':
+        return ok(fakeJsep('offer'));
+      case 'create': {
+        const id = room || parseInt(getNumericID());
+        if (rooms.has(id)) return error(TEXTROOM_ERROR.ROOM_EXISTS, `Room ${id} already exists`);
+        rooms.set(id, { room: id, description: body.description || `Room ${id}`, secret: body.secret, is_private: !!body.is_private, allowed: body.allowed ? new Set(body.allowed) : null });
+        return { data: { textroom: 'created', room: id, permanent: false } };
+      }
+      case 'destroy': {
+        const failed = checkRoom(room, body.secret);
+        if (failed) return failed;
+        rooms.delete(room);
+        return { data: { textroom: 'destroyed', room, permanent: false } };
+      }
+      case 'edit': {
+        const failed = checkRoom(room, body.secret);
+        if (failed) return failed;
+        const r = rooms.get(room);
+        if (typeof body.new_description === 'string') r.description = body.new_description;
+        if (typeof body.new_secret === 'string') r.secret = body.new_secret;
+        if (typeof body.new_is_private === 'boolean') r.is_private = body.new_is_private;
+        return { data: { textroom: 'edited', room, permanent: false } };
+      }
+      case 'exists':
+        return { data: { textroom: 'success', room, exists: rooms.has(room) } };
+      case 'list':
+        return { data: { textroom: 'success', list: Array.from(rooms.values()).filter(r => !r.is_private).map(r => ({ room: r.room, description: r.description, pin_required: false, num_participants: 0 })) } };
+      case 'listparticipants': {
+        if (!rooms.has(room)) return error(TEXTROOM_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+        return { data: { textroom: 'success', room, participants: [] } };
+      }
+      case 'allowed': {
+        const failed = checkRoom(room, body.secret);
+        if (failed) return failed;
+        const r = rooms.get(room);
+        switch (body.action) {
+          case 'enable':
+            r.allowed = r.allowed || new Set();
+            break;
+          case 'disable':
+            r.allowed = null;
+            break;
+          case 'add':
+          case 'remove':
+            if (!Array.isArray(body.allowed)) return error(TEXTROOM_ERROR.MISSING_ELEMENT, 'Missing element (allowed)');
+            r.allowed = r.allowed || new Set();
+            for (const token of body.allowed) {
+              if (body.action === 'add') r.allowed.add(token);
+              else r.allowed.delete(token);
+            }
+            break;
+          default:
+            return error(TEXTROOM_ERROR.INVALID_ELEMENT, `Unsupported action '${body.action}'`);
+        }
+        return { data: { textroom: 'success', room, ...(r.allowed ? { allowed: Array.from(r.allowed) } : {}) } };
+      }
+      case 'kick':
+        return checkRoom(room, body.secret) || error(TEXTROOM_ERROR.NO_SUCH_USER, `No such user ${body.username} in room ${room}`);
+      case 'announcement':
+        return checkRoom(room, body.secret) || { data: { textroom: 'success' } };
+      case 'message':
+        if (!rooms.has(room)) return error(TEXTROOM_ERROR.NO_SUCH_ROOM, `No such room (${room})`);
+        return { data: { textroom: 'success' } };
+      default:
+        return error(TEXTROOM_ERROR.INVALID_REQUEST, `Unknown request '${request}'`);
+    }
+  };
+};
+
+/* Scripted Record&Play with in-memory recordings, a playout never ends on its own */
+const recordPlayPlugin = _ => {
+  const recordings = new Map([[1, { id: 1, name: 'Demo recording', date: '2024-01-01 00:00:00', audio: 'opus', video: 'vp8' }]]);
+  const error = (code, reason) => ({ async: true, data: { recordplay: 'event', error_code: code, error: reason } });
+  const status = (status, id, jsep) => ({ async: true, data: { recordplay: 'event', result: { status, id } }, jsep });
+
+  return ({ handle, body, jsep }) => {
+    const { request } = body;
+    const state = handle.state;
+
+    switch (request) {
+      case 'list':
+        return { data: { recordplay: 'list', list: Array.from(recordings.values()).filter(r => !r.is_private).map(({ id, name, date, audio, video }) => ({ id, name, date, audio, video })) } };
+      case 'update':
+        return { data: { recordplay: 'ok' } };
+      case 'configure':
+        state.settings = {
+          'video-bitrate-max': body['video-bitrate-max'] || (state.settings && state.settings['video-bitrate-max']) || 1024 * 1024,
+          'video-keyframe-interval': body['video-keyframe-interval'] || (state.settings && state.settings['video-keyframe-interval']) || 15000,
+        };
+        return { data: { recordplay: 'configure', status: 'ok', settings: state.settings } };
+      case 'record': {
+        if (state.status) return error(RECORDPLAY_ERROR.INVALID_STATE, 'Invalid state (already in use)');
+        if (typeof body.name !== 'string') return error(RECORDPLAY_ERROR.MISSING_ELEMENT, 'Missing element (name)');
+        if (!jsep) return error(RECORDPLAY_ERROR.INVALID_SDP, 'Missing SDP');
+        const id = body.id || parseInt(getNumericID());
+        if (recordings.has(id)) return error(RECORDPLAY_ERROR.RECORDING_EXISTS, `Recording ${id} already exists`);
+        Object.assign(state, { status: 'recording', id, name: body.name, is_private: !!body.is_private });
+        return status('recording', id, answerTo(jsep));
+      }
+      case 'play': {
+        if (state.status) return error(RECORDPLAY_ERROR.INVALID_STATE, 'Invalid state (already in use)');
+        if (!recordings.has(body.id)) return error(RECORDPLAY_ERROR.NOT_FOUND, `No such recording ${body.id}`);
+        Object.assign(state, { status: 'preparing', id: body.id });
+        return status('preparing', body.id, fakeJsep('offer'));
+      }
+      case 'start':
+        if (state.status !== 'preparing') return error(RECORDPLAY_ERROR.INVALID_STATE, 'Invalid state (not preparing a playout)');
+        state.status = 'playing';
+        return status('playing', state.id);
+      case 'stop': {
+        if (!state.status) return error(RECORDPLAY_ERROR.INVALID_STATE, 'Invalid state (not recording or playing)');
+        const { id, name, is_private } = state;
+        if (state.status === 'recording') recordings.set(id, { id, name, date: new Date().toISOString(), audio: 'opus', video: 'vp8', is_private });
+        delete state.status;
+        return status('stopped', id);
+      }
+      default:
+        return error(RECORDPLAY_ERROR.INVALID_REQUEST, `Unknown request '${request}'`);
+    }
+  };
+};
+
+/* Scripted VideoCall, calls are bridged between the handles registered on the mock */
+const videoCallPlugin = server => {
+  /* The registered usernames, mapped to the handles states */
+  const users = new Map();
+  const error = (code, reason) => ({ async: true, data: { videocall: 'event', error_code: code, error: reason } });
+  const result = (result, jsep) => ({ async: true, data: { videocall: 'event', result }, jsep });
+  const later = (user, result, jsep) => setImmediate(_ => server.pushEvent(user.handle_id, { videocall: 'event', result }, jsep));
+
+  return ({ handle, body, jsep }) => {
+    const { request } = body;
+    const state = handle.state;
+
+    switch (request) {
+      case 'list':
+        return result({ list: Array.from(users.keys()) });
+      case 'register':
+        if (state.username) return error(VIDEOCALL_ERROR.ALREADY_REGISTERED, `Already registered (${state.username})`);
+        if (typeof body.username !== 'string') return error(VIDEOCALL_ERROR.MISSING_ELEMENT, 'Missing element (username)');
+        if (users.has(body.username)) return error(VIDEOCALL_ERROR.USERNAME_TAKEN, `Username '${body.username}' already taken`);
+        Object.assign(state, { username: body.username, handle_id: handle.id, peer: null });
+        users.set(body.username, state);
+        return result({ event: 'registered', username: body.username });
+      case 'call': {
+        if (!state.username) return error(VIDEOCALL_ERROR.REGISTER_FIRST, 'Register a username first');
+        if (state.peer) return error(VIDEOCALL_ERROR.ALREADY_IN_CALL, 'Already in a call');
+        if (body.username === state.username) return error(VIDEOCALL_ERROR.USE_ECHO_TEST, 'You can\'t call yourself... use the EchoTest for that');
+        const callee = users.get(body.username);
+        if (!callee) return error(VIDEOCALL_ERROR.NO_SUCH_USERNAME, `Username '${body.username}' doesn't exist`);
+        if (!jsep) return error(VIDEOCALL_ERROR.MISSING_SDP, 'Missing SDP');
+        if (callee.peer) {
+          later(state, { event: 'hangup', username: body.username, reason: 'User busy' });
+          return result({ event: 'calling' });
+        }
+        state.peer = callee.username;
+        callee.peer = state.username;
+        callee.incoming = true;
+        later(callee, { event: 'incomingcall', username: state.username }, jsep);
+        return result({ event: 'calling' });
+      }
+      case 'accept': {
+        const caller = state.incoming && users.get(state.peer);
+        if (!caller) return error(VIDEOCALL_ERROR.NO_CALL, 'No incoming call to accept');
+        if (!jsep) return error(VIDEOCALL_ERROR.MISSING_SDP, 'Missing SDP');
+        delete state.incoming;
+        later(caller, { event: 'accepted', username: state.username }, fakeJsep('answer'));
+        return result({ event: 'accepted' });
+      }
+      case 'set':
+        if (typeof body.substream === 'number' || typeof body.temporal === 'number') {
+          later(state, { event: 'simulcast', videocodec: 'vp8', substream: body.substream, temporal: body.temporal });
+        }
+        return result({ event: 'set' }, answerTo(jsep));
+      case 'hangup': {
+        const peer = users.get(state.peer);
+        if (peer) {
+          peer.peer = null;
+          delete peer.incoming;
+          later(peer, { event: 'hangup', username: state.username, reason: 'Remote hangup' });
+        }
+        state.peer = null;
+        delete state.incoming;
+        return result({ event: 'hangup', username: state.username, reason: 'Explicit hangup' });
+      }
+      default:
+        return error(VIDEOCALL_ERROR.INVALID_REQUEST, `Unknown request '${request}'`);
+    }
+  };
+};
+
+/* Scripted NoSIP, every JSEP is translated into the same barebone SDP and vice versa */
+const noSipPlugin = server => {
+  const error = (code, reason) => ({ async: true, data: { nosip: 'event', error_code: code, error: reason } });
+  const result = (result, jsep) => ({ async: true, data: { nosip: 'event', result }, jsep });
+  const withUpdate = (result, update) => (update === true) ? { ...result, update } : result;
+
+  return ({ handle, body, jsep }) => {
+    const { request } = body;
+    const state = handle.state;
+
+    switch (request) {
+      case 'generate':
+        if (!jsep) return error(NOSIP_ERROR.MISSING_SDP, 'Missing SDP');
+        state.session = true;
+        return result(withUpdate({ event: 'generated', type: jsep.type, sdp: FAKE_SDP }, body.update));
+      case 'process':
+        if (body.type !== 'offer' && body.type !== 'answer') return error(NOSIP_ERROR.INVALID_ELEMENT, `Invalid element (type should be offer or answer, got ${body.type})`);
+        if (typeof body.sdp !== 'string') return error(NOSIP_ERROR.MISSING_ELEMENT, 'Missing element (sdp)');
+        state.session = true;
+        return result(withUpdate({ event: 'processed', ...(body.srtp ? { srtp: body.srtp } : {}) }, body.update), fakeJsep(body.type));
+      case 'hangup':
+        if (!state.session) return error(NOSIP_ERROR.WRONG_STATE, 'Wrong state (no session)');
+        delete state.session;
+        setImmediate(_ => server.pushEvent(handle.id, { nosip: 'event', result: { event: 'hangup', reason: 'Janus API' } }));
+        return result({ event: 'hangingup' });
+      case 'recording':
+        if (!state.session) return error(NOSIP_ERROR.WRONG_STATE, 'Wrong state (no session)');
+        if (body.action !== 'start' && body.action !== 'stop') return error(NOSIP_ERROR.INVALID_ELEMENT, `Invalid action (${body.action})`);
+        return result({ event: 'recordingupdated' });
+      case 'keyframe':
+        return result({ event: 'keyframesent' });
+      default:
+        return error(NOSIP_ERROR.INVALID_REQUEST, `Unknown request '${request}'`);
+    }
+  };
+};
+
+/* The scripted plugins available by default */
+const BUILTIN_PLUGINS = {
+  'janus.plugin.echotest': echoTestPlugin,
+  'janus.plugin.videoroom': videoRoomPlugin,
+  'janus.plugin.audiobridge': audioBridgePlugin,
+  'janus.plugin.streaming': streamingPlugin,
+  'janus.plugin.sip': sipPlugin,
+  'janus.plugin.textroom': textRoomPlugin,
+  'janus.plugin.recordplay': recordPlayPlugin,
+  'janus.plugin.videocall': videoCallPlugin,
+  'janus.plugin.nosip': noSipPlugin,
+};
+
+/**
+ * The queue of the events of a session created through the REST API.<br>
+ *
+ * It exposes the same send interface of a WebSocket, so that the mock can deliver the events of a session
+ * without knowing the transport that created it. The events are consumed by the long-polls.
+ *
+ * @private
+ */
+class LongPollQueue {
+  /**
+   * Create an empty queue.
+   */
+  constructor() {
+    /**
+     * The value of readyState while the queue accepts events, as in a WebSocket.
+     *
+     * @type {number}
+     */
+    this.OPEN = 1;
+
+    /**
+     * The state of the queue, as in a WebSocket.
+     *
+     * @type {number}
+     */
+    this.readyState = this.OPEN;
+
+    /**
+     * The events waiting for a long-poll.
+     *
+     * @private
+     * @type {object[]}
+     */
+    this._events = [];
+
+    /**
+     * The functions answering the pending long-polls.
+     *
+     * @private
+     * @type {Set<function>}
+     */
+    this._waiting = new Set();
+  }
+
+  /**
+   * Queue an event and answer the pending long-polls.
+   *
+   * @param {string} data - The serialized event
+   */
+  send(data) {
+    this._events.push(JSON.parse(data));
+    for (const flush of this._waiting) flush();
+  }
+
+  /**
+   * Wait for the next events, answering with a keep-alive when no event arrives in time.
+   *
+   * @param {number} maxev - The max number of events to return
+   * @returns {Promise<object[]>}
+   */
+  poll(maxev) {
+    return new Promise(resolve => {
+      const flush = _ => {
+        clearTimeout(timer);
+        this._waiting.delete(flush);
+        resolve(this._events.length > 0 ? this._events.splice(0, maxev) : [{ janus: JANUS.EVENT.KEEPALIVE }]);
+      };
+      const timer = setTimeout(flush, LONG_POLL_TIMEOUT_SECS * 1000);
+      this._waiting.add(flush);
+      if (this._events.length > 0) flush();
+    });
+  }
+
+  /**
+   * Stop accepting events and answer the pending long-polls.
+   */
+  close() {
+    this.readyState = 3;
+    for (const flush of this._waiting) flush();
+  }
+}
+
+/**
+ * Class representing a mock Janus server.<br>
+ *
+ * Sessions survive the WebSocket that created them (until they time out), so the mock can also be used
+ * to test reconnections and session claims.<br>
+ *
+ * The REST API is served on the same port under /janus (and /admin for the Admin API), the events of the
+ * sessions created through it are delivered by the long-polls.
+ *
+ * @example
+ *
+ * import Janode from 'janode';
+ * import { MockJanusServer } from 'janode/mock-server';
+ * import VideoRoomPlugin from 'janode/plugins/videoroom';
+ *
+ * const mock = new MockJanusServer();
+ * await mock.start();
+ *
+ * const connection = await Janode.connect({ address: { url: mock.url } });
+ * const session = await connection.create();
+ * const handle = await session.attach(VideoRoomPlugin);
+ *
+ * // make the next "join" fail with a VideoRoom error (a PluginError)
+ * mock.addFault({ plugin_request: 'join', plugin_error: { code: 426, reason: 'No such room' } });
+ *
+ * await mock.stop();
+ */
+class MockJanusServer {
+  /**
+   * Create a mock Janus server.
+   *
+   * @param {object} [params]
+   * @param {number} [params.port=0] - The port to listen on (a random port if 0)
+   * @param {string} [params.host='127.0.0.1'] - The address to bind to
+   * @param {string} [params.apisecret] - If specified, requests without this secret (apisecret or admin_secret) are rejected
+   * @param {number} [params.session_timeout_secs=60] - The seconds of inactivity after which a session times out (0 to disable)
+   * @param {boolean} [params.token_auth=false] - True to require a stored token (managed through the Admin API) in the Janus API requests
+   */
+  constructor({ port = 0, host = '127.0.0.1', apisecret, session_timeout_secs = 60, token_auth = false } = {}) {
+    /**
+     * The server options.
+     *
+     * @private
+     * @type {object}
+     */
+    this._options = { port, host, apisecret, session_timeout_secs, token_auth };
+
+    /**
+     * The internal HTTP server, serving the REST API and the WebSocket upgrades.
+     *
+     * @private
+     * @type {http.Server}
+     */
+    this._server = null;
+
+    /**
+     * The internal WebSocket server.
+     *
+     * @private
+     * @type {WebSocketServer}
+     */
+    this._wss = null;
+
+    /**
+     * The active sessions, indexed by id.
+     *
+     * @private
+     * @type {Map}
+     */
+    this._sessions = new Map();
+
+    /**
+     * The attached handles, indexed by id.
+     *
+     * @private
+     * @type {Map}
+     */
+    this._handles = new Map();
+
+    /**
+     * The available plugins, indexed by package name.
+     *
+     * @private
+     * @type {Map<string, module:mock-server~MockPlugin>}
+     */
+    this._plugins = new Map();
+    for (const [id, factory] of Object.entries(BUILTIN_PLUGINS)) this._plugins.set(id, factory(this));
+
+    /**
+     * The stored tokens, with the set of plugins they are allowed to access.
+     *
+     * @private
+     * @type {Map<string, Set<string>>}
+     */
+    this._tokens = new Map();
+
+    /**
+     * The pending faults.
+     *
+     * @private
+     * @type {module:mock-server~MockFault[]}
+     */
+    this._faults = [];
+
+    /**
+     * The task checking the session timeouts.
+     *
+     * @private
+     */
+    this._timeout_task = null;
+
+    /**
+     * A numerical identifier assigned for logging purposes.
+     *
+     * @type {number}
+     */
+    this.id = parseInt(getNumericID());
+
+    /**
+     * A more descriptive, not unique string (used for logging).
+     *
+     * @type {string}
+     */
+    this.name = `[${this.id}]`;
+
+    /**
+     * The context of the log messages of this mock server.
+     *
+     * @private
+     * @type {module:logger~LogContext}
+     */
+    this._logctx = Logger.context({ ns: LOG_NS });
+  }
+
+  /**
+   * The WebSocket url of the mock, available once started.
+   *
+   * @type {string}
+   */
+  get url() {
+    if (!this._server) return null;
+    const { address, port } = this._server.address();
+    return `ws://${address}:${port}`;
+  }
+
+  /**
+   * The REST API url of the mock, available once started.
+   *
+   * @type {string}
+   */
+  get http_url() {
+    if (!this._server) return null;
+    const { address, port } = this._server.address();
+    return `http://${address}:${port}${API_PATH}`;
+  }
+
+  /**
+   * Start the mock server.
+   *
+   * @returns {Promise<module:mock-server~MockJanusServer>}
+   */
+  async start() {
+    if (this._server) {
+      const error = new StateError('mock server already started');
+      Logger.error(this._logctx, `${error.message}`);
+      throw error;
+    }
+
+    const { port, host, session_timeout_secs } = this._options;
+    const server = createServer((req, res) => this._handleHttpRequest(req, res));
+    const wss = new WebSocketServer({
+      server,
+      handleProtocols: protocols => {
+        if (protocols.has(API_WS)) return API_WS;
+        if (protocols.has(ADMIN_WS)) return ADMIN_WS;
+        return false;
+      },
+    });
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+    wss.on('connection', ws => this._handleConnection(ws));
+    this._server = server;
+    this._wss = wss;
+
+    if (session_timeout_secs > 0) {
+      this._timeout_task = setInterval(_ => this._checkTimeouts(), 1000);
+    }
+
+    Logger.info(this._logctx, `mock janus listening on ${this.url}`);
+    return this;
+  }
+
+  /**
+   * Stop the mock server, closing all the connections and dropping every session.
+   *
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this._server) return;
+    clearInterval(this._timeout_task);
+    this._timeout_task = null;
+    for (const ws of this._wss.clients) ws.terminate();
+    await new Promise(resolve => this._wss.close(_ => resolve()));
+    /* Stop listening before resetting the REST connections, so that the clients see the server as gone */
+    const closed = new Promise(resolve => this._server.close(_ => resolve()));
+    this._server.closeAllConnections();
+    for (const session of this._sessions.values()) {
+      if (session.ws instanceof LongPollQueue) session.ws.close();
+    }
+    await closed;
+    this._server = null;
+    this._wss = null;
+    this._sessions.clear();
+    this._handles.clear();
+    this._tokens.clear();
+    this._faults = [];
+    Logger.info(this._logctx, 'mock janus stopped');
+  }
+
+  /**
+   * Register a scripted plugin, replacing the built-in behaviour if the package name is already known.
+   *
+   * @param {string} id - The plugin package name (e.g. janus.plugin.videoroom)
+   * @param {module:mock-server~MockPlugin} plugin - The plugin behaviour
+   */
+  setPlugin(id, plugin) {
+    this._plugins.set(id, plugin);
+  }
+
+  /**
+   * Add a fault to be injected in the next matching requests.
+   *
+   * @param {module:mock-server~MockFault} fault
+   */
+  addFault({ request, plugin_request, drop = false, delay_ms = 0, error, plugin_error, times = 1 }) {
+    this._faults.push({ request, plugin_request, drop, delay_ms, error, plugin_error, times });
+  }
+
+  /**
+   * Remove all the pending faults.
+   */
+  clearFaults() {
+    this._faults = [];
+  }
+
+  /**
+   * Abruptly close all the WebSocket connections, keeping the sessions alive.
+   */
+  dropConnections() {
+    if (!this._wss) return;
+    Logger.info(this._logctx, 'dropping all connections');
+    for (const ws of this._wss.clients) ws.terminate();
+  }
+
+  /**
+   * Time out a session, as Janus does after session_timeout seconds of inactivity.
+   *
+   * @param {number} session_id - The session identifier
+   */
+  expireSession(session_id) {
+    const session = this._sessions.get(session_id);
+    if (!session) return;
+    Logger.info(this._logctx, `session ${session_id} timed out`);
+    this._send(session.ws, { janus: JANUS.EVENT.TIMEOUT, session_id });
+    this._destroySession(session_id);
+  }
+
+  /**
+   * Push an async plugin event to a handle.
+   *
+   * @param {number} handle_id - The handle identifier
+   * @param {object} data - The plugin data
+   * @param {RTCSessionDescription} [jsep] - The JSEP sent along with the event
+   * @param {string} [transaction] - The transaction the event refers to
+   */
+  pushEvent(handle_id, data, jsep, transaction) {
+    const handle = this._handles.get(handle_id);
+    if (!handle) return;
+    const session = this._sessions.get(handle.session_id);
+    if (!session) return;
+    const event = {
+      janus: JANUS.EVENT.EVENT,
+      session_id: handle.session_id,
+      sender: handle_id,
+      plugindata: { plugin: handle.plugin, data },
+    };
+    if (transaction) event.transaction = transaction;
+    if (jsep) event.jsep = jsep;
+    /* Always deliver the events after the pending replies */
+    setImmediate(_ => this._send(session.ws, event));
+  }
+
+  /**
+   * Send a message through a websocket, if still open.
+   *
+   * @private
+   * @param {WebSocket} ws
+   * @param {object} message
+   */
+  _send(ws, message) {
+    if (!ws || ws.readyState !== ws.OPEN) return;
+    Logger.debug(this._logctx, `<mock SND> ${JSON.stringify(message)}`);
+    ws.send(JSON.stringify(message));
+  }
+
+  /**
+   * Setup a new WebSocket connection.
+   *
+   * @private
+   * @param {WebSocket} ws
+   */
+  _handleConnection(ws) {
+    const is_admin = (ws.protocol === ADMIN_WS);
+    Logger.verbose(this._logctx, `new ${is_admin ? 'admin ' : ''}connection`);
+    ws.on('message', data => {
+      Logger.debug(this._logctx, `<mock RCV> ${data}`);
+      let request;
+      try {
+        request = JSON.parse(data);
+      } catch (_error) {
+        this._send(ws, { janus: JANUS.RESPONSE.ERROR, error: { code: JANUS_ERROR.INVALID_JSON, reason: 'JSON error' } });
+        return;
+      }
+      this._handleRequest(ws, request, is_admin).catch(({ message }) => {
+        Logger.error(this._logctx, `error while handling ${request.janus} (${message})`);
+      });
+    });
+  }
+
+  /**
+   * Serve a REST API request: a POST for the requests or a GET for the long-polls of a session.
+   *
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  _handleHttpRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const [root, session_id, handle_id] = url.pathname.replace(/\/+$/, '').split('/').slice(1).map((part, idx) => idx === 0 ? `/${part}` : parseInt(part));
+    const is_admin = (root === ADMIN_PATH);
+    const respond = message => {
+      Logger.debug(this._logctx, `<mock HTTP SND> ${JSON.stringify(message)}`);
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(message));
+    };
+
+    if (root !== API_PATH && !is_admin) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    if (req.method === 'GET' && session_id && !is_admin) {
+      this._handleLongPoll(req, res, session_id, parseInt(url.searchParams.get('maxev')) || 1).catch(({ message }) => {
+        Logger.error(this._logctx, `error while handling a long-poll (${message})`);
+      });
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', _ => {
+      const data = Buffer.concat(chunks).toString();
+      Logger.debug(this._logctx, `<mock HTTP RCV> ${data}`);
+      let request;
+      try {
+        request = JSON.parse(data);
+      } catch (_error) {
+        respond({ janus: JANUS.RESPONSE.ERROR, error: { code: JANUS_ERROR.INVALID_JSON, reason: 'JSON error' } });
+        return;
+      }
+      /* As in Janus, the path defines the target of the request */
+      if (session_id) request.session_id = session_id;
+      if (handle_id) request.handle_id = handle_id;
+      /* The first reply (e.g. an ack or a response) answers the POST, the events go through the long-polls */
+      const channel = { OPEN: 1, readyState: 1, send: data => { channel.readyState = 3; respond(JSON.parse(data)); } };
+      this._handleRequest(channel, request, is_admin, true).catch(({ message }) => {
+        Logger.error(this._logctx, `error while handling ${request.janus} (${message})`);
+      });
+    });
+  }
+
+  /**
+   * Serve a long-poll of a session, applying the faults.
+   *
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {number} session_id
+   * @param {number} maxev
+   * @returns {Promise<void>}
+   */
+  async _handleLongPoll(req, res, session_id, maxev) {
+    const respond = message => res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(message));
+
+    const fault = this._takeFault({ janus: LONG_POLL_REQUEST });
+    if (fault) {
+      if (fault.drop) {
+        Logger.verbose(this._logctx, `dropping long-poll of session ${session_id}`);
+        req.socket.destroy();
+        return;
+      }
+      if (fault.delay_ms > 0) await delayOp(fault.delay_ms);
+      if (fault.error) return respond({ janus: JANUS.RESPONSE.ERROR, session_id, error: fault.error });
+    }
+
+    const session = this._sessions.get(session_id);
+    if (!session || !(session.ws instanceof LongPollQueue)) return respond({ janus: JANUS.RESPONSE.ERROR, session_id, error: { code: JANUS_ERROR.SESSION_NOT_FOUND, reason: `No such session ${session_id}` } });
+    /* A long-poll keeps the session alive */
+    session.last_activity = Date.now();
+    const events = await session.ws.poll(maxev);
+    if (!res.writableEnded && !res.destroyed) respond(events);
+  }
+
+  /**
+   * Find (and consume) the fault matching a request.
+   *
+   * @private
+   * @param {object} request
+   * @returns {module:mock-server~MockFault|void}
+   */
+  _takeFault(request) {
+    const idx = this._faults.findIndex(({ request: janus, plugin_request }) => {
+      /* The long-polls only match the faults explicitly targeting them */
+      if (janus ? janus !== request.janus : request.janus === LONG_POLL_REQUEST) return false;
+      if (plugin_request && (!request.body || request.body.request !== plugin_request)) return false;
+      return true;
+    });
+    if (idx < 0) return;
+    const fault = this._faults[idx];
+    fault.times--;
+    if (fault.times <= 0) this._faults.splice(idx, 1);
+    return fault;
+  }
+
+  /**
+   * Process a request, applying the faults.
+   *
+   * @private
+   * @param {WebSocket} ws
+   * @param {object} request
+   * @param {boolean} is_admin
+   * @param {boolean} [is_http=false] - True if the request comes from the REST API
+   * @returns {Promise<void>}
+   */
+  async _handleRequest(ws, request, is_admin, is_http = false) {
+    const { janus, transaction, session_id, handle_id } = request;
+    const reply = message => this._send(ws, { ...message, transaction });
+    const replyError = (code, reason) => reply({ janus: JANUS.RESPONSE.ERROR, session_id, error: { code, reason } });
+
+    const fault = this._takeFault(request);
+    if (fault) {
+      if (fault.drop) {
+        Logger.verbose(this._logctx, `dropping ${janus} request`);
+        return;
+      }
+      if (fault.delay_ms > 0) await delayOp(fault.delay_ms);
+      if (fault.error) return replyError(fault.error.code, fault.error.reason);
+    }
+
+    if (!janus || !transaction) return replyError(JANUS_ERROR.MISSING_MANDATORY_ELEMENT, 'Missing mandatory element (janus or transaction)');
+
+    const { apisecret } = this._options;
+    if (apisecret && request.apisecret !== apisecret && request.admin_secret !== apisecret) return replyError(JANUS_ERROR.UNAUTHORIZED, 'Unauthorized request (wrong or missing secret/token)');
+
+    if (is_admin) return this._handleAdminRequest(reply, replyError, request);
+
+    /* Requests without a session nor authentication */
+    if (janus === 'ping') return reply({ janus: 'pong' });
+    if (janus === JANUS.REQUEST.SERVER_INFO) return reply({ janus: JANUS.RESPONSE.SERVER_INFO, name: 'Janode Mock Janus', version: 0, version_string: '0.0.0', plugins: Object.fromEntries(Array.from(this._plugins.keys()).map(id => [id, { name: id }])) });
+    if (this._options.token_auth && !this._tokens.has(request.token)) return replyError(JANUS_ERROR.UNAUTHORIZED, 'Unauthorized request (wrong or missing secret/token)');
+
+    if (janus === JANUS.REQUEST.CREATE_SESSION) {
+      const id = parseInt(getNumericID());
+      /* The events of the sessions created through the REST API are queued for the long-polls */
+      this._sessions.set(id, { id, ws: is_http ? new LongPollQueue() : ws, handles: new Set(), last_activity: Date.now() });
+      return reply({ janus: JANUS.RESPONSE.SUCCESS, data: { id } });
+    }
+
+    const session = this._sessions.get(session_id);
+    if (!session) return replyError(JANUS_ERROR.SESSION_NOT_FOUND, `No such session ${session_id}`);
+    session.last_activity = Date.now();
+
+    /* Session requests */
+    switch (janus) {
+      case JANUS.REQUEST.KEEPALIVE:
+        return reply({ janus: JANUS.ACK, session_id });
+      case JANUS.REQUEST.CLAIM_SESSION:
+        if (!is_http) session.ws = ws;
+        return reply({ janus: JANUS.RESPONSE.SUCCESS, session_id });
+      case JANUS.REQUEST.DESTROY_SESSION:
+        this._destroySession(session_id);
+        return reply({ janus: JANUS.RESPONSE.SUCCESS, session_id });
+      case JANUS.REQUEST.ATTACH_PLUGIN: {
+        if (!this._plugins.has(request.plugin)) return replyError(JANUS_ERROR.PLUGIN_NOT_FOUND, `No such plugin '${request.plugin}'`);
+        if (this._options.token_auth && !this._tokens.get(request.token).has(request.plugin)) return replyError(JANUS_ERROR.UNAUTHORIZED_PLUGIN, 'Provided token can\'t access plugin');
+        const id = parseInt(getNumericID());
+        this._handles.set(id, { id, session_id, plugin: request.plugin, state: {} });
+        session.handles.add(id);
+        return reply({ janus: JANUS.RESPONSE.SUCCESS, session_id, data: { id } });
+      }
+    }
+
+    /* Handle requests */
+    const handle = this._handles.get(handle_id);
+    if (!handle || handle.session_id !== session_id) return replyError(JANUS_ERROR.HANDLE_NOT_FOUND, `No such handle ${handle_id} in session ${session_id}`);
+
+    switch (janus) {
+      case JANUS.REQUEST.TRICKLE:
+        return reply({ janus: JANUS.ACK, session_id });
+      case JANUS.REQUEST.HANGUP:
+        reply({ janus: JANUS.RESPONSE.SUCCESS, session_id, sender: handle_id });
+        setImmediate(_ => this._send(session.ws, { janus: JANUS.EVENT.HANGUP, session_id, sender: handle_id, reason: 'Janus API' }));
+        return;
+      case JANUS.REQUEST.DETACH_PLUGIN:
+        this._handles.delete(handle_id);
+        session.handles.delete(handle_id);
+        reply({ janus: JANUS.RESPONSE.SUCCESS, session_id, sender: handle_id });
+        setImmediate(_ => this._send(session.ws, { janus: JANUS.EVENT.DETACHED, session_id, sender: handle_id }));
+        return;
+      case JANUS.REQUEST.MESSAGE: {
+        const plugin = this._plugins.get(handle.plugin);
+        let result;
+        try {
+          result = (fault && fault.plugin_error)
+            ? { async: true, ...pluginError(handle.plugin.split('.').pop(), fault.plugin_error.code, fault.plugin_error.reason) }
+            : await plugin({ handle, body: request.body || {}, jsep: request.jsep, server: this });
+        } catch ({ message }) {
+          /* A broken scripted plugin must not leave the transaction pending */
+          Logger.error(this._logctx, `plugin ${handle.plugin} failed (${message})`);
+          return replyError(JANUS_ERROR.PLUGIN_MESSAGE, `Plugin error (${message})`);
+        }
+        if (!result) return reply({ janus: JANUS.ACK, session_id });
+        if (result.async) {
+          reply({ janus: JANUS.ACK, session_id });
+          this.pushEvent(handle_id, result.data, result.jsep, transaction);
+          return;
+        }
+        const response = { janus: JANUS.RESPONSE.SUCCESS, session_id, sender: handle_id, plugindata: { plugin: handle.plugin, data: result.data } };
+        if (result.jsep) response.jsep = result.jsep;
+        return reply(response);
+      }
+      default:
+        return replyError(JANUS_ERROR.UNKNOWN_REQUEST, `Unknown request '${janus}'`);
+    }
+  }
+
+  /**
+   * Process an Admin API request.
+   *
+   * @private
+   * @param {function} reply - The function to reply to the request
+   * @param {function} replyError - The function to reply with an error
+   * @param {object} request
+   */
+  _handleAdminRequest(reply, replyError, request) {
+    const { janus, session_id, handle_id } = request;
+
+    switch (janus) {
+      case JANUS.ADMIN.GET_STATUS:
+        return reply({ janus: JANUS.RESPONSE.SUCCESS, status: { session_timeout: this._options.session_timeout_secs, log_level: 4, locking_debug: false, refcount_debug: false } });
+      case JANUS.ADMIN.LIST_SESSIONS:
+        return reply({ janus: JANUS.RESPONSE.SUCCESS, sessions: Array.from(this._sessions.keys()) });
+      case JANUS.ADMIN.LIST_HANDLES: {
+        const session = this._sessions.get(session_id);
+        if (!session) return replyError(JANUS_ERROR.SESSION_NOT_FOUND, `No such session ${session_id}`);
+        return reply({ janus: JANUS.RESPONSE.SUCCESS, session_id, handles: Array.from(session.handles) });
+      }
+      case JANUS.ADMIN.HANDLE_INFO: {
+        const handle = this._handles.get(handle_id);
+        if (!handle || handle.session_id !== session_id) return replyError(JANUS_ERROR.HANDLE_NOT_FOUND, `No such handle ${handle_id} in session ${session_id}`);
+        return reply({ janus: JANUS.RESPONSE.SUCCESS, session_id, handle_id, info: { session_id, handle_id, plugin: handle.plugin, plugin_specific: handle.state } });
+      }
+      case JANUS.ADMIN.DESTROY_SESSION: {
+        if (!this._sessions.has(session_id)) return replyError(JANUS_ERROR.SESSION_NOT_FOUND, `No such session ${session_id}`);
+        this._destroySession(session_id);
+        return reply({ janus: JANUS.RESPONSE.SUCCESS });
+      }
+      case JANUS.ADMIN.ADD_TOKEN: {
+        if (typeof request.token !== 'string') return replyError(JANUS_ERROR.MISSING_MANDATORY_ELEMENT, 'Missing mandatory element (token)');
+        const plugins = Array.isArray(request.plugins) ? request.plugins : Array.from(this._plugins.keys());
+        const unknown = plugins.find(id => !this._plugins.has(id));
+        if (unknown) return replyError(JANUS_ERROR.PLUGIN_NOT_FOUND, `No such plugin '${unknown}'`);
+        this._tokens.set(request.token, new Set(plugins));
+        return reply({ janus: JANUS.RESPONSE.SUCCESS, data: { plugins } });
+      }
+      case JANUS.ADMIN.LIST_TOKENS:
+        return reply({ janus: JANUS.RESPONSE.SUCCESS, data: { tokens: Array.from(this._tokens).map(([token, plugins]) => ({ token, allowed_plugins: Array.from(plugins) })) } });
+      case JANUS.ADMIN.ALLOW_TOKEN:
+      case JANUS.ADMIN.DISALLOW_TOKEN: {
+        const allowed = this._tokens.get(request.token);
+        if (!allowed) return replyError(JANUS_ERROR.TOKEN_NOT_FOUND, `Token ${request.token} not found`);
+        if (!Array.isArray(request.plugins)) return replyError(JANUS_ERROR.MISSING_MANDATORY_ELEMENT, 'Missing mandatory element (plugins)');
+        const unknown = request.plugins.find(id => !this._plugins.has(id));
+        if (unknown) return replyError(JANUS_ERROR.PLUGIN_NOT_FOUND, `No such plugin '${unknown}'`);
+        for (const id of request.plugins) {
+          if (janus === JANUS.ADMIN.ALLOW_TOKEN) allowed.add(id);
+          else allowed.delete(id);
+        }
+        return reply({ janus: JANUS.RESPONSE.SUCCESS, data: { plugins: Array.from(allowed) } });
+      }
+      case JANUS.ADMIN.REMOVE_TOKEN:
+        if (!this._tokens.delete(request.token)) return replyError(JANUS_ERROR.TOKEN_NOT_FOUND, `Token ${request.token} not found`);
+        return reply({ janus: JANUS.RESPONSE.SUCCESS });
+      case JANUS.ADMIN.DETACH_HANDLE: {
+        const handle = this._handles.get(handle_id);
+        if (!handle || handle.session_id !== session_id) return replyError(JANUS_ERROR.HANDLE_NOT_FOUND, `No such handle ${handle_id} in session ${session_id}`);
+        const session = this._sessions.get(session_id);
+        this._handles.delete(handle_id);
+        session.handles.delete(handle_id);
+        this._send(session.ws, { janus: JANUS.EVENT.DETACHED, session_id, sender: handle_id });
+        return reply({ janus: JANUS.RESPONSE.SUCCESS });
+      }
+      default:
+        return replyError(JANUS_ERROR.UNKNOWN_REQUEST, `Unknown request '${janus}'`);
+    }
+  }
+
+  /**
+   * Remove a session and its handles.
+   *
+   * @private
+   * @param {number} session_id
+   */
+  _destroySession(session_id) {
+    const session = this._sessions.get(session_id);
+    if (!session) return;
+    for (const handle_id of session.handles) this._handles.delete(handle_id);
+    this._sessions.delete(session_id);
+    /* Let the pending long-polls deliver the last events */
+    if (session.ws instanceof LongPollQueue) setImmediate(_ => session.ws.close());
+  }
+
+  /**
+   * Time out the inactive sessions.
+   *
+   * @private
+   */
+  _checkTimeouts() {
+    const limit = Date.now() - this._options.session_timeout_secs * 1000;
+    for (const session of Array.from(this._sessions.values())) {
+      if (session.last_activity < limit) this.expireSession(session.id);
+    }
+  }
+}
+
+export { MockJanusServer };
+
+export default MockJanusServer;
@@ -6,6 +6,7 @@
  */
 
 import Handle from '../handle.js';
+import { JanodeError, PluginError } from '../errors.js';
 
 /* The plugin ID exported in the plugin descriptor */
 const PLUGIN_ID = 'janus.plugin.audiobridge';
@@ -16,11 +17,13 @@ const REQUEST_LIST_PARTICIPANTS = 'listparticipants';
 const REQUEST_KICK = 'kick';
 const REQUEST_CONFIGURE = 'configure';
 const REQUEST_LEAVE = 'leave';
+const REQUEST_CHANGE_ROOM = 'changeroom';
 const REQUEST_AUDIO_HANGUP = 'hangup';
 const REQUEST_EXISTS = 'exists';
 const REQUEST_LIST_ROOMS = 'list';
 const REQUEST_CREATE = 'create';
 const REQUEST_DESTROY = 'destroy';
+const REQUEST_EDIT = 'edit';
 const REQUEST_RECORDING = 'enable_recording';
 const REQUEST_ALLOW = 'allowed';
 const REQUEST_RTP_FWD_START = 'rtp_forward';
@@ -32,6 +35,11 @@ const REQUEST_MUTE_PARTICIPANT = 'mute';
 const REQUEST_UNMUTE_PARTICIPANT = 'unmute';
 const REQUEST_MUTE_ROOM = 'unmute_room';
 const REQUEST_UNMUTE_ROOM = 'unmute_room';
+const REQUEST_PLAY_FILE = 'play_file';
+const REQUEST_IS_PLAYING = 'is_playing';
+const REQUEST_STOP_FILE = 'stop_file';
+const REQUEST_STOP_ALL_ANNOUNCEMENTS = 'stop_all_announcements';
+const REQUEST_LIST_ANNOUNCEMENTS = 'listannouncements';
 
 /* These are the events/responses that the Janode plugin will manage */
 /* Some of them will be exported in the plugin descriptor */
@@ -56,15 +64,45 @@ const PLUGIN_EVENT = {
   ROOMS_LIST: 'audiobridge_list',
   CREATED: 'audiobridge_created',
   DESTROYED: 'audiobridge_destroyed',
+  EDITED: 'audiobridge_edited',
+  ROOM_CHANGED: 'audiobridge_roomchanged',
   RECORDING: 'audiobrige_recording',
   RTP_FWD: 'audiobridge_rtp_fwd',
   FWD_LIST: 'audiobridge_rtp_list',
   ALLOWED: 'audiobridge_allowed',
   ROOM_MUTED: 'audiobridge_room_muted',
+  ANNOUNCEMENT: 'audiobridge_announcement',
+  ANNOUNCEMENT_PLAYING: 'audiobridge_announcement_playing',
+  ANNOUNCEMENTS_LIST: 'audiobridge_announcements_list',
+  ANNOUNCEMENT_STARTED: 'audiobridge_announcement_started',
+  ANNOUNCEMENT_STOPPED: 'audiobridge_announcement_stopped',
   SUCCESS: 'audiobridge_success',
   ERROR: 'audiobridge_error',
 };
 
+/**
+ * The error codes returned by the AudioBridge plugin, matching the code of a {@link module:errors~PluginError}.
+ *
+ * @type {object}
+ */
+export const ERROR_CODE = {
+  UNKNOWN_ERROR: 499,
+  NO_MESSAGE: 480,
+  INVALID_JSON: 481,
+  INVALID_REQUEST: 482,
+  MISSING_ELEMENT: 483,
+  INVALID_ELEMENT: 484,
+  NO_SUCH_ROOM: 485,
+  ROOM_EXISTS: 486,
+  UNAUTHORIZED: 487,
+  NO_SUCH_USER: 488,
+  LIBOPUS_ERROR: 489,
+  NOT_JOINED: 490,
+  ID_EXISTS: 491,
+  INVALID_SDP: 492,
+  NO_SUCH_GROUP: 493,
+};
+
 /**
  * The class implementing the AudioBridge plugin (ref. {@link https://janus.conf.meetecho.com/docs/audiobridge.html}).<br>
  *
@@ -158,6 +196,20 @@ class AudioBridgeHandle extends Handle {
             break;
           }
 
+          /* Is playing API */
+          if (typeof message_data.file_id !== 'undefined' && typeof message_data.playing !== 'undefined') {
+            janode_event.data.file_id = message_data.file_id;
+            janode_event.data.playing = message_data.playing;
+            janode_event.event = PLUGIN_EVENT.ANNOUNCEMENT_PLAYING;
+            break;
+          }
+          /* Play file and stop file API */
+          if (typeof message_data.file_id !== 'undefined') {
+            janode_event.data.file_id = message_data.file_id;
+            janode_event.event = PLUGIN_EVENT.ANNOUNCEMENT;
+            break;
+          }
+
           /* RTP forwarding started/stopped */
           if (typeof message_data.stream_id !== 'undefined') {
             janode_event.data.forwarder = {
@@ -189,7 +241,12 @@ class AudioBridgeHandle extends Handle {
             /* Set event data (feed, display name, setup, muted etc.) */
             janode_event.data.feed = message_data.id;
             if (typeof message_data.rtp !== 'undefined') {
-              janode_event.data.rtp_participant = message_data.rtp;
+              /* Where the plain RTP participant is expected to send media */
+              janode_event.data.rtp_participant = {
+                ip: message_data.rtp.ip,
+                port: message_data.rtp.port,
+                payload_type: message_data.rtp.payload_type,
+              };
               /* This is left here just for backward compatibility */
               /* It will be removed eventually */
               janode_event.data.rtp = message_data.rtp;
@@ -219,6 +276,26 @@ class AudioBridgeHandle extends Handle {
           }
           break;
 
+        /* This handle moved to another room */
+        case 'roomchanged':
+          this.room = room;
+          this.feed = message_data.id;
+          janode_event.data.feed = message_data.id;
+          /* Add participants data */
+          janode_event.data.participants = message_data.participants.map(({ id, display, muted, setup, talking, suspended }) => {
+            const peer = {
+              feed: id,
+              display,
+              muted,
+              setup,
+            };
+            if (typeof talking !== 'undefined') peer.talking = talking;
+            if (typeof suspended !== 'undefined') peer.suspended = suspended;
+            return peer;
+          });
+          janode_event.event = PLUGIN_EVENT.ROOM_CHANGED;
+          break;
+
         /* Participants list */
         case 'participants':
           janode_event.data.participants = message_data.participants.map(({ id, display, muted, setup, talking, suspended }) => {
@@ -241,6 +318,12 @@ class AudioBridgeHandle extends Handle {
           janode_event.data.permanent = message_data.permanent;
           break;
 
+        /* Audio bridge room edited */
+        case 'edited':
+          janode_event.event = PLUGIN_EVENT.EDITED;
+          janode_event.data.permanent = message_data.permanent;
+          break;
+
         /* Audio bridge room destroyed */
         case 'destroyed':
           janode_event.event = PLUGIN_EVENT.DESTROYED;
@@ -275,6 +358,24 @@ class AudioBridgeHandle extends Handle {
           janode_event.event = PLUGIN_EVENT.FWD_LIST;
           break;
 
+        /* Announcements list */
+        case 'announcements':
+          janode_event.data.announcements = message_data.announcements.map(({ file_id, filename, playing, loop }) => ({
+            file_id,
+            filename,
+            playing,
+            loop,
+          }));
+          janode_event.event = PLUGIN_EVENT.ANNOUNCEMENTS_LIST;
+          break;
+
+        /* An announcement started or stopped playing in the room */
+        case 'announcement-started':
+        case 'announcement-stopped':
+          janode_event.data.file_id = message_data.file_id;
+          janode_event.event = (audiobridge === 'announcement-started') ? PLUGIN_EVENT.ANNOUNCEMENT_STARTED : PLUGIN_EVENT.ANNOUNCEMENT_STOPPED;
+          break;
+
         /* Talking events */
         case 'talking':
         case 'stopped-talking':
@@ -288,7 +389,7 @@ class AudioBridgeHandle extends Handle {
           /* AudioBridge error */
           if (error) {
             janode_event.event = PLUGIN_EVENT.ERROR;
-            janode_event.data = new Error(`${error_code} ${error}`);
+            janode_event.data = new PluginError({ code: error_code, reason: error, plugin: PLUGIN_ID, transaction });
             /* In case of error, close a transaction */
             this.closeTransactionWithError(transaction, janode_event.data);
             break;
@@ -415,9 +516,10 @@ class AudioBridgeHandle extends Handle {
    * @param {string} [params.group] - The group to assign to this participant
    * @param {boolean} [params.generate_offer] - True to get Janus to send the SDP offer.
    * @param {string} [params.codec] - The codec to be used among opus, pcma or  pcmu (Janus will default to opus)
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_JOINED>}
    */
-  async join({ room, feed, display, muted, pin, token, quality, volume, record, filename, suspended, pause_events, rtp_participant, group, generate_offer, codec }) {
+  async join({ room, feed, display, muted, pin, token, quality, volume, record, filename, suspended, pause_events, rtp_participant, group, generate_offer, codec, signal }) {
     const body = {
       request: REQUEST_JOIN,
       room,
@@ -438,11 +540,11 @@ class AudioBridgeHandle extends Handle {
     if (typeof generate_offer === 'boolean') body.generate_offer = generate_offer;
     if (typeof codec === 'string') body.codec = codec;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.JOINED)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -461,9 +563,10 @@ class AudioBridgeHandle extends Handle {
    * @param {number} [params.prebuffer] - Set a new prebuffer value (overrides room default)
    * @param {string} [params.group] - Set the group that the participant belongs to
    * @param {RTCSessionDescription} [params.jsep=null] - JSEP offer
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_CONFIGURED>}
    */
-  async configure({ display, muted, quality, bitrate, volume, record, filename, expected_loss, prebuffer, group, jsep = null }) {
+  async configure({ display, muted, quality, bitrate, volume, record, filename, expected_loss, prebuffer, group, jsep = null, signal }) {
     const body = {
       request: REQUEST_CONFIGURE,
     };
@@ -478,7 +581,7 @@ class AudioBridgeHandle extends Handle {
     if (typeof prebuffer === 'number') body.prebuffer = prebuffer;
     if (typeof group === 'string') body.group = group;
 
-    const response = await this.message(body, jsep);
+    const response = await this.message(body, jsep, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.CONFIGURED) {
       /* Janus does not reply with configured data, so we need to re-use the requested configuration */
@@ -495,44 +598,90 @@ class AudioBridgeHandle extends Handle {
       if (typeof body.group !== 'undefined') evtdata.group = body.group;
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
   /**
    * Request an audiobridge handle hangup.
    *
+   * @param {object} [params]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_AUDIO_HANGINGUP>}
    *
    */
-  async audioHangup() {
+  async audioHangup({ signal } = {}) {
     const body = {
       request: REQUEST_AUDIO_HANGUP,
     };
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.AUDIO_HANGINGUP)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
   /**
    * Leave an audiobridge room.
    *
+   * @param {object} [params]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_LEAVING>}
    */
-  async leave() {
+  async leave({ signal } = {}) {
     const body = {
       request: REQUEST_LEAVE,
     };
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.LEAVING)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Move the participant of this handle to another room, without renegotiating the PeerConnection.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The room to move to
+   * @param {number|string} [params.feed] - The feed identifier to use in the new room, picked by Janus if omitted
+   * @param {string} [params.display] - The display name to use
+   * @param {boolean} [params.muted] - True to join in muted status
+   * @param {boolean} [params.suspended] - True to join in suspended status
+   * @param {boolean} [params.pause_events] - Wheter to pause notification events for suspended participants
+   * @param {string} [params.pin] - The pin needed to join the new room
+   * @param {string} [params.token] - The token to use when joining
+   * @param {number} [params.quality] - The opus quality for the encoder
+   * @param {number} [params.volume] - The percent volume
+   * @param {string} [params.group] - The group to assign to this participant
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_ROOM_CHANGED>}
+   */
+  async changeRoom({ room, feed, display, muted, suspended, pause_events, pin, token, quality, volume, group, signal }) {
+    const body = {
+      request: REQUEST_CHANGE_ROOM,
+      room,
+    };
+    if (typeof feed === 'string' || typeof feed === 'number') body.id = feed;
+    if (typeof display === 'string') body.display = display;
+    if (typeof muted === 'boolean') body.muted = muted;
+    if (typeof suspended === 'boolean') body.suspended = suspended;
+    if (typeof pause_events === 'boolean') body.pause_events = pause_events;
+    if (typeof pin === 'string') body.pin = pin;
+    if (typeof token === 'string') body.token = token;
+    if (typeof quality === 'number') body.quality = quality;
+    if (typeof volume === 'number') body.volume = volume;
+    if (typeof group === 'string') body.group = group;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.ROOM_CHANGED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -548,20 +697,21 @@ class AudioBridgeHandle extends Handle {
    * @param {object} params
    * @param {number|string} params.room - The room where to execute the list
    * @param {string} [params.secret] - The optional secret needed for managing the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_PARTICIPANTS_LIST>}
    */
-  async listParticipants({ room, secret }) {
+  async listParticipants({ room, secret, signal }) {
     const body = {
       request: REQUEST_LIST_PARTICIPANTS,
       room,
     };
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.PARTICIPANTS_LIST)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -572,9 +722,10 @@ class AudioBridgeHandle extends Handle {
    * @param {number|string} params.room - The involved room
    * @param {number|string} params.feed - The feed to kick out
    * @param {string} [params.secret] - The optional secret needed for managing the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_KICK_RESPONSE>}
    */
-  async kick({ room, feed, secret }) {
+  async kick({ room, feed, secret, signal }) {
     const body = {
       request: REQUEST_KICK,
       room,
@@ -582,7 +733,7 @@ class AudioBridgeHandle extends Handle {
     };
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.SUCCESS) {
       /* Add data missing from Janus response */
@@ -590,7 +741,7 @@ class AudioBridgeHandle extends Handle {
       evtdata.feed = body.id;
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -599,37 +750,40 @@ class AudioBridgeHandle extends Handle {
    *
    * @param {object} params
    * @param {number|string} params.room - The involved room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_EXISTS>}
    */
-  async exists({ room }) {
+  async exists({ room, signal }) {
     const body = {
       request: REQUEST_EXISTS,
       room,
     };
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.EXISTS)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
   /**
    * List available audiobridge rooms.
    *
+   * @param {object} [params]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_ROOMS_LIST>}
    */
-  async list() {
+  async list({ signal } = {}) {
     const body = {
       request: REQUEST_LIST_ROOMS,
     };
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.ROOMS_LIST)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -657,10 +811,11 @@ class AudioBridgeHandle extends Handle {
    * @param {boolean} [params.allow_rtp] - Allow plain RTP participants
    * @param {string[]} [params.groups] - The available groups in the room
    * @param {boolean} [params.denoise] - Enable denoising with rnnoise for all participants
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_CREATED>}
    */
   async create({ room, description, permanent, sampling_rate, bitrate, is_private, secret, pin, admin_key, record, filename, rec_dir,
-    talking_events, talking_level_threshold, talking_packets_threshold, expected_loss, prebuffer, allow_rtp, groups, denoise }) {
+    talking_events, talking_level_threshold, talking_packets_threshold, expected_loss, prebuffer, allow_rtp, groups, denoise, signal }) {
     const body = {
       request: REQUEST_CREATE,
       room,
@@ -685,11 +840,11 @@ class AudioBridgeHandle extends Handle {
     if (Array.isArray(groups)) body.groups = groups;
     if (typeof denoise === 'boolean') body.denoise = denoise;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.CREATED)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -700,9 +855,10 @@ class AudioBridgeHandle extends Handle {
    * @param {number|string} params.room - The room to destroy
    * @param {boolean} [params.permanent] - Set to true to remove the room from the Janus config file
    * @param {string} [params.secret] - The optional secret needed to manage the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_DESTROYED>}
    */
-  async destroy({ room, permanent, secret }) {
+  async destroy({ room, permanent, secret, signal }) {
     const body = {
       request: REQUEST_DESTROY,
       room,
@@ -710,11 +866,51 @@ class AudioBridgeHandle extends Handle {
     if (typeof permanent === 'boolean') body.permanent = permanent;
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.DESTROYED)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Edit the properties of an audiobridge room.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The room to edit
+   * @param {string} [params.secret] - The secret needed to manage the room
+   * @param {string} [params.new_description] - The new room description
+   * @param {string} [params.new_secret] - The new secret to be used when managing the room
+   * @param {string} [params.new_pin] - The new pin needed for joining the room
+   * @param {boolean} [params.new_is_private] - The new private status of the room (hidden in list)
+   * @param {string} [params.new_record_dir] - The new recording folder
+   * @param {boolean} [params.new_mjrs] - Whether to record participants to mjr files
+   * @param {string} [params.new_mjrs_dir] - The new folder for participants mjr recordings
+   * @param {boolean} [params.permanent] - Set to true to persist the changes in the Janus config file
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_EDITED>}
+   */
+  async edit({ room, secret, new_description, new_secret, new_pin, new_is_private, new_record_dir, new_mjrs, new_mjrs_dir, permanent, signal }) {
+    const body = {
+      request: REQUEST_EDIT,
+      room,
+    };
+    if (typeof secret === 'string') body.secret = secret;
+    if (typeof new_description === 'string') body.new_description = new_description;
+    if (typeof new_secret === 'string') body.new_secret = new_secret;
+    if (typeof new_pin === 'string') body.new_pin = new_pin;
+    if (typeof new_is_private === 'boolean') body.new_is_private = new_is_private;
+    if (typeof new_record_dir === 'string') body.new_record_dir = new_record_dir;
+    if (typeof new_mjrs === 'boolean') body.new_mjrs = new_mjrs;
+    if (typeof new_mjrs_dir === 'string') body.new_mjrs_dir = new_mjrs_dir;
+    if (typeof permanent === 'boolean') body.permanent = permanent;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.EDITED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -727,9 +923,10 @@ class AudioBridgeHandle extends Handle {
    * @param {string} [params.secret] - The secret to be used when managing the room
    * @param {string} [params.filename] - The recording filename
    * @param {string} [params.rec_dir] - The optional recording folder
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_RECORDING>}
    */
-  async enableRecording({ room, record, filename, rec_dir, secret }) {
+  async enableRecording({ room, record, filename, rec_dir, secret, signal }) {
     const body = {
       request: REQUEST_RECORDING,
       room,
@@ -739,13 +936,13 @@ class AudioBridgeHandle extends Handle {
     if (typeof rec_dir === 'string') body.record_dir = rec_dir;
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.RECORDING) {
       evtdata.room = body.room;
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -757,9 +954,10 @@ class AudioBridgeHandle extends Handle {
    * @param {"enable"|"disable"|"add"|"remove"} params.action - The action to perform
    * @param {string[]} params.list - The list of tokens to add/remove
    * @param {string} [params.secret] - The optional secret needed to manage the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_ALLOWED>}
    */
-  async allow({ room, action, list, secret }) {
+  async allow({ room, action, list, secret, signal }) {
     const body = {
       request: REQUEST_ALLOW,
       room,
@@ -768,11 +966,11 @@ class AudioBridgeHandle extends Handle {
     if (list && list.length > 0) body.allowed = list;
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.SUCCESS)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -791,9 +989,10 @@ class AudioBridgeHandle extends Handle {
    * @param {string} [params.group] - The group to forward
    * @param {string} [params.secret] - The optional secret needed to manage the room
    * @param {string} [params.admin_key] - The admin key needed for invoking the API
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_RTP_FWD>}
    */
-  async startForward({ room, always, host, host_family, audio_port, ssrc, ptype, codec, group, secret, admin_key }) {
+  async startForward({ room, always, host, host_family, audio_port, ssrc, ptype, codec, group, secret, admin_key, signal }) {
     const body = {
       request: REQUEST_RTP_FWD_START,
       room,
@@ -809,11 +1008,11 @@ class AudioBridgeHandle extends Handle {
     if (typeof secret === 'string') body.secret = secret;
     if (typeof admin_key === 'string') body.admin_key = admin_key;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.RTP_FWD)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -825,9 +1024,10 @@ class AudioBridgeHandle extends Handle {
    * @param {number} params.stream - The forwarder identifier to stop
    * @param {string} [params.secret] - The optional secret needed to manage the room
    * @param {string} [params.admin_key] - The admin key needed for invoking the API
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_RTP_FWD>}
    */
-  async stopForward({ room, stream, secret, admin_key }) {
+  async stopForward({ room, stream, secret, admin_key, signal }) {
     const body = {
       request: REQUEST_RTP_FWD_STOP,
       room,
@@ -836,11 +1036,11 @@ class AudioBridgeHandle extends Handle {
     if (typeof secret === 'string') body.secret = secret;
     if (typeof admin_key === 'string') body.admin_key = admin_key;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.RTP_FWD)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -851,9 +1051,10 @@ class AudioBridgeHandle extends Handle {
    * @param {number|string} params.room - The involved room
    * @param {string} [params.secret] - The optional secret needed to manage the room
    * @param {string} [params.admin_key] - The admin key needed for invoking the API
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_FWD_LIST>}
    */
-  async listForward({ room, secret, admin_key }) {
+  async listForward({ room, secret, admin_key, signal }) {
     const body = {
       request: REQUEST_RTP_FWD_LIST,
       room,
@@ -861,11 +1062,11 @@ class AudioBridgeHandle extends Handle {
     if (typeof secret === 'string') body.secret = secret;
     if (typeof admin_key === 'string') body.admin_key = admin_key;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.FWD_LIST)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -876,9 +1077,10 @@ class AudioBridgeHandle extends Handle {
    * @param {number|string} params.room - The involved room
    * @param {number|string} params.feed - The feed to mute
    * @param {string} [params.secret] - The optional secret needed for managing the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_MUTE_PARTICIPANT_RESPONSE>}
    */
-  async mute({ room, feed, secret }) {
+  async mute({ room, feed, secret, signal }) {
     const body = {
       request: REQUEST_MUTE_PARTICIPANT,
       room,
@@ -886,7 +1088,7 @@ class AudioBridgeHandle extends Handle {
     };
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.SUCCESS) {
       /* Add data missing from Janus response */
@@ -894,7 +1096,7 @@ class AudioBridgeHandle extends Handle {
       evtdata.feed = body.id;
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -905,9 +1107,10 @@ class AudioBridgeHandle extends Handle {
    * @param {number|string} params.room - The involved room
    * @param {number|string} params.feed - The feed to unmute
    * @param {string} [params.secret] - The optional secret needed for managing the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_UNMUTE_PARTICIPANT_RESPONSE>}
    */
-  async unmute({ room, feed, secret }) {
+  async unmute({ room, feed, secret, signal }) {
     const body = {
       request: REQUEST_UNMUTE_PARTICIPANT,
       room,
@@ -915,7 +1118,7 @@ class AudioBridgeHandle extends Handle {
     };
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.SUCCESS) {
       /* Add data missing from Janus response */
@@ -923,7 +1126,7 @@ class AudioBridgeHandle extends Handle {
       evtdata.feed = body.id;
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -933,22 +1136,23 @@ class AudioBridgeHandle extends Handle {
    * @param {object} params
    * @param {number|string} params.room - The involved room
    * @param {string} [params.secret] - The optional secret needed to manage the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_MUTE_ROOM_RESPONSE>}
    */
-  async muteRoom({ room, secret }) {
+  async muteRoom({ room, secret, signal }) {
     const body = {
       request: REQUEST_MUTE_ROOM,
       room,
     };
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.SUCCESS) {
       evtdata.room = body.room;
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -958,22 +1162,23 @@ class AudioBridgeHandle extends Handle {
    * @param {object} params
    * @param {number|string} params.room - The involved room
    * @param {string} [params.secret] - The optional secret needed to manage the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_UNMUTE_ROOM_RESPONSE>}
    */
-  async unmuteRoom({ room, secret }) {
+  async unmuteRoom({ room, secret, signal }) {
     const body = {
       request: REQUEST_UNMUTE_ROOM,
       room,
     };
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.SUCCESS) {
       evtdata.room = body.room;
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -986,9 +1191,10 @@ class AudioBridgeHandle extends Handle {
    * @param {boolean} [params.stop_record] - Whether the recording of this participant should be stopped too
    * @param {boolean} [params.pause_events] - Wheter to pause notification events for suspended participants
    * @param {string} [params.secret] - The optional secret needed to manage the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_SUSPEND_RESPONSE>}
    */
-  async suspend({ room, feed, stop_record, pause_events, secret }) {
+  async suspend({ room, feed, stop_record, pause_events, secret, signal }) {
     const body = {
       request: REQUEST_SUSPEND_PARTICIPANT,
       room,
@@ -998,13 +1204,13 @@ class AudioBridgeHandle extends Handle {
     if (typeof pause_events === 'boolean') body.pause_events = pause_events;
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.SUCCESS) {
       evtdata.feed = feed;
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -1017,9 +1223,10 @@ class AudioBridgeHandle extends Handle {
    * @param {boolean} [params.record] - Whether to start recording this resumed feed
    * @param {string} [params.filename] - The recording filename
    * @param {string} [params.secret] - The optional secret needed to manage the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_RESUME_RESPONSE>}
    */
-  async resume({ room, feed, record, filename, secret }) {
+  async resume({ room, feed, record, filename, secret, signal }) {
     const body = {
       request: REQUEST_RESUME_PARTICIPANT,
       room,
@@ -1029,13 +1236,147 @@ class AudioBridgeHandle extends Handle {
     if (typeof filename === 'string') body.filename = filename;
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.SUCCESS) {
       evtdata.feed = feed;
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Play an audio file (announcement) in a room.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The room where to play the file
+   * @param {string} params.filename - The path of the .opus file to play
+   * @param {string} [params.file_id] - The identifier of the announcement, picked by Janus if omitted
+   * @param {boolean} [params.loop] - True to play the file in a loop
+   * @param {string} [params.group] - The group to play the file to
+   * @param {string} [params.secret] - The optional secret needed to manage the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_ANNOUNCEMENT>}
+   */
+  async playFile({ room, filename, file_id, loop, group, secret, signal }) {
+    const body = {
+      request: REQUEST_PLAY_FILE,
+      room,
+      filename,
+    };
+    if (typeof file_id === 'string') body.file_id = file_id;
+    if (typeof loop === 'boolean') body.loop = loop;
+    if (typeof group === 'string') body.group = group;
+    if (typeof secret === 'string') body.secret = secret;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.ANNOUNCEMENT)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Check if an announcement is playing in a room.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The involved room
+   * @param {string} params.file_id - The identifier of the announcement
+   * @param {string} [params.secret] - The optional secret needed to manage the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_ANNOUNCEMENT_PLAYING>}
+   */
+  async isPlaying({ room, file_id, secret, signal }) {
+    const body = {
+      request: REQUEST_IS_PLAYING,
+      room,
+      file_id,
+    };
+    if (typeof secret === 'string') body.secret = secret;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.ANNOUNCEMENT_PLAYING)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Stop an announcement playing in a room.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The involved room
+   * @param {string} params.file_id - The identifier of the announcement
+   * @param {string} [params.secret] - The optional secret needed to manage the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_ANNOUNCEMENT>}
+   */
+  async stopFile({ room, file_id, secret, signal }) {
+    const body = {
+      request: REQUEST_STOP_FILE,
+      room,
+      file_id,
+    };
+    if (typeof secret === 'string') body.secret = secret;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.ANNOUNCEMENT)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Stop all the announcements playing in a room.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The involved room
+   * @param {string} [params.secret] - The optional secret needed to manage the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_STOP_ALL_ANNOUNCEMENTS_RESPONSE>}
+   */
+  async stopAllAnnouncements({ room, secret, signal }) {
+    const body = {
+      request: REQUEST_STOP_ALL_ANNOUNCEMENTS,
+      room,
+    };
+    if (typeof secret === 'string') body.secret = secret;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.SUCCESS) {
+      evtdata.room = body.room;
+      return evtdata;
+    }
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * List the announcements of a room.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The involved room
+   * @param {string} [params.secret] - The optional secret needed to manage the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:audiobridge-plugin~AUDIOBRIDGE_EVENT_ANNOUNCEMENTS_LIST>}
+   */
+  async listAnnouncements({ room, secret, signal }) {
+    const body = {
+      request: REQUEST_LIST_ANNOUNCEMENTS,
+      room,
+    };
+    if (typeof secret === 'string') body.secret = secret;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.ANNOUNCEMENTS_LIST)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -1054,6 +1395,8 @@ class AudioBridgeHandle extends Handle {
  * @property {string} ip - IP address you want media to be sent to
  * @property {number} port - The port you want media to be sent to
  * @property {number} payload_type - The payload type to use for RTP packets
+ * @property {number} [audiolevel_ext] - The ID of the audiolevel RTP extension
+ * @property {boolean} [fec] - Whether FEC should be enabled for the Opus stream
  */
 
 /**
@@ -1062,7 +1405,7 @@ class AudioBridgeHandle extends Handle {
  * @typedef {object} AUDIOBRIDGE_EVENT_JOINED
  * @property {number|string} room - The involved room
  * @property {number|string} feed - The feed identifier
- * @property {module:audiobridge-plugin~RtpParticipant} [rtp_participant] - The descriptor in case this is a plain RTP participant
+ * @property {module:audiobridge-plugin~RtpParticipant} [rtp_participant] - In case this is a plain RTP participant, where Janus expects the media to be sent
  * @property {object[]} participants - The list of participants
  * @property {number|string} participants[].feed - The participant feed identifier
  * @property {string} [participants[].display] - The participant display name
@@ -1160,6 +1503,27 @@ class AudioBridgeHandle extends Handle {
  * @property {boolean} permanent - True if the room is being persisted in the Janus config file
  */
 
+/**
+ * The response event for audiobridge change room request.
+ *
+ * @typedef {object} AUDIOBRIDGE_EVENT_ROOM_CHANGED
+ * @property {number|string} room - The room this handle moved to
+ * @property {number|string} feed - The feed identifier in the new room
+ * @property {object[]} participants - The list of participants of the new room
+ * @property {number|string} participants[].feed - The participant feed identifier
+ * @property {string} [participants[].display] - The participant display name
+ * @property {boolean} [participants[].muted] - The muted status of the participant
+ * @property {boolean} [participants[].setup] - True if participant PeerConnection is up
+ */
+
+/**
+ * The response event for audiobridge room edit request.
+ *
+ * @typedef {object} AUDIOBRIDGE_EVENT_EDITED
+ * @property {number|string} room - The edited room
+ * @property {boolean} permanent - True if the changes have been persisted in the Janus config file
+ */
+
 /**
  * The response event for audiobridge room destroy request.
  *
@@ -1242,6 +1606,79 @@ class AudioBridgeHandle extends Handle {
  * @property {string[]} list - The updated, complete, list of allowed tokens
  */
 
+/**
+ * The response event for audiobridge play file and stop file requests.
+ *
+ * @typedef {object} AUDIOBRIDGE_EVENT_ANNOUNCEMENT
+ * @property {number|string} room - The involved room
+ * @property {string} file_id - The identifier of the announcement
+ */
+
+/**
+ * The response event for audiobridge is playing request.
+ *
+ * @typedef {object} AUDIOBRIDGE_EVENT_ANNOUNCEMENT_PLAYING
+ * @property {number|string} room - The involved room
+ * @property {string} file_id - The identifier of the announcement
+ * @property {boolean} playing - True if the announcement is still playing
+ */
+
+/**
+ * The response event for audiobridge stop all announcements request.
+ *
+ * @typedef {object} AUDIOBRIDGE_EVENT_STOP_ALL_ANNOUNCEMENTS_RESPONSE
+ * @property {number|string} room - The involved room
+ */
+
+/**
+ * The response event for audiobridge announcements list request.
+ *
+ * @typedef {object} AUDIOBRIDGE_EVENT_ANNOUNCEMENTS_LIST
+ * @property {number|string} room - The involved room
+ * @property {object[]} announcements - The list of announcements
+ * @property {string} announcements[].file_id - The identifier of the announcement
+ * @property {string} announcements[].filename - The path of the played file
+ * @property {boolean} announcements[].playing - True if the announcement is playing
+ * @property {boolean} announcements[].loop - True if the announcement is played in a loop
+ */
+
+/**
+ * Build the descriptor of a plain RTP participant, to be used as "rtp_participant" in a join request.
+ *
+ * @param {object} params
+ * @param {string} params.ip - IP address you want media to be sent to
+ * @param {number} params.port - The port you want media to be sent to
+ * @param {number} [params.payload_type=100] - The payload type to use for RTP packets
+ * @param {number} [params.audiolevel_ext] - The ID of the audiolevel RTP extension
+ * @param {boolean} [params.fec] - Whether FEC should be enabled for the Opus stream
+ * @returns {module:audiobridge-plugin~RtpParticipant}
+ *
+ * @example
+ *
+ * import AudioBridgePlugin, { createRtpParticipant } from 'janode/plugins/audiobridge';
+ *
+ * const { rtp_participant } = await handle.join({ room, rtp_participant: createRtpParticipant({ ip: '10.0.0.1', port: 5000 }) });
+ * console.log(`send RTP to ${rtp_participant.ip}:${rtp_participant.port}`);
+ */
+export const createRtpParticipant = ({ ip, port, payload_type = 100, audiolevel_ext, fec }) => {
+  if (typeof ip !== 'string' || ip.length === 0) {
+    const error = new JanodeError('invalid rtp participant ip');
+    throw error;
+  }
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    const error = new JanodeError('invalid rtp participant port');
+    throw error;
+  }
+  const rtp_participant = {
+    ip,
+    port,
+    payload_type,
+  };
+  if (typeof audiolevel_ext === 'number') rtp_participant.audiolevel_ext = audiolevel_ext;
+  if (typeof fec === 'boolean') rtp_participant.fec = fec;
+  return rtp_participant;
+};
+
 /**
  * The exported plugin descriptor.
  *
@@ -1263,6 +1700,8 @@ class AudioBridgeHandle extends Handle {
  * @property {string} EVENT.AUDIOBRIDGE_RESUMED {@link module:audiobridge-plugin~AUDIOBRIDGE_RESUMED}
  * @property {string} EVENT.AUDIOBRIDGE_PEER_RESUMED {@link module:audiobridge-plugin~AUDIOBRIDGE_PEER_RESUMED}
  * @property {string} EVENT.AUDIOBRIDGE_ROOM_MUTED {@link module:audiobridge-plugin~AUDIOBRIDGE_ROOM_MUTED}
+ * @property {string} EVENT.AUDIOBRIDGE_ANNOUNCEMENT_STARTED {@link module:audiobridge-plugin~AUDIOBRIDGE_ANNOUNCEMENT_STARTED}
+ * @property {string} EVENT.AUDIOBRIDGE_ANNOUNCEMENT_STOPPED {@link module:audiobridge-plugin~AUDIOBRIDGE_ANNOUNCEMENT_STOPPED}
  * @property {string} EVENT.AUDIOBRIDGE_ERROR {@link module:audiobridge-plugin~AUDIOBRIDGE_ERROR}
  */
 export default {
@@ -1420,11 +1859,31 @@ export default {
      */
     AUDIOBRIDGE_ROOM_MUTED: PLUGIN_EVENT.ROOM_MUTED,
 
+    /**
+     * An announcement started playing in the room.
+     *
+     * @event module:audiobridge-plugin~AudioBridgeHandle#event:AUDIOBRIDGE_ANNOUNCEMENT_STARTED
+     * @type {object}
+     * @property {number|string} room
+     * @property {string} file_id
+     */
+    AUDIOBRIDGE_ANNOUNCEMENT_STARTED: PLUGIN_EVENT.ANNOUNCEMENT_STARTED,
+
+    /**
+     * An announcement stopped playing in the room.
+     *
+     * @event module:audiobridge-plugin~AudioBridgeHandle#event:AUDIOBRIDGE_ANNOUNCEMENT_STOPPED
+     * @type {object}
+     * @property {number|string} room
+     * @property {string} file_id
+     */
+    AUDIOBRIDGE_ANNOUNCEMENT_STOPPED: PLUGIN_EVENT.ANNOUNCEMENT_STOPPED,
+
     /**
      * Generic audiobridge error.
      *
      * @event module:audiobridge-plugin~AudioBridgeHandle#event:AUDIOBRIDGE_ERROR
-     * @type {Error}
+     * @type {module:errors~PluginError}
      */
     AUDIOBRIDGE_ERROR: PLUGIN_EVENT.ERROR,
   },
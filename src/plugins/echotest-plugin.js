@@ -6,6 +6,7 @@
  */
 
 import Handle from '../handle.js';
+import { JanodeError, PluginError } from '../errors.js';
 
 /* The plugin ID exported in the plugin descriptor */
 const PLUGIN_ID = 'janus.plugin.echotest';
@@ -18,6 +19,19 @@ const PLUGIN_EVENT = {
   ERROR: 'echotest_error',
 };
 
+/**
+ * The error codes returned by the EchoTest plugin, matching the code of a {@link module:errors~PluginError}.
+ *
+ * @type {object}
+ */
+export const ERROR_CODE = {
+  UNKNOWN_ERROR: 499,
+  NO_MESSAGE: 411,
+  INVALID_JSON: 412,
+  INVALID_ELEMENT: 413,
+  INVALID_SDP: 414,
+};
+
 /**
  * The class implementing the EchoTest plugin (ref. {@link https://janus.conf.meetecho.com/docs/echotest.html}).<br>
  *
@@ -91,7 +105,7 @@ class EchoTestHandle extends Handle {
           /* EchoTest error */
           if (error) {
             janode_event.event = PLUGIN_EVENT.ERROR;
-            janode_event.data = new Error(`${error_code} ${error}`);
+            janode_event.data = new PluginError({ code: error_code, reason: error, plugin: PLUGIN_ID, transaction });
             /* In case of error, close a transaction */
             this.closeTransactionWithError(transaction, janode_event.data);
             break;
@@ -123,11 +137,12 @@ class EchoTestHandle extends Handle {
    * @param {number} [params.bitrate=0] - The bitrate to force in the session
    * @param {boolean} [params.record=false] - True to record the session
    * @param {string} [params.filename=null]  - The filename of the recording
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:echotest-plugin~ECHOTEST_EVENT_RESULT>}
    */
-  async start({ audio, video, jsep = null, bitrate = 0, record = false, filename = null }) {
+  async start({ audio, video, jsep = null, bitrate = 0, record = false, filename = null, signal }) {
     if (typeof jsep === 'object' && jsep.type !== 'offer') {
-      const error = new Error('jsep must be an offer');
+      const error = new JanodeError('jsep must be an offer');
       return Promise.reject(error);
     }
 
@@ -140,11 +155,11 @@ class EchoTestHandle extends Handle {
     if (typeof bitrate === 'number') body.bitrate = bitrate;
     if (typeof filename === 'string') body.filename = filename;
 
-    const response = await this.message(body, jsep);
+    const response = await this.message(body, jsep, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.RESULT && evtdata.result === 'ok')
       return evtdata;
-    const error = new Error('invalid echotest result');
+    const error = new JanodeError('invalid echotest result');
     throw (error);
   }
 
@@ -194,7 +209,7 @@ export default {
 
     /**
      * @event module:echotest-plugin~EchoTestHandle#event:ECHOTEST_ERROR
-     * @type {Error}
+     * @type {module:errors~PluginError}
      */
     ECHOTEST_ERROR: PLUGIN_EVENT.ERROR,
   },
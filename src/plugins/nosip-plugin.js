@@ -0,0 +1,451 @@
+'use strict';
+
+/**
+ * This module contains the implementation of the NoSIP plugin (ref. {@link https://janus.conf.meetecho.com/docs/nosip.html}).
+ * @module nosip-plugin
+ */
+
+import Handle from '../handle.js';
+import { JanodeError, PluginError } from '../errors.js';
+
+/* The plugin ID exported in the plugin descriptor */
+const PLUGIN_ID = 'janus.plugin.nosip';
+
+/* These are the requests defined for the Janus NoSIP API */
+const REQUEST_GENERATE = 'generate';
+const REQUEST_PROCESS = 'process';
+const REQUEST_HANGUP = 'hangup';
+const REQUEST_RECORDING = 'recording';
+const REQUEST_KEYFRAME = 'keyframe';
+/* Recording actions */
+const ACTION_START_REC = 'start';
+const ACTION_STOP_REC = 'stop';
+
+/* These are the events/responses that the Janode plugin will manage */
+/* Some of them will be exported in the plugin descriptor */
+const PLUGIN_EVENT = {
+  GENERATED: 'nosip_generated',
+  PROCESSED: 'nosip_processed',
+  HANGINGUP: 'nosip_hangingup',
+  HANGUP: 'nosip_hangup',
+  RECORDING_UPDATED: 'nosip_recordingupdated',
+  KEYFRAME_SENT: 'nosip_keyframesent',
+  ERROR: 'nosip_error',
+};
+
+/**
+ * The error codes returned by the NoSIP plugin, matching the code of a {@link module:errors~PluginError}.
+ *
+ * @type {object}
+ */
+export const ERROR_CODE = {
+  UNKNOWN_ERROR: 499,
+  NO_MESSAGE: 440,
+  INVALID_JSON: 441,
+  INVALID_REQUEST: 442,
+  MISSING_ELEMENT: 443,
+  INVALID_ELEMENT: 444,
+  WRONG_STATE: 445,
+  MISSING_SDP: 446,
+  INVALID_SDP: 447,
+  IO_ERROR: 448,
+  RECORDING_ERROR: 449,
+  TOO_STRICT: 450,
+};
+
+/**
+ * The class implementing the NoSIP plugin (ref. {@link https://janus.conf.meetecho.com/docs/nosip.html}).<br>
+ *
+ * It extends the base Janode Handle class and overrides the base "handleMessage" method.<br>
+ *
+ * Moreover it defines some methods to translate WebRTC JSEPs to barebone SDPs (and vice versa),
+ * leaving the signalling to the application.<br>
+ *
+ * @hideconstructor
+ */
+class NoSipHandle extends Handle {
+  /**
+   * Create a Janode NoSIP handle.
+   *
+   * @param {module:session~Session} session - A reference to the parent session
+   * @param {number} id - The handle identifier
+   */
+  constructor(session, id) {
+    super(session, id);
+  }
+
+  /**
+   * The custom "handleMessage" needed for handling NoSIP messages.
+   *
+   * @private
+   * @param {object} janus_message
+   * @returns {object} A falsy value for unhandled events, a truthy value for handled events
+   */
+  handleMessage(janus_message) {
+    const { plugindata, jsep, transaction } = janus_message;
+    if (plugindata && plugindata.data && plugindata.data.nosip) {
+      /**
+       * @type {NoSipData}
+       */
+      const message_data = plugindata.data;
+      const { nosip, error, error_code, result } = message_data;
+
+      /* Prepare an object for the output Janode event */
+      const janode_event = {
+        /* The name of the resolved event */
+        event: null,
+        /* The event payload */
+        data: {},
+      };
+
+      /* Add JSEP data if available */
+      if (jsep) janode_event.data.jsep = jsep;
+
+      /* The plugin will emit an event only if the handle does not own the transaction */
+      /* That means that a transaction has already been closed or this is an async event */
+      const emit = (this.ownsTransaction(transaction) === false);
+
+      /* Use the "janode" property to store the output event */
+      janus_message._janode = janode_event;
+
+      switch (nosip) {
+
+        /* Generic event (result, error ...) */
+        case 'event':
+          /* NoSIP error */
+          if (error) {
+            janode_event.event = PLUGIN_EVENT.ERROR;
+            janode_event.data = new PluginError({ code: error_code, reason: error, plugin: PLUGIN_ID, transaction });
+            /* In case of error, close a transaction */
+            this.closeTransactionWithError(transaction, janode_event.data);
+            break;
+          }
+          if (!result) break;
+          switch (result.event) {
+            /* Barebone SDP generated from a JSEP */
+            case 'generated':
+              janode_event.event = PLUGIN_EVENT.GENERATED;
+              janode_event.data.type = result.type;
+              janode_event.data.sdp = result.sdp;
+              if (typeof result.update !== 'undefined') janode_event.data.update = result.update;
+              break;
+            /* Barebone SDP processed */
+            case 'processed':
+              janode_event.event = PLUGIN_EVENT.PROCESSED;
+              if (typeof result.srtp !== 'undefined') janode_event.data.srtp = result.srtp;
+              if (typeof result.update !== 'undefined') janode_event.data.update = result.update;
+              break;
+            /* Hangup in progress */
+            case 'hangingup':
+              janode_event.event = PLUGIN_EVENT.HANGINGUP;
+              break;
+            /* Session closed */
+            case 'hangup':
+              janode_event.event = PLUGIN_EVENT.HANGUP;
+              if (typeof result.reason !== 'undefined') janode_event.data.reason = result.reason;
+              break;
+            /* Recording status updated */
+            case 'recordingupdated':
+              janode_event.event = PLUGIN_EVENT.RECORDING_UPDATED;
+              break;
+            /* Keyframe requested */
+            case 'keyframesent':
+              janode_event.event = PLUGIN_EVENT.KEYFRAME_SENT;
+              break;
+          }
+          break;
+      }
+
+      /* The event has been handled */
+      if (janode_event.event) {
+        /* Try to close the transaction */
+        this.closeTransactionWithSuccess(transaction, janus_message);
+        /* If the transaction was not owned, emit the event */
+        if (emit) this.emit(janode_event.event, janode_event.data);
+        return janode_event;
+      }
+    }
+
+    /* The event has not been handled, return a falsy value */
+    return null;
+  }
+
+  /**
+   * Translate a WebRTC JSEP (offer or answer) into a barebone SDP for the legacy peer.
+   *
+   * @param {object} params
+   * @param {RTCSessionDescription} params.jsep - The JSEP offer or answer of the WebRTC user
+   * @param {string} [params.info] - An opaque string that will be notified back in the events
+   * @param {string} [params.srtp] - "sdes_optional" or "sdes_mandatory" to offer SRTP (offers only)
+   * @param {string} [params.srtp_profile] - The SRTP profile to negotiate (offers only)
+   * @param {boolean} [params.update] - True if this is a renegotiation
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:nosip-plugin~NOSIP_EVENT_GENERATED>}
+   */
+  async generate({ jsep, info, srtp, srtp_profile, update, signal }) {
+    if (typeof jsep !== 'object' || !jsep) {
+      const error = new JanodeError('missing jsep');
+      return Promise.reject(error);
+    }
+
+    const body = {
+      request: REQUEST_GENERATE,
+    };
+    if (typeof info === 'string') body.info = info;
+    if (typeof srtp === 'string') body.srtp = srtp;
+    if (typeof srtp_profile === 'string') body.srtp_profile = srtp_profile;
+    if (typeof update === 'boolean') body.update = update;
+
+    const response = await this.message(body, jsep, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.GENERATED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Translate a barebone SDP (offer or answer) of the legacy peer into a WebRTC JSEP.
+   *
+   * @param {object} params
+   * @param {"offer"|"answer"} params.type - The type of the SDP
+   * @param {string} params.sdp - The barebone SDP
+   * @param {string} [params.info] - An opaque string that will be notified back in the events
+   * @param {string} [params.srtp] - "sdes_optional" or "sdes_mandatory" if the SDP must use SRTP
+   * @param {boolean} [params.update] - True if this is a renegotiation
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:nosip-plugin~NOSIP_EVENT_PROCESSED>}
+   */
+  async process({ type, sdp, info, srtp, update, signal }) {
+    if (type !== 'offer' && type !== 'answer') {
+      const error = new JanodeError('type must be offer or answer');
+      return Promise.reject(error);
+    }
+
+    const body = {
+      request: REQUEST_PROCESS,
+      type,
+      sdp,
+    };
+    if (typeof info === 'string') body.info = info;
+    if (typeof srtp === 'string') body.srtp = srtp;
+    if (typeof update === 'boolean') body.update = update;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.PROCESSED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Close the media session.
+   *
+   * @param {object} [params]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:nosip-plugin~NOSIP_EVENT_HANGINGUP>}
+   */
+  async callHangup({ signal } = {}) {
+    const body = {
+      request: REQUEST_HANGUP,
+    };
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.HANGINGUP)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Start recording the media session.
+   *
+   * @param {object} params
+   * @param {boolean} [params.audio] - True to record the user audio
+   * @param {boolean} [params.video] - True to record the user video
+   * @param {boolean} [params.peer_audio] - True to record the peer audio
+   * @param {boolean} [params.peer_video] - True to record the peer video
+   * @param {string} [params.filename] - The base path of the recordings
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:nosip-plugin~NOSIP_EVENT_RECORDING_UPDATED>}
+   */
+  async startRecording({ audio, video, peer_audio, peer_video, filename, signal }) {
+    const body = {
+      request: REQUEST_RECORDING,
+      action: ACTION_START_REC,
+    };
+    if (typeof audio === 'boolean') body.audio = audio;
+    if (typeof video === 'boolean') body.video = video;
+    if (typeof peer_audio === 'boolean') body.peer_audio = peer_audio;
+    if (typeof peer_video === 'boolean') body.peer_video = peer_video;
+    if (typeof filename === 'string') body.filename = filename;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.RECORDING_UPDATED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Stop recording the media session.
+   *
+   * @param {object} params
+   * @param {boolean} [params.audio] - True to stop recording the user audio
+   * @param {boolean} [params.video] - True to stop recording the user video
+   * @param {boolean} [params.peer_audio] - True to stop recording the peer audio
+   * @param {boolean} [params.peer_video] - True to stop recording the peer video
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:nosip-plugin~NOSIP_EVENT_RECORDING_UPDATED>}
+   */
+  async stopRecording({ audio = true, video = true, peer_audio = true, peer_video = true, signal } = {}) {
+    const body = {
+      request: REQUEST_RECORDING,
+      action: ACTION_STOP_REC,
+    };
+    if (typeof audio === 'boolean') body.audio = audio;
+    if (typeof video === 'boolean') body.video = video;
+    if (typeof peer_audio === 'boolean') body.peer_audio = peer_audio;
+    if (typeof peer_video === 'boolean') body.peer_video = peer_video;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.RECORDING_UPDATED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Request a keyframe to the WebRTC user and/or to the legacy peer.
+   *
+   * @param {object} [params]
+   * @param {boolean} [params.user] - True to send a PLI to the WebRTC user
+   * @param {boolean} [params.peer] - True to send a PLI to the legacy peer
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:nosip-plugin~NOSIP_EVENT_KEYFRAME_SENT>}
+   */
+  async keyframe({ user, peer, signal } = {}) {
+    const body = {
+      request: REQUEST_KEYFRAME,
+    };
+    if (typeof user === 'boolean') body.user = user;
+    if (typeof peer === 'boolean') body.peer = peer;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.KEYFRAME_SENT)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+}
+
+/**
+ * The payload of the plugin message (cfr. Janus docs).
+ * {@link https://janus.conf.meetecho.com/docs/nosip.html}
+ *
+ * @private
+ * @typedef {object} NoSipData
+ */
+
+/**
+ * The response event for the generate request.
+ *
+ * @typedef {object} NOSIP_EVENT_GENERATED
+ * @property {"offer"|"answer"} type - The type of the generated SDP
+ * @property {string} sdp - The barebone SDP to send to the legacy peer
+ * @property {boolean} [update] - True if this is a renegotiation
+ */
+
+/**
+ * The response event for the process request.
+ *
+ * @typedef {object} NOSIP_EVENT_PROCESSED
+ * @property {string} [srtp] - "sdes_optional" or "sdes_mandatory" if SRTP has been negotiated
+ * @property {boolean} [update] - True if this is a renegotiation
+ * @property {RTCSessionDescription} [jsep] - The JSEP for the WebRTC user
+ */
+
+/**
+ * The response event for the hangup request.
+ *
+ * @typedef {object} NOSIP_EVENT_HANGINGUP
+ */
+
+/**
+ * The response event for the recording request.
+ *
+ * @typedef {object} NOSIP_EVENT_RECORDING_UPDATED
+ */
+
+/**
+ * The response event for the keyframe request.
+ *
+ * @typedef {object} NOSIP_EVENT_KEYFRAME_SENT
+ */
+
+/**
+ * The exported plugin descriptor.
+ *
+ * @type {object}
+ * @property {string} id - The plugin identifier used when attaching to Janus
+ * @property {module:nosip-plugin~NoSipHandle} Handle - The custom class implementing the plugin
+ * @property {object} EVENT - The events emitted by the plugin
+ * @property {string} EVENT.NOSIP_GENERATED {@link module:nosip-plugin~NOSIP_GENERATED}
+ * @property {string} EVENT.NOSIP_PROCESSED {@link module:nosip-plugin~NOSIP_PROCESSED}
+ * @property {string} EVENT.NOSIP_HANGINGUP {@link module:nosip-plugin~NOSIP_HANGINGUP}
+ * @property {string} EVENT.NOSIP_HANGUP {@link module:nosip-plugin~NOSIP_HANGUP}
+ * @property {string} EVENT.NOSIP_RECORDING_UPDATED {@link module:nosip-plugin~NOSIP_RECORDING_UPDATED}
+ * @property {string} EVENT.NOSIP_ERROR {@link module:nosip-plugin~NOSIP_ERROR}
+ */
+export default {
+  id: PLUGIN_ID,
+  Handle: NoSipHandle,
+  EVENT: {
+    /**
+     * @event module:nosip-plugin~NoSipHandle#event:NOSIP_GENERATED
+     * @type {module:nosip-plugin~NOSIP_EVENT_GENERATED}
+     */
+    NOSIP_GENERATED: PLUGIN_EVENT.GENERATED,
+
+    /**
+     * @event module:nosip-plugin~NoSipHandle#event:NOSIP_PROCESSED
+     * @type {module:nosip-plugin~NOSIP_EVENT_PROCESSED}
+     */
+    NOSIP_PROCESSED: PLUGIN_EVENT.PROCESSED,
+
+    /**
+     * @event module:nosip-plugin~NoSipHandle#event:NOSIP_HANGINGUP
+     * @type {module:nosip-plugin~NOSIP_EVENT_HANGINGUP}
+     */
+    NOSIP_HANGINGUP: PLUGIN_EVENT.HANGINGUP,
+
+    /**
+     * The media session has been closed.
+     *
+     * @event module:nosip-plugin~NoSipHandle#event:NOSIP_HANGUP
+     * @type {object}
+     * @property {string} [reason]
+     */
+    NOSIP_HANGUP: PLUGIN_EVENT.HANGUP,
+
+    /**
+     * @event module:nosip-plugin~NoSipHandle#event:NOSIP_RECORDING_UPDATED
+     * @type {module:nosip-plugin~NOSIP_EVENT_RECORDING_UPDATED}
+     */
+    NOSIP_RECORDING_UPDATED: PLUGIN_EVENT.RECORDING_UPDATED,
+
+    /**
+     * Generic NoSIP error.
+     *
+     * @event module:nosip-plugin~NoSipHandle#event:NOSIP_ERROR
+     * @type {module:errors~PluginError}
+     */
+    NOSIP_ERROR: PLUGIN_EVENT.ERROR,
+  },
+};
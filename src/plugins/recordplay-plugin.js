@@ -0,0 +1,483 @@
+'use strict';
+
+/**
+ * This module contains the implementation of the Record&Play plugin (ref. {@link https://janus.conf.meetecho.com/docs/recordplay.html}).
+ * @module recordplay-plugin
+ */
+
+import Handle from '../handle.js';
+import { JanodeError, PluginError } from '../errors.js';
+
+/* The plugin ID exported in the plugin descriptor */
+const PLUGIN_ID = 'janus.plugin.recordplay';
+
+/* These are the requests defined for the Janus Record&Play API */
+const REQUEST_LIST = 'list';
+const REQUEST_UPDATE = 'update';
+const REQUEST_CONFIGURE = 'configure';
+const REQUEST_RECORD = 'record';
+const REQUEST_PLAY = 'play';
+const REQUEST_START = 'start';
+const REQUEST_STOP = 'stop';
+
+/* These are the events/responses that the Janode plugin will manage */
+/* Some of them will be exported in the plugin descriptor */
+const PLUGIN_EVENT = {
+  LIST: 'recordplay_list',
+  OK: 'recordplay_ok',
+  CONFIGURED: 'recordplay_configured',
+  RECORDING: 'recordplay_recording',
+  PREPARING: 'recordplay_preparing',
+  PLAYING: 'recordplay_playing',
+  STOPPED: 'recordplay_stopped',
+  DONE: 'recordplay_done',
+  SLOWLINK: 'recordplay_slowlink',
+  ERROR: 'recordplay_error',
+};
+
+/**
+ * The error codes returned by the Record&Play plugin, matching the code of a {@link module:errors~PluginError}.
+ *
+ * @type {object}
+ */
+export const ERROR_CODE = {
+  UNKNOWN_ERROR: 499,
+  NO_MESSAGE: 411,
+  INVALID_JSON: 412,
+  INVALID_REQUEST: 413,
+  INVALID_ELEMENT: 414,
+  MISSING_ELEMENT: 415,
+  NOT_FOUND: 416,
+  INVALID_RECORDING: 417,
+  INVALID_STATE: 418,
+  INVALID_SDP: 419,
+  RECORDING_EXISTS: 420,
+};
+
+/**
+ * The class implementing the Record&Play plugin (ref. {@link https://janus.conf.meetecho.com/docs/recordplay.html}).<br>
+ *
+ * It extends the base Janode Handle class and overrides the base "handleMessage" method.<br>
+ *
+ * Moreover it defines some methods to support Record&Play operations.<br>
+ *
+ * @hideconstructor
+ */
+class RecordPlayHandle extends Handle {
+  /**
+   * Create a Janode Record&Play handle.
+   *
+   * @param {module:session~Session} session - A reference to the parent session
+   * @param {number} id - The handle identifier
+   */
+  constructor(session, id) {
+    super(session, id);
+    /**
+     * The identifier of the recording being recorded or played by this handle.
+     *
+     * @type {number}
+     */
+    this.recording_id = null;
+  }
+
+  /**
+   * The custom "handleMessage" needed for handling Record&Play messages.
+   *
+   * @private
+   * @param {object} janus_message
+   * @returns {object} A falsy value for unhandled events, a truthy value for handled events
+   */
+  handleMessage(janus_message) {
+    const { plugindata, jsep, transaction } = janus_message;
+    if (plugindata && plugindata.data && plugindata.data.recordplay) {
+      /**
+       * @type {RecordPlayData}
+       */
+      const message_data = plugindata.data;
+      const { recordplay, event, error, error_code, result } = message_data;
+
+      /* Prepare an object for the output Janode event */
+      const janode_event = {
+        /* The name of the resolved event */
+        event: null,
+        /* The event payload */
+        data: {},
+      };
+
+      /* Add JSEP data if available */
+      if (jsep) janode_event.data.jsep = jsep;
+
+      /* The plugin will emit an event only if the handle does not own the transaction */
+      /* That means that a transaction has already been closed or this is an async event */
+      const emit = (this.ownsTransaction(transaction) === false);
+
+      /* Use the "janode" property to store the output event */
+      janus_message._janode = janode_event;
+
+      switch (recordplay) {
+
+        /* Recordings list */
+        case 'list':
+          janode_event.event = PLUGIN_EVENT.LIST;
+          janode_event.data.list = message_data.list;
+          break;
+
+        /* Ok is a success response (e.g. update) */
+        case 'ok':
+          janode_event.event = PLUGIN_EVENT.OK;
+          break;
+
+        /* Settings updated */
+        case 'configure':
+          janode_event.event = PLUGIN_EVENT.CONFIGURED;
+          janode_event.data.settings = message_data.settings;
+          break;
+
+        /* Generic event (status, error ...) */
+        case 'event':
+          /* Record&Play SlowLink event */
+          if (event === 'slow_link') {
+            janode_event.event = PLUGIN_EVENT.SLOWLINK;
+            janode_event.data.bitrate = message_data['current-bitrate'];
+            break;
+          }
+          /* Record&Play error */
+          if (error) {
+            janode_event.event = PLUGIN_EVENT.ERROR;
+            janode_event.data = new PluginError({ code: error_code, reason: error, plugin: PLUGIN_ID, transaction });
+            /* In case of error, close a transaction */
+            this.closeTransactionWithError(transaction, janode_event.data);
+            break;
+          }
+          /* Status update (recording, preparing, playing ...) */
+          if (result && typeof result.status !== 'undefined') {
+            if (typeof result.id !== 'undefined') this.recording_id = result.id;
+            janode_event.data.id = this.recording_id;
+            if (typeof result.warning !== 'undefined') janode_event.data.warning = result.warning;
+
+            switch (result.status) {
+              case 'recording':
+                janode_event.event = PLUGIN_EVENT.RECORDING;
+                break;
+              case 'preparing':
+                janode_event.event = PLUGIN_EVENT.PREPARING;
+                break;
+              case 'playing':
+                janode_event.event = PLUGIN_EVENT.PLAYING;
+                break;
+              case 'stopped':
+                janode_event.event = PLUGIN_EVENT.STOPPED;
+                break;
+              case 'done':
+                janode_event.event = PLUGIN_EVENT.DONE;
+                break;
+            }
+          }
+          break;
+      }
+
+      /* The event has been handled */
+      if (janode_event.event) {
+        /* Try to close the transaction */
+        this.closeTransactionWithSuccess(transaction, janus_message);
+        /* If the transaction was not owned, emit the event */
+        if (emit) this.emit(janode_event.event, janode_event.data);
+        return janode_event;
+      }
+    }
+
+    /* The event has not been handled, return a falsy value */
+    return null;
+  }
+
+  /**
+   * List the available recordings.
+   *
+   * @param {object} [params]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:recordplay-plugin~RECORDPLAY_EVENT_LIST>}
+   */
+  async list({ signal } = {}) {
+    const body = {
+      request: REQUEST_LIST,
+    };
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.LIST)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Ask Janus to rescan the recordings folder, refreshing the list of the available recordings.
+   *
+   * @param {object} [params]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:recordplay-plugin~RECORDPLAY_EVENT_OK>}
+   */
+  async update({ signal } = {}) {
+    const body = {
+      request: REQUEST_UPDATE,
+    };
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.OK)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Configure the bitrate and the keyframe interval of the recording session.
+   *
+   * @param {object} params
+   * @param {number} [params.bitrate] - The maximum video bitrate to request to the user
+   * @param {number} [params.keyframe_interval] - The interval (in milliseconds) of the keyframe requests
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:recordplay-plugin~RECORDPLAY_EVENT_CONFIGURED>}
+   */
+  async configure({ bitrate, keyframe_interval, signal }) {
+    const body = {
+      request: REQUEST_CONFIGURE,
+    };
+    if (typeof bitrate === 'number') body['video-bitrate-max'] = bitrate;
+    if (typeof keyframe_interval === 'number') body['video-keyframe-interval'] = keyframe_interval;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.CONFIGURED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Start a recording.<br>
+   *
+   * If a bitrate is specified, the session is configured before sending the record request.
+   *
+   * @param {object} params
+   * @param {string} params.name - The name of the recording
+   * @param {RTCSessionDescription} params.jsep - The JSEP offer
+   * @param {number} [params.id] - The identifier of the recording, if missing picked by janus
+   * @param {string} [params.filename] - The base path of the recording files
+   * @param {boolean} [params.is_private] - True to hide the recording from the list
+   * @param {number} [params.bitrate] - The maximum video bitrate to request to the user
+   * @param {string} [params.audiocodec] - The audio codec to force
+   * @param {string} [params.videocodec] - The video codec to force
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:recordplay-plugin~RECORDPLAY_EVENT_STATUS>}
+   */
+  async record({ name, jsep, id, filename, is_private, bitrate, audiocodec, videocodec, signal }) {
+    if (typeof jsep !== 'object' || !jsep || jsep.type !== 'offer') {
+      const error = new JanodeError('jsep must be an offer');
+      return Promise.reject(error);
+    }
+
+    if (typeof bitrate === 'number') await this.configure({ bitrate, signal });
+
+    const body = {
+      request: REQUEST_RECORD,
+      name,
+    };
+    if (typeof id === 'number') body.id = id;
+    if (typeof filename === 'string') body.filename = filename;
+    if (typeof is_private === 'boolean') body.is_private = is_private;
+    if (typeof audiocodec === 'string') body.audiocodec = audiocodec;
+    if (typeof videocodec === 'string') body.videocodec = videocodec;
+
+    const response = await this.message(body, jsep, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.RECORDING)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Prepare the playout of a recording, Janus will send a JSEP offer.
+   *
+   * @param {object} params
+   * @param {number} params.id - The identifier of the recording to play
+   * @param {boolean} [params.restart] - True to trigger an ICE restart
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:recordplay-plugin~RECORDPLAY_EVENT_STATUS>}
+   */
+  async play({ id, restart, signal }) {
+    const body = {
+      request: REQUEST_PLAY,
+      id,
+    };
+    if (typeof restart === 'boolean') body.restart = restart;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.PREPARING)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Start the playout, sending the JSEP answer.
+   *
+   * @param {object} params
+   * @param {RTCSessionDescription} params.jsep - The JSEP answer
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:recordplay-plugin~RECORDPLAY_EVENT_STATUS>}
+   */
+  async start({ jsep, signal }) {
+    if (typeof jsep !== 'object' || !jsep || jsep.type !== 'answer') {
+      const error = new JanodeError('jsep must be an answer');
+      return Promise.reject(error);
+    }
+
+    const body = {
+      request: REQUEST_START,
+    };
+
+    const response = await this.message(body, jsep, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.PLAYING)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Stop the current recording or playout.
+   *
+   * @param {object} [params]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:recordplay-plugin~RECORDPLAY_EVENT_STATUS>}
+   */
+  async stop({ signal } = {}) {
+    const body = {
+      request: REQUEST_STOP,
+    };
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.STOPPED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+}
+
+/**
+ * The payload of the plugin message (cfr. Janus docs).
+ * {@link https://janus.conf.meetecho.com/docs/recordplay.html}
+ *
+ * @private
+ * @typedef {object} RecordPlayData
+ */
+
+/**
+ * The response event for the list request.
+ *
+ * @typedef {object} RECORDPLAY_EVENT_LIST
+ * @property {object[]} list - The list of the recordings as returned by Janus
+ */
+
+/**
+ * The response event for the update request.
+ *
+ * @typedef {object} RECORDPLAY_EVENT_OK
+ */
+
+/**
+ * The response event for the configure request.
+ *
+ * @typedef {object} RECORDPLAY_EVENT_CONFIGURED
+ * @property {object} settings - The current settings of the session
+ */
+
+/**
+ * A recording or playout status update.
+ *
+ * @typedef {object} RECORDPLAY_EVENT_STATUS
+ * @property {number} id - The identifier of the involved recording
+ * @property {string} [warning] - A warning from Janus (e.g. missing tracks)
+ * @property {RTCSessionDescription} [jsep] - The JSEP answer (record) or offer (play)
+ */
+
+/**
+ * The exported plugin descriptor.
+ *
+ * @type {object}
+ * @property {string} id - The plugin identifier used when attaching to Janus
+ * @property {module:recordplay-plugin~RecordPlayHandle} Handle - The custom class implementing the plugin
+ * @property {object} EVENT - The events emitted by the plugin
+ * @property {string} EVENT.RECORDPLAY_RECORDING {@link module:recordplay-plugin~RECORDPLAY_RECORDING}
+ * @property {string} EVENT.RECORDPLAY_PREPARING {@link module:recordplay-plugin~RECORDPLAY_PREPARING}
+ * @property {string} EVENT.RECORDPLAY_PLAYING {@link module:recordplay-plugin~RECORDPLAY_PLAYING}
+ * @property {string} EVENT.RECORDPLAY_STOPPED {@link module:recordplay-plugin~RECORDPLAY_STOPPED}
+ * @property {string} EVENT.RECORDPLAY_DONE {@link module:recordplay-plugin~RECORDPLAY_DONE}
+ * @property {string} EVENT.RECORDPLAY_SLOWLINK {@link module:recordplay-plugin~RECORDPLAY_SLOWLINK}
+ * @property {string} EVENT.RECORDPLAY_ERROR {@link module:recordplay-plugin~RECORDPLAY_ERROR}
+ */
+export default {
+  id: PLUGIN_ID,
+  Handle: RecordPlayHandle,
+  EVENT: {
+    /**
+     * The recording started.
+     *
+     * @event module:recordplay-plugin~RecordPlayHandle#event:RECORDPLAY_RECORDING
+     * @type {module:recordplay-plugin~RECORDPLAY_EVENT_STATUS}
+     */
+    RECORDPLAY_RECORDING: PLUGIN_EVENT.RECORDING,
+
+    /**
+     * The playout is being prepared.
+     *
+     * @event module:recordplay-plugin~RecordPlayHandle#event:RECORDPLAY_PREPARING
+     * @type {module:recordplay-plugin~RECORDPLAY_EVENT_STATUS}
+     */
+    RECORDPLAY_PREPARING: PLUGIN_EVENT.PREPARING,
+
+    /**
+     * The playout started.
+     *
+     * @event module:recordplay-plugin~RecordPlayHandle#event:RECORDPLAY_PLAYING
+     * @type {module:recordplay-plugin~RECORDPLAY_EVENT_STATUS}
+     */
+    RECORDPLAY_PLAYING: PLUGIN_EVENT.PLAYING,
+
+    /**
+     * The recording or the playout has been stopped.
+     *
+     * @event module:recordplay-plugin~RecordPlayHandle#event:RECORDPLAY_STOPPED
+     * @type {module:recordplay-plugin~RECORDPLAY_EVENT_STATUS}
+     */
+    RECORDPLAY_STOPPED: PLUGIN_EVENT.STOPPED,
+
+    /**
+     * The playout reached the end of the recording.
+     *
+     * @event module:recordplay-plugin~RecordPlayHandle#event:RECORDPLAY_DONE
+     * @type {module:recordplay-plugin~RECORDPLAY_EVENT_STATUS}
+     */
+    RECORDPLAY_DONE: PLUGIN_EVENT.DONE,
+
+    /**
+     * @event module:recordplay-plugin~RecordPlayHandle#event:RECORDPLAY_SLOWLINK
+     * @type {object}
+     * @property {number} bitrate
+     */
+    RECORDPLAY_SLOWLINK: PLUGIN_EVENT.SLOWLINK,
+
+    /**
+     * Generic Record&Play error.
+     *
+     * @event module:recordplay-plugin~RecordPlayHandle#event:RECORDPLAY_ERROR
+     * @type {module:errors~PluginError}
+     */
+    RECORDPLAY_ERROR: PLUGIN_EVENT.ERROR,
+  },
+};
@@ -0,0 +1,249 @@
+'use strict';
+
+/**
+ * This module contains a configurable handle for the plugins written in Lua (ref. {@link https://janus.conf.meetecho.com/docs/lua.html})
+ * and JavaScript (ref. {@link https://janus.conf.meetecho.com/docs/duktape.html}).<br>
+ *
+ * Scripted plugins have arbitrary request and response formats, so instead of exporting a descriptor this module exports
+ * a factory that builds one from a declaration of the plugin API.
+ * @module scripted-plugin
+ */
+
+import Handle from '../handle.js';
+import { JanodeError, PluginError } from '../errors.js';
+
+/* Default error detection, following the format used by the Janus native plugins */
+const DEFAULT_IS_ERROR = data => typeof data.error !== 'undefined';
+const DEFAULT_GET_ERROR = data => `${data.error}`;
+const DEFAULT_GET_ERROR_CODE = data => data.error_code;
+/* By default every payload that is not an error is a success */
+const DEFAULT_IS_SUCCESS = _ => true;
+
+/* Turn a request name (e.g. "list_rooms") into a method name (e.g. "listRooms") */
+const toMethodName = request => request.replace(/[-_\s]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''));
+
+/**
+ * The base class of the handles built by {@link module:scripted-plugin~createScriptedPlugin}.<br>
+ *
+ * It extends the base Janode Handle class and overrides the base "handleMessage" method, resolving the payloads
+ * sent by the plugin according to the declared API.<br>
+ *
+ * @hideconstructor
+ */
+class ScriptedPluginHandle extends Handle {
+  /**
+   * Create a Janode scripted plugin handle.
+   *
+   * @param {module:session~Session} session - A reference to the parent session
+   * @param {number} id - The handle identifier
+   */
+  constructor(session, id) {
+    super(session, id);
+  }
+
+  /**
+   * The custom "handleMessage" needed for handling the scripted plugin messages.
+   *
+   * @private
+   * @param {object} janus_message
+   * @returns {object} A falsy value for unhandled events, a truthy value for handled events
+   */
+  handleMessage(janus_message) {
+    const { plugindata, jsep, transaction } = janus_message;
+    const { id, PLUGIN_EVENT, isError, getError, getErrorCode, isSuccess, events } = this.constructor._scripted;
+    if (plugindata && plugindata.data && typeof plugindata.data === 'object') {
+      const message_data = plugindata.data;
+
+      /* Prepare an object for the output Janode event */
+      const janode_event = {
+        /* The name of the resolved event */
+        event: null,
+        /* The event payload */
+        data: {},
+      };
+
+      /* The plugin will emit an event only if the handle does not own the transaction */
+      /* That means that a transaction has already been closed or this is an async event */
+      const emit = (this.ownsTransaction(transaction) === false);
+
+      /* Use the "janode" property to store the output event */
+      janus_message._janode = janode_event;
+
+      /* The callbacks are supplied by the user, a failure is notified as an error of the handle */
+      let error = null;
+      try {
+        /* Plugin error */
+        if (isError(message_data)) {
+          error = new PluginError({ code: getErrorCode(message_data), reason: getError(message_data), plugin: id, transaction });
+        }
+        else {
+          /* Declared events */
+          const declared = events.find(({ match }) => match(message_data));
+          if (declared) {
+            janode_event.event = declared.event;
+            janode_event.data = declared.data(message_data);
+          }
+          /* Generic success */
+          else if (isSuccess(message_data)) {
+            janode_event.event = PLUGIN_EVENT.SUCCESS;
+            janode_event.data = { ...message_data };
+          }
+          /* Add JSEP data if available */
+          if (janode_event.event && jsep) janode_event.data.jsep = jsep;
+        }
+      } catch (callback_error) {
+        error = new JanodeError(`unable to handle the plugin message (${callback_error.message})`, { plugin: id, transaction, cause: callback_error });
+      }
+
+      if (error) {
+        janode_event.event = PLUGIN_EVENT.ERROR;
+        janode_event.data = error;
+        /* In case of error, close a transaction */
+        this.closeTransactionWithError(transaction, error);
+      }
+
+      /* The event has been handled */
+      if (janode_event.event) {
+        /* Try to close the transaction */
+        this.closeTransactionWithSuccess(transaction, janus_message);
+        /* If the transaction was not owned, emit the event */
+        if (emit) this.emit(janode_event.event, janode_event.data);
+        return janode_event;
+      }
+    }
+
+    /* The event has not been handled, return a falsy value */
+    return null;
+  }
+
+  /**
+   * Send a request to the scripted plugin.<br>
+   *
+   * The declared requests are also exposed as methods of the handle (e.g. "list_rooms" becomes "listRooms").
+   *
+   * @param {string} request - The name of the request
+   * @param {object} [params] - The other fields of the request body
+   * @param {object} [options]
+   * @param {RTCSessionDescription} [options.jsep] - The JSEP to send along with the request
+   * @param {AbortSignal} [options.signal] - A signal to cancel the request
+   * @returns {Promise<object>} The payload of the event resolving the request
+   */
+  async request(request, params = {}, { jsep = null, signal } = {}) {
+    const { PLUGIN_EVENT, request_key } = this.constructor._scripted;
+    const body = {
+      ...params,
+      [request_key]: request,
+    };
+
+    const response = await this.message(body, jsep, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event && event !== PLUGIN_EVENT.ERROR)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${request} request`, { plugin: this.constructor._scripted.id, request });
+    throw (error);
+  }
+}
+
+/**
+ * The declaration of an async event of a scripted plugin.
+ *
+ * @typedef {object} ScriptedEvent
+ * @property {function} match - A function receiving the plugin payload and returning true if the payload is this event
+ * @property {function} [data] - A function receiving the plugin payload and returning the Janode event payload (a copy of the plugin payload by default)
+ */
+
+/**
+ * Build a plugin descriptor for a Lua or Duktape plugin, usable with session.attach.
+ *
+ * @param {object} params
+ * @param {string} params.id - The plugin identifier used when attaching to Janus (e.g. janus.plugin.lua)
+ * @param {string} [params.name] - The prefix of the emitted event names, the last part of the id by default (e.g. "lua")
+ * @param {string[]|object} [params.requests] - The requests accepted by the plugin, either a list of request names or a map of method names to request names
+ * @param {string} [params.request_key="request"] - The body field carrying the request name
+ * @param {function} [params.isError] - A function receiving the plugin payload and returning true for errors (payloads with an "error" field by default)
+ * @param {function} [params.getError] - A function receiving an error payload and returning the error reason (the "error" field by default)
+ * @param {function} [params.getErrorCode] - A function receiving an error payload and returning the numeric error code (the "error_code" field by default)
+ * @param {function} [params.isSuccess] - A function receiving the plugin payload and returning true for generic successful responses (every non-error payload by default)
+ * @param {Object<string, function|module:scripted-plugin~ScriptedEvent>} [params.events] - The async events of the plugin, indexed by the name exported in the descriptor EVENT property
+ * @returns {object} The plugin descriptor ({ id, Handle, EVENT }), EVENT always includes SUCCESS and ERROR.
+ * A callback throwing while handling a payload turns it into an ERROR event carrying a JanodeError.
+ *
+ * @example
+ *
+ * import createScriptedPlugin from 'janode/plugins/scripted';
+ *
+ * const LuaEcho = createScriptedPlugin({
+ *   id: 'janus.plugin.lua',
+ *   name: 'luaecho',
+ *   requests: ['configure', 'list_rooms'],
+ *   isSuccess: data => data.result === 'ok',
+ *   events: {
+ *     JOINED: data => data.event === 'joined',
+ *     KICKED: { match: data => data.event === 'kicked', data: ({ reason }) => ({ reason }) },
+ *   },
+ * });
+ *
+ * const handle = await session.attach(LuaEcho);
+ * handle.on(LuaEcho.EVENT.JOINED, ({ room }) => console.log(room));
+ * const { jsep } = await handle.configure({ audio: true, jsep: offer });
+ */
+export const createScriptedPlugin = ({ id, name, requests = [], request_key = 'request', isError, getError, getErrorCode, isSuccess, events = {} }) => {
+  if (typeof id !== 'string' || id.length === 0) {
+    const error = new JanodeError('missing plugin id');
+    throw error;
+  }
+  const prefix = (typeof name === 'string' && name.length > 0) ? name : id.split('.').pop();
+
+  /* The events that the handle will manage */
+  const PLUGIN_EVENT = {
+    SUCCESS: `${prefix}_success`,
+    ERROR: `${prefix}_error`,
+  };
+  const declared_events = Object.entries(events).map(([key, declaration]) => {
+    const { match, data = message_data => ({ ...message_data }) } = (typeof declaration === 'function') ? { match: declaration } : (declaration || {});
+    if (key === 'SUCCESS' || key === 'ERROR') {
+      const error = new JanodeError(`event name ${key} is reserved`);
+      throw error;
+    }
+    if (typeof match !== 'function') {
+      const error = new JanodeError(`missing match function for event ${key}`);
+      throw error;
+    }
+    PLUGIN_EVENT[key] = `${prefix}_${key.toLowerCase()}`;
+    return { event: PLUGIN_EVENT[key], match, data };
+  });
+
+  class CustomScriptedPluginHandle extends ScriptedPluginHandle { }
+  CustomScriptedPluginHandle._scripted = {
+    id,
+    PLUGIN_EVENT,
+    request_key,
+    isError: (typeof isError === 'function') ? isError : DEFAULT_IS_ERROR,
+    getError: (typeof getError === 'function') ? getError : DEFAULT_GET_ERROR,
+    getErrorCode: (typeof getErrorCode === 'function') ? getErrorCode : DEFAULT_GET_ERROR_CODE,
+    isSuccess: (typeof isSuccess === 'function') ? isSuccess : DEFAULT_IS_SUCCESS,
+    events: declared_events,
+  };
+
+  /* Expose a method for every declared request */
+  const methods = Array.isArray(requests) ? requests.map(request => [toMethodName(request), request]) : Object.entries(requests);
+  for (const [method, request] of methods) {
+    if (method in ScriptedPluginHandle.prototype) {
+      const error = new JanodeError(`request method "${method}" conflicts with the handle API`);
+      throw error;
+    }
+    CustomScriptedPluginHandle.prototype[method] = function ({ jsep, signal, ...params } = {}) {
+      return this.request(request, params, { jsep, signal });
+    };
+  }
+
+  return {
+    id,
+    Handle: CustomScriptedPluginHandle,
+    EVENT: { ...PLUGIN_EVENT },
+  };
+};
+
+export { ScriptedPluginHandle };
+
+export default createScriptedPlugin;
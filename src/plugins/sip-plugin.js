@@ -0,0 +1,1254 @@
+'use strict';
+
+/**
+ * This module contains the implementation of the SIP plugin (ref. {@link https://janus.conf.meetecho.com/docs/sip.html}).
+ * @module sip-plugin
+ */
+
+import Handle from '../handle.js';
+import { JanodeError, PluginError } from '../errors.js';
+
+/* The plugin ID exported in the plugin descriptor */
+const PLUGIN_ID = 'janus.plugin.sip';
+
+/* These are the requests defined for the Janus SIP API */
+const REQUEST_REGISTER = 'register';
+const REQUEST_UNREGISTER = 'unregister';
+const REQUEST_CALL = 'call';
+const REQUEST_ACCEPT = 'accept';
+const REQUEST_DECLINE = 'decline';
+const REQUEST_PROGRESS = 'progress';
+const REQUEST_UPDATE = 'update';
+const REQUEST_HOLD = 'hold';
+const REQUEST_UNHOLD = 'unhold';
+const REQUEST_HANGUP = 'hangup';
+const REQUEST_DTMF_INFO = 'dtmf_info';
+const REQUEST_INFO = 'info';
+const REQUEST_MESSAGE = 'message';
+const REQUEST_TRANSFER = 'transfer';
+const REQUEST_RECORDING = 'recording';
+/* Registration types */
+const REGISTER_TYPE_GUEST = 'guest';
+const REGISTER_TYPE_HELPER = 'helper';
+/* Recording actions */
+const ACTION_START_REC = 'start';
+const ACTION_STOP_REC = 'stop';
+
+/* These are the events/responses that the Janode plugin will manage */
+/* Some of them will be exported in the plugin descriptor */
+const PLUGIN_EVENT = {
+  REGISTERING: 'sip_registering',
+  REGISTERED: 'sip_registered',
+  REGISTRATION_FAILED: 'sip_registration_failed',
+  UNREGISTERING: 'sip_unregistering',
+  UNREGISTERED: 'sip_unregistered',
+  CALLING: 'sip_calling',
+  INCOMING_CALL: 'sip_incomingcall',
+  MISSED_CALL: 'sip_missed_call',
+  RINGING: 'sip_ringing',
+  PROCEEDING: 'sip_proceeding',
+  PROGRESS: 'sip_progress',
+  PROGRESSING: 'sip_progressing',
+  ACCEPTING: 'sip_accepting',
+  ACCEPTED: 'sip_accepted',
+  DECLINING: 'sip_declining',
+  UPDATING: 'sip_updating',
+  UPDATING_CALL: 'sip_updatingcall',
+  HOLDING: 'sip_holding',
+  RESUMING: 'sip_resuming',
+  HANGINGUP: 'sip_hangingup',
+  HANGUP: 'sip_hangup',
+  DTMF_SENT: 'sip_dtmfsent',
+  INFO: 'sip_info',
+  INFO_SENT: 'sip_infosent',
+  MESSAGE: 'sip_message',
+  MESSAGE_SENT: 'sip_messagesent',
+  MESSAGE_DELIVERY: 'sip_messagedelivery',
+  TRANSFER: 'sip_transfer',
+  TRANSFERRING: 'sip_transferring',
+  RECORDING_UPDATED: 'sip_recordingupdated',
+  ERROR: 'sip_error',
+};
+
+/**
+ * The error codes returned by the SIP plugin, matching the code of a {@link module:errors~PluginError}.
+ *
+ * @type {object}
+ */
+export const ERROR_CODE = {
+  UNKNOWN_ERROR: 499,
+  NO_MESSAGE: 440,
+  INVALID_JSON: 441,
+  INVALID_REQUEST: 442,
+  MISSING_ELEMENT: 443,
+  INVALID_ELEMENT: 444,
+  ALREADY_REGISTERED: 445,
+  INVALID_ADDRESS: 446,
+  WRONG_STATE: 447,
+  MISSING_SDP: 448,
+  LIBSOFIA_ERROR: 449,
+  IO_ERROR: 450,
+  RECORDING_ERROR: 451,
+  TOO_STRICT: 452,
+  HELPER_ERROR: 453,
+  NO_SUCH_CALLID: 454,
+};
+
+/**
+ * The class implementing the SIP plugin (ref. {@link https://janus.conf.meetecho.com/docs/sip.html}).<br>
+ *
+ * It extends the base Janode Handle class and overrides the base "handleMessage" method.<br>
+ *
+ * Moreover it defines many methods to support SIP operations.<br>
+ *
+ * @hideconstructor
+ */
+class SipHandle extends Handle {
+  /**
+   * Create a Janode SIP handle.
+   *
+   * @param {module:session~Session} session - A reference to the parent session
+   * @param {number} id - The handle identifier
+   */
+  constructor(session, id) {
+    super(session, id);
+    /**
+     * The identifier of the current call (outgoing or incoming), if any.
+     *
+     * @type {string}
+     */
+    this.call_id = null;
+  }
+
+  /**
+   * The custom "handleMessage" needed for handling SIP messages.
+   *
+   * @private
+   * @param {object} janus_message
+   * @returns {object} A falsy value for unhandled events, a truthy value for handled events
+   */
+  handleMessage(janus_message) {
+    const { plugindata, jsep, transaction } = janus_message;
+    if (plugindata && plugindata.data && plugindata.data.sip) {
+      /**
+       * @type {SipData}
+       */
+      const message_data = plugindata.data;
+      const { sip, error, error_code, call_id, result } = message_data;
+
+      /* Prepare an object for the output Janode event */
+      const janode_event = {
+        /* The name of the resolved event */
+        event: null,
+        /* The event payload */
+        data: {},
+      };
+
+      /* Add JSEP data if available */
+      if (jsep) janode_event.data.jsep = jsep;
+      /* Add the call identifier if available */
+      if (call_id) janode_event.data.call_id = call_id;
+
+      /* The plugin will emit an event only if the handle does not own the transaction */
+      /* That means that a transaction has already been closed or this is an async event */
+      const emit = (this.ownsTransaction(transaction) === false);
+
+      /* Use the "janode" property to store the output event */
+      janus_message._janode = janode_event;
+
+      switch (sip) {
+
+        /* Generic event (error, result ...) */
+        case 'event':
+          /* SIP error */
+          if (error) {
+            janode_event.event = PLUGIN_EVENT.ERROR;
+            janode_event.data = new PluginError({ code: error_code, reason: error, plugin: PLUGIN_ID, transaction });
+            /* In case of error, close a transaction */
+            this.closeTransactionWithError(transaction, janode_event.data);
+            break;
+          }
+          /* Result event (registered, calling, accepted ...) */
+          if (result && typeof result.event !== 'undefined') {
+            switch (result.event) {
+              /* Registration in progress */
+              case 'registering':
+                janode_event.event = PLUGIN_EVENT.REGISTERING;
+                break;
+              /* Successful registration (guest, helper or REGISTER sent) */
+              case 'registered':
+                janode_event.event = PLUGIN_EVENT.REGISTERED;
+                janode_event.data.username = result.username;
+                janode_event.data.register_sent = result.register_sent;
+                if (typeof result.helper === 'boolean') janode_event.data.helper = result.helper;
+                if (typeof result.master_id !== 'undefined') janode_event.data.master_id = result.master_id;
+                break;
+              /* Registration failed */
+              case 'registration_failed':
+                janode_event.event = PLUGIN_EVENT.REGISTRATION_FAILED;
+                janode_event.data.code = result.code;
+                janode_event.data.reason = result.reason;
+                break;
+              /* Unregistration in progress */
+              case 'unregistering':
+                janode_event.event = PLUGIN_EVENT.UNREGISTERING;
+                break;
+              /* Successful unregistration */
+              case 'unregistered':
+                janode_event.event = PLUGIN_EVENT.UNREGISTERED;
+                janode_event.data.username = result.username;
+                break;
+              /* Outgoing call sent */
+              case 'calling':
+                janode_event.event = PLUGIN_EVENT.CALLING;
+                if (call_id) this.call_id = call_id;
+                break;
+              /* Incoming call */
+              case 'incomingcall':
+                janode_event.event = PLUGIN_EVENT.INCOMING_CALL;
+                janode_event.data.username = result.username;
+                janode_event.data.displayname = result.displayname;
+                janode_event.data.callee = result.callee;
+                if (typeof result.referred_by !== 'undefined') janode_event.data.referred_by = result.referred_by;
+                if (typeof result.replaces !== 'undefined') janode_event.data.replaces = result.replaces;
+                if (typeof result.srtp !== 'undefined') janode_event.data.srtp = result.srtp;
+                if (result.headers) janode_event.data.headers = result.headers;
+                if (call_id) this.call_id = call_id;
+                break;
+              /* Incoming call missed (e.g. busy with another call) */
+              case 'missed_call':
+                janode_event.event = PLUGIN_EVENT.MISSED_CALL;
+                janode_event.data.caller = result.caller;
+                janode_event.data.displayname = result.displayname;
+                janode_event.data.callee = result.callee;
+                break;
+              /* 180 Ringing */
+              case 'ringing':
+                janode_event.event = PLUGIN_EVENT.RINGING;
+                if (result.headers) janode_event.data.headers = result.headers;
+                break;
+              /* 1xx Proceeding */
+              case 'proceeding':
+                janode_event.event = PLUGIN_EVENT.PROCEEDING;
+                janode_event.data.code = result.code;
+                if (result.headers) janode_event.data.headers = result.headers;
+                break;
+              /* 183 Session Progress (early media) */
+              case 'progress':
+                janode_event.event = PLUGIN_EVENT.PROGRESS;
+                janode_event.data.username = result.username;
+                if (result.headers) janode_event.data.headers = result.headers;
+                break;
+              /* Progress sent for an incoming call */
+              case 'progressing':
+                janode_event.event = PLUGIN_EVENT.PROGRESSING;
+                break;
+              /* Call accept in progress */
+              case 'accepting':
+                janode_event.event = PLUGIN_EVENT.ACCEPTING;
+                break;
+              /* Call established */
+              case 'accepted':
+                janode_event.event = PLUGIN_EVENT.ACCEPTED;
+                janode_event.data.username = result.username;
+                if (result.headers) janode_event.data.headers = result.headers;
+                break;
+              /* Incoming call declined */
+              case 'declining':
+                janode_event.event = PLUGIN_EVENT.DECLINING;
+                janode_event.data.code = result.code;
+                break;
+              /* Session update (re-INVITE) sent */
+              case 'updating':
+                janode_event.event = PLUGIN_EVENT.UPDATING;
+                break;
+              /* Session update (re-INVITE) received */
+              case 'updatingcall':
+                janode_event.event = PLUGIN_EVENT.UPDATING_CALL;
+                break;
+              /* Call put on hold */
+              case 'holding':
+                janode_event.event = PLUGIN_EVENT.HOLDING;
+                if (typeof result.direction !== 'undefined') janode_event.data.direction = result.direction;
+                break;
+              /* Call resumed */
+              case 'resuming':
+                janode_event.event = PLUGIN_EVENT.RESUMING;
+                break;
+              /* Hangup in progress */
+              case 'hangingup':
+                janode_event.event = PLUGIN_EVENT.HANGINGUP;
+                break;
+              /* Call ended */
+              case 'hangup':
+                janode_event.event = PLUGIN_EVENT.HANGUP;
+                janode_event.data.code = result.code;
+                janode_event.data.reason = result.reason;
+                if (typeof result.reason_header !== 'undefined') janode_event.data.reason_header = result.reason_header;
+                if (typeof result.reason_header_protocol !== 'undefined') janode_event.data.reason_header_protocol = result.reason_header_protocol;
+                if (typeof result.reason_header_cause !== 'undefined') janode_event.data.reason_header_cause = result.reason_header_cause;
+                if (!call_id || call_id === this.call_id) this.call_id = null;
+                break;
+              /* DTMF sent via SIP INFO */
+              case 'dtmfsent':
+                janode_event.event = PLUGIN_EVENT.DTMF_SENT;
+                break;
+              /* SIP INFO received */
+              case 'info':
+                janode_event.event = PLUGIN_EVENT.INFO;
+                janode_event.data.sender = result.sender;
+                janode_event.data.displayname = result.displayname;
+                janode_event.data.type = result.type;
+                janode_event.data.content = result.content;
+                if (result.headers) janode_event.data.headers = result.headers;
+                break;
+              /* SIP INFO sent */
+              case 'infosent':
+                janode_event.event = PLUGIN_EVENT.INFO_SENT;
+                break;
+              /* SIP MESSAGE received */
+              case 'message':
+                janode_event.event = PLUGIN_EVENT.MESSAGE;
+                janode_event.data.sender = result.sender;
+                janode_event.data.displayname = result.displayname;
+                janode_event.data.content_type = result.content_type;
+                janode_event.data.content = result.content;
+                if (result.headers) janode_event.data.headers = result.headers;
+                break;
+              /* SIP MESSAGE sent */
+              case 'messagesent':
+                janode_event.event = PLUGIN_EVENT.MESSAGE_SENT;
+                break;
+              /* Delivery report of a SIP MESSAGE */
+              case 'messagedelivery':
+                janode_event.event = PLUGIN_EVENT.MESSAGE_DELIVERY;
+                janode_event.data.code = result.code;
+                janode_event.data.reason = result.reason;
+                break;
+              /* Transfer request (REFER) received */
+              case 'transfer':
+                janode_event.event = PLUGIN_EVENT.TRANSFER;
+                janode_event.data.refer_id = result.refer_id;
+                janode_event.data.refer_to = result.refer_to;
+                if (typeof result.referred_by !== 'undefined') janode_event.data.referred_by = result.referred_by;
+                if (typeof result.replaces !== 'undefined') janode_event.data.replaces = result.replaces;
+                if (result.headers) janode_event.data.headers = result.headers;
+                break;
+              /* Transfer request (REFER) sent */
+              case 'transferring':
+                janode_event.event = PLUGIN_EVENT.TRANSFERRING;
+                break;
+              /* Recording status updated */
+              case 'recordingupdated':
+                janode_event.event = PLUGIN_EVENT.RECORDING_UPDATED;
+                break;
+            }
+          }
+          break;
+      }
+
+      /* The event has been handled */
+      if (janode_event.event) {
+        /* Try to close the transaction */
+        this.closeTransactionWithSuccess(transaction, janus_message);
+        /* If the transaction was not owned, emit the event */
+        if (emit) this.emit(janode_event.event, janode_event.data);
+        return janode_event;
+      }
+    }
+
+    /* The event has not been handled, return a falsy value */
+    return null;
+  }
+
+  /*----------*/
+  /* USER API */
+  /*----------*/
+
+  /* These are the APIs that users need to work with the sip plugin */
+
+  /**
+   * Register to a SIP server.<br>
+   *
+   * Guest registrations do not send any REGISTER and resolve with a "registered" event.
+   * Helper registrations bind this handle to a master handle (master_id) in order to support multiple concurrent calls.
+   * Regular registrations resolve on the "registering" event, the outcome will be notified by a
+   * SIP_REGISTERED or SIP_REGISTRATION_FAILED event.
+   *
+   * @param {object} params
+   * @param {string} [params.username] - The SIP URI to register (e.g. sip:alice@example.com)
+   * @param {string} [params.type] - "guest" or "helper", omit for a regular registration
+   * @param {number|string} [params.master_id] - The handle id of the master registration (helper registrations)
+   * @param {string} [params.secret] - The password to use for authentication
+   * @param {string} [params.ha1_secret] - The prehashed password to use for authentication
+   * @param {string} [params.authuser] - The username to use for authentication, if different from the SIP URI user
+   * @param {string} [params.display_name] - The display name to use when sending SIP requests
+   * @param {string} [params.user_agent] - The User-Agent header to use
+   * @param {string} [params.proxy] - The server to register at (e.g. sip:proxy.example.com)
+   * @param {string} [params.outbound_proxy] - The outbound proxy to use, if any
+   * @param {object} [params.headers] - Custom headers to add to the REGISTER
+   * @param {object} [params.contact_params] - Custom params to add to the Contact header
+   * @param {string[]} [params.incoming_header_prefixes] - The prefixes of the custom headers of incoming requests that must be notified
+   * @param {boolean} [params.send_register] - False to skip the REGISTER (the account will be only used for outgoing calls)
+   * @param {boolean} [params.force_udp] - True to force UDP for the SIP messaging
+   * @param {boolean} [params.force_tcp] - True to force TCP for the SIP messaging
+   * @param {boolean} [params.sips] - True to use sips: URIs
+   * @param {boolean} [params.rfc2543_cancel] - True to send a CANCEL for calls not answered yet (RFC 2543)
+   * @param {boolean} [params.refresh] - True to refresh an existing registration
+   * @param {number} [params.register_ttl] - The expiry of the registration, in seconds
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:sip-plugin~SIP_EVENT_REGISTERING|module:sip-plugin~SIP_EVENT_REGISTERED>}
+   */
+  async register({ username, type, master_id, secret, ha1_secret, authuser, display_name, user_agent, proxy, outbound_proxy, headers, contact_params,
+    incoming_header_prefixes, send_register, force_udp, force_tcp, sips, rfc2543_cancel, refresh, register_ttl, signal }) {
+    if (type === REGISTER_TYPE_HELPER && typeof master_id === 'undefined') {
+      const error = new JanodeError('helper registrations need a master_id');
+      return Promise.reject(error);
+    }
+
+    const body = {
+      request: REQUEST_REGISTER,
+    };
+    if (typeof username === 'string') body.username = username;
+    if (type === REGISTER_TYPE_GUEST || type === REGISTER_TYPE_HELPER) body.type = type;
+    if (typeof master_id !== 'undefined') body.master_id = master_id;
+    if (typeof secret === 'string') body.secret = secret;
+    if (typeof ha1_secret === 'string') body.ha1_secret = ha1_secret;
+    if (typeof authuser === 'string') body.authuser = authuser;
+    if (typeof display_name === 'string') body.display_name = display_name;
+    if (typeof user_agent === 'string') body.user_agent = user_agent;
+    if (typeof proxy === 'string') body.proxy = proxy;
+    if (typeof outbound_proxy === 'string') body.outbound_proxy = outbound_proxy;
+    if (typeof headers === 'object' && headers) body.headers = headers;
+    if (typeof contact_params === 'object' && contact_params) body.contact_params = contact_params;
+    if (Array.isArray(incoming_header_prefixes)) body.incoming_header_prefixes = incoming_header_prefixes;
+    if (typeof send_register === 'boolean') body.send_register = send_register;
+    if (typeof force_udp === 'boolean') body.force_udp = force_udp;
+    if (typeof force_tcp === 'boolean') body.force_tcp = force_tcp;
+    if (typeof sips === 'boolean') body.sips = sips;
+    if (typeof rfc2543_cancel === 'boolean') body.rfc2543_cancel = rfc2543_cancel;
+    if (typeof refresh === 'boolean') body.refresh = refresh;
+    if (typeof register_ttl === 'number') body.register_ttl = register_ttl;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.REGISTERING || event === PLUGIN_EVENT.REGISTERED)
+      return evtdata;
+    if (event === PLUGIN_EVENT.REGISTRATION_FAILED) {
+      const error = new PluginError({ code: evtdata.code, reason: evtdata.reason, plugin: PLUGIN_ID, request: body.request });
+      throw (error);
+    }
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Unregister from the SIP server.
+   *
+   * @param {object} [params]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:sip-plugin~SIP_EVENT_UNREGISTERING>}
+   */
+  async unregister({ signal } = {}) {
+    const body = {
+      request: REQUEST_UNREGISTER,
+    };
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.UNREGISTERING || event === PLUGIN_EVENT.UNREGISTERED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Start an outgoing call.
+   *
+   * @param {object} params
+   * @param {string} params.uri - The SIP URI to call
+   * @param {RTCSessionDescription} [params.jsep] - The JSEP offer, omit for an offerless INVITE
+   * @param {string} [params.call_id] - The Call-ID to use, a random one if missing
+   * @param {string} [params.refer_id] - The identifier of the transfer request this call is a result of
+   * @param {object} [params.headers] - Custom headers to add to the INVITE
+   * @param {string} [params.srtp] - "sdes_optional" or "sdes_mandatory" to offer SRTP
+   * @param {string} [params.srtp_profile] - The SRTP profile to negotiate
+   * @param {boolean} [params.autoaccept_reinvites] - False to notify incoming re-INVITEs instead of accepting them
+   * @param {string} [params.secret] - The password to use for authentication (guest registrations)
+   * @param {string} [params.ha1_secret] - The prehashed password to use for authentication (guest registrations)
+   * @param {string} [params.authuser] - The username to use for authentication (guest registrations)
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:sip-plugin~SIP_EVENT_CALLING>}
+   */
+  async call({ uri, jsep, call_id, refer_id, headers, srtp, srtp_profile, autoaccept_reinvites, secret, ha1_secret, authuser, signal }) {
+    if (typeof jsep === 'object' && jsep && jsep.type !== 'offer') {
+      const error = new JanodeError('jsep must be an offer');
+      return Promise.reject(error);
+    }
+
+    const body = {
+      request: REQUEST_CALL,
+      uri,
+    };
+    if (typeof call_id === 'string') body.call_id = call_id;
+    if (typeof refer_id !== 'undefined') body.refer_id = refer_id;
+    if (typeof headers === 'object' && headers) body.headers = headers;
+    if (typeof srtp === 'string') body.srtp = srtp;
+    if (typeof srtp_profile === 'string') body.srtp_profile = srtp_profile;
+    if (typeof autoaccept_reinvites === 'boolean') body.autoaccept_reinvites = autoaccept_reinvites;
+    if (typeof secret === 'string') body.secret = secret;
+    if (typeof ha1_secret === 'string') body.ha1_secret = ha1_secret;
+    if (typeof authuser === 'string') body.authuser = authuser;
+
+    const response = await this.message(body, jsep || null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.CALLING)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Accept an incoming call.
+   *
+   * @param {object} params
+   * @param {RTCSessionDescription} params.jsep - The JSEP answer (or offer, for offerless incoming calls)
+   * @param {string} [params.srtp] - "sdes_optional" or "sdes_mandatory" to accept SRTP
+   * @param {object} [params.headers] - Custom headers to add to the 200 OK
+   * @param {boolean} [params.autoaccept_reinvites] - False to notify incoming re-INVITEs instead of accepting them
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:sip-plugin~SIP_EVENT_ACCEPTED>}
+   */
+  async accept({ jsep, srtp, headers, autoaccept_reinvites, signal }) {
+    const body = {
+      request: REQUEST_ACCEPT,
+    };
+    if (typeof srtp === 'string') body.srtp = srtp;
+    if (typeof headers === 'object' && headers) body.headers = headers;
+    if (typeof autoaccept_reinvites === 'boolean') body.autoaccept_reinvites = autoaccept_reinvites;
+
+    const response = await this.message(body, jsep, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.ACCEPTING || event === PLUGIN_EVENT.ACCEPTED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Decline an incoming call.
+   *
+   * @param {object} [params]
+   * @param {number} [params.code] - The SIP response code to send (486 Busy Here by default)
+   * @param {object} [params.headers] - Custom headers to add to the response
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:sip-plugin~SIP_EVENT_DECLINING>}
+   */
+  async decline({ code, headers, signal } = {}) {
+    const body = {
+      request: REQUEST_DECLINE,
+    };
+    if (typeof code === 'number') body.code = code;
+    if (typeof headers === 'object' && headers) body.headers = headers;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.DECLINING)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Send a 183 Session Progress for an incoming call, to setup early media.
+   *
+   * @param {object} params
+   * @param {RTCSessionDescription} params.jsep - The JSEP answer
+   * @param {string} [params.srtp] - "sdes_optional" or "sdes_mandatory" to accept SRTP
+   * @param {object} [params.headers] - Custom headers to add to the response
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:sip-plugin~SIP_EVENT_PROGRESSING>}
+   */
+  async progress({ jsep, srtp, headers, signal }) {
+    const body = {
+      request: REQUEST_PROGRESS,
+    };
+    if (typeof srtp === 'string') body.srtp = srtp;
+    if (typeof headers === 'object' && headers) body.headers = headers;
+
+    const response = await this.message(body, jsep, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.PROGRESSING)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Update the session of the current call (e.g. after an ICE restart), sending a re-INVITE.
+   *
+   * @param {object} params
+   * @param {RTCSessionDescription} params.jsep - The JSEP offer
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:sip-plugin~SIP_EVENT_UPDATING>}
+   */
+  async update({ jsep, signal }) {
+    if (typeof jsep !== 'object' || !jsep || jsep.type !== 'offer') {
+      const error = new JanodeError('jsep must be an offer');
+      return Promise.reject(error);
+    }
+
+    const body = {
+      request: REQUEST_UPDATE,
+    };
+
+    const response = await this.message(body, jsep, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.UPDATING)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Put the current call on hold.
+   *
+   * @param {object} [params]
+   * @param {string} [params.direction] - The media direction to offer ("sendonly" by default, "recvonly" or "inactive")
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:sip-plugin~SIP_EVENT_HOLDING>}
+   */
+  async hold({ direction, signal } = {}) {
+    const body = {
+      request: REQUEST_HOLD,
+    };
+    if (typeof direction === 'string') body.direction = direction;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.HOLDING)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Resume the current call.
+   *
+   * @param {object} [params]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:sip-plugin~SIP_EVENT_RESUMING>}
+   */
+  async unhold({ signal } = {}) {
+    const body = {
+      request: REQUEST_UNHOLD,
+    };
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.RESUMING)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Hangup the current call (sending a BYE or a CANCEL).
+   *
+   * @param {object} [params]
+   * @param {object} [params.headers] - Custom headers to add to the BYE
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:sip-plugin~SIP_EVENT_HANGINGUP>}
+   */
+  async sipHangup({ headers, signal } = {}) {
+    const body = {
+      request: REQUEST_HANGUP,
+    };
+    if (typeof headers === 'object' && headers) body.headers = headers;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.HANGINGUP)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Send a DTMF tone through a SIP INFO.
+   *
+   * @param {object} params
+   * @param {string} params.digit - The DTMF digit to send
+   * @param {number} [params.duration] - The duration of the tone in milliseconds
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:sip-plugin~SIP_EVENT_DTMF_SENT>}
+   */
+  async sendDtmf({ digit, duration, signal }) {
+    const body = {
+      request: REQUEST_DTMF_INFO,
+      digit: '' + digit,
+    };
+    if (typeof duration === 'number') body.duration = duration;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.DTMF_SENT)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Send a SIP INFO in the context of the current call.
+   *
+   * @param {object} params
+   * @param {string} params.type - The content type of the INFO
+   * @param {string} params.content - The content of the INFO
+   * @param {object} [params.headers] - Custom headers to add to the INFO
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:sip-plugin~SIP_EVENT_INFO_SENT>}
+   */
+  async sendInfo({ type, content, headers, signal }) {
+    const body = {
+      request: REQUEST_INFO,
+      type,
+      content,
+    };
+    if (typeof headers === 'object' && headers) body.headers = headers;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.INFO_SENT)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Send a SIP MESSAGE, either in the context of the current call or out of dialog (specifying an uri).
+   *
+   * @param {object} params
+   * @param {string} params.content - The content of the MESSAGE
+   * @param {string} [params.content_type] - The content type of the MESSAGE ("text/plain" by default)
+   * @param {string} [params.uri] - The SIP URI of the recipient, for out of dialog messages
+   * @param {string} [params.call_id] - The Call-ID to use for out of dialog messages
+   * @param {object} [params.headers] - Custom headers to add to the MESSAGE
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:sip-plugin~SIP_EVENT_MESSAGE_SENT>}
+   */
+  async sendMessage({ content, content_type, uri, call_id, headers, signal }) {
+    const body = {
+      request: REQUEST_MESSAGE,
+      content,
+    };
+    if (typeof content_type === 'string') body.content_type = content_type;
+    if (typeof uri === 'string') body.uri = uri;
+    if (typeof call_id === 'string') body.call_id = call_id;
+    if (typeof headers === 'object' && headers) body.headers = headers;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.MESSAGE_SENT)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Transfer the current call (sending a REFER).<br>
+   *
+   * Specify "replace" with the Call-ID of another call of this account to perform an attended transfer.
+   *
+   * @param {object} params
+   * @param {string} params.uri - The SIP URI to transfer the call to
+   * @param {string} [params.replace] - The Call-ID of the call to replace (attended transfer)
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:sip-plugin~SIP_EVENT_TRANSFERRING>}
+   */
+  async transfer({ uri, replace, signal }) {
+    const body = {
+      request: REQUEST_TRANSFER,
+      uri,
+    };
+    if (typeof replace === 'string') body.replace = replace;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.TRANSFERRING)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Start recording the current call.
+   *
+   * @param {object} params
+   * @param {boolean} [params.audio] - True to record the user audio
+   * @param {boolean} [params.video] - True to record the user video
+   * @param {boolean} [params.peer_audio] - True to record the peer audio
+   * @param {boolean} [params.peer_video] - True to record the peer video
+   * @param {string} [params.filename] - The base path of the recordings
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:sip-plugin~SIP_EVENT_RECORDING_UPDATED>}
+   */
+  async startRecording({ audio, video, peer_audio, peer_video, filename, signal }) {
+    const body = {
+      request: REQUEST_RECORDING,
+      action: ACTION_START_REC,
+    };
+    if (typeof audio === 'boolean') body.audio = audio;
+    if (typeof video === 'boolean') body.video = video;
+    if (typeof peer_audio === 'boolean') body.peer_audio = peer_audio;
+    if (typeof peer_video === 'boolean') body.peer_video = peer_video;
+    if (typeof filename === 'string') body.filename = filename;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.RECORDING_UPDATED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Stop recording the current call.
+   *
+   * @param {object} params
+   * @param {boolean} [params.audio] - True to stop recording the user audio
+   * @param {boolean} [params.video] - True to stop recording the user video
+   * @param {boolean} [params.peer_audio] - True to stop recording the peer audio
+   * @param {boolean} [params.peer_video] - True to stop recording the peer video
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:sip-plugin~SIP_EVENT_RECORDING_UPDATED>}
+   */
+  async stopRecording({ audio = true, video = true, peer_audio = true, peer_video = true, signal } = {}) {
+    const body = {
+      request: REQUEST_RECORDING,
+      action: ACTION_STOP_REC,
+    };
+    if (typeof audio === 'boolean') body.audio = audio;
+    if (typeof video === 'boolean') body.video = video;
+    if (typeof peer_audio === 'boolean') body.peer_audio = peer_audio;
+    if (typeof peer_video === 'boolean') body.peer_video = peer_video;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.RECORDING_UPDATED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+}
+
+/**
+ * The payload of the plugin message (cfr. Janus docs).
+ * {@link https://janus.conf.meetecho.com/docs/sip.html}
+ *
+ * @private
+ * @typedef {object} SipData
+ */
+
+/**
+ * The response event for a register request, when a REGISTER has been sent.
+ *
+ * @typedef {object} SIP_EVENT_REGISTERING
+ */
+
+/**
+ * Successful registration event.
+ *
+ * @typedef {object} SIP_EVENT_REGISTERED
+ * @property {string} username - The registered SIP URI
+ * @property {boolean} register_sent - False for guest and helper registrations
+ * @property {boolean} [helper] - True for helper registrations
+ * @property {number|string} [master_id] - The identifier of the master handle (helper registrations)
+ */
+
+/**
+ * Failed registration event.
+ *
+ * @typedef {object} SIP_EVENT_REGISTRATION_FAILED
+ * @property {number} code - The SIP response code
+ * @property {string} reason - The SIP response reason
+ */
+
+/**
+ * The response event for an unregister request.
+ *
+ * @typedef {object} SIP_EVENT_UNREGISTERING
+ */
+
+/**
+ * The response event for a call request.
+ *
+ * @typedef {object} SIP_EVENT_CALLING
+ * @property {string} call_id - The Call-ID of the outgoing call
+ */
+
+/**
+ * Incoming call event.
+ *
+ * @typedef {object} SIP_EVENT_INCOMING_CALL
+ * @property {string} call_id - The Call-ID of the incoming call
+ * @property {string} username - The SIP URI of the caller
+ * @property {string} [displayname] - The display name of the caller
+ * @property {string} callee - The SIP URI that has been called
+ * @property {string} [referred_by] - The SIP URI of the transferor, if the call is a result of a transfer
+ * @property {string} [replaces] - The Call-ID of the call to replace (attended transfer)
+ * @property {string} [srtp] - "sdes_optional" or "sdes_mandatory" if SRTP has been offered
+ * @property {object} [headers] - The custom headers of the INVITE
+ * @property {RTCSessionDescription} [jsep] - The JSEP offer (missing for offerless INVITEs)
+ */
+
+/**
+ * Missed call event.
+ *
+ * @typedef {object} SIP_EVENT_MISSED_CALL
+ * @property {string} call_id - The Call-ID of the missed call
+ * @property {string} caller - The SIP URI of the caller
+ * @property {string} [displayname] - The display name of the caller
+ * @property {string} callee - The SIP URI that has been called
+ */
+
+/**
+ * Ringing (180) or proceeding (1xx) event of an outgoing call.
+ *
+ * @typedef {object} SIP_EVENT_RINGING
+ * @property {string} call_id - The Call-ID of the call
+ * @property {number} [code] - The SIP response code (proceeding)
+ * @property {object} [headers] - The custom headers of the response
+ */
+
+/**
+ * Session progress (183) event of an outgoing call.
+ *
+ * @typedef {object} SIP_EVENT_PROGRESS
+ * @property {string} call_id - The Call-ID of the call
+ * @property {string} username - The SIP URI of the callee
+ * @property {object} [headers] - The custom headers of the response
+ * @property {RTCSessionDescription} [jsep] - The JSEP answer for early media
+ */
+
+/**
+ * The response event for a progress request.
+ *
+ * @typedef {object} SIP_EVENT_PROGRESSING
+ * @property {string} call_id - The Call-ID of the call
+ */
+
+/**
+ * Call accepted event, or response event for an accept request.
+ *
+ * @typedef {object} SIP_EVENT_ACCEPTED
+ * @property {string} call_id - The Call-ID of the call
+ * @property {string} [username] - The SIP URI of the peer
+ * @property {object} [headers] - The custom headers of the 200 OK
+ * @property {RTCSessionDescription} [jsep] - The JSEP answer (outgoing calls)
+ */
+
+/**
+ * The response event for a decline request.
+ *
+ * @typedef {object} SIP_EVENT_DECLINING
+ * @property {string} call_id - The Call-ID of the call
+ * @property {number} code - The SIP response code sent
+ */
+
+/**
+ * The response event for an update request.
+ *
+ * @typedef {object} SIP_EVENT_UPDATING
+ * @property {string} call_id - The Call-ID of the call
+ */
+
+/**
+ * Incoming session update (re-INVITE) event.
+ *
+ * @typedef {object} SIP_EVENT_UPDATING_CALL
+ * @property {string} call_id - The Call-ID of the call
+ * @property {RTCSessionDescription} [jsep] - The JSEP offer
+ */
+
+/**
+ * The response event for a hold request.
+ *
+ * @typedef {object} SIP_EVENT_HOLDING
+ * @property {string} call_id - The Call-ID of the call
+ * @property {string} [direction] - The media direction offered
+ */
+
+/**
+ * The response event for an unhold request.
+ *
+ * @typedef {object} SIP_EVENT_RESUMING
+ * @property {string} call_id - The Call-ID of the call
+ */
+
+/**
+ * The response event for a hangup request.
+ *
+ * @typedef {object} SIP_EVENT_HANGINGUP
+ * @property {string} call_id - The Call-ID of the call
+ */
+
+/**
+ * Call ended event.
+ *
+ * @typedef {object} SIP_EVENT_HANGUP
+ * @property {string} call_id - The Call-ID of the call
+ * @property {number} code - The SIP response code
+ * @property {string} reason - The SIP response reason
+ * @property {string} [reason_header] - The content of the Reason header, if any
+ * @property {string} [reason_header_protocol] - The protocol of the Reason header, if any
+ * @property {string} [reason_header_cause] - The cause of the Reason header, if any
+ */
+
+/**
+ * The response event for a DTMF request.
+ *
+ * @typedef {object} SIP_EVENT_DTMF_SENT
+ * @property {string} call_id - The Call-ID of the call
+ */
+
+/**
+ * Incoming SIP INFO event.
+ *
+ * @typedef {object} SIP_EVENT_INFO
+ * @property {string} call_id - The Call-ID of the call
+ * @property {string} sender - The SIP URI of the sender
+ * @property {string} [displayname] - The display name of the sender
+ * @property {string} type - The content type of the INFO
+ * @property {string} content - The content of the INFO
+ * @property {object} [headers] - The custom headers of the INFO
+ */
+
+/**
+ * The response event for an info request.
+ *
+ * @typedef {object} SIP_EVENT_INFO_SENT
+ * @property {string} call_id - The Call-ID of the call
+ */
+
+/**
+ * Incoming SIP MESSAGE event.
+ *
+ * @typedef {object} SIP_EVENT_MESSAGE
+ * @property {string} [call_id] - The Call-ID of the MESSAGE
+ * @property {string} sender - The SIP URI of the sender
+ * @property {string} [displayname] - The display name of the sender
+ * @property {string} content_type - The content type of the MESSAGE
+ * @property {string} content - The content of the MESSAGE
+ * @property {object} [headers] - The custom headers of the MESSAGE
+ */
+
+/**
+ * The response event for a message request.
+ *
+ * @typedef {object} SIP_EVENT_MESSAGE_SENT
+ * @property {string} [call_id] - The Call-ID of the MESSAGE
+ */
+
+/**
+ * Delivery report of a SIP MESSAGE.
+ *
+ * @typedef {object} SIP_EVENT_MESSAGE_DELIVERY
+ * @property {string} [call_id] - The Call-ID of the MESSAGE
+ * @property {number} code - The SIP response code
+ * @property {string} reason - The SIP response reason
+ */
+
+/**
+ * Incoming transfer request (REFER) event.
+ *
+ * @typedef {object} SIP_EVENT_TRANSFER
+ * @property {string} call_id - The Call-ID of the call
+ * @property {number} refer_id - The identifier of the transfer, to be passed to the call request
+ * @property {string} refer_to - The SIP URI to call
+ * @property {string} [referred_by] - The SIP URI of the transferor
+ * @property {string} [replaces] - The Call-ID of the call to replace (attended transfer)
+ * @property {object} [headers] - The custom headers of the REFER
+ */
+
+/**
+ * The response event for a transfer request.
+ *
+ * @typedef {object} SIP_EVENT_TRANSFERRING
+ * @property {string} call_id - The Call-ID of the call
+ */
+
+/**
+ * The response event for a recording request.
+ *
+ * @typedef {object} SIP_EVENT_RECORDING_UPDATED
+ * @property {string} call_id - The Call-ID of the call
+ */
+
+/**
+ * The exported plugin descriptor.
+ *
+ * @type {object}
+ * @property {string} id - The plugin identifier used when attaching to Janus
+ * @property {module:sip-plugin~SipHandle} Handle - The custom class implementing the plugin
+ * @property {object} EVENT - The events emitted by the plugin
+ * @property {string} EVENT.SIP_REGISTERED {@link module:sip-plugin~SIP_REGISTERED}
+ * @property {string} EVENT.SIP_REGISTRATION_FAILED {@link module:sip-plugin~SIP_REGISTRATION_FAILED}
+ * @property {string} EVENT.SIP_UNREGISTERED {@link module:sip-plugin~SIP_UNREGISTERED}
+ * @property {string} EVENT.SIP_INCOMING_CALL {@link module:sip-plugin~SIP_INCOMING_CALL}
+ * @property {string} EVENT.SIP_MISSED_CALL {@link module:sip-plugin~SIP_MISSED_CALL}
+ * @property {string} EVENT.SIP_CALLING {@link module:sip-plugin~SIP_CALLING}
+ * @property {string} EVENT.SIP_RINGING {@link module:sip-plugin~SIP_RINGING}
+ * @property {string} EVENT.SIP_PROCEEDING {@link module:sip-plugin~SIP_PROCEEDING}
+ * @property {string} EVENT.SIP_PROGRESS {@link module:sip-plugin~SIP_PROGRESS}
+ * @property {string} EVENT.SIP_ACCEPTED {@link module:sip-plugin~SIP_ACCEPTED}
+ * @property {string} EVENT.SIP_UPDATING_CALL {@link module:sip-plugin~SIP_UPDATING_CALL}
+ * @property {string} EVENT.SIP_HANGUP {@link module:sip-plugin~SIP_HANGUP}
+ * @property {string} EVENT.SIP_INFO {@link module:sip-plugin~SIP_INFO}
+ * @property {string} EVENT.SIP_MESSAGE {@link module:sip-plugin~SIP_MESSAGE}
+ * @property {string} EVENT.SIP_MESSAGE_DELIVERY {@link module:sip-plugin~SIP_MESSAGE_DELIVERY}
+ * @property {string} EVENT.SIP_TRANSFER {@link module:sip-plugin~SIP_TRANSFER}
+ * @property {string} EVENT.SIP_ERROR {@link module:sip-plugin~SIP_ERROR}
+ */
+export default {
+  id: PLUGIN_ID,
+  Handle: SipHandle,
+  EVENT: {
+    /**
+     * The registration succeeded.
+     *
+     * @event module:sip-plugin~SipHandle#event:SIP_REGISTERED
+     * @type {module:sip-plugin~SIP_EVENT_REGISTERED}
+     */
+    SIP_REGISTERED: PLUGIN_EVENT.REGISTERED,
+
+    /**
+     * The registration failed.
+     *
+     * @event module:sip-plugin~SipHandle#event:SIP_REGISTRATION_FAILED
+     * @type {module:sip-plugin~SIP_EVENT_REGISTRATION_FAILED}
+     */
+    SIP_REGISTRATION_FAILED: PLUGIN_EVENT.REGISTRATION_FAILED,
+
+    /**
+     * The account has been unregistered.
+     *
+     * @event module:sip-plugin~SipHandle#event:SIP_UNREGISTERED
+     * @type {object}
+     * @property {string} username
+     */
+    SIP_UNREGISTERED: PLUGIN_EVENT.UNREGISTERED,
+
+    /**
+     * A new incoming call.
+     *
+     * @event module:sip-plugin~SipHandle#event:SIP_INCOMING_CALL
+     * @type {module:sip-plugin~SIP_EVENT_INCOMING_CALL}
+     */
+    SIP_INCOMING_CALL: PLUGIN_EVENT.INCOMING_CALL,
+
+    /**
+     * An incoming call has been missed.
+     *
+     * @event module:sip-plugin~SipHandle#event:SIP_MISSED_CALL
+     * @type {module:sip-plugin~SIP_EVENT_MISSED_CALL}
+     */
+    SIP_MISSED_CALL: PLUGIN_EVENT.MISSED_CALL,
+
+    /**
+     * An outgoing call has been sent.
+     *
+     * @event module:sip-plugin~SipHandle#event:SIP_CALLING
+     * @type {module:sip-plugin~SIP_EVENT_CALLING}
+     */
+    SIP_CALLING: PLUGIN_EVENT.CALLING,
+
+    /**
+     * The callee is ringing.
+     *
+     * @event module:sip-plugin~SipHandle#event:SIP_RINGING
+     * @type {module:sip-plugin~SIP_EVENT_RINGING}
+     */
+    SIP_RINGING: PLUGIN_EVENT.RINGING,
+
+    /**
+     * The outgoing call is proceeding.
+     *
+     * @event module:sip-plugin~SipHandle#event:SIP_PROCEEDING
+     * @type {module:sip-plugin~SIP_EVENT_RINGING}
+     */
+    SIP_PROCEEDING: PLUGIN_EVENT.PROCEEDING,
+
+    /**
+     * The callee sent a session progress (early media).
+     *
+     * @event module:sip-plugin~SipHandle#event:SIP_PROGRESS
+     * @type {module:sip-plugin~SIP_EVENT_PROGRESS}
+     */
+    SIP_PROGRESS: PLUGIN_EVENT.PROGRESS,
+
+    /**
+     * The call has been accepted.
+     *
+     * @event module:sip-plugin~SipHandle#event:SIP_ACCEPTED
+     * @type {module:sip-plugin~SIP_EVENT_ACCEPTED}
+     */
+    SIP_ACCEPTED: PLUGIN_EVENT.ACCEPTED,
+
+    /**
+     * The peer updated the session (re-INVITE).
+     *
+     * @event module:sip-plugin~SipHandle#event:SIP_UPDATING_CALL
+     * @type {module:sip-plugin~SIP_EVENT_UPDATING_CALL}
+     */
+    SIP_UPDATING_CALL: PLUGIN_EVENT.UPDATING_CALL,
+
+    /**
+     * The call ended.
+     *
+     * @event module:sip-plugin~SipHandle#event:SIP_HANGUP
+     * @type {module:sip-plugin~SIP_EVENT_HANGUP}
+     */
+    SIP_HANGUP: PLUGIN_EVENT.HANGUP,
+
+    /**
+     * A SIP INFO has been received.
+     *
+     * @event module:sip-plugin~SipHandle#event:SIP_INFO
+     * @type {module:sip-plugin~SIP_EVENT_INFO}
+     */
+    SIP_INFO: PLUGIN_EVENT.INFO,
+
+    /**
+     * A SIP MESSAGE has been received.
+     *
+     * @event module:sip-plugin~SipHandle#event:SIP_MESSAGE
+     * @type {module:sip-plugin~SIP_EVENT_MESSAGE}
+     */
+    SIP_MESSAGE: PLUGIN_EVENT.MESSAGE,
+
+    /**
+     * Delivery report of a sent SIP MESSAGE.
+     *
+     * @event module:sip-plugin~SipHandle#event:SIP_MESSAGE_DELIVERY
+     * @type {module:sip-plugin~SIP_EVENT_MESSAGE_DELIVERY}
+     */
+    SIP_MESSAGE_DELIVERY: PLUGIN_EVENT.MESSAGE_DELIVERY,
+
+    /**
+     * The peer asked to transfer the call (REFER).
+     *
+     * @event module:sip-plugin~SipHandle#event:SIP_TRANSFER
+     * @type {module:sip-plugin~SIP_EVENT_TRANSFER}
+     */
+    SIP_TRANSFER: PLUGIN_EVENT.TRANSFER,
+
+    /**
+     * Generic SIP error.
+     *
+     * @event module:sip-plugin~SipHandle#event:SIP_ERROR
+     * @type {module:errors~PluginError}
+     */
+    SIP_ERROR: PLUGIN_EVENT.ERROR,
+  },
+};
@@ -6,6 +6,7 @@
  */
 
 import Handle from '../handle.js';
+import { JanodeError, PluginError } from '../errors.js';
 
 /* The plugin ID exported in the plugin descriptor */
 const PLUGIN_ID = 'janus.plugin.streaming';
@@ -24,6 +25,16 @@ const REQUEST_ENABLE = 'enable';
 const REQUEST_DISABLE = 'disable';
 const REQUEST_CREATE = 'create';
 const REQUEST_DESTROY = 'destroy';
+const REQUEST_EDIT = 'edit';
+const REQUEST_KICK_ALL = 'kick_all';
+/* Mountpoint types */
+const MP_TYPE_LIVE = 'live';
+const MP_TYPE_ONDEMAND = 'ondemand';
+const MP_TYPE_RTSP = 'rtsp';
+/* The audio file formats supported by file based mountpoints */
+const FILE_EXTENSIONS = ['.opus', '.alaw', '.mulaw'];
+/* [multistream] The types of the media of a mountpoint */
+const MEDIA_TYPES = ['audio', 'video', 'data'];
 /* Recording actions */
 const ACTION_START_REC = 'start';
 const ACTION_STOP_REC = 'stop';
@@ -38,10 +49,93 @@ const PLUGIN_EVENT = {
   INFO: 'streaming_info',
   CREATED: 'streaming_created',
   DESTROYED: 'streaming_destroyed',
+  EDITED: 'streaming_edited',
   OK: 'streaming_ok',
   ERROR: 'streaming_error',
 };
 
+/**
+ * The error codes returned by the Streaming plugin, matching the code of a {@link module:errors~PluginError}.
+ *
+ * @type {object}
+ */
+export const ERROR_CODE = {
+  UNKNOWN_ERROR: 470,
+  NO_MESSAGE: 450,
+  INVALID_JSON: 451,
+  INVALID_REQUEST: 452,
+  MISSING_ELEMENT: 453,
+  INVALID_ELEMENT: 454,
+  NO_SUCH_MOUNTPOINT: 455,
+  CANT_CREATE: 456,
+  UNAUTHORIZED: 457,
+  CANT_SWITCH: 458,
+  CANT_RECORD: 459,
+  INVALID_STATE: 460,
+};
+
+/**
+ * [multistream] Turn the media array of a mountpoint returned by Janus into a list of per-mid descriptors.
+ *
+ * @private
+ * @param {object[]} media - The media array as returned by Janus
+ * @returns {module:streaming-plugin~MediaDescriptor[]}
+ */
+const toMediaDescriptors = media => media.map(m => {
+  const desc = {
+    mid: m.mid,
+    type: m.type,
+  };
+  if (typeof m.mindex === 'number') desc.mindex = m.mindex;
+  if (typeof m.label === 'string') desc.label = m.label;
+  if (typeof m.msid === 'string') desc.msid = m.msid;
+  if (typeof m.codec === 'string') desc.codec = m.codec;
+  if (typeof m.pt === 'number') desc.pt = m.pt;
+  if (typeof m.rtpmap === 'string') desc.rtpmap = m.rtpmap;
+  if (typeof m.fmtp === 'string') desc.fmtp = m.fmtp;
+  if (typeof m.port === 'number') desc.port = m.port;
+  if (typeof m.rtcp_port === 'number') desc.rtcp_port = m.rtcp_port;
+  if (typeof m.port_2 === 'number') desc.port_2 = m.port_2;
+  if (typeof m.port_3 === 'number') desc.port_3 = m.port_3;
+  if (typeof m.age_ms === 'number') desc.age_ms = m.age_ms;
+  return desc;
+});
+
+/**
+ * Extract the viewers count and the per media stats from a mountpoint info.
+ *
+ * @private
+ * @param {object} info - The mountpoint info as returned by Janus
+ * @returns {module:streaming-plugin~MountpointStats}
+ */
+const toMountpointStats = info => {
+  const stats = {
+    viewers: (typeof info.viewers === 'number') ? info.viewers : 0,
+    enabled: info.enabled !== false,
+    media: [],
+  };
+  /* [multistream] */
+  if (Array.isArray(info.media)) {
+    stats.media = info.media.map(({ mid, type, age_ms }) => ({ mid, type, age_ms }));
+  }
+  else {
+    for (const type of MEDIA_TYPES) {
+      if (typeof info[`${type}_age_ms`] === 'number') stats.media.push({ type, age_ms: info[`${type}_age_ms`] });
+    }
+  }
+  return stats;
+};
+
+/**
+ * Turn a mountpoint identifier into the key of the recordings map, since Janus and the users may
+ * refer to the same mountpoint with a number or a numeric string.
+ *
+ * @private
+ * @param {number|string} id - The mountpoint identifier
+ * @returns {string}
+ */
+const recordingKey = id => `${id}`;
+
 /**
  * The class implementing the Streaming plugin (ref. {@link https://janus.conf.meetecho.com/docs/streaming.html}).<br>
  *
@@ -66,6 +160,13 @@ class StreamingHandle extends Handle {
      * @type {number|string}
      */
     this.mp = null;
+
+    /**
+     * The mountpoints that are being recorded through this handle, with the recorded media.
+     *
+     * @type {Map<string, module:streaming-plugin~RecordingState>}
+     */
+    this.recordings = new Map();
   }
 
   /**
@@ -114,13 +215,24 @@ class StreamingHandle extends Handle {
         case 'info': {
           janode_event.event = PLUGIN_EVENT.INFO;
           janode_event.data = message_data.info;
+          /* [multistream] per-mid media descriptors */
+          if (Array.isArray(message_data.info.media)) janode_event.data.media = toMediaDescriptors(message_data.info.media);
+          janode_event.data.stats = toMountpointStats(message_data.info);
+          /* Recording state, as reported by Janus (only to admins) or as tracked by this handle */
+          const { audio_rec, video_rec, data_rec, media } = message_data.info;
+          const recorded = [audio_rec, video_rec, data_rec, ...(Array.isArray(media) ? media.map(m => m.recording) : [])].filter(rec => typeof rec === 'string');
+          janode_event.data.recording = (recorded.length > 0) || this.recordings.has(recordingKey(message_data.info.id));
           break;
         }
 
         /* Mountpoint list */
         case 'list':
           janode_event.event = PLUGIN_EVENT.LIST;
-          janode_event.data.list = message_data.list;
+          janode_event.data.list = message_data.list.map(mp => {
+            /* [multistream] per-mid media descriptors */
+            if (Array.isArray(mp.media)) return { ...mp, media: toMediaDescriptors(mp.media) };
+            return mp;
+          });
           break;
 
         /* Mountpoint created */
@@ -136,12 +248,22 @@ class StreamingHandle extends Handle {
           janode_event.data.video_port_3 = (message_data.stream) ? message_data.stream.video_port_3 : null;
           janode_event.data.video_rtcp_port = (message_data.stream) ? message_data.stream.video_rtcp_port : null;
           janode_event.data.data_port = (message_data.stream) ? message_data.stream.data_port : null;
+          /* [multistream] the ports are listed per mid */
+          if (message_data.stream && Array.isArray(message_data.stream.ports)) janode_event.data.media = toMediaDescriptors(message_data.stream.ports);
+          break;
+
+        /* Mountpoint edited */
+        case 'edited':
+          janode_event.event = PLUGIN_EVENT.EDITED;
+          janode_event.data.id = message_data.id;
+          janode_event.data.permanent = message_data.permanent;
           break;
 
         /* Mountpoint destroyed */
         case 'destroyed':
           janode_event.event = PLUGIN_EVENT.DESTROYED;
           janode_event.data.id = message_data.destroyed;
+          this.recordings.delete(recordingKey(message_data.destroyed));
           break;
 
         /* Generic events (error, result ...) */
@@ -149,7 +271,7 @@ class StreamingHandle extends Handle {
           /* Streaming error */
           if (error) {
             janode_event.event = PLUGIN_EVENT.ERROR;
-            janode_event.data = new Error(`${error_code} ${error}`);
+            janode_event.data = new PluginError({ code: error_code, reason: error, plugin: PLUGIN_ID, transaction });
             /* In case of error, close a transaction */
             this.closeTransactionWithError(transaction, janode_event.data);
             break;
@@ -168,6 +290,9 @@ class StreamingHandle extends Handle {
                 /* Flag for ongoing restarts */
                 janode_event.data.restart = true;
               }
+              /* [multistream] media of the mountpoint */
+              const media = message_data.result.media || message_data.media;
+              if (Array.isArray(media)) janode_event.data.media = toMediaDescriptors(media);
               break;
             }
             /* Result -> Switched event */
@@ -221,9 +346,10 @@ class StreamingHandle extends Handle {
    * @param {boolean} [params.video] - True to request video
    * @param {boolean} [params.data] - True to request data
    * @param {boolean} [params.restart=false] - True to trigger a restart
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:streaming-plugin~STREAMING_EVENT_STATUS>}
    */
-  async watch({ id, pin, audio, video, data, restart = false }) {
+  async watch({ id, pin, audio, video, data, restart = false, signal }) {
     const body = {
       request: REQUEST_WATCH,
       id,
@@ -234,14 +360,14 @@ class StreamingHandle extends Handle {
     if (typeof data === 'boolean') body.offer_data = data;
     if (typeof restart === 'boolean') body.restart = restart;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.STATUS && (evtdata.status === 'preparing' || evtdata.status === 'updating')) {
       /* Set current mp to subscribed id */
       this.mp = id;
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -249,13 +375,14 @@ class StreamingHandle extends Handle {
    * Start a mountpoint stream.
    *
    * @param {object} params
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @property {RTCSessionDescription} params.jsep
    * @property {boolean} [params.e2ee]
    * @returns {Promise<module:streaming-plugin~STREAMING_EVENT_STATUS>}
    */
-  async start({ jsep, e2ee }) {
+  async start({ jsep, e2ee, signal }) {
     if (typeof jsep === 'object' && jsep && jsep.type !== 'answer') {
-      const error = new Error('jsep must be an answer');
+      const error = new JanodeError('jsep must be an answer');
       return Promise.reject(error);
     }
 
@@ -264,47 +391,51 @@ class StreamingHandle extends Handle {
     };
     jsep.e2ee = (typeof e2ee === 'boolean') ? e2ee : jsep.e2ee;
 
-    const response = await this.message(body, jsep);
+    const response = await this.message(body, jsep, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.STATUS && (evtdata.status === 'starting' || evtdata.status === 'started'))
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
   /**
    * Pause the current stream.
    *
+   * @param {object} [params]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:streaming-plugin~STREAMING_EVENT_STATUS>}
    */
-  async pause() {
+  async pause({ signal } = {}) {
     const body = {
       request: REQUEST_PAUSE,
     };
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.STATUS && evtdata.status === 'pausing')
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
   /**
    * Stop the current stream.
    *
+   * @param {object} [params]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:streaming-plugin~STREAMING_EVENT_STATUS>}
    */
-  async stop() {
+  async stop({ signal } = {}) {
     const body = {
       request: REQUEST_STOP,
     };
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.STATUS && evtdata.status === 'stopping')
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -313,22 +444,23 @@ class StreamingHandle extends Handle {
    *
    * @param {object} params
    * @param {number|string} params.id - The mp id to switch to
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:streaming-plugin~STREAMING_EVENT_SWITCHED>}
    */
-  async switch({ id }) {
+  async switch({ id, signal }) {
     const body = {
       request: REQUEST_SWITCH,
       id,
     };
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.SWITCHED && evtdata.switched === 'ok') {
       /* Set current mp to the switched id */
       this.mp = evtdata.id;
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -344,9 +476,10 @@ class StreamingHandle extends Handle {
    * @param {number} [params.fallback] - Fallback timer (simulcast)
    * @param {number} [params.spatial_layer] - Spatial layer to switch to (svc)
    * @param {number} [params.temporal_layer] - Temporal layer to switch to (svc)
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:streaming-plugin~STREAMING_EVENT_CONFIGURED>}
    */
-  async configure({ audio, video, data, substream, temporal, fallback, spatial_layer, temporal_layer }) {
+  async configure({ audio, video, data, substream, temporal, fallback, spatial_layer, temporal_layer, signal }) {
     const body = {
       request: REQUEST_CONFIGURE,
     };
@@ -359,11 +492,11 @@ class StreamingHandle extends Handle {
     if (typeof spatial_layer === 'number') body.spatial_layer = spatial_layer;
     if (typeof temporal_layer === 'number') body.temporal_layer = temporal_layer;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.CONFIGURED)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -378,19 +511,20 @@ class StreamingHandle extends Handle {
    *
    * @param {object} params
    * @param {string} [params.admin_key] - The admin key needed for invoking the API
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:streaming-plugin~STREAMING_EVENT_LIST>}
    */
-  async list({ admin_key } = {}) {
+  async list({ admin_key, signal } = {}) {
     const body = {
       request: REQUEST_LIST,
     };
     if (typeof admin_key === 'string') body.admin_key = admin_key;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.LIST)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -400,20 +534,21 @@ class StreamingHandle extends Handle {
    * @param {object} params
    * @param {number|string} params.id
    * @param {string} [params.secret]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:streaming-plugin~STREAMING_EVENT_INFO>}
    */
-  async info({ id, secret }) {
+  async info({ id, secret, signal }) {
     const body = {
       request: REQUEST_INFO,
       id,
     };
     if (typeof secret === 'string') body.secret = '' + secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.INFO)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -426,9 +561,10 @@ class StreamingHandle extends Handle {
    * @param {string} [params.video] - The filename for video
    * @param {string} [params.data] - The filename for data
    * @param {string} [params.secret]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:streaming-plugin~STREAMING_EVENT_OK>}
    */
-  async startRecording({ id, audio, video, data, secret }) {
+  async startRecording({ id, audio, video, data, secret, signal }) {
     const body = {
       request: REQUEST_RECORDING,
       action: ACTION_START_REC,
@@ -439,11 +575,18 @@ class StreamingHandle extends Handle {
     if (data) body.data = data;
     if (typeof secret === 'string') body.secret = '' + secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
-    if (event === PLUGIN_EVENT.OK)
+    if (event === PLUGIN_EVENT.OK) {
+      /* Track the recorded media */
+      const recording = this.recordings.get(recordingKey(id)) || {};
+      if (body.audio) recording.audio = body.audio;
+      if (body.video) recording.video = body.video;
+      if (body.data) recording.data = body.data;
+      this.recordings.set(recordingKey(id), recording);
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    }
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -456,9 +599,10 @@ class StreamingHandle extends Handle {
    * @param {boolean} [params.video=true] - True to stop recording of video
    * @param {boolean} [params.data=true] - True to stop recording of data
    * @param {string} [params.secret]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:streaming-plugin~STREAMING_EVENT_OK>}
    */
-  async stopRecording({ id, audio = true, video = true, data = true, secret }) {
+  async stopRecording({ id, audio = true, video = true, data = true, secret, signal }) {
     const body = {
       request: REQUEST_RECORDING,
       action: ACTION_STOP_REC,
@@ -469,11 +613,20 @@ class StreamingHandle extends Handle {
     };
     if (typeof secret === 'string') body.secret = '' + secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
-    if (event === PLUGIN_EVENT.OK)
+    if (event === PLUGIN_EVENT.OK) {
+      /* Stop tracking the media that are no longer recorded */
+      const recording = this.recordings.get(recordingKey(id));
+      if (recording) {
+        if (body.audio) delete recording.audio;
+        if (body.video) delete recording.video;
+        if (body.data) delete recording.data;
+        if (Object.keys(recording).length === 0) this.recordings.delete(recordingKey(id));
+      }
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    }
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -483,20 +636,21 @@ class StreamingHandle extends Handle {
    * @param {object} params
    * @param {number|string} params.id
    * @param {string} [params.secret]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:streaming-plugin~STREAMING_EVENT_OK>}
    */
-  async enable({ id, secret }) {
+  async enable({ id, secret, signal }) {
     const body = {
       request: REQUEST_ENABLE,
       id,
     };
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.OK)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -507,9 +661,10 @@ class StreamingHandle extends Handle {
    * @param {number|string} params.id
    * @param {boolean} [stop_recording=true] - True if the user wants to also stop the recording of a disabled moutnpoint
    * @param {string} [params.secret]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:streaming-plugin~STREAMING_EVENT_OK>}
    */
-  async disable({ id, stop_recording = true, secret }) {
+  async disable({ id, stop_recording = true, secret, signal }) {
     const body = {
       request: REQUEST_DISABLE,
       id,
@@ -517,11 +672,13 @@ class StreamingHandle extends Handle {
     };
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
-    if (event === PLUGIN_EVENT.OK)
+    if (event === PLUGIN_EVENT.OK) {
+      if (body.stop_recording) this.recordings.delete(recordingKey(id));
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    }
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -561,9 +718,46 @@ class StreamingHandle extends Handle {
    * @param {number} [params.threads] - The number of helper threads used in this mp
    * @param {object} [params.metadata] - An opaque metadata to add to the mp
    * @param {number} [params.collision] - The stream collision discarding time in number of milliseconds (0=disabled)
+   * @param {object[]} [params.media] - [multistream] The media of the mp, if set the audio, video and data descriptors are ignored
+   * @param {"audio"|"video"|"data"} params.media[].type - The type of the media
+   * @param {string} params.media[].mid - The unique mid of the media
+   * @param {string} [params.media[].label] - The label of the media
+   * @param {string} [params.media[].msid] - The msid of the media
+   * @param {number} [params.media[].port] - Port used for RTP (0 to let Janus pick one)
+   * @param {number} [params.media[].rtcpport] - Port used for RTCP
+   * @param {string} [params.media[].mcast] - Multicast address to listen to
+   * @param {string} [params.media[].iface] - The network interface or IP address to bind to
+   * @param {number} [params.media[].pt] - Payload type that will be used
+   * @param {string} [params.media[].codec] - The name of the codec (e.g. opus or vp8)
+   * @param {string} [params.media[].fmtp] - fmtp that will be used
+   * @param {boolean} [params.media[].skew] - Set skew compensation
+   * @param {number} [params.media[].port2] - Port used for video RTP (simulcast layer)
+   * @param {number} [params.media[].port3] - Port used for video RTP (simulcast layer)
+   * @param {boolean} [params.media[].svc] - True if the video is SVC (VP9 and AV1 only)
+   * @param {boolean} [params.media[].buffer] - Enable buffering of the keyframes (video) or of the messages (data)
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:streaming-plugin~STREAMING_EVENT_CREATED>}
    */
-  async createRtpMountpoint({ id = 0, name, description, secret, pin, admin_key, permanent = false, is_private = false, e2ee = false, audio, video, data, threads, metadata, collision }) {
+  async createRtpMountpoint({ id = 0, name, description, secret, pin, admin_key, permanent = false, is_private = false, e2ee = false, audio, video, data, threads, metadata, collision, media, signal }) {
+    /* [multistream] */
+    if (Array.isArray(media)) {
+      const mids = new Set();
+      for (const { type, mid } of media) {
+        if (!MEDIA_TYPES.includes(type)) {
+          const error = new JanodeError(`invalid media type ${type}`);
+          return Promise.reject(error);
+        }
+        if (typeof mid !== 'string' || mid.length === 0) {
+          const error = new JanodeError('missing media mid');
+          return Promise.reject(error);
+        }
+        if (mids.has(mid)) {
+          const error = new JanodeError(`duplicated media mid ${mid}`);
+          return Promise.reject(error);
+        }
+        mids.add(mid);
+      }
+    }
     const body = {
       request: REQUEST_CREATE,
       type: 'rtp',
@@ -581,45 +775,291 @@ class StreamingHandle extends Handle {
     if (typeof secret === 'string') body.secret = secret;
     if (typeof pin === 'string') body.pin = pin;
     if (typeof admin_key === 'string') body.admin_key = admin_key;
+    /* [multistream] */
+    if (Array.isArray(media)) {
+      delete body.audio;
+      delete body.video;
+      delete body.data;
+      body.media = media.map(m => {
+        const desc = {
+          type: m.type,
+          mid: m.mid,
+          port: (typeof m.port === 'number') ? m.port : 0,
+        };
+        if (typeof m.label === 'string') desc.label = m.label;
+        if (typeof m.msid === 'string') desc.msid = m.msid;
+        if (typeof m.rtcpport === 'number') desc.rtcpport = m.rtcpport;
+        if (typeof m.mcast === 'string') desc.mcast = m.mcast;
+        if (typeof m.iface === 'string') desc.iface = m.iface;
+        if (m.pt) desc.pt = m.pt;
+        if (m.codec) desc.codec = m.codec;
+        if (m.fmtp) desc.fmtp = m.fmtp;
+        if (typeof m.skew === 'boolean') desc.skew = m.skew;
+        if (m.type === 'video') {
+          if (typeof m.port2 === 'number' && typeof m.port3 === 'number') {
+            desc.simulcast = true;
+            desc.port2 = m.port2;
+            desc.port3 = m.port3;
+          }
+          if (typeof m.svc === 'boolean') desc.svc = m.svc;
+          if (typeof m.buffer === 'boolean') desc.videobufferkf = m.buffer;
+        }
+        if (m.type === 'data' && typeof m.buffer === 'boolean') desc.buffermsg = m.buffer;
+        return desc;
+      });
+    }
+    else {
+      if (typeof audio === 'object' && audio) {
+        body.audio = true;
+        body.audioport = (typeof audio.port === 'number') ? audio.port : 0;
+        if (typeof audio.rtcpport === 'number') body.audiortcpport = audio.rtcppport;
+        if (typeof audio.mcast === 'string') body.audiomcast = audio.mcast;
+        if (audio.pt) body.audiopt = audio.pt;
+        if (audio.rtpmap) body.audiortpmap = audio.rtpmap;
+        if (typeof audio.skew === 'boolean') body.audioskew = audio.skew;
+      }
+      if (typeof video === 'object' && video) {
+        body.video = true;
+        body.videoport = (typeof video.port === 'number') ? video.port : 0;
+        if (typeof video.rtcpport === 'number') body.videortcpport = video.rtcpport;
+        if (typeof video.mcast === 'string') body.videomcast = video.mcast;
+        if (video.pt) body.videopt = video.pt;
+        if (video.rtpmap) body.videortpmap = video.rtpmap;
+        if (video.fmtp) body.videofmtp = video.fmtp;
+        if (typeof video.buffer === 'boolean') body.videobufferkf = video.buffer;
+        if (typeof video.skew === 'boolean') body.videoskew = video.skew;
+        if (typeof video.port2 === 'number' && typeof video.port3 === 'number') {
+          body.videosimulcast = true;
+          body.videoport2 = video.port2;
+          body.videoport3 = video.port3;
+        }
+      }
+      if (typeof data === 'object' && data) {
+        body.data = true;
+        body.dataport = (typeof data.port === 'number') ? data.port : 0;
+        if (typeof data.buffer === 'boolean') body.databuffermsg = data.buffer;
+      }
+    }
+    if (typeof threads === 'number' && threads > 0) body.threads = threads;
+    if (metadata) body.metadata = metadata;
+    if (typeof collision === 'number') body.collision = collision;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.CREATED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Create a file based mountpoint, either live (all viewers share the same playout) or on demand (every viewer gets its own playout).
+   *
+   * @param {object} params
+   * @param {string} params.filename - The path of the audio file to stream (.opus, .alaw or .mulaw)
+   * @param {boolean} [params.live=false] - True to create a live mountpoint, otherwise an on demand one is created
+   * @param {number|string} [params.id=0] - The id for the new mountpoint (if omitted Janus will pick one)
+   * @param {string} [params.name] - A name for the mp
+   * @param {string} [params.description] - A description for the mp
+   * @param {string} [params.secret] - The secret that'll be needed to edit this mountpoint
+   * @param {string} [params.pin] - The pin that'll be needed to connect to the new mountpoint
+   * @param {string} [params.admin_key] - The admin key needed for invoking the API
+   * @param {boolean} [params.permanent=false] - True if Janus must persist the mp on a config file
+   * @param {boolean} [params.is_private=false] - Flag the mp as private
+   * @param {number} [params.pt] - Payload type that will be used for audio
+   * @param {string} [params.rtpmap] - rtpmap that will be used for audio
+   * @param {object} [params.metadata] - An opaque metadata to add to the mp
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:streaming-plugin~STREAMING_EVENT_CREATED>}
+   */
+  async createFileMountpoint({ filename, live = false, id = 0, name, description, secret, pin, admin_key, permanent = false, is_private = false, pt, rtpmap, metadata, signal }) {
+    if (typeof filename !== 'string' || !FILE_EXTENSIONS.some(ext => filename.toLowerCase().endsWith(ext))) {
+      const error = new JanodeError(`filename must be a path to a ${FILE_EXTENSIONS.join('/')} file`);
+      return Promise.reject(error);
+    }
+    const body = {
+      request: REQUEST_CREATE,
+      type: live ? MP_TYPE_LIVE : MP_TYPE_ONDEMAND,
+      id,
+      filename,
+      permanent,
+      is_private,
+      audio: true,
+      video: false,
+      data: false,
+    };
+    if (typeof name === 'string') body.name = name;
+    if (typeof description === 'string') body.description = description;
+    if (typeof secret === 'string') body.secret = secret;
+    if (typeof pin === 'string') body.pin = pin;
+    if (typeof admin_key === 'string') body.admin_key = admin_key;
+    if (pt) body.audiopt = pt;
+    if (rtpmap) body.audiortpmap = rtpmap;
+    if (metadata) body.metadata = metadata;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.CREATED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Create a RTSP mountpoint, relaying the media of an external RTSP server (e.g. an IP camera).
+   *
+   * @param {object} params
+   * @param {string} params.url - The RTSP url of the stream (rtsp://...)
+   * @param {string} [params.rtsp_user] - The username to use for authenticating to the RTSP server
+   * @param {string} [params.rtsp_pwd] - The password to use for authenticating to the RTSP server
+   * @param {number|string} [params.id=0] - The id for the new mountpoint (if omitted Janus will pick one)
+   * @param {string} [params.name] - A name for the mp
+   * @param {string} [params.description] - A description for the mp
+   * @param {string} [params.secret] - The secret that'll be needed to edit this mountpoint
+   * @param {string} [params.pin] - The pin that'll be needed to connect to the new mountpoint
+   * @param {string} [params.admin_key] - The admin key needed for invoking the API
+   * @param {boolean} [params.permanent=false] - True if Janus must persist the mp on a config file
+   * @param {boolean} [params.is_private=false] - Flag the mp as private
+   * @param {boolean} [params.e2ee=false] - True to set a a mp as end to end encrypted
+   * @param {object} [params.audio] - The audio descriptor for the mp, omit it to ignore the audio of the RTSP stream
+   * @param {number} [params.audio.pt] - Payload type that will be used
+   * @param {string} [params.audio.rtpmap] - rtpmap that will be used
+   * @param {string} [params.audio.fmtp] - fmtp that will be used
+   * @param {object} [params.video] - The video descriptor for the mp, omit it to ignore the video of the RTSP stream
+   * @param {number} [params.video.pt] - Payload type that will be used
+   * @param {string} [params.video.rtpmap] - rtpmap that will be used
+   * @param {string} [params.video.fmtp] - fmtp that will be used
+   * @param {boolean} [params.video.buffer] - Enable buffering of the keyframes
+   * @param {number} [params.rtsp_reconnect_delay] - Seconds to wait before trying to reconnect to the RTSP server
+   * @param {number} [params.rtsp_session_timeout] - The RTSP session timeout in seconds, if missing the value advertised by the server is used
+   * @param {number} [params.rtsp_timeout] - Timeout in seconds for the RTSP communication
+   * @param {number} [params.rtsp_conn_timeout] - Timeout in seconds for the connection to the RTSP server
+   * @param {boolean} [params.rtsp_failcheck] - False to skip the check of the RTSP server availability at creation time
+   * @param {string} [params.rtsp_iface] - The network interface IP address or device name to use for the RTSP stream
+   * @param {number} [params.threads] - The number of helper threads used in this mp
+   * @param {object} [params.metadata] - An opaque metadata to add to the mp
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:streaming-plugin~STREAMING_EVENT_CREATED>}
+   */
+  async createRtspMountpoint({ url, rtsp_user, rtsp_pwd, id = 0, name, description, secret, pin, admin_key, permanent = false, is_private = false, e2ee = false, audio, video,
+    rtsp_reconnect_delay, rtsp_session_timeout, rtsp_timeout, rtsp_conn_timeout, rtsp_failcheck, rtsp_iface, threads, metadata, signal }) {
+    if (typeof url !== 'string' || !/^rtsps?:\/\//i.test(url)) {
+      const error = new JanodeError('url must be a rtsp:// or rtsps:// url');
+      return Promise.reject(error);
+    }
+    if ((typeof audio !== 'object' || !audio) && (typeof video !== 'object' || !video)) {
+      const error = new JanodeError('at least one of audio and video must be set');
+      return Promise.reject(error);
+    }
+    const body = {
+      request: REQUEST_CREATE,
+      type: MP_TYPE_RTSP,
+      id,
+      url,
+      permanent,
+      is_private,
+      e2ee,
+      audio: false,
+      video: false,
+    };
+    if (typeof rtsp_user === 'string') body.rtsp_user = rtsp_user;
+    if (typeof rtsp_pwd === 'string') body.rtsp_pwd = rtsp_pwd;
+    if (typeof name === 'string') body.name = name;
+    if (typeof description === 'string') body.description = description;
+    if (typeof secret === 'string') body.secret = secret;
+    if (typeof pin === 'string') body.pin = pin;
+    if (typeof admin_key === 'string') body.admin_key = admin_key;
     if (typeof audio === 'object' && audio) {
       body.audio = true;
-      body.audioport = (typeof audio.port === 'number') ? audio.port : 0;
-      if (typeof audio.rtcpport === 'number') body.audiortcpport = audio.rtcppport;
-      if (typeof audio.mcast === 'string') body.audiomcast = audio.mcast;
       if (audio.pt) body.audiopt = audio.pt;
       if (audio.rtpmap) body.audiortpmap = audio.rtpmap;
-      if (typeof audio.skew === 'boolean') body.audioskew = audio.skew;
+      if (audio.fmtp) body.audiofmtp = audio.fmtp;
     }
     if (typeof video === 'object' && video) {
       body.video = true;
-      body.videoport = (typeof video.port === 'number') ? video.port : 0;
-      if (typeof video.rtcpport === 'number') body.videortcpport = video.rtcpport;
-      if (typeof video.mcast === 'string') body.videomcast = video.mcast;
       if (video.pt) body.videopt = video.pt;
       if (video.rtpmap) body.videortpmap = video.rtpmap;
       if (video.fmtp) body.videofmtp = video.fmtp;
       if (typeof video.buffer === 'boolean') body.videobufferkf = video.buffer;
-      if (typeof video.skew === 'boolean') body.videoskew = video.skew;
-      if (typeof video.port2 === 'number' && typeof video.port3 === 'number') {
-        body.videosimulcast = true;
-        body.videoport2 = video.port2;
-        body.videoport3 = video.port3;
-      }
-    }
-    if (typeof data === 'object' && data) {
-      body.data = true;
-      body.dataport = (typeof data.port === 'number') ? data.port : 0;
-      if (typeof data.buffer === 'boolean') body.databuffermsg = data.buffer;
     }
+    if (typeof rtsp_reconnect_delay === 'number') body.rtsp_reconnect_delay = rtsp_reconnect_delay;
+    if (typeof rtsp_session_timeout === 'number') body.rtsp_session_timeout = rtsp_session_timeout;
+    if (typeof rtsp_timeout === 'number') body.rtsp_timeout = rtsp_timeout;
+    if (typeof rtsp_conn_timeout === 'number') body.rtsp_conn_timeout = rtsp_conn_timeout;
+    if (typeof rtsp_failcheck === 'boolean') body.rtsp_failcheck = rtsp_failcheck;
+    if (typeof rtsp_iface === 'string') body.rtspiface = rtsp_iface;
     if (typeof threads === 'number' && threads > 0) body.threads = threads;
     if (metadata) body.metadata = metadata;
-    if (typeof collision === 'number') body.collision = collision;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.CREATED)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Edit the properties of a mountpoint.
+   *
+   * @param {object} params
+   * @param {number|string} params.id - The mountpoint to edit
+   * @param {string} [params.secret] - The secret needed to edit the mountpoint
+   * @param {string} [params.new_description] - The new description of the mountpoint
+   * @param {string} [params.new_metadata] - The new metadata of the mountpoint
+   * @param {string} [params.new_secret] - The new secret needed to edit the mountpoint
+   * @param {string} [params.new_pin] - The new pin needed to watch the mountpoint
+   * @param {boolean} [params.new_is_private] - The new private status of the mountpoint (hidden in list)
+   * @param {boolean} [params.permanent] - True to persist the changes in the Janus config file
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:streaming-plugin~STREAMING_EVENT_EDITED>}
+   */
+  async editMountpoint({ id, secret, new_description, new_metadata, new_secret, new_pin, new_is_private, permanent, signal }) {
+    const body = {
+      request: REQUEST_EDIT,
+      id,
+    };
+    if (typeof secret === 'string') body.secret = secret;
+    if (typeof new_description === 'string') body.new_description = new_description;
+    if (typeof new_metadata === 'string') body.new_metadata = new_metadata;
+    if (typeof new_secret === 'string') body.new_secret = new_secret;
+    if (typeof new_pin === 'string') body.new_pin = new_pin;
+    if (typeof new_is_private === 'boolean') body.new_is_private = new_is_private;
+    if (typeof permanent === 'boolean') body.permanent = permanent;
+    if (Object.keys(body).filter(key => key.startsWith('new_')).length === 0) {
+      const error = new JanodeError('no mountpoint property to edit');
+      return Promise.reject(error);
+    }
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.EDITED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Kick all the viewers of a mountpoint.
+   *
+   * @param {object} params
+   * @param {number|string} params.id - The involved mountpoint
+   * @param {string} [params.secret] - The secret needed to manage the mountpoint
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:streaming-plugin~STREAMING_EVENT_OK>}
+   */
+  async kickAll({ id, secret, signal }) {
+    const body = {
+      request: REQUEST_KICK_ALL,
+      id,
+    };
+    if (typeof secret === 'string') body.secret = secret;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.OK)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -630,9 +1070,10 @@ class StreamingHandle extends Handle {
    * @param {number|string} params.id
    * @param {boolean} [params.permanent]
    * @param {string} [params.secret]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:streaming-plugin~STREAMING_EVENT_DESTROYED>}
    */
-  async destroyMountpoint({ id, permanent, secret }) {
+  async destroyMountpoint({ id, permanent, secret, signal }) {
     const body = {
       request: REQUEST_DESTROY,
       id,
@@ -640,11 +1081,11 @@ class StreamingHandle extends Handle {
     if (typeof permanent === 'boolean') body.permanent = permanent;
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.DESTROYED)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -664,10 +1105,54 @@ class StreamingHandle extends Handle {
  * @typedef {object} STREAMING_EVENT_OK
  */
 
+/**
+ * [multistream] The descriptor of a media of a mountpoint.
+ *
+ * @typedef {object} MediaDescriptor
+ * @property {string} mid - The mid of the media
+ * @property {"audio"|"video"|"data"} type - The type of the media
+ * @property {number} [mindex] - The m-line index of the media
+ * @property {string} [label] - The label of the media
+ * @property {string} [msid] - The msid of the media
+ * @property {string} [codec] - The codec of the media
+ * @property {number} [pt] - The payload type of the media
+ * @property {string} [rtpmap] - The rtpmap of the media
+ * @property {string} [fmtp] - The fmtp of the media
+ * @property {number} [port] - The port for RTP
+ * @property {number} [rtcp_port] - The port for RTCP
+ * @property {number} [port_2] - The port for RTP (simulcast)
+ * @property {number} [port_3] - The port for RTP (simulcast)
+ * @property {number} [age_ms] - Milliseconds elapsed since the last packet was received
+ */
+
+/**
+ * The viewers count and the media stats of a mountpoint.
+ *
+ * @typedef {object} MountpointStats
+ * @property {number} viewers - The number of viewers of the mountpoint
+ * @property {boolean} enabled - False if the mountpoint has been disabled
+ * @property {object[]} media - The stats of each media of the mountpoint
+ * @property {string} [media[].mid] - [multistream] The mid of the media
+ * @property {"audio"|"video"|"data"} media[].type - The type of the media
+ * @property {number} [media[].age_ms] - Milliseconds elapsed since the last packet was received
+ */
+
 /**
  * Response event for mountpoint info request.
  *
  * @typedef {object} STREAMING_EVENT_INFO
+ * @property {module:streaming-plugin~MediaDescriptor[]} [media] - [multistream] The media of the mountpoint
+ * @property {module:streaming-plugin~MountpointStats} stats - The viewers count and the media stats of the mountpoint
+ * @property {boolean} recording - True if the mountpoint is being recorded, as reported by Janus (admin only) or as tracked by this handle
+ */
+
+/**
+ * The media recorded on a mountpoint, with their filenames.
+ *
+ * @typedef {object} RecordingState
+ * @property {string} [audio] - The filename of the audio recording
+ * @property {string} [video] - The filename of the video recording
+ * @property {string} [data] - The filename of the data recording
  */
 
 /**
@@ -675,6 +1160,7 @@ class StreamingHandle extends Handle {
  *
  * @typedef {object} STREAMING_EVENT_LIST
  * @property {object[]} list - The list of mountpoints as returned by Janus
+ * @property {module:streaming-plugin~MediaDescriptor[]} [list[].media] - [multistream] The media of the mountpoint
  */
 
 /**
@@ -691,6 +1177,15 @@ class StreamingHandle extends Handle {
  * @property {number} [video_port_3] - The port for RTP video (simulcast)
  * @property {number} [video_rtcp_port] - The port for RTCP video
  * @property {number} [data_port] - The port for datachannels
+ * @property {module:streaming-plugin~MediaDescriptor[]} [media] - [multistream] The ports of the mountpoint, per mid
+ */
+
+/**
+ * Response event for mountpoint edit request.
+ *
+ * @typedef {object} STREAMING_EVENT_EDITED
+ * @property {number|string} id - The identifier of the edited mountpoint
+ * @property {boolean} [permanent] - True if the changes have been persisted in the Janus config file
  */
 
 /**
@@ -707,6 +1202,7 @@ class StreamingHandle extends Handle {
  * @property {string} status - The current status of the stream
  * @property {number|string} [id] - The involved mountpoint identifier
  * @property {boolean} [restart] - True if the request had it true
+ * @property {module:streaming-plugin~MediaDescriptor[]} [media] - [multistream] The media of the mountpoint
  * @property {boolean} [e2ee] - True if an offered stream is end to end encrypted
  * @property {RTCSessionDescription} [jsep] - Optional JSEP offer from Janus
  */
@@ -751,7 +1247,7 @@ export default {
      * Generic streaming error.
      *
      * @event module:streaming-plugin~StreamingHandle#event:STREAMING_ERROR
-     * @type {Error}
+     * @type {module:errors~PluginError}
      */
     STREAMING_ERROR: PLUGIN_EVENT.ERROR,
   },
@@ -0,0 +1,824 @@
+'use strict';
+
+/**
+ * This module contains the implementation of the TextRoom plugin (ref. {@link https://janus.conf.meetecho.com/docs/textroom.html}).
+ * @module textroom-plugin
+ */
+
+import Handle from '../handle.js';
+import { JanodeError, PluginError } from '../errors.js';
+
+/* The plugin ID exported in the plugin descriptor */
+const PLUGIN_ID = 'janus.plugin.textroom';
+
+/* These are the requests defined for the Janus TextRoom API */
+const REQUEST_SETUP = 'setup';
+const REQUEST_ACK = 'ack';
+const REQUEST_RESTART = 'restart';
+const REQUEST_CREATE = 'create';
+const REQUEST_DESTROY = 'destroy';
+const REQUEST_EDIT = 'edit';
+const REQUEST_EXISTS = 'exists';
+const REQUEST_LIST_ROOMS = 'list';
+const REQUEST_LIST_PARTICIPANTS = 'listparticipants';
+const REQUEST_ALLOW = 'allowed';
+const REQUEST_KICK = 'kick';
+const REQUEST_ANNOUNCEMENT = 'announcement';
+const REQUEST_MESSAGE = 'message';
+
+/* These are the events/responses that the Janode plugin will manage */
+/* Some of them will be exported in the plugin descriptor */
+const PLUGIN_EVENT = {
+  OK: 'textroom_ok',
+  CREATED: 'textroom_created',
+  DESTROYED: 'textroom_destroyed',
+  EDITED: 'textroom_edited',
+  EXISTS: 'textroom_exists',
+  ROOMS_LIST: 'textroom_list',
+  PARTICIPANTS_LIST: 'textroom_participants_list',
+  ALLOWED: 'textroom_allowed',
+  SUCCESS: 'textroom_success',
+  PEER_JOINED: 'textroom_peer_joined',
+  PEER_LEAVING: 'textroom_peer_leaving',
+  MESSAGE: 'textroom_message',
+  ANNOUNCEMENT: 'textroom_announcement',
+  KICKED: 'textroom_kicked',
+  ERROR: 'textroom_error',
+};
+
+/**
+ * The error codes returned by the TextRoom plugin, matching the code of a {@link module:errors~PluginError}.
+ *
+ * @type {object}
+ */
+export const ERROR_CODE = {
+  UNKNOWN_ERROR: 499,
+  NO_MESSAGE: 411,
+  INVALID_JSON: 412,
+  MISSING_ELEMENT: 413,
+  INVALID_ELEMENT: 414,
+  INVALID_REQUEST: 415,
+  ALREADY_SETUP: 416,
+  NO_SUCH_ROOM: 417,
+  ROOM_EXISTS: 418,
+  UNAUTHORIZED: 419,
+  USERNAME_EXISTS: 420,
+  ALREADY_IN_ROOM: 421,
+  NOT_IN_ROOM: 422,
+  NO_SUCH_USER: 423,
+};
+
+/**
+ * The class implementing the TextRoom plugin (ref. {@link https://janus.conf.meetecho.com/docs/textroom.html}).<br>
+ *
+ * It extends the base Janode Handle class and overrides the base "handleMessage" method.<br>
+ *
+ * Moreover it defines some methods to setup the TextRoom datachannel and to manage the rooms.<br>
+ *
+ * Room events (join, leave, message ...) are delivered by Janus through the datachannel:
+ * applications relaying those payloads can feed them to "receiveData" in order to get the related Janode events.
+ *
+ * @hideconstructor
+ */
+class TextRoomHandle extends Handle {
+  /**
+   * Create a Janode TextRoom handle.
+   *
+   * @param {module:session~Session} session - A reference to the parent session
+   * @param {number} id - The handle identifier
+   */
+  constructor(session, id) {
+    super(session, id);
+  }
+
+  /**
+   * The custom "handleMessage" needed for handling TextRoom messages.
+   *
+   * @private
+   * @param {object} janus_message
+   * @returns {object} A falsy value for unhandled events, a truthy value for handled events
+   */
+  handleMessage(janus_message) {
+    const { plugindata, jsep, transaction } = janus_message;
+    if (plugindata && plugindata.data && plugindata.data.textroom) {
+      /**
+       * @type {TextRoomData}
+       */
+      const message_data = plugindata.data;
+      const { textroom, error, error_code, room } = message_data;
+
+      /* Prepare an object for the output Janode event */
+      const janode_event = {
+        /* The name of the resolved event */
+        event: null,
+        /* The event payload */
+        data: {},
+      };
+
+      /* Add JSEP data if available */
+      if (jsep) janode_event.data.jsep = jsep;
+      /* Add room information if available */
+      if (room) janode_event.data.room = room;
+
+      /* The plugin will emit an event only if the handle does not own the transaction */
+      /* That means that a transaction has already been closed or this is an async event */
+      const emit = (this.ownsTransaction(transaction) === false);
+
+      /* Use the "janode" property to store the output event */
+      janus_message._janode = janode_event;
+
+      switch (textroom) {
+
+        /* TextRoom error */
+        case 'error':
+          janode_event.event = PLUGIN_EVENT.ERROR;
+          janode_event.data = new PluginError({ code: error_code, reason: error, plugin: PLUGIN_ID, transaction });
+          /* In case of error, close a transaction */
+          this.closeTransactionWithError(transaction, janode_event.data);
+          break;
+
+        /* Success response */
+        case 'success':
+          /* Room exists API */
+          if (typeof message_data.exists !== 'undefined') {
+            janode_event.data.exists = message_data.exists;
+            janode_event.event = PLUGIN_EVENT.EXISTS;
+            break;
+          }
+          /* Room list API */
+          if (typeof message_data.list !== 'undefined') {
+            janode_event.data.list = message_data.list;
+            janode_event.event = PLUGIN_EVENT.ROOMS_LIST;
+            break;
+          }
+          /* Participants list API */
+          if (typeof message_data.participants !== 'undefined') {
+            janode_event.data.participants = message_data.participants;
+            janode_event.event = PLUGIN_EVENT.PARTICIPANTS_LIST;
+            break;
+          }
+          /* Tokens management (add/remove/enable) */
+          if (typeof message_data.allowed !== 'undefined') {
+            janode_event.data.list = message_data.allowed;
+            janode_event.event = PLUGIN_EVENT.ALLOWED;
+            break;
+          }
+
+          /* Generic success event */
+          janode_event.event = PLUGIN_EVENT.SUCCESS;
+          break;
+
+        /* Room created */
+        case 'created':
+          janode_event.event = PLUGIN_EVENT.CREATED;
+          janode_event.data.permanent = message_data.permanent;
+          break;
+
+        /* Room destroyed (response or notification) */
+        case 'destroyed':
+          janode_event.event = PLUGIN_EVENT.DESTROYED;
+          if (typeof message_data.permanent !== 'undefined') janode_event.data.permanent = message_data.permanent;
+          break;
+
+        /* Room edited */
+        case 'edited':
+          janode_event.event = PLUGIN_EVENT.EDITED;
+          janode_event.data.permanent = message_data.permanent;
+          break;
+
+        /* Generic event (setup result, ack ...) */
+        case 'event':
+          /* TextRoom error */
+          if (error) {
+            janode_event.event = PLUGIN_EVENT.ERROR;
+            janode_event.data = new PluginError({ code: error_code, reason: error, plugin: PLUGIN_ID, transaction });
+            /* In case of error, close a transaction */
+            this.closeTransactionWithError(transaction, janode_event.data);
+            break;
+          }
+          /* Setup/ack result */
+          if (message_data.result === 'ok') {
+            janode_event.event = PLUGIN_EVENT.OK;
+            break;
+          }
+          break;
+
+        /* A participant joined the room */
+        case 'join':
+          janode_event.event = PLUGIN_EVENT.PEER_JOINED;
+          janode_event.data.username = message_data.username;
+          if (typeof message_data.display !== 'undefined') janode_event.data.display = message_data.display;
+          break;
+
+        /* A participant left the room */
+        case 'leave':
+          janode_event.event = PLUGIN_EVENT.PEER_LEAVING;
+          janode_event.data.username = message_data.username;
+          break;
+
+        /* A message has been sent in the room */
+        case 'message':
+          janode_event.event = PLUGIN_EVENT.MESSAGE;
+          janode_event.data.from = message_data.from;
+          janode_event.data.date = message_data.date;
+          janode_event.data.text = message_data.text;
+          janode_event.data.whisper = (message_data.whisper === true);
+          break;
+
+        /* An announcement has been sent in the room */
+        case 'announcement':
+          janode_event.event = PLUGIN_EVENT.ANNOUNCEMENT;
+          janode_event.data.date = message_data.date;
+          janode_event.data.text = message_data.text;
+          break;
+
+        /* A participant has been kicked out */
+        case 'kicked':
+          janode_event.event = PLUGIN_EVENT.KICKED;
+          janode_event.data.username = message_data.username;
+          break;
+      }
+
+      /* The event has been handled */
+      if (janode_event.event) {
+        /* Try to close the transaction */
+        this.closeTransactionWithSuccess(transaction, janus_message);
+        /* If the transaction was not owned, emit the event */
+        if (emit) this.emit(janode_event.event, janode_event.data);
+        return janode_event;
+      }
+    }
+
+    /* The event has not been handled, return a falsy value */
+    return null;
+  }
+
+  /**
+   * Feed a payload received on the TextRoom datachannel, in order to emit the related Janode event
+   * (e.g. TEXTROOM_PEER_JOINED, TEXTROOM_MESSAGE ...).
+   *
+   * @param {string|object} data - The datachannel payload (JSON string or parsed object)
+   * @returns {object} A falsy value for unhandled payloads, a truthy value for handled payloads
+   */
+  receiveData(data) {
+    let message_data = data;
+    if (typeof data === 'string') {
+      try {
+        message_data = JSON.parse(data);
+      } catch (_error) {
+        return null;
+      }
+    }
+    if (!message_data || typeof message_data !== 'object') return null;
+    return this.handleMessage({ plugindata: { plugin: PLUGIN_ID, data: message_data } });
+  }
+
+  /*----------*/
+  /* USER API */
+  /*----------*/
+
+  /* These are the APIs that users need to work with the textroom plugin */
+
+  /**
+   * Ask Janus to setup the datachannel, Janus will send a JSEP offer.
+   *
+   * @param {object} [params]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:textroom-plugin~TEXTROOM_EVENT_OK>}
+   */
+  async setup({ signal } = {}) {
+    const body = {
+      request: REQUEST_SETUP,
+    };
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.OK)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Complete the datachannel setup, sending the JSEP answer.
+   *
+   * @param {object} params
+   * @param {RTCSessionDescription} params.jsep - The JSEP answer
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:textroom-plugin~TEXTROOM_EVENT_OK>}
+   */
+  async ack({ jsep, signal }) {
+    if (typeof jsep !== 'object' || !jsep || jsep.type !== 'answer') {
+      const error = new JanodeError('jsep must be an answer');
+      return Promise.reject(error);
+    }
+
+    const body = {
+      request: REQUEST_ACK,
+    };
+
+    const response = await this.message(body, jsep, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.OK)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Ask Janus for an ICE restart, Janus will send a new JSEP offer.
+   *
+   * @param {object} [params]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:textroom-plugin~TEXTROOM_EVENT_OK>}
+   */
+  async restart({ signal } = {}) {
+    const body = {
+      request: REQUEST_RESTART,
+    };
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.OK)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /*----------------*/
+  /* Management API */
+  /*----------------*/
+
+  /* These are the APIs needed to manage textroom resources (rooms, messages ...) */
+
+  /**
+   * Create a textroom.
+   *
+   * @param {object} params
+   * @param {number|string} [params.room] - The room identifier, if missing picked by janus
+   * @param {string} [params.description] - A textual description of the room
+   * @param {string} [params.secret] - The secret that will be used to modify the room
+   * @param {string} [params.pin] - The pin needed to access the room
+   * @param {boolean} [params.is_private] - Set room as private (hidden in list)
+   * @param {string[]} [params.allowed] - List of allowed tokens
+   * @param {string} [params.post] - The HTTP backend to forward the messages to
+   * @param {number} [params.history] - The number of messages to store as a history
+   * @param {boolean} [params.permanent] - Set to true to persist the room in the Janus config file
+   * @param {string} [params.admin_key] - The admin key needed for invoking the API
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:textroom-plugin~TEXTROOM_EVENT_CREATED>}
+   */
+  async create({ room, description, secret, pin, is_private, allowed, post, history, permanent, admin_key, signal }) {
+    const body = {
+      request: REQUEST_CREATE,
+    };
+    if (typeof room === 'string' || typeof room === 'number') body.room = room;
+    if (typeof description === 'string') body.description = description;
+    if (typeof secret === 'string') body.secret = secret;
+    if (typeof pin === 'string') body.pin = pin;
+    if (typeof is_private === 'boolean') body.is_private = is_private;
+    if (allowed && allowed.length > 0) body.allowed = allowed;
+    if (typeof post === 'string') body.post = post;
+    if (typeof history === 'number') body.history = history;
+    if (typeof permanent === 'boolean') body.permanent = permanent;
+    if (typeof admin_key === 'string') body.admin_key = admin_key;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.CREATED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Destroy a textroom.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The room to destroy
+   * @param {boolean} [params.permanent] - True to remove the room from the Janus config file
+   * @param {string} [params.secret] - The secret needed to manage the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:textroom-plugin~TEXTROOM_EVENT_DESTROYED>}
+   */
+  async destroy({ room, permanent, secret, signal }) {
+    const body = {
+      request: REQUEST_DESTROY,
+      room,
+    };
+    if (typeof permanent === 'boolean') body.permanent = permanent;
+    if (typeof secret === 'string') body.secret = secret;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.DESTROYED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Edit the properties of a textroom.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The room to edit
+   * @param {string} [params.secret] - The secret needed to manage the room
+   * @param {string} [params.new_description] - The new description of the room
+   * @param {string} [params.new_secret] - The new secret of the room
+   * @param {string} [params.new_pin] - The new pin of the room
+   * @param {boolean} [params.new_is_private] - The new private flag of the room
+   * @param {string} [params.new_post] - The new HTTP backend of the room
+   * @param {boolean} [params.permanent] - True to save the changes in the Janus config file
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:textroom-plugin~TEXTROOM_EVENT_EDITED>}
+   */
+  async edit({ room, secret, new_description, new_secret, new_pin, new_is_private, new_post, permanent, signal }) {
+    const body = {
+      request: REQUEST_EDIT,
+      room,
+    };
+    if (typeof secret === 'string') body.secret = secret;
+    if (typeof new_description === 'string') body.new_description = new_description;
+    if (typeof new_secret === 'string') body.new_secret = new_secret;
+    if (typeof new_pin === 'string') body.new_pin = new_pin;
+    if (typeof new_is_private === 'boolean') body.new_is_private = new_is_private;
+    if (typeof new_post === 'string') body.new_post = new_post;
+    if (typeof permanent === 'boolean') body.permanent = permanent;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.EDITED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Check if a textroom exists.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The room to check
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:textroom-plugin~TEXTROOM_EVENT_EXISTS>}
+   */
+  async exists({ room, signal }) {
+    const body = {
+      request: REQUEST_EXISTS,
+      room,
+    };
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.EXISTS)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * List the available textrooms.
+   *
+   * @param {object} [params]
+   * @param {string} [params.admin_key] - The admin key needed to list the private rooms too
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:textroom-plugin~TEXTROOM_EVENT_ROOMS_LIST>}
+   */
+  async list({ admin_key, signal } = {}) {
+    const body = {
+      request: REQUEST_LIST_ROOMS,
+    };
+    if (typeof admin_key === 'string') body.admin_key = admin_key;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.ROOMS_LIST)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * List the participants inside a textroom.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The room where to execute the list
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:textroom-plugin~TEXTROOM_EVENT_PARTICIPANTS_LIST>}
+   */
+  async listParticipants({ room, signal }) {
+    const body = {
+      request: REQUEST_LIST_PARTICIPANTS,
+      room,
+    };
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.PARTICIPANTS_LIST)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Edit the ACL tokens of a textroom.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The involved room
+   * @param {"enable"|"disable"|"add"|"remove"} params.action - The action to perform
+   * @param {string[]} params.list - The list of tokens to add/remove
+   * @param {string} [params.secret] - The secret needed to manage the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:textroom-plugin~TEXTROOM_EVENT_ALLOWED>}
+   */
+  async allow({ room, action, list, secret, signal }) {
+    const body = {
+      request: REQUEST_ALLOW,
+      room,
+      action,
+    };
+    if (list && list.length > 0) body.allowed = list;
+    if (typeof secret === 'string') body.secret = secret;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.ALLOWED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Kick a participant out of a textroom.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The involved room
+   * @param {string} params.username - The username of the participant to kick out
+   * @param {string} [params.secret] - The secret needed to manage the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:textroom-plugin~TEXTROOM_EVENT_KICK_RESPONSE>}
+   */
+  async kick({ room, username, secret, signal }) {
+    const body = {
+      request: REQUEST_KICK,
+      room,
+      username,
+    };
+    if (typeof secret === 'string') body.secret = secret;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.SUCCESS) {
+      evtdata.room = body.room;
+      evtdata.username = body.username;
+      return evtdata;
+    }
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Send an announcement to all the participants of a textroom.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The involved room
+   * @param {string} params.text - The content of the announcement
+   * @param {string} [params.secret] - The secret needed to manage the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:textroom-plugin~TEXTROOM_EVENT_SUCCESS>}
+   */
+  async announcement({ room, text, secret, signal }) {
+    const body = {
+      request: REQUEST_ANNOUNCEMENT,
+      room,
+      text,
+    };
+    if (typeof secret === 'string') body.secret = secret;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.SUCCESS) {
+      evtdata.room = body.room;
+      return evtdata;
+    }
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Inject a message in a textroom from the server side.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The involved room
+   * @param {string} params.text - The content of the message
+   * @param {string} [params.to] - The username of the recipient (whisper)
+   * @param {string[]} [params.tos] - The usernames of the recipients (whisper)
+   * @param {boolean} [params.ack] - False to skip the confirmation from Janus
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:textroom-plugin~TEXTROOM_EVENT_SUCCESS>}
+   */
+  async sendMessage({ room, text, to, tos, ack, signal }) {
+    const body = {
+      request: REQUEST_MESSAGE,
+      room,
+      text,
+    };
+    if (typeof to === 'string') body.to = to;
+    if (Array.isArray(tos)) body.tos = tos;
+    if (typeof ack === 'boolean') body.ack = ack;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.SUCCESS) {
+      evtdata.room = body.room;
+      return evtdata;
+    }
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+}
+
+/**
+ * The payload of the plugin message (cfr. Janus docs).
+ * {@link https://janus.conf.meetecho.com/docs/textroom.html}
+ *
+ * @private
+ * @typedef {object} TextRoomData
+ */
+
+/**
+ * The response event for setup, ack and restart requests.
+ *
+ * @typedef {object} TEXTROOM_EVENT_OK
+ * @property {RTCSessionDescription} [jsep] - The JSEP offer from Janus (setup and restart)
+ */
+
+/**
+ * The response event for textroom create request.
+ *
+ * @typedef {object} TEXTROOM_EVENT_CREATED
+ * @property {number|string} room - The created room
+ * @property {boolean} permanent - True if the room is being persisted in the Janus config file
+ */
+
+/**
+ * The response event for textroom destroy request.
+ *
+ * @typedef {object} TEXTROOM_EVENT_DESTROYED
+ * @property {number|string} room - The destroyed room
+ * @property {boolean} [permanent] - True if the room has been removed from the Janus config file
+ */
+
+/**
+ * The response event for textroom edit request.
+ *
+ * @typedef {object} TEXTROOM_EVENT_EDITED
+ * @property {number|string} room - The edited room
+ * @property {boolean} permanent - True if the changes have been saved in the Janus config file
+ */
+
+/**
+ * The response event for textroom exists request.
+ *
+ * @typedef {object} TEXTROOM_EVENT_EXISTS
+ * @property {number|string} room - The involved room
+ * @property {boolean} exists - True if the rooms exists
+ */
+
+/**
+ * The response event for textroom list request.
+ *
+ * @typedef {object} TEXTROOM_EVENT_ROOMS_LIST
+ * @property {object[]} list - The list of the rooms as returned by Janus
+ */
+
+/**
+ * The response event for textroom participants list request.
+ *
+ * @typedef {object} TEXTROOM_EVENT_PARTICIPANTS_LIST
+ * @property {number|string} room - The involved room
+ * @property {object[]} participants - The list of participants
+ * @property {string} participants[].username - The participant username
+ * @property {string} [participants[].display] - The participant display name
+ */
+
+/**
+ * The response event for textroom ACL tokens edit request.
+ *
+ * @typedef {object} TEXTROOM_EVENT_ALLOWED
+ * @property {number|string} room - The involved room
+ * @property {string[]} list - The updated, complete, list of allowed tokens
+ */
+
+/**
+ * The response event for textroom kick request.
+ *
+ * @typedef {object} TEXTROOM_EVENT_KICK_RESPONSE
+ * @property {number|string} room - The involved room
+ * @property {string} username - The username that has been kicked out
+ */
+
+/**
+ * The response event for textroom announcement and message requests.
+ *
+ * @typedef {object} TEXTROOM_EVENT_SUCCESS
+ * @property {number|string} room - The involved room
+ */
+
+/**
+ * A message sent in a textroom.
+ *
+ * @typedef {object} TEXTROOM_EVENT_MESSAGE
+ * @property {number|string} room - The involved room
+ * @property {string} from - The username of the sender
+ * @property {string} date - The date of the message
+ * @property {string} text - The content of the message
+ * @property {boolean} whisper - True for private messages
+ */
+
+/**
+ * The exported plugin descriptor.
+ *
+ * @type {object}
+ * @property {string} id - The plugin identifier used when attaching to Janus
+ * @property {module:textroom-plugin~TextRoomHandle} Handle - The custom class implementing the plugin
+ * @property {object} EVENT - The events emitted by the plugin
+ * @property {string} EVENT.TEXTROOM_PEER_JOINED {@link module:textroom-plugin~TEXTROOM_PEER_JOINED}
+ * @property {string} EVENT.TEXTROOM_PEER_LEAVING {@link module:textroom-plugin~TEXTROOM_PEER_LEAVING}
+ * @property {string} EVENT.TEXTROOM_MESSAGE {@link module:textroom-plugin~TEXTROOM_MESSAGE}
+ * @property {string} EVENT.TEXTROOM_ANNOUNCEMENT {@link module:textroom-plugin~TEXTROOM_ANNOUNCEMENT}
+ * @property {string} EVENT.TEXTROOM_KICKED {@link module:textroom-plugin~TEXTROOM_KICKED}
+ * @property {string} EVENT.TEXTROOM_DESTROYED {@link module:textroom-plugin~TEXTROOM_DESTROYED}
+ * @property {string} EVENT.TEXTROOM_ERROR {@link module:textroom-plugin~TEXTROOM_ERROR}
+ */
+export default {
+  id: PLUGIN_ID,
+  Handle: TextRoomHandle,
+  EVENT: {
+    /**
+     * A participant joined the room.
+     *
+     * @event module:textroom-plugin~TextRoomHandle#event:TEXTROOM_PEER_JOINED
+     * @type {object}
+     * @property {number|string} room
+     * @property {string} username
+     * @property {string} [display]
+     */
+    TEXTROOM_PEER_JOINED: PLUGIN_EVENT.PEER_JOINED,
+
+    /**
+     * A participant left the room.
+     *
+     * @event module:textroom-plugin~TextRoomHandle#event:TEXTROOM_PEER_LEAVING
+     * @type {object}
+     * @property {number|string} room
+     * @property {string} username
+     */
+    TEXTROOM_PEER_LEAVING: PLUGIN_EVENT.PEER_LEAVING,
+
+    /**
+     * A message has been sent in the room.
+     *
+     * @event module:textroom-plugin~TextRoomHandle#event:TEXTROOM_MESSAGE
+     * @type {module:textroom-plugin~TEXTROOM_EVENT_MESSAGE}
+     */
+    TEXTROOM_MESSAGE: PLUGIN_EVENT.MESSAGE,
+
+    /**
+     * An announcement has been sent in the room.
+     *
+     * @event module:textroom-plugin~TextRoomHandle#event:TEXTROOM_ANNOUNCEMENT
+     * @type {object}
+     * @property {number|string} room
+     * @property {string} date
+     * @property {string} text
+     */
+    TEXTROOM_ANNOUNCEMENT: PLUGIN_EVENT.ANNOUNCEMENT,
+
+    /**
+     * A participant has been kicked out.
+     *
+     * @event module:textroom-plugin~TextRoomHandle#event:TEXTROOM_KICKED
+     * @type {object}
+     * @property {number|string} room
+     * @property {string} username
+     */
+    TEXTROOM_KICKED: PLUGIN_EVENT.KICKED,
+
+    /**
+     * The room has been destroyed.
+     *
+     * @event module:textroom-plugin~TextRoomHandle#event:TEXTROOM_DESTROYED
+     * @type {module:textroom-plugin~TEXTROOM_EVENT_DESTROYED}
+     */
+    TEXTROOM_DESTROYED: PLUGIN_EVENT.DESTROYED,
+
+    /**
+     * Generic textroom error.
+     *
+     * @event module:textroom-plugin~TextRoomHandle#event:TEXTROOM_ERROR
+     * @type {module:errors~PluginError}
+     */
+    TEXTROOM_ERROR: PLUGIN_EVENT.ERROR,
+  },
+};
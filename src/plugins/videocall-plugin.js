@@ -0,0 +1,539 @@
+'use strict';
+
+/**
+ * This module contains the implementation of the VideoCall plugin (ref. {@link https://janus.conf.meetecho.com/docs/videocall.html}).
+ * @module videocall-plugin
+ */
+
+import Handle from '../handle.js';
+import { JanodeError, PluginError } from '../errors.js';
+
+/* The plugin ID exported in the plugin descriptor */
+const PLUGIN_ID = 'janus.plugin.videocall';
+
+/* These are the requests defined for the Janus VideoCall API */
+const REQUEST_LIST = 'list';
+const REQUEST_REGISTER = 'register';
+const REQUEST_CALL = 'call';
+const REQUEST_ACCEPT = 'accept';
+const REQUEST_SET = 'set';
+const REQUEST_HANGUP = 'hangup';
+
+/* These are the events/responses that the Janode plugin will manage */
+/* Some of them will be exported in the plugin descriptor */
+const PLUGIN_EVENT = {
+  LIST: 'videocall_list',
+  REGISTERED: 'videocall_registered',
+  CALLING: 'videocall_calling',
+  INCOMING_CALL: 'videocall_incomingcall',
+  ACCEPTED: 'videocall_accepted',
+  SET: 'videocall_set',
+  UPDATE: 'videocall_update',
+  HANGUP: 'videocall_hangup',
+  SIMULCAST: 'videocall_simulcast',
+  SLOWLINK: 'videocall_slowlink',
+  ERROR: 'videocall_error',
+};
+
+/**
+ * The error codes returned by the VideoCall plugin, matching the code of a {@link module:errors~PluginError}.
+ *
+ * @type {object}
+ */
+export const ERROR_CODE = {
+  UNKNOWN_ERROR: 499,
+  NO_MESSAGE: 470,
+  INVALID_JSON: 471,
+  INVALID_REQUEST: 472,
+  REGISTER_FIRST: 473,
+  INVALID_ELEMENT: 474,
+  MISSING_ELEMENT: 475,
+  USERNAME_TAKEN: 476,
+  ALREADY_REGISTERED: 477,
+  NO_SUCH_USERNAME: 478,
+  USE_ECHO_TEST: 479,
+  ALREADY_IN_CALL: 480,
+  NO_CALL: 481,
+  MISSING_SDP: 482,
+  INVALID_SDP: 483,
+};
+
+/**
+ * The class implementing the VideoCall plugin (ref. {@link https://janus.conf.meetecho.com/docs/videocall.html}).<br>
+ *
+ * It extends the base Janode Handle class and overrides the base "handleMessage" method.<br>
+ *
+ * Moreover it defines some methods to support VideoCall operations.<br>
+ *
+ * @hideconstructor
+ */
+class VideoCallHandle extends Handle {
+  /**
+   * Create a Janode VideoCall handle.
+   *
+   * @param {module:session~Session} session - A reference to the parent session
+   * @param {number} id - The handle identifier
+   */
+  constructor(session, id) {
+    super(session, id);
+    /**
+     * The username registered by this handle.
+     *
+     * @type {string}
+     */
+    this.username = null;
+
+    /**
+     * The username of the current peer, if in a call.
+     *
+     * @type {string}
+     */
+    this.peer = null;
+  }
+
+  /**
+   * The custom "handleMessage" needed for handling VideoCall messages.
+   *
+   * @private
+   * @param {object} janus_message
+   * @returns {object} A falsy value for unhandled events, a truthy value for handled events
+   */
+  handleMessage(janus_message) {
+    const { plugindata, jsep, transaction } = janus_message;
+    if (plugindata && plugindata.data && plugindata.data.videocall) {
+      /**
+       * @type {VideoCallData}
+       */
+      const message_data = plugindata.data;
+      const { videocall, error, error_code, result } = message_data;
+
+      /* Prepare an object for the output Janode event */
+      const janode_event = {
+        /* The name of the resolved event */
+        event: null,
+        /* The event payload */
+        data: {},
+      };
+
+      /* Add JSEP data if available */
+      if (jsep) janode_event.data.jsep = jsep;
+
+      /* The plugin will emit an event only if the handle does not own the transaction */
+      /* That means that a transaction has already been closed or this is an async event */
+      const emit = (this.ownsTransaction(transaction) === false);
+
+      /* Use the "janode" property to store the output event */
+      janus_message._janode = janode_event;
+
+      switch (videocall) {
+
+        /* Generic event (result, error ...) */
+        case 'event':
+          /* VideoCall error */
+          if (error) {
+            janode_event.event = PLUGIN_EVENT.ERROR;
+            janode_event.data = new PluginError({ code: error_code, reason: error, plugin: PLUGIN_ID, transaction });
+            /* In case of error, close a transaction */
+            this.closeTransactionWithError(transaction, janode_event.data);
+            break;
+          }
+          if (!result) break;
+          /* Registered users list */
+          if (typeof result.list !== 'undefined') {
+            janode_event.event = PLUGIN_EVENT.LIST;
+            janode_event.data.list = result.list;
+            break;
+          }
+          switch (result.event) {
+            /* Username registered */
+            case 'registered':
+              janode_event.event = PLUGIN_EVENT.REGISTERED;
+              janode_event.data.username = result.username;
+              this.username = result.username;
+              break;
+            /* Outgoing call in progress */
+            case 'calling':
+              janode_event.event = PLUGIN_EVENT.CALLING;
+              break;
+            /* Incoming call */
+            case 'incomingcall':
+              janode_event.event = PLUGIN_EVENT.INCOMING_CALL;
+              janode_event.data.username = result.username;
+              this.peer = result.username;
+              break;
+            /* Call established */
+            case 'accepted':
+              janode_event.event = PLUGIN_EVENT.ACCEPTED;
+              if (typeof result.username !== 'undefined') {
+                janode_event.data.username = result.username;
+                this.peer = result.username;
+              }
+              break;
+            /* Media settings updated */
+            case 'set':
+              janode_event.event = PLUGIN_EVENT.SET;
+              break;
+            /* Renegotiation */
+            case 'update':
+              janode_event.event = PLUGIN_EVENT.UPDATE;
+              break;
+            /* Call ended */
+            case 'hangup':
+              janode_event.event = PLUGIN_EVENT.HANGUP;
+              janode_event.data.username = result.username;
+              janode_event.data.reason = result.reason;
+              this.peer = null;
+              break;
+            /* Simulcast layer changes */
+            case 'simulcast':
+              janode_event.event = PLUGIN_EVENT.SIMULCAST;
+              if (typeof result.videocodec !== 'undefined') janode_event.data.videocodec = result.videocodec;
+              if (typeof result.substream !== 'undefined') janode_event.data.substream = result.substream;
+              if (typeof result.temporal !== 'undefined') janode_event.data.temporal = result.temporal;
+              break;
+            /* Slow link notification */
+            case 'slow_link':
+              janode_event.event = PLUGIN_EVENT.SLOWLINK;
+              if (typeof result.media !== 'undefined') janode_event.data.media = result.media;
+              if (typeof result.uplink !== 'undefined') janode_event.data.uplink = result.uplink;
+              if (typeof result['current-bitrate'] !== 'undefined') janode_event.data.bitrate = result['current-bitrate'];
+              break;
+          }
+          break;
+      }
+
+      /* The event has been handled */
+      if (janode_event.event) {
+        /* Try to close the transaction */
+        this.closeTransactionWithSuccess(transaction, janus_message);
+        /* If the transaction was not owned, emit the event */
+        if (emit) this.emit(janode_event.event, janode_event.data);
+        return janode_event;
+      }
+    }
+
+    /* The event has not been handled, return a falsy value */
+    return null;
+  }
+
+  /**
+   * List the registered users.
+   *
+   * @param {object} [params]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:videocall-plugin~VIDEOCALL_EVENT_LIST>}
+   */
+  async list({ signal } = {}) {
+    const body = {
+      request: REQUEST_LIST,
+    };
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.LIST)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Register a username.
+   *
+   * @param {object} params
+   * @param {string} params.username - The username to register
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:videocall-plugin~VIDEOCALL_EVENT_REGISTERED>}
+   */
+  async register({ username, signal }) {
+    const body = {
+      request: REQUEST_REGISTER,
+      username,
+    };
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.REGISTERED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Call a registered user.
+   *
+   * @param {object} params
+   * @param {string} params.username - The username to call
+   * @param {RTCSessionDescription} params.jsep - The JSEP offer
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:videocall-plugin~VIDEOCALL_EVENT_CALLING>}
+   */
+  async call({ username, jsep, signal }) {
+    if (typeof jsep !== 'object' || !jsep || jsep.type !== 'offer') {
+      const error = new JanodeError('jsep must be an offer');
+      return Promise.reject(error);
+    }
+
+    const body = {
+      request: REQUEST_CALL,
+      username,
+    };
+
+    const response = await this.message(body, jsep, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.CALLING) {
+      this.peer = username;
+      return evtdata;
+    }
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Accept an incoming call.
+   *
+   * @param {object} params
+   * @param {RTCSessionDescription} params.jsep - The JSEP answer
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:videocall-plugin~VIDEOCALL_EVENT_ACCEPTED>}
+   */
+  async accept({ jsep, signal }) {
+    if (typeof jsep !== 'object' || !jsep || jsep.type !== 'answer') {
+      const error = new JanodeError('jsep must be an answer');
+      return Promise.reject(error);
+    }
+
+    const body = {
+      request: REQUEST_ACCEPT,
+    };
+
+    const response = await this.message(body, jsep, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.ACCEPTED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Update the media settings of the current call, optionally renegotiating.
+   *
+   * @param {object} params
+   * @param {boolean} [params.audio] - True to forward the audio to the peer
+   * @param {boolean} [params.video] - True to forward the video to the peer
+   * @param {number} [params.bitrate] - The bitrate cap to force on the user video
+   * @param {boolean} [params.record] - True to record the call
+   * @param {string} [params.filename] - The base path of the recordings
+   * @param {number} [params.substream] - Substream to receive (simulcast)
+   * @param {number} [params.temporal] - Temporal layer to receive (simulcast)
+   * @param {number} [params.fallback] - Fallback timer in microseconds (simulcast)
+   * @param {RTCSessionDescription} [params.jsep] - A JSEP offer, for renegotiations
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:videocall-plugin~VIDEOCALL_EVENT_SET>}
+   */
+  async set({ audio, video, bitrate, record, filename, substream, temporal, fallback, jsep = null, signal }) {
+    const body = {
+      request: REQUEST_SET,
+    };
+    if (typeof audio === 'boolean') body.audio = audio;
+    if (typeof video === 'boolean') body.video = video;
+    if (typeof bitrate === 'number') body.bitrate = bitrate;
+    if (typeof record === 'boolean') body.record = record;
+    if (typeof filename === 'string') body.filename = filename;
+    if (typeof substream === 'number') body.substream = substream;
+    if (typeof temporal === 'number') body.temporal = temporal;
+    if (typeof fallback === 'number') body.fallback = fallback;
+
+    const response = await this.message(body, jsep, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.SET)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Hangup the current call.
+   *
+   * @param {object} [params]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:videocall-plugin~VIDEOCALL_EVENT_HANGUP>}
+   */
+  async callHangup({ signal } = {}) {
+    const body = {
+      request: REQUEST_HANGUP,
+    };
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.HANGUP)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+}
+
+/**
+ * The payload of the plugin message (cfr. Janus docs).
+ * {@link https://janus.conf.meetecho.com/docs/videocall.html}
+ *
+ * @private
+ * @typedef {object} VideoCallData
+ */
+
+/**
+ * The response event for the list request.
+ *
+ * @typedef {object} VIDEOCALL_EVENT_LIST
+ * @property {string[]} list - The registered usernames
+ */
+
+/**
+ * The response event for the register request.
+ *
+ * @typedef {object} VIDEOCALL_EVENT_REGISTERED
+ * @property {string} username - The registered username
+ */
+
+/**
+ * The response event for the call request.
+ *
+ * @typedef {object} VIDEOCALL_EVENT_CALLING
+ */
+
+/**
+ * Incoming call event.
+ *
+ * @typedef {object} VIDEOCALL_EVENT_INCOMING_CALL
+ * @property {string} username - The username of the caller
+ * @property {RTCSessionDescription} jsep - The JSEP offer
+ */
+
+/**
+ * Call accepted event, or response event for the accept request.
+ *
+ * @typedef {object} VIDEOCALL_EVENT_ACCEPTED
+ * @property {string} [username] - The username of the callee (caller side)
+ * @property {RTCSessionDescription} [jsep] - The JSEP answer (caller side)
+ */
+
+/**
+ * The response event for the set request.
+ *
+ * @typedef {object} VIDEOCALL_EVENT_SET
+ * @property {RTCSessionDescription} [jsep] - The JSEP answer, for renegotiations
+ */
+
+/**
+ * Call ended event, or response event for the hangup request.
+ *
+ * @typedef {object} VIDEOCALL_EVENT_HANGUP
+ * @property {string} username - The username of the user that hung up
+ * @property {string} reason - The reason of the hangup
+ */
+
+/**
+ * Simulcast layer change event.
+ *
+ * @typedef {object} VIDEOCALL_EVENT_SIMULCAST
+ * @property {string} [videocodec] - The video codec
+ * @property {number} [substream] - The substream being received
+ * @property {number} [temporal] - The temporal layer being received
+ */
+
+/**
+ * The exported plugin descriptor.
+ *
+ * @type {object}
+ * @property {string} id - The plugin identifier used when attaching to Janus
+ * @property {module:videocall-plugin~VideoCallHandle} Handle - The custom class implementing the plugin
+ * @property {object} EVENT - The events emitted by the plugin
+ * @property {string} EVENT.VIDEOCALL_REGISTERED {@link module:videocall-plugin~VIDEOCALL_REGISTERED}
+ * @property {string} EVENT.VIDEOCALL_CALLING {@link module:videocall-plugin~VIDEOCALL_CALLING}
+ * @property {string} EVENT.VIDEOCALL_INCOMING_CALL {@link module:videocall-plugin~VIDEOCALL_INCOMING_CALL}
+ * @property {string} EVENT.VIDEOCALL_ACCEPTED {@link module:videocall-plugin~VIDEOCALL_ACCEPTED}
+ * @property {string} EVENT.VIDEOCALL_UPDATE {@link module:videocall-plugin~VIDEOCALL_UPDATE}
+ * @property {string} EVENT.VIDEOCALL_HANGUP {@link module:videocall-plugin~VIDEOCALL_HANGUP}
+ * @property {string} EVENT.VIDEOCALL_SIMULCAST {@link module:videocall-plugin~VIDEOCALL_SIMULCAST}
+ * @property {string} EVENT.VIDEOCALL_SLOWLINK {@link module:videocall-plugin~VIDEOCALL_SLOWLINK}
+ * @property {string} EVENT.VIDEOCALL_ERROR {@link module:videocall-plugin~VIDEOCALL_ERROR}
+ */
+export default {
+  id: PLUGIN_ID,
+  Handle: VideoCallHandle,
+  EVENT: {
+    /**
+     * The username has been registered.
+     *
+     * @event module:videocall-plugin~VideoCallHandle#event:VIDEOCALL_REGISTERED
+     * @type {module:videocall-plugin~VIDEOCALL_EVENT_REGISTERED}
+     */
+    VIDEOCALL_REGISTERED: PLUGIN_EVENT.REGISTERED,
+
+    /**
+     * The outgoing call is in progress.
+     *
+     * @event module:videocall-plugin~VideoCallHandle#event:VIDEOCALL_CALLING
+     * @type {module:videocall-plugin~VIDEOCALL_EVENT_CALLING}
+     */
+    VIDEOCALL_CALLING: PLUGIN_EVENT.CALLING,
+
+    /**
+     * A new incoming call.
+     *
+     * @event module:videocall-plugin~VideoCallHandle#event:VIDEOCALL_INCOMING_CALL
+     * @type {module:videocall-plugin~VIDEOCALL_EVENT_INCOMING_CALL}
+     */
+    VIDEOCALL_INCOMING_CALL: PLUGIN_EVENT.INCOMING_CALL,
+
+    /**
+     * The call has been accepted.
+     *
+     * @event module:videocall-plugin~VideoCallHandle#event:VIDEOCALL_ACCEPTED
+     * @type {module:videocall-plugin~VIDEOCALL_EVENT_ACCEPTED}
+     */
+    VIDEOCALL_ACCEPTED: PLUGIN_EVENT.ACCEPTED,
+
+    /**
+     * The peer started a renegotiation.
+     *
+     * @event module:videocall-plugin~VideoCallHandle#event:VIDEOCALL_UPDATE
+     * @type {object}
+     * @property {RTCSessionDescription} [jsep]
+     */
+    VIDEOCALL_UPDATE: PLUGIN_EVENT.UPDATE,
+
+    /**
+     * The call ended.
+     *
+     * @event module:videocall-plugin~VideoCallHandle#event:VIDEOCALL_HANGUP
+     * @type {module:videocall-plugin~VIDEOCALL_EVENT_HANGUP}
+     */
+    VIDEOCALL_HANGUP: PLUGIN_EVENT.HANGUP,
+
+    /**
+     * The received simulcast layers changed.
+     *
+     * @event module:videocall-plugin~VideoCallHandle#event:VIDEOCALL_SIMULCAST
+     * @type {module:videocall-plugin~VIDEOCALL_EVENT_SIMULCAST}
+     */
+    VIDEOCALL_SIMULCAST: PLUGIN_EVENT.SIMULCAST,
+
+    /**
+     * @event module:videocall-plugin~VideoCallHandle#event:VIDEOCALL_SLOWLINK
+     * @type {object}
+     * @property {string} [media]
+     * @property {boolean} [uplink]
+     * @property {number} [bitrate]
+     */
+    VIDEOCALL_SLOWLINK: PLUGIN_EVENT.SLOWLINK,
+
+    /**
+     * Generic VideoCall error.
+     *
+     * @event module:videocall-plugin~VideoCallHandle#event:VIDEOCALL_ERROR
+     * @type {module:errors~PluginError}
+     */
+    VIDEOCALL_ERROR: PLUGIN_EVENT.ERROR,
+  },
+};
@@ -6,6 +6,9 @@
  */
 
 import Handle from '../handle.js';
+import { JanodeError, PluginError } from '../errors.js';
+import { JANODE } from '../protocol.js';
+import { getNumericID } from '../utils/utils.js';
 
 /* The plugin ID exported in the plugin descriptor */
 const PLUGIN_ID = 'janus.plugin.videoroom';
@@ -29,12 +32,21 @@ const REQUEST_EXISTS = 'exists';
 const REQUEST_LIST_ROOMS = 'list';
 const REQUEST_CREATE = 'create';
 const REQUEST_DESTROY = 'destroy';
+const REQUEST_EDIT = 'edit';
 const REQUEST_ALLOW = 'allowed';
+const REQUEST_MODERATE = 'moderate';
 
 const REQUEST_RTP_FWD_START = 'rtp_forward';
 const REQUEST_RTP_FWD_STOP = 'stop_rtp_forward';
 const REQUEST_RTP_FWD_LIST = 'listforwarders';
 
+const REQUEST_REMOTE_PUB_ADD = 'add_remote_publisher';
+const REQUEST_REMOTE_PUB_UPDATE = 'update_remote_publisher';
+const REQUEST_REMOTE_PUB_REMOVE = 'remove_remote_publisher';
+const REQUEST_PUBLISH_REMOTELY = 'publish_remotely';
+const REQUEST_UNPUBLISH_REMOTELY = 'unpublish_remotely';
+const REQUEST_LIST_REMOTES = 'list_remotes';
+
 const PTYPE_PUBLISHER = 'publisher';
 const PTYPE_LISTENER = 'subscriber';
 
@@ -65,13 +77,44 @@ const PLUGIN_EVENT = {
   ROOMS_LIST: 'videoroom_list',
   CREATED: 'videoroom_created',
   DESTROYED: 'videoroom_destroyed',
+  EDITED: 'videoroom_edited',
+  MODERATED: 'videoroom_moderated',
   RTP_FWD_STARTED: 'videoroom_rtp_fwd_started',
   RTP_FWD_STOPPED: 'videoroom_rtp_fwd_stopped',
   RTP_FWD_LIST: 'videoroom_rtp_fwd_list',
+  REMOTE_PUB_ADDED: 'videoroom_remote_publisher_added',
+  REMOTE_PUBLISH: 'videoroom_remote_publish',
+  REMOTES_LIST: 'videoroom_remotes_list',
   SUCCESS: 'videoroom_success',
   ERROR: 'videoroom_error',
 };
 
+/**
+ * The error codes returned by the VideoRoom plugin, matching the code of a {@link module:errors~PluginError}.
+ *
+ * @type {object}
+ */
+export const ERROR_CODE = {
+  UNKNOWN_ERROR: 499,
+  NO_MESSAGE: 421,
+  INVALID_JSON: 422,
+  INVALID_REQUEST: 423,
+  JOIN_FIRST: 424,
+  ALREADY_JOINED: 425,
+  NO_SUCH_ROOM: 426,
+  ROOM_EXISTS: 427,
+  NO_SUCH_FEED: 428,
+  MISSING_ELEMENT: 429,
+  INVALID_ELEMENT: 430,
+  INVALID_SDP_TYPE: 431,
+  PUBLISHERS_FULL: 432,
+  UNAUTHORIZED: 433,
+  ALREADY_PUBLISHED: 434,
+  NOT_PUBLISHED: 435,
+  ID_EXISTS: 436,
+  INVALID_SDP: 437,
+};
+
 /**
  * The class implementing the VideoRoom plugin (ref. {@link https://janus.conf.meetecho.com/docs/videoroom.html}).<br>
  *
@@ -179,6 +222,37 @@ class VideoRoomHandle extends Handle {
             janode_event.event = PLUGIN_EVENT.RECORDING_ENABLED_STATE;
             break;
           }
+          /* Remote publications of a publisher */
+          if (typeof message_data.remotes !== 'undefined') {
+            janode_event.data.feed = message_data.publisher_id;
+            janode_event.data.remotes = message_data.remotes.map(({ remote_id, host, port, rtcp_port }) => {
+              const remote = {
+                remote_id,
+                host,
+                port,
+              };
+              if (typeof rtcp_port === 'number') remote.rtcp_port = rtcp_port;
+              return remote;
+            });
+            janode_event.event = PLUGIN_EVENT.REMOTES_LIST;
+            break;
+          }
+          /* Remote publication started/stopped */
+          if (typeof message_data.remote_id !== 'undefined') {
+            janode_event.data.feed = message_data.publisher_id;
+            janode_event.data.remote_id = message_data.remote_id;
+            janode_event.event = PLUGIN_EVENT.REMOTE_PUBLISH;
+            break;
+          }
+          /* Remote publisher added, with the address where Janus expects its media */
+          if (typeof message_data.id !== 'undefined' && typeof message_data.port !== 'undefined') {
+            janode_event.data.feed = message_data.id;
+            janode_event.data.ip = message_data.ip;
+            janode_event.data.port = message_data.port;
+            if (typeof message_data.rtcp_port === 'number') janode_event.data.rtcp_port = message_data.rtcp_port;
+            janode_event.event = PLUGIN_EVENT.REMOTE_PUB_ADDED;
+            break;
+          }
 
           /* Generic success event */
           janode_event.event = PLUGIN_EVENT.SUCCESS;
@@ -260,6 +334,11 @@ class VideoRoomHandle extends Handle {
           janode_event.event = PLUGIN_EVENT.DESTROYED;
           break;
 
+        /* Room edited */
+        case 'edited':
+          janode_event.event = PLUGIN_EVENT.EDITED;
+          break;
+
         /* RTP forwarding started */
         case 'rtp_forward':
           janode_event.data.feed = message_data.publisher_id;
@@ -476,12 +555,19 @@ class VideoRoomHandle extends Handle {
           /* VideoRoom Error */
           if (error) {
             janode_event.event = PLUGIN_EVENT.ERROR;
-            janode_event.data = new Error(`${error_code} ${error}`);
-            janode_event.data._code = error_code;
+            janode_event.data = new PluginError({ code: error_code, reason: error, plugin: PLUGIN_ID, transaction });
             /* In case of error, close a transaction */
             this.closeTransactionWithError(transaction, janode_event.data);
             break;
           }
+          /* A stream of a publisher has been muted or unmuted by a moderator */
+          if (typeof message_data.moderation !== 'undefined') {
+            janode_event.event = PLUGIN_EVENT.MODERATED;
+            janode_event.data.feed = message_data.id;
+            janode_event.data.mid = message_data.mid;
+            janode_event.data.muted = (message_data.moderation === 'muted');
+            break;
+          }
           /* Participant joined notification (notify_joining) */
           if (message_data.joining) {
             janode_event.event = PLUGIN_EVENT.PUB_PEER_JOINED;
@@ -638,9 +724,10 @@ class VideoRoomHandle extends Handle {
    * @param {boolean} [params.record] - Enable the recording
    * @param {string} [params.filename] - If recording, the base path/file to use for the recording
    * @param {object[]} [params.descriptions] - [multistream] The descriptions object, can define a description for the tracks separately e.g. track mid:0 'Video Camera', track mid:1 'Screen'
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_PUB_JOINED>}
    */
-  async joinPublisher({ room, feed, audio, video, data, bitrate, record, filename, display, token, pin, descriptions }) {
+  async joinPublisher({ room, feed, audio, video, data, bitrate, record, filename, display, token, pin, descriptions, signal }) {
     const body = {
       request: REQUEST_JOIN,
       ptype: PTYPE_PUBLISHER,
@@ -660,13 +747,13 @@ class VideoRoomHandle extends Handle {
     /* [multistream] */
     if (descriptions && Array.isArray(descriptions)) body.descriptions = descriptions;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.PUB_JOINED) {
       if (body.display) evtdata.display = body.display;
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -688,9 +775,10 @@ class VideoRoomHandle extends Handle {
    * @param {boolean} [params.e2ee] - True to notify end-to-end encryption for this connection
    * @param {object[]} [params.descriptions] - [multistream] The descriptions object, can define a description for the tracks separately e.g. track mid:0 'Video Camera', track mid:1 'Screen'
    * @param {RTCSessionDescription} [params.jsep] - The JSEP offer
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_PUB_JOINED>}
    */
-  async joinConfigurePublisher({ room, feed, audio, video, data, bitrate, record, filename, display, token, pin, e2ee, descriptions, jsep }) {
+  async joinConfigurePublisher({ room, feed, audio, video, data, bitrate, record, filename, display, token, pin, e2ee, descriptions, jsep, signal }) {
     const body = {
       request: REQUEST_JOIN_CONFIGURE,
       ptype: PTYPE_PUBLISHER,
@@ -711,7 +799,7 @@ class VideoRoomHandle extends Handle {
     /* [multistream] */
     if (descriptions && Array.isArray(descriptions)) body.descriptions = descriptions;
 
-    const response = await this.message(body, jsep).catch(e => {
+    const response = await this.message(body, jsep, { signal }).catch(e => {
       /* Cleanup the WebRTC status in Janus in case of errors when publishing */
       /*
        *
@@ -727,7 +815,7 @@ class VideoRoomHandle extends Handle {
        * JANUS_VIDEOROOM_ERROR_INVALID_SDP        437
        *
        */
-      if (jsep && e._code && e._code >= 429 && e._code <= 437 && e._code != 434)
+      if (jsep && e instanceof PluginError && e.code >= ERROR_CODE.MISSING_ELEMENT && e.code <= ERROR_CODE.INVALID_SDP && e.code !== ERROR_CODE.ALREADY_PUBLISHED)
         this.hangup().catch(() => { });
       throw e;
     });
@@ -737,7 +825,7 @@ class VideoRoomHandle extends Handle {
       if (body.display) evtdata.display = body.display;
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -768,9 +856,10 @@ class VideoRoomHandle extends Handle {
    * @param {boolean} [params.e2ee] - True to notify end-to-end encryption for this connection
    * @param {RTCSessionDescription} [params.jsep] - The JSEP offer (publishers only)
    * @param {boolean} [params.keyframe] - True to request a keyframe (publishers only) 
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_CONFIGURED>}
    */
-  async configure({ audio, video, data, bitrate, record, filename, display, restart, update, streams, descriptions, sc_substream_layer, sc_substream_fallback_ms, sc_temporal_layers, e2ee, jsep, keyframe }) {
+  async configure({ audio, video, data, bitrate, record, filename, display, restart, update, streams, descriptions, sc_substream_layer, sc_substream_fallback_ms, sc_temporal_layers, e2ee, jsep, keyframe, signal }) {
     const body = {
       request: REQUEST_CONFIGURE,
     };
@@ -800,7 +889,7 @@ class VideoRoomHandle extends Handle {
     /* [multistream] */
     if (descriptions && Array.isArray(descriptions)) body.descriptions = descriptions;
 
-    const response = await this.message(body, jsep).catch(e => {
+    const response = await this.message(body, jsep, { signal }).catch(e => {
       /* Cleanup the WebRTC status in Janus in case of errors when publishing */
       /*
        *
@@ -816,7 +905,7 @@ class VideoRoomHandle extends Handle {
        * JANUS_VIDEOROOM_ERROR_INVALID_SDP        437
        *
        */
-      if (jsep && e._code && e._code >= 429 && e._code <= 437 && e._code != 434)
+      if (jsep && e instanceof PluginError && e.code >= ERROR_CODE.MISSING_ELEMENT && e.code <= ERROR_CODE.INVALID_SDP && e.code !== ERROR_CODE.ALREADY_PUBLISHED)
         this.hangup().catch(() => { });
       throw e;
     });
@@ -828,7 +917,7 @@ class VideoRoomHandle extends Handle {
       if (typeof body.update === 'boolean') evtdata.update = body.update;
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -847,11 +936,12 @@ class VideoRoomHandle extends Handle {
    * @param {object[]} [params.descriptions] - [multistream] The descriptions object, for each stream you can define description
    * @param {boolean} [params.e2ee] - True to notify end-to-end encryption for this connection
    * @param {RTCSessionDescription} params.jsep - The JSEP offer
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_CONFIGURED>}
    */
-  async publish({ audio, video, data, bitrate, record, filename, display, descriptions, e2ee, jsep }) {
+  async publish({ audio, video, data, bitrate, record, filename, display, descriptions, e2ee, jsep, signal }) {
     if (typeof jsep === 'object' && jsep && jsep.type !== 'offer') {
-      const error = new Error('jsep must be an offer');
+      const error = new JanodeError('jsep must be an offer');
       return Promise.reject(error);
     }
     const body = {
@@ -873,7 +963,7 @@ class VideoRoomHandle extends Handle {
       body.descriptions = descriptions;
     }
 
-    const response = await this.message(body, jsep).catch(e => {
+    const response = await this.message(body, jsep, { signal }).catch(e => {
       /* Cleanup the WebRTC status in Janus in case of errors when publishing */
       /*
        *
@@ -889,7 +979,7 @@ class VideoRoomHandle extends Handle {
        * JANUS_VIDEOROOM_ERROR_INVALID_SDP        437
        *
        */
-      if (jsep && e._code && e._code >= 429 && e._code <= 437 && e._code != 434)
+      if (jsep && e instanceof PluginError && e.code >= ERROR_CODE.MISSING_ELEMENT && e.code <= ERROR_CODE.INVALID_SDP && e.code !== ERROR_CODE.ALREADY_PUBLISHED)
         this.hangup().catch(() => { });
       throw e;
     });
@@ -899,25 +989,27 @@ class VideoRoomHandle extends Handle {
       if (body.display) evtdata.display = body.display;
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
   /**
    * Unpublish a feed in the room.
    *
+   * @param {object} [params]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_UNPUBLISHED>}
    */
-  async unpublish() {
+  async unpublish({ signal } = {}) {
     const body = {
       request: REQUEST_UNPUBLISH,
     };
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.UNPUBLISHED)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -942,9 +1034,10 @@ class VideoRoomHandle extends Handle {
    * @param {boolean} [params.use_msid] - [multistream] Whether subscriptions should include an msid that references the publisher
    * @param {string} [params.token] - The optional token needed
    * @param {string} [params.pin] - The optional password required to join the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_SUB_JOINED>}
    */
-  async joinSubscriber({ room, feed, audio, video, data, offer_audio, offer_video, offer_data, private_id, sc_substream_layer, sc_substream_fallback_ms, sc_temporal_layers, streams, autoupdate, use_msid, token, pin }) {
+  async joinSubscriber({ room, feed, audio, video, data, offer_audio, offer_video, offer_data, private_id, sc_substream_layer, sc_substream_fallback_ms, sc_temporal_layers, streams, autoupdate, use_msid, token, pin, signal }) {
     const body = {
       request: REQUEST_JOIN,
       ptype: PTYPE_LISTENER,
@@ -975,11 +1068,11 @@ class VideoRoomHandle extends Handle {
     if (typeof autoupdate === 'boolean') body.autoupdate = autoupdate;
     if (typeof use_msid === 'boolean') body.use_msid = use_msid;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.SUB_JOINED)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -998,38 +1091,41 @@ class VideoRoomHandle extends Handle {
    * @param {object} params
    * @param {RTCSessionDescription} params.jsep - The JSEP answer
    * @param {boolean} [e2ee] - True to hint an end-to-end encrypted negotiation
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_STARTED>}
    */
-  async start({ jsep, e2ee }) {
+  async start({ jsep, e2ee, signal }) {
     const body = {
       request: REQUEST_START,
     };
     if (jsep)
       jsep.e2ee = (typeof e2ee === 'boolean') ? e2ee : jsep.e2ee;
 
-    const response = await this.message(body, jsep);
+    const response = await this.message(body, jsep, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.STARTED && evtdata.started === 'ok')
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
   /**
    * Pause a subscriber feed.
    *
+   * @param {object} [params]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_PAUSED>}
    */
-  async pause() {
+  async pause({ signal } = {}) {
     const body = {
       request: REQUEST_PAUSE,
     };
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.PAUSED && evtdata.paused === 'ok')
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -1042,9 +1138,10 @@ class VideoRoomHandle extends Handle {
    * @param {boolean} [params.video] - True to subscribe to the video feed
    * @param {boolean} [params.data] - True to subscribe to the datachannels of the feed
    * @param {object[]} [params.streams] - [multistream] streams array containing feed, mid, sub_mid ...
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_SWITCHED>}
    */
-  async switch({ to_feed, audio, video, data, streams }) {
+  async switch({ to_feed, audio, video, data, streams, signal }) {
     const body = {
       request: REQUEST_SWITCH,
     };
@@ -1060,12 +1157,12 @@ class VideoRoomHandle extends Handle {
       if (typeof data === 'boolean') body.data = data;
     }
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.SWITCHED && evtdata.switched === 'ok') {
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -1073,18 +1170,20 @@ class VideoRoomHandle extends Handle {
    * Leave a room.
    * Can be used by both publishers and subscribers.
    *
+   * @param {object} [params]
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_LEAVING>}
    */
-  async leave() {
+  async leave({ signal } = {}) {
     const body = {
       request: REQUEST_LEAVE,
     };
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.LEAVING)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -1093,22 +1192,23 @@ class VideoRoomHandle extends Handle {
    *
    * @param {object[]} subscribe - The array of streams to subscribe
    * @param {object[]} unsubscribe - The array of streams to unsubscribe
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    *
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_UPDATED>}
    */
-  async update({ subscribe, unsubscribe }) {
+  async update({ subscribe, unsubscribe, signal }) {
     const body = {
       request: REQUEST_UPDATE,
     };
     if (subscribe && Array.isArray(subscribe)) body.subscribe = subscribe;
     if (unsubscribe && Array.isArray(unsubscribe)) body.unsubscribe = unsubscribe;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.UPDATED) {
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -1124,20 +1224,21 @@ class VideoRoomHandle extends Handle {
    * @param {object} params
    * @param {number|string} params.room - The room where the list is being requested
    * @param {string} params.secret - The optional secret for the operation
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_PARTICIPANTS_LIST>}
    */
-  async listParticipants({ room, secret }) {
+  async listParticipants({ room, secret, signal }) {
     const body = {
       request: REQUEST_LIST_PARTICIPANTS,
       room,
     };
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.PARTICIPANTS_LIST)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -1148,9 +1249,10 @@ class VideoRoomHandle extends Handle {
    * @param {number|string} params.room - The room where the change of recording state is being requested
    * @param {string} params.secret - The optional secret for the operation
    * @param {boolean} params.record - True starts recording for all participants in an already running conference, false stops the recording
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_RECORDING_ENABLED_STATE>}
    */
-  async enable_recording({ room, secret, record }) {
+  async enable_recording({ room, secret, record, signal }) {
     const body = {
       request: REQUEST_ENABLE_RECORDING,
       room,
@@ -1158,13 +1260,13 @@ class VideoRoomHandle extends Handle {
     };
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.RECORDING_ENABLED_STATE) {
       evtdata.room = body.room;
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -1175,9 +1277,10 @@ class VideoRoomHandle extends Handle {
    * @param {number|string} params.room - The room where the kick is being requested
    * @param {number|string} params.feed - The identifier of the feed to kick out
    * @param {string} params.secret - The optional secret for the operation
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_KICKED>}
    */
-  async kick({ room, feed, secret }) {
+  async kick({ room, feed, secret, signal }) {
     const body = {
       request: REQUEST_KICK,
       room,
@@ -1185,14 +1288,61 @@ class VideoRoomHandle extends Handle {
     };
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.SUCCESS) {
       evtdata.room = body.room;
       evtdata.feed = body.id;
       return evtdata;
     }
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Mute or unmute server side a single stream of a publisher.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The involved room
+   * @param {number|string} params.feed - The feed identifier of the publisher to moderate
+   * @param {string} params.mid - The mid of the publisher stream to moderate
+   * @param {boolean} params.mute - True to mute the stream, false to unmute it
+   * @param {string} [params.secret] - The secret needed for managing the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_MODERATE_RESPONSE>}
+   */
+  async moderate({ room, feed, mid, mute, secret, signal }) {
+    if (typeof feed !== 'string' && typeof feed !== 'number') {
+      const error = new JanodeError('feed must be a number or a string');
+      return Promise.reject(error);
+    }
+    if (typeof mid !== 'string') {
+      const error = new JanodeError('mid must be a string');
+      return Promise.reject(error);
+    }
+    if (typeof mute !== 'boolean') {
+      const error = new JanodeError('mute must be a boolean');
+      return Promise.reject(error);
+    }
+    const body = {
+      request: REQUEST_MODERATE,
+      room,
+      id: feed,
+      mid,
+      mute,
+    };
+    if (typeof secret === 'string') body.secret = secret;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.SUCCESS) {
+      evtdata.room = body.room;
+      evtdata.feed = body.id;
+      evtdata.mid = body.mid;
+      evtdata.muted = body.mute;
+      return evtdata;
+    }
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -1201,19 +1351,20 @@ class VideoRoomHandle extends Handle {
    *
    * @param {object} params
    * @param {number|string} params.room - The room to check
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_EXISTS>}
    */
-  async exists({ room }) {
+  async exists({ room, signal }) {
     const body = {
       request: REQUEST_EXISTS,
       room,
     };
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.EXISTS)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -1222,19 +1373,20 @@ class VideoRoomHandle extends Handle {
    *
    * @param {object} params
    * @param {string} [params.admin_key] - The admin key needed for invoking the API
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_LIST>}
    */
-  async list({ admin_key } = {}) {
+  async list({ admin_key, signal } = {}) {
     const body = {
       request: REQUEST_LIST_ROOMS,
     };
     if (typeof admin_key === 'string') body.admin_key = admin_key;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.ROOMS_LIST)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -1266,11 +1418,12 @@ class VideoRoomHandle extends Handle {
    * @param {string} [params.h264_profile] - H264 specific profile to prefer
    * @param {string} [params.vp9_profile] - VP9 specific profile to prefer
    * @param {number} [params.threads] - Number of threads to assist with the relaying of publishers in the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_CREATED>}
    */
   async create({ room, description, max_publishers, permanent, is_private, secret, pin, admin_key, bitrate,
     bitrate_cap, fir_freq, audiocodec, videocodec, talking_events, talking_level_threshold, talking_packets_threshold,
-    require_pvtid, require_e2ee, record, rec_dir, videoorient, h264_profile, vp9_profile, threads }) {
+    require_pvtid, require_e2ee, record, rec_dir, videoorient, h264_profile, vp9_profile, threads, signal }) {
     const body = {
       request: REQUEST_CREATE,
     };
@@ -1299,11 +1452,11 @@ class VideoRoomHandle extends Handle {
     if (typeof vp9_profile === 'string') body.vp9_profile = vp9_profile;
     if (typeof threads === 'number') body.threads = threads;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.CREATED)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -1314,9 +1467,10 @@ class VideoRoomHandle extends Handle {
    * @param {number|string} params.room - The room to destroy
    * @param {boolean} [params.permanent] - True to remove the room from the Janus config file
    * @param {string} [params.secret] - The secret needed to manage the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_DESTROYED>}
    */
-  async destroy({ room, permanent, secret }) {
+  async destroy({ room, permanent, secret, signal }) {
     const body = {
       request: REQUEST_DESTROY,
       room,
@@ -1324,11 +1478,73 @@ class VideoRoomHandle extends Handle {
     if (typeof permanent === 'boolean') body.permanent = permanent;
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.DESTROYED)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Edit the properties of a room.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The room to edit
+   * @param {string} [params.secret] - The secret needed to manage the room
+   * @param {string} [params.new_description] - The new room description
+   * @param {string} [params.new_secret] - The new secret needed to manage the room
+   * @param {string} [params.new_pin] - The new pin needed to join the room
+   * @param {boolean} [params.new_is_private] - The new private status of the room (hidden in list)
+   * @param {boolean} [params.new_require_pvtid] - Whether subscriptions are required to provide a valid private_id
+   * @param {number} [params.new_bitrate] - The new bitrate cap for the publishers
+   * @param {number} [params.new_fir_freq] - The new frequency of keyframe requests to the publishers
+   * @param {number} [params.new_max_publishers] - The new max number of concurrent publishers
+   * @param {boolean} [params.new_lock_record] - Whether the room secret is needed to start or stop recordings
+   * @param {string} [params.new_rec_dir] - The new folder where recordings should be stored
+   * @param {boolean} [params.permanent] - True to persist the changes in the Janus config file
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_EDITED>}
+   */
+  async edit({ room, secret, new_description, new_secret, new_pin, new_is_private, new_require_pvtid, new_bitrate, new_fir_freq, new_max_publishers, new_lock_record, new_rec_dir, permanent, signal }) {
+    if (typeof new_bitrate !== 'undefined' && !(Number.isInteger(new_bitrate) && new_bitrate >= 0)) {
+      const error = new JanodeError('new_bitrate must be a non negative integer');
+      return Promise.reject(error);
+    }
+    if (typeof new_fir_freq !== 'undefined' && !(Number.isInteger(new_fir_freq) && new_fir_freq >= 0)) {
+      const error = new JanodeError('new_fir_freq must be a non negative integer');
+      return Promise.reject(error);
+    }
+    if (typeof new_max_publishers !== 'undefined' && !(Number.isInteger(new_max_publishers) && new_max_publishers > 0)) {
+      const error = new JanodeError('new_max_publishers must be a positive integer');
+      return Promise.reject(error);
+    }
+    const body = {
+      request: REQUEST_EDIT,
+      room,
+    };
+    if (typeof secret === 'string') body.secret = secret;
+    if (typeof new_description === 'string') body.new_description = new_description;
+    if (typeof new_secret === 'string') body.new_secret = new_secret;
+    if (typeof new_pin === 'string') body.new_pin = new_pin;
+    if (typeof new_is_private === 'boolean') body.new_is_private = new_is_private;
+    if (typeof new_require_pvtid === 'boolean') body.new_require_pvtid = new_require_pvtid;
+    if (typeof new_bitrate === 'number') body.new_bitrate = new_bitrate;
+    if (typeof new_fir_freq === 'number') body.new_fir_freq = new_fir_freq;
+    if (typeof new_max_publishers === 'number') body.new_publishers = new_max_publishers;
+    if (typeof new_lock_record === 'boolean') body.new_lock_record = new_lock_record;
+    if (typeof new_rec_dir === 'string') body.new_rec_dir = new_rec_dir;
+    if (typeof permanent === 'boolean') body.permanent = permanent;
+    if (Object.keys(body).filter(key => key.startsWith('new_')).length === 0) {
+      const error = new JanodeError('no room property to edit');
+      return Promise.reject(error);
+    }
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.EDITED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -1340,9 +1556,10 @@ class VideoRoomHandle extends Handle {
    * @param {"enable"|"disable"|"add"|"remove"} params.action - The action to execute on the acl
    * @param {string[]} params.list - The list of tokens to execute the action onto
    * @param {string} [params.secret] - The secret needed to manage the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_ALLOWED>}
    */
-  async allow({ room, action, list, secret }) {
+  async allow({ room, action, list, secret, signal }) {
     const body = {
       request: REQUEST_ALLOW,
       room,
@@ -1351,11 +1568,11 @@ class VideoRoomHandle extends Handle {
     if (list && list.length > 0) body.allowed = list;
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.ALLOWED)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -1380,9 +1597,10 @@ class VideoRoomHandle extends Handle {
    * @param {number} [params.data_port] - The target datachannels port, if datachannels are to be forwarded
    * @param {string} [params.secret] - The secret needed for managing the room
    * @param {string} [params.admin_key] - The admin key needed for invoking the API
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_RTP_FWD_STARTED>}
    */
-  async startForward({ room, feed, host, streams, audio_port, audio_rtcp_port, audio_ssrc, video_port, video_rtcp_port, video_ssrc, video_port_2, video_ssrc_2, video_port_3, video_ssrc_3, data_port, secret, admin_key }) {
+  async startForward({ room, feed, host, streams, audio_port, audio_rtcp_port, audio_ssrc, video_port, video_rtcp_port, video_ssrc, video_port_2, video_ssrc_2, video_port_3, video_ssrc_3, data_port, secret, admin_key, signal }) {
     const body = {
       request: REQUEST_RTP_FWD_START,
       room,
@@ -1410,11 +1628,11 @@ class VideoRoomHandle extends Handle {
     if (typeof secret === 'string') body.secret = secret;
     if (typeof admin_key === 'string') body.admin_key = admin_key;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.RTP_FWD_STARTED)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -1427,9 +1645,10 @@ class VideoRoomHandle extends Handle {
    * @param {number|string} params.stream - The forwarder identifier as returned by the start forward API
    * @param {string} [params.secret] - The secret needed for managing the room
    * @param {string} [params.admin_key] - The admin key needed for invoking the API
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_RTP_FWD_STOPPED>}
    */
-  async stopForward({ room, feed, stream, secret, admin_key }) {
+  async stopForward({ room, feed, stream, secret, admin_key, signal }) {
     const body = {
       request: REQUEST_RTP_FWD_STOP,
       room,
@@ -1439,11 +1658,11 @@ class VideoRoomHandle extends Handle {
     if (typeof secret === 'string') body.secret = secret;
     if (typeof admin_key === 'string') body.admin_key = admin_key;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.RTP_FWD_STOPPED)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -1453,20 +1672,215 @@ class VideoRoomHandle extends Handle {
    * @param {object} params
    * @param {number|string} params.room - The room where to list the forwarders
    * @param {string} [params.secret] - The secret needed for managing the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
    * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_RTP_FWD_LIST>}
    */
-  async listForward({ room, secret }) {
+  async listForward({ room, secret, signal }) {
     const body = {
       request: REQUEST_RTP_FWD_LIST,
       room,
     };
     if (typeof secret === 'string') body.secret = secret;
 
-    const response = await this.message(body);
+    const response = await this.message(body, null, { signal });
     const { event, data: evtdata } = response._janode || {};
     if (event === PLUGIN_EVENT.RTP_FWD_LIST)
       return evtdata;
-    const error = new Error(`unexpected response to ${body.request} request`);
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Add a remote publisher to a room, i.e. a publisher whose media is relayed by another Janus instance.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The room where to add the remote publisher
+   * @param {object[]} params.streams - The streams of the remote publisher, as returned in the publishers list of the originating room
+   * @param {number|string} [params.feed] - The feed identifier to use, if missing it is picked by Janus
+   * @param {string} [params.display] - The display name of the remote publisher
+   * @param {string} [params.iface] - The interface Janus should bind to for receiving the media
+   * @param {number} [params.port] - The port Janus should bind to for receiving the media, random if missing
+   * @param {number} [params.rtcp_port] - The port Janus should bind to for sending RTCP feedback
+   * @param {number} [params.srtp_suite] - The SRTP suite to use (32 or 80), if SRTP is used
+   * @param {string} [params.srtp_crypto] - The SRTP key in base64, if SRTP is used
+   * @param {string} [params.secret] - The secret needed for managing the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_REMOTE_PUB_ADDED>}
+   */
+  async addRemotePublisher({ room, streams, feed, display, iface, port, rtcp_port, srtp_suite, srtp_crypto, secret, signal }) {
+    const body = {
+      request: REQUEST_REMOTE_PUB_ADD,
+      room,
+      streams,
+    };
+    if (typeof feed === 'string' || typeof feed === 'number') body.id = feed;
+    if (typeof display === 'string') body.display = display;
+    if (typeof iface === 'string') body.iface = iface;
+    if (typeof port === 'number') body.port = port;
+    if (typeof rtcp_port === 'number') body.rtcp_port = rtcp_port;
+    if (typeof srtp_suite === 'number') body.srtp_suite = srtp_suite;
+    if (typeof srtp_crypto === 'string') body.srtp_crypto = srtp_crypto;
+    if (typeof secret === 'string') body.secret = secret;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.REMOTE_PUB_ADDED)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Update the streams of a remote publisher (e.g. after the originating publisher renegotiated).
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The room of the remote publisher
+   * @param {number|string} params.feed - The feed identifier of the remote publisher
+   * @param {object[]} params.streams - The updated streams of the remote publisher
+   * @param {string} [params.display] - The new display name of the remote publisher
+   * @param {string} [params.secret] - The secret needed for managing the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_REMOTE_PUB_RESPONSE>}
+   */
+  async updateRemotePublisher({ room, feed, streams, display, secret, signal }) {
+    const body = {
+      request: REQUEST_REMOTE_PUB_UPDATE,
+      room,
+      id: feed,
+      streams,
+    };
+    if (typeof display === 'string') body.display = display;
+    if (typeof secret === 'string') body.secret = secret;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.SUCCESS) {
+      evtdata.feed = body.id;
+      return evtdata;
+    }
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Remove a remote publisher from a room.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The room of the remote publisher
+   * @param {number|string} params.feed - The feed identifier of the remote publisher
+   * @param {string} [params.secret] - The secret needed for managing the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_REMOTE_PUB_RESPONSE>}
+   */
+  async removeRemotePublisher({ room, feed, secret, signal }) {
+    const body = {
+      request: REQUEST_REMOTE_PUB_REMOVE,
+      room,
+      id: feed,
+    };
+    if (typeof secret === 'string') body.secret = secret;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.SUCCESS) {
+      evtdata.feed = body.id;
+      return evtdata;
+    }
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Start relaying a local publisher to a remote publisher on another Janus instance.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The room of the publisher
+   * @param {number|string} params.feed - The feed identifier of the publisher to relay
+   * @param {string} params.remote_id - A unique identifier for this remote publication
+   * @param {string} params.host - The address of the remote Janus instance
+   * @param {number} params.port - The port where the remote Janus instance expects the media
+   * @param {number} [params.rtcp_port] - The port where the remote Janus instance sends RTCP feedback
+   * @param {string} [params.host_family] - The family of the host address (ipv4 or ipv6)
+   * @param {number} [params.srtp_suite] - The SRTP suite to use (32 or 80), if SRTP is used
+   * @param {string} [params.srtp_crypto] - The SRTP key in base64, if SRTP is used
+   * @param {string} [params.secret] - The secret needed for managing the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_REMOTE_PUBLISH>}
+   */
+  async publishRemotely({ room, feed, remote_id, host, port, rtcp_port, host_family, srtp_suite, srtp_crypto, secret, signal }) {
+    const body = {
+      request: REQUEST_PUBLISH_REMOTELY,
+      room,
+      publisher_id: feed,
+      remote_id,
+      host,
+      port,
+    };
+    if (typeof rtcp_port === 'number') body.rtcp_port = rtcp_port;
+    if (typeof host_family === 'string') body.host_family = host_family;
+    if (typeof srtp_suite === 'number') body.srtp_suite = srtp_suite;
+    if (typeof srtp_crypto === 'string') body.srtp_crypto = srtp_crypto;
+    if (typeof secret === 'string') body.secret = secret;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.REMOTE_PUBLISH)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * Stop relaying a local publisher to a remote Janus instance.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The room of the publisher
+   * @param {number|string} params.feed - The feed identifier of the relayed publisher
+   * @param {string} params.remote_id - The identifier of the remote publication to stop
+   * @param {string} [params.secret] - The secret needed for managing the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_REMOTE_PUBLISH>}
+   */
+  async unpublishRemotely({ room, feed, remote_id, secret, signal }) {
+    const body = {
+      request: REQUEST_UNPUBLISH_REMOTELY,
+      room,
+      publisher_id: feed,
+      remote_id,
+    };
+    if (typeof secret === 'string') body.secret = secret;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.REMOTE_PUBLISH)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
+    throw (error);
+  }
+
+  /**
+   * List the remote publications of a publisher.
+   *
+   * @param {object} params
+   * @param {number|string} params.room - The room of the publisher
+   * @param {number|string} params.feed - The feed identifier of the publisher
+   * @param {string} [params.secret] - The secret needed for managing the room
+   * @param {AbortSignal} [params.signal] - A signal to cancel the request
+   * @returns {Promise<module:videoroom-plugin~VIDEOROOM_EVENT_REMOTES_LIST>}
+   */
+  async listRemotes({ room, feed, secret, signal }) {
+    const body = {
+      request: REQUEST_LIST_REMOTES,
+      room,
+      publisher_id: feed,
+    };
+    if (typeof secret === 'string') body.secret = secret;
+
+    const response = await this.message(body, null, { signal });
+    const { event, data: evtdata } = response._janode || {};
+    if (event === PLUGIN_EVENT.REMOTES_LIST)
+      return evtdata;
+    const error = new JanodeError(`unexpected response to ${body.request} request`, { plugin: PLUGIN_ID, request: body.request });
     throw (error);
   }
 
@@ -1700,6 +2114,214 @@ class VideoRoomHandle extends Handle {
  * @property {object[]} streams - List of the updated streams in this subscription
  */
 
+/**
+ * The response event for room edit request.
+ *
+ * @typedef {object} VIDEOROOM_EVENT_EDITED
+ * @property {number|string} room - The edited room
+ */
+
+/**
+ * The response event for moderate request.
+ *
+ * @typedef {object} VIDEOROOM_EVENT_MODERATE_RESPONSE
+ * @property {number|string} room - The involved room
+ * @property {number|string} feed - The moderated feed
+ * @property {string} mid - The moderated stream
+ * @property {boolean} muted - True if the stream has been muted
+ */
+
+/**
+ * The response event for add remote publisher request.
+ *
+ * @typedef {object} VIDEOROOM_EVENT_REMOTE_PUB_ADDED
+ * @property {number|string} room - The involved room
+ * @property {number|string} feed - The feed identifier of the remote publisher
+ * @property {string} ip - The address where Janus expects the media of the remote publisher
+ * @property {number} port - The port where Janus expects the media of the remote publisher
+ * @property {number} [rtcp_port] - The port Janus will use to send RTCP feedback
+ */
+
+/**
+ * The response event for update and remove remote publisher requests.
+ *
+ * @typedef {object} VIDEOROOM_EVENT_REMOTE_PUB_RESPONSE
+ * @property {number|string} room - The involved room
+ * @property {number|string} feed - The feed identifier of the remote publisher
+ */
+
+/**
+ * The response event for publish remotely and unpublish remotely requests.
+ *
+ * @typedef {object} VIDEOROOM_EVENT_REMOTE_PUBLISH
+ * @property {number|string} room - The involved room
+ * @property {number|string} feed - The feed identifier of the relayed publisher
+ * @property {string} remote_id - The identifier of the remote publication
+ */
+
+/**
+ * The response event for list remotes request.
+ *
+ * @typedef {object} VIDEOROOM_EVENT_REMOTES_LIST
+ * @property {number|string} room - The involved room
+ * @property {number|string} feed - The feed identifier of the relayed publisher
+ * @property {object[]} remotes - The list of remote publications
+ * @property {string} remotes[].remote_id - The identifier of the remote publication
+ * @property {string} remotes[].host - The address of the remote Janus instance
+ * @property {number} remotes[].port - The port of the remote Janus instance
+ * @property {number} [remotes[].rtcp_port] - The RTCP port of the remote Janus instance
+ */
+
+/**
+ * An active cascade of a publisher between two Janus instances.
+ *
+ * @typedef {object} CascadedPublisher
+ * @property {number|string} feed - The feed identifier of the remote publisher in the target room
+ * @property {string} remote_id - The identifier of the remote publication in the source room
+ * @property {function} stop - Tear down the cascade, returns a promise
+ * @property {Promise<void>} done - A promise resolved once the cascade has been torn down, e.g. because the source unpublished
+ */
+
+/**
+ * Relay a publisher of a room on a Janus instance into a room on another Janus instance.<br>
+ *
+ * The helper creates a session on both connections, joins the source room without publishing in order to read the
+ * streams of the feed, adds a remote publisher in the target room and starts the remote publication.
+ * Everything is torn down when the source feed unpublishes or leaves, when the source room is destroyed or when a handle gets detached.
+ *
+ * @param {object} params
+ * @param {object} params.source - The originating side
+ * @param {module:connection~Connection} params.source.connection - The connection to the Janus instance hosting the publisher
+ * @param {number|string} params.source.room - The room of the publisher
+ * @param {number|string} params.source.feed - The feed identifier of the publisher to relay
+ * @param {string} [params.source.secret] - The secret needed for managing the source room
+ * @param {string} [params.source.pin] - The pin needed for joining the source room
+ * @param {string} [params.source.token] - The token needed for joining the source room
+ * @param {object} params.target - The receiving side
+ * @param {module:connection~Connection} params.target.connection - The connection to the Janus instance receiving the publisher
+ * @param {number|string} params.target.room - The room where to add the remote publisher
+ * @param {string} [params.target.host] - The address of the target Janus as reachable by the source, defaults to the address returned by the target
+ * @param {number|string} [params.target.feed] - The feed identifier to use for the remote publisher
+ * @param {string} [params.target.display] - The display name of the remote publisher, defaults to the one of the source feed
+ * @param {string} [params.target.secret] - The secret needed for managing the target room
+ * @param {AbortSignal} [params.signal] - A signal to cancel the setup
+ * @returns {Promise<module:videoroom-plugin~CascadedPublisher>}
+ *
+ * @example
+ *
+ * import { cascadePublisher } from 'janode/plugins/videoroom';
+ *
+ * const cascade = await cascadePublisher({
+ *   source: { connection: connectionA, room: 1234, feed: 5678 },
+ *   target: { connection: connectionB, room: 4321, host: '10.0.0.2' },
+ * });
+ * cascade.done.then(_ => console.log('cascade closed'));
+ */
+export const cascadePublisher = async ({ source, target, signal }) => {
+  const descriptor = { id: PLUGIN_ID, Handle: VideoRoomHandle };
+  /* Feed identifiers might be numbers or strings (string_ids rooms), so compare them as strings */
+  const isSourceFeed = feed => (typeof feed === 'number' || typeof feed === 'string') && `${feed}` === `${source.feed}`;
+  /* Teardown operations, run in reverse order */
+  const cleanups = [];
+  let stopping = null;
+  let resolveDone;
+  const done = new Promise(resolve => resolveDone = resolve);
+
+  const stop = _ => {
+    if (!stopping) {
+      stopping = (async _ => {
+        while (cleanups.length > 0) {
+          const cleanup = cleanups.pop();
+          try {
+            await cleanup();
+          }
+          catch (_error) {
+            /* Best effort, the resource might be already gone */
+          }
+        }
+        resolveDone();
+      })();
+    }
+    return stopping;
+  };
+
+  try {
+    const source_session = await source.connection.create();
+    cleanups.push(_ => source_session.destroy());
+    const target_session = await target.connection.create();
+    cleanups.push(_ => target_session.destroy());
+
+    const source_handle = await source_session.attach(descriptor);
+    const target_handle = await target_session.attach(descriptor);
+
+    /* Join the source room without publishing, to get the streams of the feed and its notifications */
+    const { publishers } = await source_handle.joinPublisher({ room: source.room, pin: source.pin, token: source.token, signal });
+    const publisher = publishers.find(({ feed }) => isSourceFeed(feed));
+    if (!publisher) {
+      const error = new JanodeError(`feed ${source.feed} is not publishing in room ${source.room}`);
+      throw error;
+    }
+    if (!Array.isArray(publisher.streams)) {
+      const error = new JanodeError('missing streams info for the source feed (remote publishers need a multistream Janus)');
+      throw error;
+    }
+
+    const remote_pub = await target_handle.addRemotePublisher({
+      room: target.room,
+      streams: publisher.streams,
+      feed: target.feed,
+      display: (typeof target.display === 'string') ? target.display : publisher.display,
+      secret: target.secret,
+      signal,
+    });
+    cleanups.push(_ => target_handle.removeRemotePublisher({ room: target.room, feed: remote_pub.feed, secret: target.secret }));
+
+    const remote_id = `janode-${getNumericID()}`;
+    await source_handle.publishRemotely({
+      room: source.room,
+      /* Use the identifier as returned by Janus, with the type it expects */
+      feed: publisher.feed,
+      remote_id,
+      host: target.host || remote_pub.ip,
+      port: remote_pub.port,
+      rtcp_port: remote_pub.rtcp_port,
+      secret: source.secret,
+      signal,
+    });
+    cleanups.push(_ => source_handle.unpublishRemotely({ room: source.room, feed: publisher.feed, remote_id, secret: source.secret }));
+
+    /* Tear down when the source feed goes away */
+    const onSourceGone = ({ feed }) => {
+      if (isSourceFeed(feed)) stop();
+    };
+    const onGone = _ => stop();
+    const listeners = [
+      [source_handle, PLUGIN_EVENT.UNPUBLISHED, onSourceGone],
+      [source_handle, PLUGIN_EVENT.LEAVING, onSourceGone],
+      [source_handle, PLUGIN_EVENT.KICKED, onSourceGone],
+      [source_handle, PLUGIN_EVENT.DESTROYED, onGone],
+      [source_handle, JANODE.EVENT.HANDLE_DETACHED, onGone],
+      [target_handle, JANODE.EVENT.HANDLE_DETACHED, onGone],
+    ];
+    for (const [handle, event, listener] of listeners) handle.on(event, listener);
+    /* Being the last cleanup, the listeners are removed before the teardown requests are sent */
+    cleanups.push(_ => {
+      for (const [handle, event, listener] of listeners) handle.off(event, listener);
+    });
+
+    return {
+      feed: remote_pub.feed,
+      remote_id,
+      stop,
+      done,
+    };
+  }
+  catch (error) {
+    await stop();
+    throw error;
+  }
+};
+
 /**
  * The exported plugin descriptor.
  *
@@ -1710,6 +2332,8 @@ class VideoRoomHandle extends Handle {
  * @property {string} EVENT.VIDEOROOM_PUB_PEER_JOINED {@link module:videoroom-plugin~VIDEOROOM_PUB_PEER_JOINED}
  * @property {string} EVENT.VIDEOROOM_PUB_LIST {@link module:videoroom-plugin~VIDEOROOM_PUB_LIST}
  * @property {string} EVENT.VIDEOROOM_DESTROYED {@link module:videoroom-plugin~VIDEOROOM_DESTROYED}
+ * @property {string} EVENT.VIDEOROOM_EDITED {@link module:videoroom-plugin~VIDEOROOM_EDITED}
+ * @property {string} EVENT.VIDEOROOM_MODERATED {@link module:videoroom-plugin~VIDEOROOM_MODERATED}
  * @property {string} EVENT.VIDEOROOM_UNPUBLISHED {@link module:videoroom-plugin~VIDEOROOM_UNPUBLISHED}
  * @property {string} EVENT.VIDEOROOM_LEAVING {@link module:videoroom-plugin~VIDEOROOM_LEAVING}
  * @property {string} EVENT.VIDEOROOM_DISPLAY {@link module:videoroom-plugin~VIDEOROOM_DISPLAY}
@@ -1759,6 +2383,26 @@ export default {
      */
     VIDEOROOM_DESTROYED: PLUGIN_EVENT.DESTROYED,
 
+    /**
+     * The videoroom has been edited.
+     *
+     * @event module:videoroom-plugin~VideoRoomHandle#event:VIDEOROOM_EDITED
+     * @type {module:videoroom-plugin~VIDEOROOM_EVENT_EDITED}
+     */
+    VIDEOROOM_EDITED: PLUGIN_EVENT.EDITED,
+
+    /**
+     * A stream of a publisher has been muted or unmuted by a moderator.
+     *
+     * @event module:videoroom-plugin~VideoRoomHandle#event:VIDEOROOM_MODERATED
+     * @type {object}
+     * @property {number|string} room - The involved room
+     * @property {number|string} feed - The moderated feed
+     * @property {string} mid - The moderated stream
+     * @property {boolean} muted - True if the stream has been muted
+     */
+    VIDEOROOM_MODERATED: PLUGIN_EVENT.MODERATED,
+
     /**
      * A feed has been unpublished.
      *
@@ -1867,7 +2511,7 @@ export default {
      * A generic videoroom error.
      *
      * @event module:videoroom-plugin~VideoRoomHandle#event:VIDEOROOM_ERROR
-     * @type {Error}
+     * @type {module:errors~PluginError}
      */
     VIDEOROOM_ERROR: PLUGIN_EVENT.ERROR,
   },
@@ -32,6 +32,7 @@ export const JANUS = {
     CREATE_SESSION: 'create',
     KEEPALIVE: 'keepalive',
     DESTROY_SESSION: 'destroy',
+    CLAIM_SESSION: 'claim',
     /* handle level requests */
     ATTACH_PLUGIN: 'attach',
     MESSAGE: 'message',
@@ -64,6 +65,7 @@ export const JANUS = {
     WEBRTCUP: 'webrtcup',
     SLOWLINK: 'slowlink',
     TRICKLE: 'trickle',
+    KEEPALIVE: 'keepalive',
   },
   /**
    * Janus Admin API requests
@@ -74,6 +76,32 @@ export const JANUS = {
     HANDLE_INFO: 'handle_info',
     START_PCAP: 'start_pcap',
     STOP_PCAP: 'stop_pcap',
+    GET_STATUS: 'get_status',
+    SET_SESSION_TIMEOUT: 'set_session_timeout',
+    SET_LOG_LEVEL: 'set_log_level',
+    SET_LOG_TIMESTAMPS: 'set_log_timestamps',
+    SET_LOG_COLORS: 'set_log_colors',
+    SET_LOCKING_DEBUG: 'set_locking_debug',
+    SET_REFCOUNT_DEBUG: 'set_refcount_debug',
+    ACCEPT_NEW_SESSIONS: 'accept_new_sessions',
+    QUERY_EVENTHANDLER: 'query_eventhandler',
+    QUERY_LOGGER: 'query_logger',
+    QUERY_TRANSPORT: 'query_transport',
+    MESSAGE_PLUGIN: 'message_plugin',
+    HANGUP_WEBRTC: 'hangup_webrtc',
+    DETACH_HANDLE: 'detach_handle',
+    DESTROY_SESSION: 'destroy_session',
+    START_TEXT2PCAP: 'start_text2pcap',
+    STOP_TEXT2PCAP: 'stop_text2pcap',
+    RESOLVE_ADDRESS: 'resolve_address',
+    TEST_STUN: 'test_stun',
+    CUSTOM_EVENT: 'custom_event',
+    CUSTOM_LOGLINE: 'custom_logline',
+    ADD_TOKEN: 'add_token',
+    LIST_TOKENS: 'list_tokens',
+    ALLOW_TOKEN: 'allow_token',
+    DISALLOW_TOKEN: 'disallow_token',
+    REMOVE_TOKEN: 'remove_token',
   },
 };
 
@@ -97,6 +125,8 @@ export const JANODE = {
     HANDLE_SLOWLINK: 'handle_slowlink',
     HANDLE_TRICKLE: 'handle_trickle',
     CONNECTION_ERROR: 'connection_error',
+    CONNECTION_RECONNECTING: 'connection_reconnecting',
+    CONNECTION_RECONNECTED: 'connection_reconnected',
   },
 };
 
@@ -11,8 +11,10 @@ import { EventEmitter } from 'events';
 import Logger from './utils/logger.js';
 const LOG_NS = '[session.js]';
 import { getNumericID } from './utils/utils.js';
-import { JANUS, JANODE, isTimeoutData, isResponseData, isErrorData } from './protocol.js';
+import { JANUS, JANODE, isTimeoutData, isResponseData, isErrorData, isAckData } from './protocol.js';
 import JanodeHandle from './handle.js';
+import { JanodeError, JanusCoreError, StateError, TimeoutError, AbortError } from './errors.js';
+import Metrics from './utils/metrics.js';
 
 /**
  * Class representing a Janode session.<br>
@@ -30,8 +32,9 @@ class Session extends EventEmitter {
    * @param {module:connection~Connection} connection - A reference to the parent connection
    * @param {number} id - The session identifier
    * @param {number} [ka_interval=30] - The keepalive interval in seconds
+   * @param {string} [token] - The Janus API token used by this session
    */
-  constructor(connection, id, ka_interval = 30) {
+  constructor(connection, id, ka_interval = 30, token = null) {
     super();
 
     /**
@@ -95,6 +98,22 @@ class Session extends EventEmitter {
      */
     this.name = `[${this.id}]`;
 
+    /**
+     * The context of the log messages of this session.
+     *
+     * @private
+     * @type {module:logger~LogContext}
+     */
+    this._logctx = Logger.context({ ns: LOG_NS, connection: connection.id, session: this.id });
+
+    /**
+     * The Janus API token used by this session, if any.
+     *
+     * @private
+     * @type {string}
+     */
+    this._token = token;
+
     /* Enable keep-alive when creating the session */
     this._setKeepAlive(ka_interval * 1000);
 
@@ -137,7 +156,7 @@ class Session extends EventEmitter {
     this.connection.removeListener(JANODE.EVENT.CONNECTION_CLOSED, this._closedListener);
     this.connection.removeListener(JANODE.EVENT.CONNECTION_ERROR, this._errorListener);
     /* Close all pending transactions for this session with an error */
-    this._tm.closeAllTransactionsWithError(this, new Error('session destroyed'));
+    this._tm.closeAllTransactionsWithError(this, new StateError('session destroyed'));
     /* Clear handle table */
     this._handles.clear();
     /* Emit the destroyed event */
@@ -168,15 +187,17 @@ class Session extends EventEmitter {
 
     let timeout_task;
     const timeout_ka = new Promise((_, reject) => {
-      timeout_task = setTimeout(_ => reject(new Error('timeout')), timeout);
+      timeout_task = setTimeout(_ => reject(new TimeoutError({ request: request.janus, owner: this, transaction: request.transaction, timeout_secs: timeout / 1000 })), timeout);
     });
 
-    Logger.verbose(`${LOG_NS} ${this.name} sending keep-alive (timeout=${timeout}ms)`);
+    Logger.verbose(this._logctx, `sending keep-alive (timeout=${timeout}ms)`);
+    const ka_start = performance.now();
     const ka_op = this.sendRequest(request).then(_ => {
-      Logger.verbose(`${LOG_NS} ${this.name} keep-alive OK`);
+      Logger.verbose(this._logctx, 'keep-alive OK');
+      Metrics.observeKeepAlive((performance.now() - ka_start) / 1000);
       clearTimeout(timeout_task);
     }).catch(e => {
-      Logger.error(`${LOG_NS} ${this.name} keep-alive error (${e.message})`);
+      Logger.error(this._logctx, `keep-alive error (${e.message})`);
       clearTimeout(timeout_task);
       throw e;
     });
@@ -184,6 +205,24 @@ class Session extends EventEmitter {
     return Promise.race([ka_op, timeout_ka]);
   }
 
+  /**
+   * Claim the session on the current transport of the parent connection.
+   * This is needed after a reconnection to let Janus deliver the session events on the new transport.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _claim() {
+    Logger.info(this._logctx, 'claiming session');
+
+    const request = {
+      janus: JANUS.REQUEST.CLAIM_SESSION,
+    };
+
+    await this.sendRequest(request);
+    Logger.info(this._logctx, 'session claimed');
+  }
+
   /**
    * Helper method to enable the keep-alive task with a given period.
    *
@@ -195,17 +234,21 @@ class Session extends EventEmitter {
     const timeout = delay / 2;
 
     this._ka_task = setInterval(_ => {
+      /* Skip the keep-alive while the connection is reconnecting, the session will be claimed later */
+      if (this.connection._reconnecting) return;
       this._sendKeepAlive(timeout).catch(({ message }) => {
+        /* A keep-alive interrupted by a reconnection does not mean the session is gone */
+        if (this.connection._reconnecting) return;
         /* If a keep-alive fails destroy the session */
         if (!this._destroyed) {
-          const error = new Error(`keep-alive failed (${message})`);
-          Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+          const error = new JanodeError(`keep-alive failed (${message})`);
+          Logger.error(this._logctx, `${error.message}`);
         }
         this._signalDestroy();
       });
     }, delay);
 
-    Logger.info(`${LOG_NS} ${this.name} session keep-alive task scheduled every ${delay} milliseconds`);
+    Logger.info(this._logctx, `session keep-alive task scheduled every ${delay} milliseconds`);
   }
 
   /**
@@ -217,7 +260,7 @@ class Session extends EventEmitter {
     if (!this._ka_task) return;
     clearInterval(this._ka_task);
     this._ka_task = null;
-    Logger.info(`${LOG_NS} ${this.name} session keep-alive task disabled`);
+    Logger.info(this._logctx, 'session keep-alive task disabled');
   }
 
   /**
@@ -253,10 +296,10 @@ class Session extends EventEmitter {
       if (!handle) {
         if (janus === JANUS.EVENT.HANDLE_DETACHED_PLUGIN) {
           /* In case of duplicate "detached" try to not pollute the logs */
-          Logger.verbose(`${LOG_NS} ${this.name} handle ${sender} not found for incoming message "${janus}"`);
+          Logger.verbose(this._logctx, `handle ${sender} not found for incoming message "${janus}"`);
           return;
         }
-        Logger.verbose(`${LOG_NS} ${this.name} handle ${sender} not found for incoming message "${janus}"`);
+        Logger.verbose(this._logctx, `handle ${sender} not found for incoming message "${janus}"`);
         return;
       }
 
@@ -282,11 +325,19 @@ class Session extends EventEmitter {
 
     /* Check if this message is a transaction of this session */
     if (transaction) {
-      Logger.verbose(`${LOG_NS} ${this.name} received ${janus} for transaction ${transaction}`);
+      Logger.verbose(this._logctx, `received ${janus} for transaction ${transaction}`);
+
+      /* Late reply to an aborted request, nobody is waiting for it */
+      if (this._tm.isAborted(transaction)) {
+        Logger.verbose(this._logctx, `ignoring ${janus} for aborted transaction ${transaction}`);
+        /* Acks to handle messages will be followed by the actual reply */
+        if (!isAckData(janus_message)) this._tm.deleteAborted(transaction);
+        return;
+      }
 
       /* Not owned by the session? */
       if (this._tm.getTransactionOwner(transaction) !== this) {
-        Logger.warn(`${LOG_NS} ${this.name} transaction ${transaction} not found for incoming message ${janus}`);
+        Logger.warn(this._logctx, `transaction ${transaction} not found for incoming message ${janus}`);
         return;
       }
 
@@ -298,7 +349,8 @@ class Session extends EventEmitter {
        */
       if (isResponseData(janus_message) || this._isKeepaliveTx(transaction)) {
         if (isErrorData(janus_message)) {
-          const error = new Error(`${janus_message.error.code} ${janus_message.error.reason}`);
+          const { code, reason } = janus_message.error;
+          const error = new JanusCoreError({ code, reason, request: this._tm.getTransactionRequest(transaction), transaction });
           this._tm.closeTransactionWithError(transaction, this, error);
           return;
         }
@@ -311,18 +363,18 @@ class Session extends EventEmitter {
 
     /* Session timeout event from Janus */
     if (isTimeoutData(janus_message)) {
-      Logger.warn(`${LOG_NS} ${this.name} session timed out by Janus server!`);
+      Logger.warn(this._logctx, 'session timed out by Janus server!');
       /* Let's cleanup the session */
       this._signalDestroy();
       return;
     }
 
     /* No handle, no transaction, no timeout? */
-    Logger.error(`${LOG_NS} ${this.name} unexpected janus message directed to the session ${JSON.stringify(janus_message)}`);
+    Logger.error(this._logctx, `unexpected janus message directed to the session ${JSON.stringify(janus_message)}`);
   }
 
   /**
-   * Decorate request with session id and transaction (if missing).
+   * Decorate request with session id, transaction and token (if missing).
    *
    * @private
    * @param {object} request
@@ -330,39 +382,48 @@ class Session extends EventEmitter {
   _decorateRequest(request) {
     request.transaction = request.transaction || getNumericID();
     request.session_id = request.session_id || this.id;
+    if (this._token) request.token = request.token || this._token;
   }
 
   /**
    * Send a request from this session.
    *
    * @param {object} request
+   * @param {module:janode~RequestOptions} [options] - The request options
    * @returns {Promise<object>} A promise resolving with the response
    */
-  async sendRequest(request) {
+  async sendRequest(request, options = {}) {
     /* Input check */
     if (typeof request !== 'object' || !request) {
-      const error = new Error('request must be an object');
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      const error = new JanodeError('request must be an object');
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
 
     /* Check session status */
     if (this._destroyed) {
-      const error = new Error('unable to send request because session has been destroyed');
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      const error = new StateError('unable to send request because session has been destroyed', { request: request.janus });
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
 
     /* Add session properties */
     this._decorateRequest(request);
 
+    /* Check the abort signal */
+    if (options.signal && options.signal.aborted) {
+      const error = new AbortError({ request: request.janus, owner: this, transaction: request.transaction });
+      Logger.verbose(this._logctx, `${error.message}`);
+      throw error;
+    }
+
     return new Promise((resolve, reject) => {
       /* Create a new transaction if the transaction does not exist */
       /* Use promise resolve and reject fn as callbacks for the transaction */
-      this._tm.createTransaction(request.transaction, this, request.janus, resolve, reject);
+      this._tm.createTransaction(request.transaction, this, request.janus, resolve, reject, options);
 
       /* Send this message through the parent janode connection */
-      this.connection.sendRequest(request).catch(error => {
+      this.connection.sendRequest(request, options).catch(error => {
         /* In case of error quickly close the transaction */
         this._tm.closeTransactionWithError(request.transaction, this, error);
       });
@@ -375,15 +436,15 @@ class Session extends EventEmitter {
    * @returns {Promise<void>}
    */
   async destroy() {
-    Logger.info(`${LOG_NS} ${this.name} destroying session`);
+    Logger.info(this._logctx, 'destroying session');
     if (this._destroying) {
-      const error = new Error('destroying already in progress');
-      Logger.warn(`${LOG_NS} ${this.name} ${error.message}`);
+      const error = new StateError('destroying already in progress');
+      Logger.warn(this._logctx, `${error.message}`);
       throw error;
     }
     if (this._destroyed) {
-      const error = new Error('session already destroyed');
-      Logger.warn(`${LOG_NS} ${this.name} ${error.message}`);
+      const error = new StateError('session already destroyed');
+      Logger.warn(this._logctx, `${error.message}`);
       throw error;
     }
     this._destroying = true;
@@ -398,7 +459,7 @@ class Session extends EventEmitter {
       return;
     }
     catch (error) {
-      Logger.error(`${LOG_NS} ${this.name} error while destroying session (${error.message})`);
+      Logger.error(this._logctx, `error while destroying session (${error.message})`);
       this._destroying = false;
       throw error;
     }
@@ -423,10 +484,10 @@ class Session extends EventEmitter {
    *
    */
   async attach({ id, Handle = JanodeHandle }) {
-    Logger.info(`${LOG_NS} ${this.name} attaching new handle`);
+    Logger.info(this._logctx, 'attaching new handle');
 
     if (!id) {
-      const error = new Error('plugin identifier null or not valid');
+      const error = new JanodeError('plugin identifier null or not valid');
       throw error;
     }
 
@@ -454,11 +515,11 @@ class Session extends EventEmitter {
         this.setMaxListeners(this.getMaxListeners() - 1);
       });
 
-      Logger.info(`${LOG_NS} ${this.name} handle attached (id=${handle_instance.id})`);
+      Logger.info(this._logctx, `handle attached (id=${handle_instance.id})`);
       return handle_instance;
     }
     catch (error) {
-      Logger.error(`${LOG_NS} ${this.name} handle attach error (${error.message})`);
+      Logger.error(this._logctx, `handle attach error (${error.message})`);
       throw error;
     }
   }
@@ -16,13 +16,33 @@
  * @property {string} request - The janus request for the pending transaction
  * @property {function} done - The success callback
  * @property {function} error - The error callback
+ * @property {number} created - The creation time of the transaction (milliseconds, monotonic clock)
+ * @property {number} [timeout_secs] - The seconds after which the transaction expires (0 means no expiration)
+ * @property {*} [timer] - The task that will close the transaction when expired
+ * @property {AbortSignal} [signal] - The signal that will close the transaction when aborted
+ * @property {function} [abort_listener] - The listener registered on the abort signal
+ * @property {module:logger~LogContext} logctx - The context of the log messages about the transaction, taken from the owner
+ * @property {string} [plugin_request] - The plugin request carried by a "message" (e.g. "join"), used to decorate the plugin errors
+ */
+
+/**
+ * The options used when creating a transaction.
+ *
+ * @typedef {object} TransactionOptions
+ * @property {number} [timeout_secs] - The seconds after which the transaction is closed with a TimeoutError, overriding the TM default (0 to disable)
+ * @property {AbortSignal} [signal] - A signal that closes the transaction with an AbortError when aborted
  */
 
 import Logger from './utils/logger.js';
 const LOG_NS = '[tmanager.js]';
+const LOG_CTX = Logger.context({ ns: LOG_NS });
 import { getNumericID, getCliArgument } from './utils/utils.js';
+import { TimeoutError, AbortError } from './errors.js';
+import Metrics from './utils/metrics.js';
 
 const debug = getCliArgument('debug-tx', 'boolean', false);
+/* Seconds after which an aborted transaction is forgotten if the request had no timeout */
+const ABORTED_TTL_SECS = 60;
 
 /**
  * Class representing a Janode Transaction Manager (TM).
@@ -36,11 +56,16 @@ class TransactionManager {
    * Create a Transacton Manager (TM)
    *
    * @param {string} [id] - The identifier given to the manager (got from a counter if missing)
+   * @param {object} [options]
+   * @param {number} [options.request_timeout_secs=0] - The default timeout for the transactions (0 means no expiration)
    */
-  constructor(id = getNumericID()) {
+  constructor(id = getNumericID(), { request_timeout_secs = 0 } = {}) {
     this.transactions = new Map();
     this.id = id;
-    Logger.info(`${LOG_NS} [${this.id}] creating new transaction manager (debug=${debug})`);
+    this.request_timeout_secs = request_timeout_secs;
+    /* The aborted transactions still waiting for a late reply from Janus, with their owner and expiration task */
+    this.aborted = new Map();
+    Logger.info(LOG_CTX, `creating new transaction manager ${this.id} (debug=${debug})`);
     this._dbgtask = null;
     /* If tx debugging is enabled, periodically print the size of the tx table */
   }
@@ -49,9 +74,10 @@ class TransactionManager {
    * Clear the internal transaction table and the debugging printing task.
    */
   clear() {
-    Logger.info(`${LOG_NS} [${this.id}] clearing transaction manager`);
+    Logger.info(LOG_CTX, `clearing transaction manager ${this.id}`);
     clearInterval(this._dbgtask);
-    this.transactions.clear();
+    for (const [id] of this.transactions) this.delete(id);
+    for (const [id] of this.aborted) this.deleteAborted(id);
   }
 
   /**
@@ -98,7 +124,7 @@ class TransactionManager {
     this.transactions.set(id, transaction);
     if (debug && !this._dbgtask) {
       this._dbgtask = setInterval(_ => {
-        Logger.info(`${LOG_NS} [${this.id}] TM DEBUG size=${this.size()}`);
+        Logger.info(LOG_CTX, `TM ${this.id} DEBUG size=${this.size()}`);
       }, 5000);
     }
   }
@@ -111,6 +137,9 @@ class TransactionManager {
   delete(id) {
     if (!id) return;
     if (!this.has(id)) return;
+    const { timer, signal, abort_listener } = this.transactions.get(id);
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', abort_listener);
     this.transactions.delete(id);
   }
 
@@ -126,6 +155,18 @@ class TransactionManager {
     return this.get(id).owner;
   }
 
+  /**
+   * Get the janus request of a specific transaction id.
+   *
+   * @param {string} id - The transaction id
+   * @returns {string|void} The janus request (e.g. "attach"), or nothing if transaction is missing
+   */
+  getTransactionRequest(id) {
+    if (!id) return;
+    if (!this.has(id)) return;
+    return this.get(id).request;
+  }
+
   /**
    * Create a new transaction if id does not exist in the table and add it to the TM.
    *
@@ -134,9 +175,10 @@ class TransactionManager {
    * @param {string} request - The janus request for the pending transaction
    * @param {function} done - The success callback
    * @param {function} error - The error callback
+   * @param {TransactionOptions} [options] - The transaction options
    * @returns {PendingTransaction|void} The newly created transaction, or nothing if the id already exists
    */
-  createTransaction(id, owner, request, done, error) {
+  createTransaction(id, owner, request, done, error, { timeout_secs, signal } = {}) {
     if (this.has(id)) return;
     const tx = {
       id,
@@ -144,12 +186,72 @@ class TransactionManager {
       request,
       done,
       error,
+      created: performance.now(),
+      logctx: Logger.context({ ...owner._logctx, ns: LOG_NS }),
+      timeout_secs: (typeof timeout_secs === 'number') ? timeout_secs : this.request_timeout_secs,
     };
+    /* Close the transaction with a timeout error if it does not get a response in time */
+    if (tx.timeout_secs > 0) {
+      tx.timer = setTimeout(_ => {
+        Logger.warn(tx.logctx, `transaction ${id} expired after ${tx.timeout_secs} seconds, request "${tx.request}"`);
+        this.closeTransactionWithError(id, owner, new TimeoutError({ request, owner, transaction: id, timeout_secs: tx.timeout_secs }));
+      }, tx.timeout_secs * 1000);
+    }
+    /* Close the transaction with an abort error when the signal is aborted */
+    if (signal) {
+      tx.signal = signal;
+      tx.abort_listener = _ => {
+        Logger.verbose(tx.logctx, `transaction ${id} aborted, request "${tx.request}"`);
+        this._addAborted(id, owner, tx.timeout_secs);
+        this.closeTransactionWithError(id, owner, new AbortError({ request, owner, transaction: id }));
+      };
+      signal.addEventListener('abort', tx.abort_listener, { once: true });
+    }
     this.set(id, tx);
-    Logger.verbose(`${LOG_NS} [${tx.owner.id}] created new transaction ${id}, request "${tx.request}"`);
+    Logger.verbose(tx.logctx, `created new transaction ${id}, request "${tx.request}"`);
     return tx;
   }
 
+  /**
+   * Remember an aborted transaction, in order to silently drop the late reply from Janus.
+   * The entry expires after the request timeout (or a default TTL) in case Janus never replies.
+   *
+   * @private
+   * @param {string} id - The transaction identifier
+   * @param {object} owner - A reference to the transaction owner
+   * @param {number} [timeout_secs] - The timeout of the aborted request
+   */
+  _addAborted(id, owner, timeout_secs) {
+    const ttl_secs = (timeout_secs > 0) ? timeout_secs : ABORTED_TTL_SECS;
+    const timer = setTimeout(_ => this.aborted.delete(id), ttl_secs * 1000);
+    /* Do not keep the process alive just to forget an aborted transaction */
+    if (typeof timer.unref === 'function') timer.unref();
+    this.aborted.set(id, { owner, timer });
+  }
+
+  /**
+   * Check if a transaction has been aborted and Janus has not sent its definitive reply yet.
+   *
+   * @param {string} id - The transaction identifier
+   * @returns {boolean} True if the transaction has been aborted
+   */
+  isAborted(id) {
+    if (!id) return false;
+    return this.aborted.has(id);
+  }
+
+  /**
+   * Forget an aborted transaction, e.g. once its late reply has been received.
+   *
+   * @param {string} id - The transaction identifier
+   */
+  deleteAborted(id) {
+    const aborted = this.aborted.get(id);
+    if (!aborted) return;
+    clearTimeout(aborted.timer);
+    this.aborted.delete(id);
+  }
+
   /**
    * Close a transaction with an error if the id is found and the owner matches.
    * The closed transaction will be removed from the internal table and the error cb will be invoked with the error string.
@@ -164,15 +266,20 @@ class TransactionManager {
     if (!tx) return;
     if (tx.owner !== owner) return;
     this.delete(id);
+    let outcome = 'error';
+    if (error instanceof TimeoutError) outcome = 'timeout';
+    if (error instanceof AbortError) outcome = 'aborted';
+    Metrics.observeRequest(tx.request, outcome, (performance.now() - tx.created) / 1000);
     tx.error(error);
-    Logger.verbose(`${LOG_NS} [${tx.owner.id}] closed with error transaction ${id}, request "${tx.request}"`);
+    Logger.verbose(tx.logctx, `closed with error transaction ${id}, request "${tx.request}"`);
     return tx;
   }
 
   /**
    * Close all the stored transactions with an error.
    * If an owner is specified only the owner's transaction will be closed.
-   * The closed transactions will be removed from the internal table.
+   * The closed transactions will be removed from the internal table, along with the aborted ones
+   * since their late replies will never be received.
    *
    * @param {object} [owner] - A reference to the transaction owner
    * @param {object} error - The error object
@@ -182,6 +289,10 @@ class TransactionManager {
       if (!owner || pendingTx.owner === owner)
         this.closeTransactionWithError(pendingTx.id, pendingTx.owner, error);
     }
+    for (const [id, aborted] of this.aborted) {
+      if (!owner || aborted.owner === owner)
+        this.deleteAborted(id);
+    }
   }
 
   /**
@@ -198,8 +309,9 @@ class TransactionManager {
     if (!tx) return;
     if (tx.owner !== owner) return;
     this.delete(id);
+    Metrics.observeRequest(tx.request, 'success', (performance.now() - tx.created) / 1000);
     tx.done(data);
-    Logger.verbose(`${LOG_NS} [${tx.owner.id}] closed with success transaction ${id}, request "${tx.request}"`);
+    Logger.verbose(tx.logctx, `closed with success transaction ${id}, request "${tx.request}"`);
     return tx;
   }
 }
@@ -0,0 +1,455 @@
+'use strict';
+
+/**
+ * This module contains the HTTP/HTTPS transport implementation.
+ * @module transport-http
+ * @access private
+ */
+
+import Logger from './utils/logger.js';
+const LOG_NS = '[transport-http.js]';
+import { delayOp, getNumericID } from './utils/utils.js';
+import { JANUS, isErrorData, isTimeoutData } from './protocol.js';
+import { TransportError, StateError } from './errors.js';
+
+/* Max number of events that Janus can return in a single long-poll response */
+const LONG_POLL_MAX_EVENTS = 10;
+/* Default timeout for the reachability check when opening the transport */
+const OPEN_TIMEOUT_SECS = 5;
+/* Delay before retrying a failed long-poll, doubled at every consecutive failure */
+const LONG_POLL_RETRY_MS = 1000;
+/* Consecutive long-poll failures after which the loop of a session is stopped */
+const LONG_POLL_MAX_FAILURES = 5;
+
+/**
+ * Class representing a connection through HTTP/HTTPS (REST) transport.<br>
+ *
+ * In case of failure a connection will be retried according to the configuration (time interval and
+ * times to attempt). At every attempt, if multiple addresses are available for Janus, the next address
+ * will be tried. An error will be raised only if the maxmimum number of attempts have been reached.<br>
+ *
+ * Requests are mapped onto the Janus REST hierarchy (/janus, /janus/&lt;session&gt;, /janus/&lt;session&gt;/&lt;handle&gt;),
+ * synchronous responses are delivered to the parent connection as soon as they are received, while
+ * asynchronous events are fetched with a long-poll GET loop for every session created through this transport.<br>
+ *
+ * @private
+ */
+class TransportHttp {
+  /**
+   * Create a connection through HTTP.
+   *
+   * @param {module:connection~Connection} connection - The parent Janode connection
+   */
+  constructor(connection) {
+    /**
+     * The parent  Janode connection.
+     *
+     * @type {module:connection~Connection}
+     */
+    this._connection = connection;
+
+    /**
+     * The active long-poll loops, indexed by session id.
+     * Every loop is controlled by an AbortController.
+     *
+     * @type {Map<number, AbortController>}
+     */
+    this._pollers = new Map();
+
+    /**
+     * Internal counter for connection attempts.
+     *
+     * @type {number}
+     */
+    this._attempts = 0;
+
+    /**
+     * A boolean flag indicating that the connection is being opened.
+     *
+     * @type {boolean}
+     */
+    this._opening = false;
+
+    /**
+     * A boolean flag indicating that the connection has been opened.
+     *
+     * @type {boolean}
+     */
+    this._opened = false;
+
+    /**
+     * A boolean flag indicating that the connection is being closed.
+     *
+     * @type {boolean}
+     */
+    this._closing = false;
+
+    /**
+     * A boolean flag indicating that the connection has been closed.
+     *
+     * @type {boolean}
+     */
+    this._closed = false; // true if transport has been closed after being opened
+
+    /**
+     * A numerical identifier assigned for logging purposes.
+     *
+     * @type {number}
+     */
+    this.id = connection.id;
+
+    /**
+     * A more descriptive, not unique string (used for logging).
+     *
+     * @type {string}
+     */
+    this.name = `[${this.id}]`;
+
+    /**
+     * The context of the log messages of this transport.
+     *
+     * @private
+     * @type {module:logger~LogContext}
+     */
+    this._logctx = Logger.context({ ns: LOG_NS, connection: this.id });
+  }
+
+  /**
+   * Get the base url of the current Janus address, without the trailing slash.
+   *
+   * @returns {string}
+   */
+  _getBaseUrl() {
+    return this._connection._address_iterator.currElem().url.replace(/\/+$/, '');
+  }
+
+  /**
+   * Build the REST url for a request, according to the session and handle it targets.
+   *
+   * @param {object} request - The request to be sent
+   * @returns {string}
+   */
+  _getRequestUrl({ session_id, handle_id }) {
+    let url = this._getBaseUrl();
+    if (session_id) {
+      url += `/${session_id}`;
+      if (handle_id) url += `/${handle_id}`;
+    }
+    return url;
+  }
+
+  /**
+   * Parse the body of a fetch response as JSON.
+   *
+   * @param {Response} response - The fetch response
+   * @returns {Promise<object|object[]>}
+   */
+  async _parseResponse(response) {
+    const text = await response.text();
+    try {
+      return JSON.parse(text);
+    } catch (_error) {
+      throw new TransportError(`invalid response from server (HTTP ${response.status})`);
+    }
+  }
+
+  /**
+   * Send a "ping" request to the base url of the current Janus address.
+   *
+   * @returns {Promise<void>} A promise resolving if Janus answers with a "pong"
+   */
+  async _ping() {
+    const controller = new AbortController();
+    const timeout = setTimeout(_ => controller.abort(), OPEN_TIMEOUT_SECS * 1000);
+
+    try {
+      const response = await fetch(this._getBaseUrl(), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ janus: 'ping', transaction: getNumericID() }),
+        signal: controller.signal,
+      });
+      const data = await this._parseResponse(response);
+      if (data.janus !== 'pong') throw new TransportError(`unexpected response to ping (${data.janus})`);
+    }
+    finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Check that the current Janus address is reachable by sending a "ping" request.
+   *
+   * @returns {Promise<module:connection~Connection>}
+   */
+  async _initHttp() {
+    Logger.info(this._logctx, `trying connection with ${this._connection._address_iterator.currElem().url}`);
+
+    try {
+      await this._ping();
+      Logger.info(this._logctx, 'http server reachable');
+      return this;
+    }
+    catch (error) {
+      Logger.error(this._logctx, `http error (${error.message})`);
+      throw error;
+    }
+  }
+
+  /**
+   * Internal helper to open a http connection.
+   * In case of error retry the connection with another address from the available pool.
+   * If maximum number of attempts is reached, throws an error.
+   *
+   * @returns {Promise<module:connection~Connection>}
+   */
+  async _attemptOpen() {
+    /* Reset status at every attempt */
+    this._opened = false;
+    this._closing = false;
+    this._closed = false;
+
+    try {
+      const conn = await this._initHttp();
+      this._opening = false;
+      this._opened = true;
+      return conn;
+    }
+    catch (error) {
+      /* In case of error notifies the user, but try with another address */
+      this._attempts++;
+      /* Get the max number of attempts from the configuration */
+      if (this._attempts >= this._connection._config.getMaxRetries()) {
+        this._opening = false;
+        const err = new TransportError('attempt limit exceeded', { cause: error });
+        Logger.error(this._logctx, `connection failed, ${err.message}`);
+        throw err;
+      }
+      Logger.error(this._logctx, `connection failed, will try again in ${this._connection._config.getRetryTimeSeconds()} seconds...`);
+      /* Wait an amount of seconds specified in the configuration */
+      await delayOp(this._connection._config.getRetryTimeSeconds() * 1000);
+      /* Make shift the circular iterator */
+      this._connection._address_iterator.nextElem();
+      return this._attemptOpen();
+    }
+  }
+
+  /**
+   * Open a transport connection. This is called from parent connection.
+   *
+   * @returns {Promise<module:connection~Connection>} A promise resolving with the Janode connection
+   */
+  async open() {
+    /* Check the flags before attempting a connection */
+    let error;
+    if (this._opening) error = new StateError('unable to open, http transport is already being opened');
+    else if (this._opened) error = new StateError('unable to open, http transport has already been opened');
+    else if (this._closed) error = new StateError('unable to open, http transport has already been closed');
+
+    if (error) {
+      Logger.error(this._logctx, `${error.message}`);
+      throw error;
+    }
+
+    /* Set the starting status */
+    this._opening = true;
+    this._attempts = 0;
+
+    /* Use internal helper */
+    return this._attemptOpen();
+  }
+
+  /**
+   * Start a long-poll loop for a session.
+   *
+   * @param {number} session_id - The session identifier
+   * @param {string} [token] - The token used to create the session
+   */
+  _startPolling(session_id, token) {
+    if (this._pollers.has(session_id)) return;
+    const controller = new AbortController();
+    this._pollers.set(session_id, controller);
+    Logger.info(this._logctx, `long-poll started for session ${session_id}`);
+    this._longPoll(session_id, controller.signal, token);
+  }
+
+  /**
+   * Stop the long-poll loop of a session.
+   *
+   * @param {number} session_id - The session identifier
+   */
+  _stopPolling(session_id) {
+    const controller = this._pollers.get(session_id);
+    if (!controller) return;
+    this._pollers.delete(session_id);
+    controller.abort();
+    Logger.info(this._logctx, `long-poll stopped for session ${session_id}`);
+  }
+
+  /**
+   * The long-poll loop of a session.
+   * Every event received from Janus is passed to the parent connection.<br>
+   *
+   * A failed long-poll is retried with an exponential backoff. The whole transport is closed only if Janus
+   * does not answer a ping on the base url anymore, while a session that keeps failing only stops its own loop.
+   *
+   * @param {number} session_id - The session identifier
+   * @param {AbortSignal} signal - The signal used to stop the loop
+   * @param {string} [session_token] - The token used to create the session, if different from the address one
+   * @returns {Promise<void>}
+   */
+  async _longPoll(session_id, signal, session_token) {
+    const { apisecret, token: address_token } = this._connection._address_iterator.currElem();
+    const token = session_token || address_token;
+    let failures = 0;
+
+    while (!signal.aborted && this._opened) {
+      const params = new URLSearchParams({ maxev: LONG_POLL_MAX_EVENTS, rid: Date.now() });
+      if (apisecret) params.set('apisecret', apisecret);
+      if (token) params.set('token', token);
+
+      let data;
+      try {
+        const response = await fetch(`${this._getBaseUrl()}/${session_id}?${params}`, { method: 'GET', signal });
+        data = await this._parseResponse(response);
+      } catch (error) {
+        if (signal.aborted) return;
+        failures++;
+        Logger.warn(this._logctx, `long-poll error for session ${session_id} (${error.message}), failure #${failures}`);
+        /* Janus is no longer reachable, close the whole transport */
+        const reachable = await this._ping().then(_ => true, _ => false);
+        if (signal.aborted) return;
+        if (!reachable) {
+          Logger.error(this._logctx, 'http server unreachable');
+          this._close();
+          return;
+        }
+        /* Janus is reachable but this session keeps failing, stop only its loop */
+        if (failures >= LONG_POLL_MAX_FAILURES) {
+          Logger.error(this._logctx, `long-poll failed ${failures} times for session ${session_id}, giving up`);
+          this._stopPolling(session_id);
+          return;
+        }
+        await delayOp(LONG_POLL_RETRY_MS * 2 ** (failures - 1));
+        continue;
+      }
+      failures = 0;
+
+      /* With maxev Janus returns an array of events */
+      for (const janus_message of (Array.isArray(data) ? data : [data])) {
+        Logger.debug(this._logctx, `<http RCV OK> ${JSON.stringify(janus_message)}`);
+        /* Empty long-poll response */
+        if (janus_message.janus === JANUS.EVENT.KEEPALIVE) continue;
+        /* The session does not exist anymore (e.g. no such session) */
+        if (isErrorData(janus_message) && !janus_message.transaction) {
+          Logger.warn(this._logctx, `long-poll error for session ${session_id} (${janus_message.error.code} ${janus_message.error.reason})`);
+          this._stopPolling(session_id);
+          return;
+        }
+        /* Session timed out, no more events to fetch */
+        if (isTimeoutData(janus_message)) this._stopPolling(session_id);
+        this._connection._handleMessage(janus_message);
+      }
+    }
+  }
+
+  /**
+   * Stop all the long-poll loops and notify the parent connection.
+   */
+  _close() {
+    if (this._closed) return;
+    Logger.info(this._logctx, 'closing http transport');
+    for (const session_id of Array.from(this._pollers.keys())) {
+      this._stopPolling(session_id);
+    }
+    this._opened = false;
+    this._connection._signalClose(this._closing);
+    this._closing = false;
+    this._closed = true;
+  }
+
+  /**
+   * Get the remote Janus hostname.
+   * It is called from the parent connection.
+   *
+   * @returns {string} The hostname of the Janus server
+   */
+  getRemoteHostname() {
+    if (this._opened) {
+      return (new URL(this._connection._address_iterator.currElem().url)).hostname;
+    }
+    return null;
+  }
+
+  /**
+   * Gracefully close the connection.
+   * It is called from the parent connection.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    /* Check the status flags before */
+    let error;
+    if (!this._opened) error = new StateError('unable to close, http transport has never been opened');
+    else if (this._closing) error = new StateError('unable to close, http transport is already being closed');
+    else if (this._closed) error = new StateError('unable to close, http transport has already been closed');
+
+    if (error) {
+      Logger.error(this._logctx, `${error.message}`);
+      throw error;
+    }
+
+    this._closing = true;
+
+    return this._close();
+  }
+
+  /**
+   * Send a request from this connection.
+   * The synchronous response from Janus is passed to the parent connection.
+   * It is called from the parent connection.
+   *
+   * @param {object} request - The request to be sent
+   * @returns {Promise<void>} A promise resolving once Janus has replied
+   */
+  async send(request) {
+    /* Check connection status */
+    let error;
+    if (!this._opened) error = new StateError('unable to send request because http transport has not been opened');
+    else if (this._closed) error = new StateError('unable to send request because http transport has been closed');
+
+    if (error) {
+      Logger.error(this._logctx, `${error.message}`);
+      throw error;
+    }
+
+    /* Stringify the message */
+    const string_req = JSON.stringify(request);
+
+    let janus_message;
+    try {
+      Logger.debug(this._logctx, `<http SND OK> ${string_req}`);
+      const response = await fetch(this._getRequestUrl(request), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: string_req,
+      });
+      janus_message = await this._parseResponse(response);
+    } catch (error) {
+      Logger.error(this._logctx, `http send error (${error.message})`);
+      throw error;
+    }
+    Logger.debug(this._logctx, `<http RCV OK> ${JSON.stringify(janus_message)}`);
+
+    /* Keep track of the sessions in order to fetch their events */
+    if (!this._connection._config.isAdmin() && !isErrorData(janus_message)) {
+      if (request.janus === JANUS.REQUEST.CREATE_SESSION && janus_message.data) this._startPolling(janus_message.data.id, request.token);
+      if (request.janus === JANUS.REQUEST.DESTROY_SESSION) this._stopPolling(request.session_id);
+    }
+
+    this._connection._handleMessage(janus_message);
+  }
+
+}
+
+export default TransportHttp;
@@ -15,6 +15,7 @@ import { createSocket } from 'unix-dgram';
 import Logger from './utils/logger.js';
 const LOG_NS = '[transport-unix.js]';
 import { delayOp } from './utils/utils.js';
+import { TransportError, StateError } from './errors.js';
 
 /**
  * Class representing a connection through Unix dgram sockets transport.<br>
@@ -99,6 +100,14 @@ class TransportUnix {
      * @type {string}
      */
     this.name = `[${this.id}]`;
+
+    /**
+     * The context of the log messages of this transport.
+     *
+     * @private
+     * @type {module:logger~LogContext}
+     */
+    this._logctx = Logger.context({ ns: LOG_NS, connection: this.id });
   }
 
   /**
@@ -107,7 +116,7 @@ class TransportUnix {
    * @returns {Promise<module:connection~Connection>}
    */
   async _initUnixSocket() {
-    Logger.info(`${LOG_NS} ${this.name} trying connection with ${this._connection._address_iterator.currElem().url}`);
+    Logger.info(this._logctx, `trying connection with ${this._connection._address_iterator.currElem().url}`);
 
     return new Promise((resolve, reject) => {
       let socket;
@@ -118,13 +127,13 @@ class TransportUnix {
       try {
         socket = createSocket('unix_dgram');
       } catch (error) {
-        Logger.error(`${LOG_NS} ${this.name} unix socket create error (${error.message})`);
+        Logger.error(this._logctx, `unix socket create error (${error.message})`);
         reject(error);
         return;
       }
 
       socket.on('error', error => {
-        Logger.error(`${LOG_NS} ${this.name} unix socket error (${error.message})`);
+        Logger.error(this._logctx, `unix socket error (${error.message})`);
         if (error.errno < 0) {
           this._close();
         }
@@ -132,13 +141,13 @@ class TransportUnix {
       });
 
       socket.on('connect', _ => {
-        Logger.info(`${LOG_NS} ${this.name} unix socket connected`);
+        Logger.info(this._logctx, 'unix socket connected');
         connected = true;
         if (bound && connected) resolve(this);
       });
 
       socket.on('listening', _ => {
-        Logger.info(`${LOG_NS} ${this.name} unix socket bound`);
+        Logger.info(this._logctx, 'unix socket bound');
         /* Resolve the promise and return this connection */
         bound = true;
         socket.connect(this._connection._address_iterator.currElem().url.split('file://')[1]);
@@ -147,16 +156,16 @@ class TransportUnix {
 
       socket.on('message', buf => {
         const data = buf.toString();
-        Logger.debug(`${LOG_NS} ${this.name} <unix RCV OK> ${data}`);
+        Logger.debug(this._logctx, `<unix RCV OK> ${data}`);
         this._connection._handleMessage(JSON.parse(data));
       });
 
       socket.on('writable', _ => {
-        Logger.warn(`${LOG_NS} ${this.name} unix socket writable notification`);
+        Logger.warn(this._logctx, 'unix socket writable notification');
       });
 
       socket.on('congestion', _buf => {
-        Logger.warn(`${LOG_NS} ${this.name} unix socket congestion notification`);
+        Logger.warn(this._logctx, 'unix socket congestion notification');
       });
 
       this._socket = socket;
@@ -191,11 +200,11 @@ class TransportUnix {
       /* Get the max number of attempts from the configuration */
       if (this._attempts >= this._connection._config.getMaxRetries()) {
         this._opening = false;
-        const err = new Error('attempt limit exceeded');
-        Logger.error(`${LOG_NS} ${this.name} socket connection failed, ${err.message}`);
-        throw error;
+        const err = new TransportError('attempt limit exceeded', { cause: error });
+        Logger.error(this._logctx, `socket connection failed, ${err.message}`);
+        throw err;
       }
-      Logger.error(`${LOG_NS} ${this.name} socket connection failed, will try again in ${this._connection._config.getRetryTimeSeconds()} seconds...`);
+      Logger.error(this._logctx, `socket connection failed, will try again in ${this._connection._config.getRetryTimeSeconds()} seconds...`);
       /* Wait an amount of seconds specified in the configuration */
       await delayOp(this._connection._config.getRetryTimeSeconds() * 1000);
       /* Make shift the circular iterator */
@@ -206,17 +215,17 @@ class TransportUnix {
 
   _close() {
     if (!this._socket) return;
-    Logger.info(`${LOG_NS} ${this.name} closing unix transport`);
+    Logger.info(this._logctx, 'closing unix transport');
     try {
       this._socket.close();
     } catch (error) {
-      Logger.error(`${LOG_NS} ${this.name} error while closing unix socket (${error.message})`);
+      Logger.error(this._logctx, `error while closing unix socket (${error.message})`);
     }
 
     try {
       unlinkSync(this._local_bind);
     } catch (error) {
-      Logger.error(`${LOG_NS} ${this.name} error while unlinking fd (${error.message})`);
+      Logger.error(this._logctx, `error while unlinking fd (${error.message})`);
     }
     /* removeAllListeners is only supported on the node ws module */
     if (typeof this._socket.removeAllListeners === 'function') this._socket.removeAllListeners();
@@ -234,12 +243,12 @@ class TransportUnix {
   async open() {
     /* Check the flags before attempting a connection */
     let error;
-    if (this._opening) error = new Error('unable to open, unix socket is already being opened');
-    else if (this._opened) error = new Error('unable to open, unix socket has already been opened');
-    else if (this._closed) error = new Error('unable to open, unix socket has already been closed');
+    if (this._opening) error = new StateError('unable to open, unix socket is already being opened');
+    else if (this._opened) error = new StateError('unable to open, unix socket has already been opened');
+    else if (this._closed) error = new StateError('unable to open, unix socket has already been closed');
 
     if (error) {
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
 
@@ -273,12 +282,12 @@ class TransportUnix {
   async close() {
     /* Check the status flags before */
     let error;
-    if (!this._opened) error = new Error('unable to close, unix socket has never been opened');
-    else if (this._closing) error = new Error('unable to close, unix socket is already being closed');
-    else if (this._closed) error = new Error('unable to close, unix socket has already been closed');
+    if (!this._opened) error = new StateError('unable to close, unix socket has never been opened');
+    else if (this._closing) error = new StateError('unable to close, unix socket is already being closed');
+    else if (this._closed) error = new StateError('unable to close, unix socket has already been closed');
 
     if (error) {
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
 
@@ -297,11 +306,11 @@ class TransportUnix {
   async send(request) {
     /* Check connection status */
     let error;
-    if (!this._opened) error = new Error('unable to send request because unix socket has not been opened');
-    else if (this._closed) error = new Error('unable to send request because unix socket has been closed');
+    if (!this._opened) error = new StateError('unable to send request because unix socket has not been opened');
+    else if (this._closed) error = new StateError('unable to send request because unix socket has been closed');
 
     if (error) {
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
 
@@ -312,14 +321,14 @@ class TransportUnix {
     return new Promise((resolve, reject) => {
       this._socket.send(buf, error => {
         if (error) {
-          Logger.error(`${LOG_NS} ${this.name} unix socket send error (${error.message})`);
+          Logger.error(this._logctx, `unix socket send error (${error.message})`);
           if (error.errno < 0) {
             this._close();
           }
           reject(error);
           return;
         }
-        Logger.debug(`${LOG_NS} ${this.name} <unix SND OK> ${string_req}`);
+        Logger.debug(this._logctx, `<unix SND OK> ${string_req}`);
         resolve();
       });
     });
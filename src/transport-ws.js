@@ -13,6 +13,9 @@ import WebSocket from 'isomorphic-ws';
 import Logger from './utils/logger.js';
 const LOG_NS = '[transport-ws.js]';
 import { delayOp } from './utils/utils.js';
+import { JANODE } from './protocol.js';
+import { TransportError, StateError } from './errors.js';
+import Metrics from './utils/metrics.js';
 
 /* Janus API ws subprotocol */
 const API_WS = 'janus-protocol';
@@ -91,6 +94,13 @@ class TransportWs {
      */
     this._closed = false; // true if websocket has been closed after being opened
 
+    /**
+     * A boolean flag indicating that the websocket is being reopened after an unexpected disconnection.
+     *
+     * @type {boolean}
+     */
+    this._reconnecting = false;
+
     /**
      * The task of the peridic ws ping.
      *
@@ -111,6 +121,14 @@ class TransportWs {
      * @type {string}
      */
     this.name = `[${this.id}]`;
+
+    /**
+     * The context of the log messages of this transport.
+     *
+     * @private
+     * @type {module:logger~LogContext}
+     */
+    this._logctx = Logger.context({ ns: LOG_NS, connection: this.id });
   }
 
   /**
@@ -120,7 +138,7 @@ class TransportWs {
    * @returns {Promise<module:connection~Connection>}
    */
   async _initWebSocket() {
-    Logger.info(`${LOG_NS} ${this.name} trying connection with ${this._connection._address_iterator.currElem().url}`);
+    Logger.info(this._logctx, `trying connection with ${this._connection._address_iterator.currElem().url}`);
 
     return new Promise((resolve, reject) => {
       const wsOptions = this._connection._config.wsOptions() || { };
@@ -133,7 +151,7 @@ class TransportWs {
 
       /* Register an "open" listener */
       ws.addEventListener('open', _ => {
-        Logger.info(`${LOG_NS} ${this.name} websocket connected`);
+        Logger.info(this._logctx, 'websocket connected');
         /* Set the ping/pong task */
         this._setPingTask(PING_TIME_SECS * 1000);
         /* Resolve the promise and return this connection */
@@ -142,15 +160,22 @@ class TransportWs {
 
       /* Register a "close" listener */
       ws.addEventListener('close', ({ code, reason, wasClean }) => {
-        Logger.info(`${LOG_NS} ${this.name} websocket closed code=${code} reason=${reason} clean=${wasClean}`);
+        Logger.info(this._logctx, `websocket closed code=${code} reason=${reason} clean=${wasClean}`);
         /* Start cleanup */
         /* Cancel the KA task */
         this._unsetPingTask();
+        /* removeAllListeners is only supported on the node ws module */
+        if (typeof ws.removeAllListeners === 'function') ws.removeAllListeners();
+        /* A failed attempt during a reconnection, the reconnection loop will handle it */
+        if (this._reconnecting) return;
+        /* Unexpected disconnection of an opened websocket, try to reconnect if enabled */
+        if (this._opened && !this._closing && this._connection._config.isReconnectEnabled()) {
+          this._reconnect();
+          return;
+        }
         this._connection._signalClose(this._closing);
         this._closing = false;
         this._closed = true;
-        /* removeAllListeners is only supported on the node ws module */
-        if (typeof this._ws.removeAllListeners === 'function') this._ws.removeAllListeners();
       }, { once: true });
 
       /* Register an "error" listener */
@@ -159,13 +184,13 @@ class TransportWs {
        * to an error (some data couldn't be sent for example)
        */
       ws.addEventListener('error', error => {
-        Logger.error(`${LOG_NS} ${this.name} websocket error (${error.message})`);
+        Logger.error(this._logctx, `websocket error (${error.message})`);
         reject(error);
       }, { once: true });
 
       /* Register a "message" listener */
       ws.addEventListener('message', ({ data }) => {
-        Logger.debug(`${LOG_NS} ${this.name} <ws RCV OK> ${data}`);
+        Logger.debug(this._logctx, `<ws RCV OK> ${data}`);
         this._connection._handleMessage(JSON.parse(data));
       });
 
@@ -198,11 +223,11 @@ class TransportWs {
       /* Get the max number of attempts from the configuration */
       if (this._attempts >= this._connection._config.getMaxRetries()) {
         this._opening = false;
-        const err = new Error('attempt limit exceeded');
-        Logger.error(`${LOG_NS} ${this.name} connection failed, ${err.message}`);
-        throw error;
+        const err = new TransportError('attempt limit exceeded', { cause: error });
+        Logger.error(this._logctx, `connection failed, ${err.message}`);
+        throw err;
       }
-      Logger.error(`${LOG_NS} ${this.name} connection failed, will try again in ${this._connection._config.getRetryTimeSeconds()} seconds...`);
+      Logger.error(this._logctx, `connection failed, will try again in ${this._connection._config.getRetryTimeSeconds()} seconds...`);
       /* Wait an amount of seconds specified in the configuration */
       await delayOp(this._connection._config.getRetryTimeSeconds() * 1000);
       /* Make shift the circular iterator */
@@ -211,6 +236,53 @@ class TransportWs {
     }
   }
 
+  /**
+   * Internal helper to reopen the websocket after an unexpected disconnection.
+   * The parent connection is notified when the reconnection starts and when it succeeds, so that
+   * existing sessions can be claimed again. Addresses and retry settings are taken from the configuration.
+   * If the maximum number of attempts is reached (or the transport is closed meanwhile), the parent connection is closed.
+   *
+   * @returns {Promise<void>}
+   */
+  async _reconnect() {
+    this._reconnecting = true;
+    this._opened = false;
+    Logger.warn(this._logctx, 'websocket unexpectedly closed, reconnecting...');
+    this._connection._signalReconnecting();
+
+    for (let attempt = 1; !this._closing; attempt++) {
+      try {
+        await this._initWebSocket();
+        this._reconnecting = false;
+        this._opened = true;
+        /* Transport closed while the reconnection was in progress */
+        if (this._closing) {
+          this._ws.close();
+          return;
+        }
+        Logger.info(this._logctx, 'websocket reconnected');
+        await this._connection._signalReconnected();
+        return;
+      }
+      catch (error) {
+        if (attempt >= this._connection._config.getMaxRetries()) {
+          Logger.error(this._logctx, `reconnection failed (${error.message}), attempt limit exceeded`);
+          break;
+        }
+        Logger.error(this._logctx, `reconnection failed (${error.message}), will try again in ${this._connection._config.getRetryTimeSeconds()} seconds...`);
+        /* Wait an amount of seconds specified in the configuration */
+        await delayOp(this._connection._config.getRetryTimeSeconds() * 1000);
+        /* Make shift the circular iterator */
+        this._connection._address_iterator.nextElem();
+      }
+    }
+
+    this._reconnecting = false;
+    this._connection._signalClose(this._closing);
+    this._closing = false;
+    this._closed = true;
+  }
+
   /**
    * Open a transport connection. This is called from parent connection.
    *
@@ -219,12 +291,12 @@ class TransportWs {
   async open() {
     /* Check the flags before attempting a connection */
     let error;
-    if (this._opening) error = new Error('unable to open, websocket is already being opened');
-    else if (this._opened) error = new Error('unable to open, websocket has already been opened');
-    else if (this._closed) error = new Error('unable to open, websocket has already been closed');
+    if (this._opening) error = new StateError('unable to open, websocket is already being opened');
+    else if (this._opened) error = new StateError('unable to open, websocket has already been opened');
+    else if (this._closed) error = new StateError('unable to open, websocket has already been closed');
 
     if (error) {
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
 
@@ -245,14 +317,14 @@ class TransportWs {
   async _ping() {
     /* ws.ping is only supported on the node "ws" module */
     if (typeof this._ws.ping !== 'function') {
-      Logger.warn('ws ping not supported');
+      Logger.warn(this._logctx, 'ws ping not supported');
       return;
     }
     let timeout;
 
     /* Set a promise that will reject in PING_TIME_WAIT_SECS seconds */
     const timeout_ping = new Promise((_, reject) => {
-      timeout = setTimeout(_ => reject(new Error('timeout')), PING_TIME_WAIT_SECS * 1000);
+      timeout = setTimeout(_ => reject(new TransportError('timeout')), PING_TIME_WAIT_SECS * 1000);
     });
 
     /* Set a promise that will resolve once "pong" has been received */
@@ -262,17 +334,20 @@ class TransportWs {
 
       this._ws.ping(ping_data, error => {
         if (error) {
-          Logger.error(`${LOG_NS} ${this.name} websocket PING send error (${error.message})`);
+          Logger.error(this._logctx, `websocket PING send error (${error.message})`);
           clearTimeout(timeout);
           return reject(error);
         }
-        Logger.verbose(`${LOG_NS} ${this.name} websocket PING sent (${ping_data})`);
+        Logger.verbose(this._logctx, `websocket PING sent (${ping_data})`);
       });
 
       /* Resolve on pong */
       this._ws.once('pong', data => {
-        Logger.verbose(`${LOG_NS} ${this.name} websocket PONG received (${data.toString()})`);
+        Logger.verbose(this._logctx, `websocket PONG received (${data.toString()})`);
         clearTimeout(timeout);
+        /* The pong carries the timestamp sent in the ping */
+        const ping_ts = parseInt(data.toString());
+        if (!isNaN(ping_ts)) Metrics.observePing((Date.now() - ping_ts) / 1000);
         return resolve();
       });
 
@@ -291,7 +366,7 @@ class TransportWs {
   _setPingTask(delay) {
     /* ws "ping" is only supported on the node ws module */
     if (typeof this._ws.ping !== 'function') {
-      Logger.warn('ws ping not supported');
+      Logger.warn(this._logctx, 'ws ping not supported');
       return;
     }
     if (this._ping_task) return;
@@ -302,13 +377,13 @@ class TransportWs {
       try {
         await this._ping();
       } catch ({ message }) {
-        Logger.error(`${LOG_NS} ${this.name} websocket PING error (${message})`);
+        Logger.error(this._logctx, `websocket PING error (${message})`);
         /* ws "terminate" is only supported on the node ws module */
         this._ws.terminate();
       }
     }, delay);
 
-    Logger.info(`${LOG_NS} ${this.name} websocket ping task scheduled every ${PING_TIME_SECS} seconds`);
+    Logger.info(this._logctx, `websocket ping task scheduled every ${PING_TIME_SECS} seconds`);
   }
 
   /**
@@ -320,7 +395,7 @@ class TransportWs {
     if (!this._ping_task) return;
     clearInterval(this._ping_task);
     this._ping_task = null;
-    Logger.info(`${LOG_NS} ${this.name} websocket ping task disabled`);
+    Logger.info(this._logctx, 'websocket ping task disabled');
   }
 
   /**
@@ -344,29 +419,36 @@ class TransportWs {
    * @returns {Promise<void>}
    */
   async close() {
+    /* The websocket is being reopened, stop the reconnection and wait for the cleanup */
+    if (this._reconnecting && !this._closing) {
+      Logger.info(this._logctx, 'closing websocket during reconnection');
+      this._closing = true;
+      return new Promise(resolve => this._connection.once(JANODE.EVENT.CONNECTION_CLOSED, resolve));
+    }
+
     /* Check the status flags before */
     let error;
-    if (!this._opened) error = new Error('unable to close, websocket has never been opened');
-    else if (this._closing) error = new Error('unable to close, websocket is already being closed');
-    else if (this._closed) error = new Error('unable to close, websocket has already been closed');
+    if (!this._opened) error = new StateError('unable to close, websocket has never been opened');
+    else if (this._closing) error = new StateError('unable to close, websocket is already being closed');
+    else if (this._closed) error = new StateError('unable to close, websocket has already been closed');
 
     if (error) {
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
 
     this._closing = true;
 
     return new Promise((resolve, reject) => {
-      Logger.info(`${LOG_NS} ${this.name} closing websocket`);
+      Logger.info(this._logctx, 'closing websocket');
       try {
         this._ws.close();
         /* Add a listener to resolve the promise */
         this._ws.addEventListener('close', resolve, { once: true });
       } catch (e) {
-        Logger.error(`${LOG_NS} ${this.name} error while closing websocket (${e.message})`);
+        Logger.error(this._logctx, `error while closing websocket (${e.message})`);
         this._closing = false;
-        reject(e);
+        reject(new TransportError(e.message, { cause: e }));
         return;
       }
     });
@@ -383,11 +465,11 @@ class TransportWs {
   async send(request) {
     /* Check connection status */
     let error;
-    if (!this._opened) error = new Error('unable to send request because connection has not been opened');
-    else if (this._closed) error = new Error('unable to send request because connection has been closed');
+    if (!this._opened) error = new StateError('unable to send request because connection has not been opened');
+    else if (this._closed) error = new StateError('unable to send request because connection has been closed');
 
     if (error) {
-      Logger.error(`${LOG_NS} ${this.name} ${error.message}`);
+      Logger.error(this._logctx, `${error.message}`);
       throw error;
     }
 
@@ -397,11 +479,11 @@ class TransportWs {
     return new Promise((resolve, reject) => {
       this._ws.send(string_req, { compress: false, binary: false }, error => {
         if (error) {
-          Logger.error(`${LOG_NS} ${this.name} websocket send error (${error.message})`);
+          Logger.error(this._logctx, `websocket send error (${error.message})`);
           reject(error);
           return;
         }
-        Logger.debug(`${LOG_NS} ${this.name} <ws SND OK> ${string_req}`);
+        Logger.debug(this._logctx, `<ws SND OK> ${string_req}`);
         resolve();
       });
     });
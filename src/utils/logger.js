@@ -5,7 +5,13 @@
  *
  * The level of logging on the stdout can be set through the CLI argument "--janode-log={debug|verb|info|warn|error|none}"".<br>
  *
- * Default logging level is "info".
+ * Default logging level is "info".<br>
+ *
+ * The level can also be set for a single namespace (e.g. only "[transport-ws.js]") and the console output
+ * can be replaced by a custom sink receiving structured records.<br>
+ *
+ * The namespace and the identifiers of the involved connection, session and handle are passed explicitly
+ * through a context created with `Logger.context()`.
  * @module logger
  * @access private
  */
@@ -21,11 +27,120 @@ const LEVELS_IDX = LEVELS.reduce((obj, lvl, idx) => {
 const DEFAULT_LEVEL = 'info';
 let log_verbosity = getCliArgument('janode-log', 'string', DEFAULT_LEVEL);
 
+/* The levels set for specific namespaces, they take precedence over the global level */
+const ns_verbosity = new Map();
+
+/* The custom sink, null means console output */
+let log_sink = null;
+
+/* The method invoked on object sinks for every level */
+const SINK_METHODS = {
+  debug: ['debug'],
+  verbose: ['verbose', 'debug'],
+  info: ['info'],
+  warning: ['warn', 'warning'],
+  error: ['error'],
+};
+
+/**
+ * A structured log record, as received by a custom sink.
+ *
+ * @typedef {object} LogRecord
+ * @property {string} level - The level of the record (debug, verbose, info, warning, error)
+ * @property {string} ns - The namespace of the record (e.g. "transport-ws.js"), null if missing
+ * @property {number} connection - The identifier of the involved connection, if any
+ * @property {number} session - The identifier of the involved session, if any
+ * @property {number} handle - The identifier of the involved handle, if any
+ * @property {string} msg - The logged message
+ */
+
+const normalizeNs = ns => ns.replace(/^\[|\]$/g, '');
+
+/**
+ * The context of a log call, created with {@link module:logger~Logger.context} and passed as first argument
+ * to the logging functions.
+ *
+ * @hideconstructor
+ */
+class LogContext {
+  /**
+   * Create a log context.
+   *
+   * @param {object} params - See {@link module:logger~Logger.context}
+   */
+  constructor({ ns, connection, session, handle } = {}) {
+    /**
+     * The namespace (e.g. "transport-ws.js").
+     *
+     * @type {string}
+     */
+    this.ns = (typeof ns === 'string') ? normalizeNs(ns) : null;
+    /**
+     * The identifier of the involved connection.
+     *
+     * @type {number}
+     */
+    this.connection = (typeof connection !== 'undefined') ? connection : null;
+    /**
+     * The identifier of the involved session.
+     *
+     * @type {number}
+     */
+    this.session = (typeof session !== 'undefined') ? session : null;
+    /**
+     * The identifier of the involved handle.
+     *
+     * @type {number}
+     */
+    this.handle = (typeof handle !== 'undefined') ? handle : null;
+    Object.freeze(this);
+  }
+}
+
+const normalizeLevel = (lvl = '') => {
+  lvl = ('' + lvl).toLowerCase();
+  if (lvl === 'verb') lvl = 'verbose';
+  if (lvl === 'warn') lvl = 'warning';
+  return (typeof LEVELS_IDX[lvl] === 'number') ? lvl : null;
+};
+
+const buildRecord = (level, context, args) => {
+  const { ns = null, connection = null, session = null, handle = null } = context || {};
+  const msg = args.map(arg => (arg instanceof Error) ? arg.message : (typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' ');
+  return { level, ns, connection, session, handle, msg };
+};
+
+/* The console prefix of a context, e.g. "[session.js] [1234]" with the most specific identifier */
+const contextPrefix = ({ ns, connection, session, handle }) => {
+  const prefix = [];
+  if (ns) prefix.push(`[${ns}]`);
+  const id = [handle, session, connection].find(value => value !== null);
+  if (typeof id !== 'undefined') prefix.push(`[${id}]`);
+  return prefix;
+};
+
 const printout = (msg_verbosity, console_fn, ...args) => {
-  if (LEVELS_IDX[msg_verbosity] > LEVELS_IDX[log_verbosity]) return;
+  const context = (args[0] instanceof LogContext) ? args.shift() : null;
+  const threshold = (context && ns_verbosity.get(context.ns)) || log_verbosity;
+  if (LEVELS_IDX[msg_verbosity] > LEVELS_IDX[threshold]) return;
+
+  /* Custom sink */
+  if (log_sink) {
+    const record = buildRecord(msg_verbosity, context, args);
+    try {
+      if (typeof log_sink === 'function') return log_sink(record);
+      const method = SINK_METHODS[msg_verbosity].find(m => typeof log_sink[m] === 'function');
+      if (method) log_sink[method](record);
+      return;
+    } catch (error) {
+      /* A failing sink must not break the library, fall back to the console output */
+      args.push(`(log sink failed: ${error.message})`);
+    }
+  }
+
   const ts = (new Date()).toISOString();
   const prefix = `${ts} - ${msg_verbosity.toUpperCase().padEnd(8, ' ')}:`;
-  console_fn(prefix, ...args);
+  console_fn(prefix, ...(context ? contextPrefix(context) : []), ...args);
 };
 
 /**
@@ -37,6 +152,7 @@ const Logger = {
    * It is a wrapper for `console.debug()`.
    *
    * @function
+   * @param {module:logger~LogContext} [context] - The context of the message
    * @param {...any} args
    */
   debug: (...args) => printout('debug', console.debug, ...args),
@@ -46,6 +162,7 @@ const Logger = {
    * It is a wrapper for `console.debug()`.
    *
    * @function
+   * @param {module:logger~LogContext} [context] - The context of the message
    * @param {...any} args
    */
   verbose: (...args) => printout('verbose', console.debug, ...args),
@@ -55,6 +172,7 @@ const Logger = {
    * It is a wrapper for `console.info()`.
    *
    * @function
+   * @param {module:logger~LogContext} [context] - The context of the message
    * @param {...any} args
    */
   info: (...args) => printout('info', console.info, ...args),
@@ -64,6 +182,7 @@ const Logger = {
    * It is a wrapper for `console.warn()`.
    *
    * @function
+   * @param {module:logger~LogContext} [context] - The context of the message
    * @param {...any} args
    */
   warning: (...args) => printout('warning', console.warn, ...args),
@@ -73,29 +192,73 @@ const Logger = {
    * It is a wrapper for `console.error()`.
    *
    * @function
+   * @param {module:logger~LogContext} [context] - The context of the message
    * @param {...any} args
    */
   error: (...args) => printout('error', console.error, ...args),
 
+  /**
+   * Create the context of a log call, carrying the namespace and the identifiers of the involved objects.
+   * The context is passed as first argument to the logging functions, it sets the console prefix and the fields of the sink records.
+   *
+   * @function
+   * @param {object} params
+   * @param {string} params.ns - The namespace (e.g. "[transport-ws.js]" or "transport-ws.js")
+   * @param {number} [params.connection] - The identifier of the connection
+   * @param {number} [params.session] - The identifier of the session
+   * @param {number} [params.handle] - The identifier of the handle
+   * @returns {module:logger~LogContext}
+   *
+   * @example
+   *
+   * const context = Logger.context({ ns: '[my-app.js]', session: session.id });
+   * Logger.info(context, 'session created');
+   */
+  context: params => new LogContext(params),
+
   /**
    * Set level of logger.
+   * If a namespace is specified, the level only applies to that namespace (an invalid level removes the override).
    *
    * @function
    * @param {"debug"|"verb"|"info"|"warn"|"error"|"none"} lvl
+   * @param {string} [ns] - The namespace (e.g. "[transport-ws.js]" or "transport-ws.js")
    * @returns {string} The current level
+   *
+   * @example
+   *
+   * Logger.setLevel('info');
+   * Logger.setLevel('verb', '[transport-ws.js]');
    */
-  setLevel: (lvl = '') => {
-    lvl = lvl.toLowerCase();
-    if (lvl === 'verb') lvl = 'verbose';
-    if (lvl === 'warn') lvl = 'warning';
-    if (typeof LEVELS_IDX[lvl] === 'number') {
-      log_verbosity = lvl;
-    }
-    else {
-      log_verbosity = DEFAULT_LEVEL;
+  setLevel: (lvl = '', ns) => {
+    lvl = normalizeLevel(lvl);
+    if (typeof ns === 'string') {
+      ns = normalizeNs(ns);
+      if (lvl) ns_verbosity.set(ns, lvl);
+      else ns_verbosity.delete(ns);
+      return lvl || log_verbosity;
     }
+    log_verbosity = lvl || DEFAULT_LEVEL;
     return log_verbosity;
-  }
+  },
+
+  /**
+   * Replace the console output with a custom sink receiving structured records.
+   * The sink can be a function or an object exposing logging methods (e.g. a pino or winston logger),
+   * in the latter case the method matching the record level is invoked.
+   * If the sink throws, the record is printed on the console instead.
+   * Pass a falsy value to restore the console output.
+   *
+   * @function
+   * @param {function|object} [sink] - The sink that will receive the {@link module:logger~LogRecord} objects
+   *
+   * @example
+   *
+   * Logger.setSink(record => myLogger.log(record.level, record.msg, record));
+   */
+  setSink: sink => {
+    log_sink = (typeof sink === 'function' || (typeof sink === 'object' && sink)) ? sink : null;
+  },
 };
 /* set aliases */
 Logger.verb = Logger.verbose;
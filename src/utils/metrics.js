@@ -0,0 +1,236 @@
+'use strict';
+
+/**
+ * The instrumentation module used in janode.<br>
+ *
+ * It records the latency of the Janus requests (by request type and outcome), the errors received from Janus
+ * (by error code), the keep-alive and ws ping round trip times and exposes gauges for the sessions, handles and
+ * pending transactions of every open connection.<br>
+ *
+ * Metrics can be exported in the Prometheus text format, or forwarded to other systems through a hook.
+ * @module metrics
+ * @access private
+ */
+
+/* Default histogram buckets, in seconds */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/* The open connections, used to compute the gauges */
+const connections = new Set();
+
+/* The histograms, indexed by metric name and then by serialized labels */
+const histograms = new Map();
+
+/* The counters, indexed by metric name and then by serialized labels */
+const counters = new Map();
+
+/* The hook invoked for every observation */
+let metrics_hook = null;
+
+const HELP = {
+  janode_request_duration_seconds: 'Latency of the requests sent to Janus',
+  janode_keepalive_rtt_seconds: 'Round trip time of the session keep-alive requests',
+  janode_ws_ping_rtt_seconds: 'Round trip time of the WebSocket pings',
+  janode_errors_total: 'Errors received from Janus and its plugins',
+  janode_sessions: 'Sessions open on a connection',
+  janode_handles: 'Handles attached on a connection',
+  janode_pending_transactions: 'Transactions waiting for a response on a connection',
+};
+
+const escapeLabel = value => ('' + value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = labels => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+};
+
+const callHook = sample => {
+  if (!metrics_hook) return;
+  try {
+    metrics_hook(sample);
+  } catch (_error) {
+    /* A failing hook must not break the library */
+  }
+};
+
+const observe = (name, labels, value) => {
+  if (!histograms.has(name)) histograms.set(name, new Map());
+  const series = histograms.get(name);
+  const key = JSON.stringify(labels);
+  if (!series.has(key)) series.set(key, { labels, buckets: DEFAULT_BUCKETS.map(_ => 0), sum: 0, count: 0 });
+  const h = series.get(key);
+  DEFAULT_BUCKETS.forEach((le, idx) => {
+    if (value <= le) h.buckets[idx]++;
+  });
+  h.sum += value;
+  h.count++;
+};
+
+const increment = (name, labels) => {
+  if (!counters.has(name)) counters.set(name, new Map());
+  const series = counters.get(name);
+  const key = JSON.stringify(labels);
+  if (!series.has(key)) series.set(key, { labels, value: 0 });
+  series.get(key).value++;
+};
+
+/**
+ * A single observation, as received by the hook.
+ *
+ * @typedef {object} MetricSample
+ * @property {string} type - The kind of observation ("request", "error", "keepalive", "ping")
+ * @property {string} [request] - The janus request (type "request")
+ * @property {string} [outcome] - The outcome of the request: success, error, timeout or aborted (type "request")
+ * @property {number} [duration] - The duration in seconds (type "request")
+ * @property {number} [code] - The error code (type "error")
+ * @property {string} [source] - "janus" for core errors, otherwise the plugin package name (type "error")
+ * @property {number} [rtt] - The round trip time in seconds (types "keepalive" and "ping")
+ */
+
+/**
+ * The metrics registry used by Janode.
+ */
+const Metrics = {
+  /**
+   * Start computing the gauges of a connection.
+   *
+   * @private
+   * @function
+   * @param {module:connection~Connection} connection
+   */
+  addConnection: connection => connections.add(connection),
+
+  /**
+   * Stop computing the gauges of a connection.
+   *
+   * @private
+   * @function
+   * @param {module:connection~Connection} connection
+   */
+  removeConnection: connection => connections.delete(connection),
+
+  /**
+   * Record the duration of a closed transaction.
+   *
+   * @private
+   * @function
+   * @param {string} request - The janus request
+   * @param {string} outcome - The outcome (success, error, timeout, aborted)
+   * @param {number} duration - The duration in seconds
+   */
+  observeRequest: (request, outcome, duration) => {
+    observe('janode_request_duration_seconds', { request, outcome }, duration);
+    callHook({ type: 'request', request, outcome, duration });
+  },
+
+  /**
+   * Count an error received from Janus.
+   *
+   * @private
+   * @function
+   * @param {number} code - The error code
+   * @param {string} source - "janus" for core errors, otherwise the plugin package name
+   */
+  countError: (code, source) => {
+    increment('janode_errors_total', { source, code });
+    callHook({ type: 'error', code, source });
+  },
+
+  /**
+   * Record the round trip time of a session keep-alive.
+   *
+   * @private
+   * @function
+   * @param {number} rtt - The round trip time in seconds
+   */
+  observeKeepAlive: rtt => {
+    observe('janode_keepalive_rtt_seconds', {}, rtt);
+    callHook({ type: 'keepalive', rtt });
+  },
+
+  /**
+   * Record the round trip time of a ws ping.
+   *
+   * @private
+   * @function
+   * @param {number} rtt - The round trip time in seconds
+   */
+  observePing: rtt => {
+    observe('janode_ws_ping_rtt_seconds', {}, rtt);
+    callHook({ type: 'ping', rtt });
+  },
+
+  /**
+   * Set a hook invoked for every observation, e.g. to forward the metrics to StatsD or OpenTelemetry.
+   * Pass a falsy value to remove the hook.
+   *
+   * @function
+   * @param {function} [hook] - The function receiving the {@link module:metrics~MetricSample} objects
+   *
+   * @example
+   *
+   * Janode.Metrics.setHook(({ type, request, outcome, duration }) => {
+   *   if (type === 'request') statsd.timing(`janode.${request}.${outcome}`, duration * 1000);
+   * });
+   */
+  setHook: hook => {
+    metrics_hook = (typeof hook === 'function') ? hook : null;
+  },
+
+  /**
+   * Export the metrics in the Prometheus text exposition format.
+   *
+   * @function
+   * @returns {string} The metrics text
+   *
+   * @example
+   *
+   * http.createServer((req, res) => res.end(Janode.Metrics.toPrometheus())).listen(9100);
+   */
+  toPrometheus: () => {
+    const lines = [];
+
+    for (const [name, series] of histograms) {
+      lines.push(`# HELP ${name} ${HELP[name]}`);
+      lines.push(`# TYPE ${name} histogram`);
+      for (const [_, { labels, buckets, sum, count }] of series) {
+        DEFAULT_BUCKETS.forEach((le, idx) => lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${buckets[idx]}`));
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+    }
+
+    for (const [name, series] of counters) {
+      lines.push(`# HELP ${name} ${HELP[name]}`);
+      lines.push(`# TYPE ${name} counter`);
+      for (const [_, { labels, value }] of series) lines.push(`${name}${formatLabels(labels)} ${value}`);
+    }
+
+    const gauges = {
+      janode_sessions: connection => connection._sessions.size,
+      janode_handles: connection => Array.from(connection._sessions.values()).reduce((sum, session) => sum + session._handles.size, 0),
+      janode_pending_transactions: connection => connection._tm.size(),
+    };
+    for (const [name, compute] of Object.entries(gauges)) {
+      lines.push(`# HELP ${name} ${HELP[name]}`);
+      lines.push(`# TYPE ${name} gauge`);
+      for (const connection of connections) lines.push(`${name}${formatLabels({ connection: connection.id })} ${compute(connection)}`);
+    }
+
+    return lines.join('\n') + '\n';
+  },
+
+  /**
+   * Reset the recorded histograms and counters.
+   *
+   * @function
+   */
+  reset: () => {
+    histograms.clear();
+    counters.clear();
+  },
+};
+
+export default Metrics;
@@ -0,0 +1,232 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Janode from '../src/janode.js';
+import AudioBridgePlugin, { ERROR_CODE, createRtpParticipant } from '../src/plugins/audiobridge-plugin.js';
+import { startMock, rejectsWithPluginError, nextEvent } from './helpers.js';
+
+const { EVENT } = AudioBridgePlugin;
+const plugin = AudioBridgePlugin.id;
+
+describe('audiobridge plugin', () => {
+  let env;
+
+  before(async () => {
+    env = await startMock();
+  });
+
+  after(async () => {
+    await env.teardown();
+  });
+
+  describe('error codes', () => {
+    it('match the codes of Janus audiobridge.c', () => {
+      assert.deepEqual(ERROR_CODE, {
+        UNKNOWN_ERROR: 499,
+        NO_MESSAGE: 480,
+        INVALID_JSON: 481,
+        INVALID_REQUEST: 482,
+        MISSING_ELEMENT: 483,
+        INVALID_ELEMENT: 484,
+        NO_SUCH_ROOM: 485,
+        ROOM_EXISTS: 486,
+        UNAUTHORIZED: 487,
+        NO_SUCH_USER: 488,
+        LIBOPUS_ERROR: 489,
+        NOT_JOINED: 490,
+        ID_EXISTS: 491,
+        INVALID_SDP: 492,
+        NO_SUCH_GROUP: 493,
+      });
+    });
+
+    it('joins an existing room', async () => {
+      const handle = await env.session.attach(AudioBridgePlugin);
+      const { room, feed } = await handle.join({ room: 1234, display: 'alice' });
+      assert.equal(room, 1234);
+      assert.equal(typeof feed, 'number');
+      await handle.leave();
+      await handle.detach();
+    });
+
+    it('rejects the join of a missing room with NO_SUCH_ROOM', async () => {
+      const handle = await env.session.attach(AudioBridgePlugin);
+      await rejectsWithPluginError(handle.join({ room: 4321, display: 'bob' }), { code: ERROR_CODE.NO_SUCH_ROOM, plugin, request: 'join' });
+      await handle.detach();
+    });
+
+    it('rejects a duplicate participant id with ID_EXISTS', async () => {
+      const first = await env.session.attach(AudioBridgePlugin);
+      const second = await env.session.attach(AudioBridgePlugin);
+      await first.join({ room: 1234, feed: 99 });
+      await rejectsWithPluginError(second.join({ room: 1234, feed: 99 }), { code: ERROR_CODE.ID_EXISTS, plugin, request: 'join' });
+      await first.leave();
+      await first.detach();
+      await second.detach();
+    });
+
+    it('rejects configure and leave without joining with NOT_JOINED', async () => {
+      const handle = await env.session.attach(AudioBridgePlugin);
+      await rejectsWithPluginError(handle.configure({ muted: true }), { code: ERROR_CODE.NOT_JOINED, plugin, request: 'configure' });
+      await rejectsWithPluginError(handle.leave(), { code: ERROR_CODE.NOT_JOINED, plugin, request: 'leave' });
+      await handle.detach();
+    });
+
+    it('rejects the creation of an existing room with ROOM_EXISTS', async () => {
+      const handle = await env.session.attach(AudioBridgePlugin);
+      await rejectsWithPluginError(handle.create({ room: 1234 }), { code: ERROR_CODE.ROOM_EXISTS, plugin, request: 'create' });
+      await handle.detach();
+    });
+  });
+
+  describe('announcements', () => {
+    it('plays, lists and stops an announcement, notifying the participants', async () => {
+      const handle = await env.session.attach(AudioBridgePlugin);
+      await handle.join({ room: 1234, display: 'alice' });
+
+      const started = nextEvent(handle, EVENT.AUDIOBRIDGE_ANNOUNCEMENT_STARTED);
+      assert.deepEqual(await handle.playFile({ room: 1234, filename: '/tmp/news.opus', file_id: 'news', loop: true }), { room: 1234, file_id: 'news' });
+      assert.deepEqual(await started, { room: 1234, file_id: 'news' });
+
+      assert.deepEqual(await handle.isPlaying({ room: 1234, file_id: 'news' }), { room: 1234, file_id: 'news', playing: true });
+      assert.deepEqual(await handle.listAnnouncements({ room: 1234 }), {
+        room: 1234,
+        announcements: [{ file_id: 'news', filename: '/tmp/news.opus', playing: true, loop: true }],
+      });
+
+      const stopped = nextEvent(handle, EVENT.AUDIOBRIDGE_ANNOUNCEMENT_STOPPED);
+      assert.deepEqual(await handle.stopFile({ room: 1234, file_id: 'news' }), { room: 1234, file_id: 'news' });
+      assert.deepEqual(await stopped, { room: 1234, file_id: 'news' });
+      assert.deepEqual(await handle.isPlaying({ room: 1234, file_id: 'news' }), { room: 1234, file_id: 'news', playing: false });
+
+      await handle.leave();
+      await handle.detach();
+    });
+
+    it('picks a file id when omitted', async () => {
+      const handle = await env.session.attach(AudioBridgePlugin);
+      const { file_id } = await handle.playFile({ room: 1234, filename: '/tmp/jingle.opus' });
+      assert.equal(typeof file_id, 'string');
+      await handle.stopFile({ room: 1234, file_id });
+      await handle.detach();
+    });
+
+    it('stops all the announcements', async () => {
+      const handle = await env.session.attach(AudioBridgePlugin);
+      await handle.playFile({ room: 1234, filename: '/tmp/a.opus', file_id: 'a' });
+      await handle.playFile({ room: 1234, filename: '/tmp/b.opus', file_id: 'b' });
+      assert.deepEqual(await handle.stopAllAnnouncements({ room: 1234 }), { room: 1234 });
+      assert.deepEqual(await handle.listAnnouncements({ room: 1234 }), { room: 1234, announcements: [] });
+      await handle.detach();
+    });
+
+    it('rejects with the plugin error codes', async () => {
+      const handle = await env.session.attach(AudioBridgePlugin);
+      await rejectsWithPluginError(handle.playFile({ room: 4321, filename: '/tmp/a.opus' }), { code: ERROR_CODE.NO_SUCH_ROOM, plugin, request: 'play_file' });
+      await rejectsWithPluginError(handle.playFile({ room: 1234, filename: '/tmp/a.wav' }), { code: ERROR_CODE.INVALID_ELEMENT, plugin, request: 'play_file' });
+      await handle.playFile({ room: 1234, filename: '/tmp/a.opus', file_id: 'dup' });
+      await rejectsWithPluginError(handle.playFile({ room: 1234, filename: '/tmp/a.opus', file_id: 'dup' }), { code: ERROR_CODE.INVALID_ELEMENT, plugin, request: 'play_file' });
+      await handle.stopFile({ room: 1234, file_id: 'dup' });
+      await rejectsWithPluginError(handle.stopFile({ room: 1234, file_id: 'dup' }), { code: ERROR_CODE.NO_SUCH_USER, plugin, request: 'stop_file' });
+      await rejectsWithPluginError(handle.isPlaying({ room: 4321, file_id: 'dup' }), { code: ERROR_CODE.NO_SUCH_ROOM, plugin, request: 'is_playing' });
+      await rejectsWithPluginError(handle.stopAllAnnouncements({ room: 4321 }), { code: ERROR_CODE.NO_SUCH_ROOM, plugin, request: 'stop_all_announcements' });
+      await rejectsWithPluginError(handle.listAnnouncements({ room: 4321 }), { code: ERROR_CODE.NO_SUCH_ROOM, plugin, request: 'listannouncements' });
+      await handle.detach();
+    });
+
+    it('maps the announcement events of the room', async () => {
+      const handle = await env.session.attach(AudioBridgePlugin);
+      for (const [audiobridge, event] of [['announcement-started', EVENT.AUDIOBRIDGE_ANNOUNCEMENT_STARTED], ['announcement-stopped', EVENT.AUDIOBRIDGE_ANNOUNCEMENT_STOPPED]]) {
+        const emitted = nextEvent(handle, event);
+        env.mock.pushEvent(handle.id, { audiobridge, room: 1234, file_id: 'remote' });
+        assert.deepEqual(await emitted, { room: 1234, file_id: 'remote' });
+      }
+      await handle.detach();
+    });
+  });
+
+  describe('createRtpParticipant', () => {
+    it('builds the descriptor with the default payload type', () => {
+      assert.deepEqual(createRtpParticipant({ ip: '10.0.0.1', port: 5000 }), { ip: '10.0.0.1', port: 5000, payload_type: 100 });
+      assert.deepEqual(createRtpParticipant({ ip: '10.0.0.1', port: 0, payload_type: 111, audiolevel_ext: 1, fec: true }),
+        { ip: '10.0.0.1', port: 0, payload_type: 111, audiolevel_ext: 1, fec: true });
+    });
+
+    it('ignores the optional fields of the wrong type', () => {
+      assert.deepEqual(createRtpParticipant({ ip: '10.0.0.1', port: 5000, audiolevel_ext: '1', fec: 'yes' }), { ip: '10.0.0.1', port: 5000, payload_type: 100 });
+    });
+
+    it('rejects an invalid ip', () => {
+      for (const ip of [undefined, '', 10]) {
+        assert.throws(() => createRtpParticipant({ ip, port: 5000 }), e => e instanceof Janode.JanodeError && /ip/.test(e.message));
+      }
+    });
+
+    it('rejects an invalid port', () => {
+      for (const port of [undefined, '5000', -1, 65536, 50.5]) {
+        assert.throws(() => createRtpParticipant({ ip: '10.0.0.1', port }), e => e instanceof Janode.JanodeError && /port/.test(e.message));
+      }
+    });
+  });
+
+  describe('rooms and participants', () => {
+    it('returns where to send the media of a plain RTP participant', async () => {
+      const handle = await env.session.attach(AudioBridgePlugin);
+      const { rtp_participant, rtp } = await handle.join({ room: 1234, rtp_participant: createRtpParticipant({ ip: '10.0.0.1', port: 5000, payload_type: 111 }) });
+      assert.deepEqual(Object.keys(rtp_participant), ['ip', 'port', 'payload_type']);
+      assert.equal(rtp_participant.ip, '127.0.0.1');
+      assert.equal(typeof rtp_participant.port, 'number');
+      assert.equal(rtp_participant.payload_type, 111);
+      /* The raw descriptor is kept for backward compatibility */
+      assert.deepEqual(rtp, rtp_participant);
+      await handle.leave();
+      await handle.detach();
+    });
+
+    it('omits the plain RTP descriptor for WebRTC participants', async () => {
+      const handle = await env.session.attach(AudioBridgePlugin);
+      const joined = await handle.join({ room: 1234 });
+      assert.equal(joined.rtp_participant, undefined);
+      await handle.leave();
+      await handle.detach();
+    });
+
+    it('changes room, notifying the participants of both rooms', async () => {
+      const creator = await env.session.attach(AudioBridgePlugin);
+      await creator.create({ room: 5678 });
+      const mover = await env.session.attach(AudioBridgePlugin);
+      const watcher = await env.session.attach(AudioBridgePlugin);
+      await mover.join({ room: 1234, feed: 11, display: 'mover' });
+      await watcher.join({ room: 5678, feed: 12, display: 'watcher' });
+
+      const peer_joined = nextEvent(watcher, EVENT.AUDIOBRIDGE_PEER_JOINED);
+      const changed = await mover.changeRoom({ room: 5678, feed: 13 });
+      assert.equal(changed.room, 5678);
+      assert.equal(changed.feed, 13);
+      assert.deepEqual(changed.participants.map(({ feed }) => feed), [12]);
+      assert.equal(mover.room, 5678);
+      assert.equal(mover.feed, 13);
+      assert.deepEqual(await peer_joined, { room: 5678, feed: 13, display: 'mover', muted: false, setup: false });
+
+      await rejectsWithPluginError(mover.changeRoom({ room: 4321 }), { code: ERROR_CODE.NO_SUCH_ROOM, plugin, request: 'changeroom' });
+      await rejectsWithPluginError(mover.changeRoom({ room: 5678, feed: 12 }), { code: ERROR_CODE.ID_EXISTS, plugin, request: 'changeroom' });
+      await mover.leave();
+      await rejectsWithPluginError(mover.changeRoom({ room: 1234 }), { code: ERROR_CODE.NOT_JOINED, plugin, request: 'changeroom' });
+
+      await watcher.leave();
+      await creator.destroy({ room: 5678 });
+      await Promise.all([creator.detach(), mover.detach(), watcher.detach()]);
+    });
+
+    it('edits a room', async () => {
+      const handle = await env.session.attach(AudioBridgePlugin);
+      await handle.create({ room: 5679 });
+      assert.deepEqual(await handle.edit({ room: 5679, new_description: 'renamed', permanent: false }), { room: 5679, permanent: false });
+      const { list } = await handle.list();
+      assert.equal(list.find(({ room }) => room === 5679).description, 'renamed');
+      await rejectsWithPluginError(handle.edit({ room: 4321, new_description: 'x' }), { code: ERROR_CODE.NO_SUCH_ROOM, plugin, request: 'edit' });
+      await handle.destroy({ room: 5679 });
+      await handle.detach();
+    });
+  });
+});
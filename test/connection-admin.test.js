@@ -0,0 +1,113 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Janode from '../src/janode.js';
+import { MockJanusServer } from '../src/mock-server.js';
+import EchoTestPlugin from '../src/plugins/echotest-plugin.js';
+import { nextEvent } from './helpers.js';
+
+const { EVENT, JanodeError, JanusCoreError, JANUS_ERROR } = Janode;
+
+describe('admin connection', () => {
+  let mock;
+  let admin;
+  let connection;
+
+  before(async () => {
+    mock = new MockJanusServer({ apisecret: 'secret', session_timeout_secs: 0 });
+    await mock.start();
+    admin = await Janode.connect({ address: { url: mock.url, apisecret: 'secret' }, is_admin: true });
+    connection = await Janode.connect({ address: { url: mock.url, apisecret: 'secret' } });
+  });
+
+  after(async () => {
+    await admin.close();
+    await connection.close();
+    await mock.stop();
+  });
+
+  describe('parameter validation', () => {
+    const invalid = [
+      ['setSessionTimeout', [-1], 'invalid timeout specified'],
+      ['setSessionTimeout', [1.5], 'invalid timeout specified'],
+      ['setLogLevel', [8], 'invalid level specified'],
+      ['setLogTimestamps', ['yes'], 'invalid timestamps specified'],
+      ['setLogColors', [1], 'invalid colors specified'],
+      ['setLockingDebug', [undefined], 'invalid debug specified'],
+      ['setRefcountDebug', ['true'], 'invalid debug specified'],
+      ['acceptNewSessions', [null], 'invalid accept specified'],
+      ['queryEventHandler', ['', {}], 'invalid handler specified'],
+      ['queryLogger', ['janus.logger.jsonlog', null], 'invalid request specified'],
+      ['queryTransport', [42, {}], 'invalid transport specified'],
+      ['messagePlugin', ['janus.plugin.videoroom', 'list'], 'invalid request specified'],
+      ['hangupWebRTC', [1, undefined], 'handle_id parameter not specified'],
+      ['detachHandle', [undefined, 1], 'session_id parameter not specified'],
+      ['destroySession', [0], 'session_id parameter not specified'],
+      ['startText2Pcap', [1, 2, '/tmp', undefined], 'invalid folder or filename specified'],
+      ['stopText2Pcap', [1], 'handle_id parameter not specified'],
+      ['resolveAddress', [''], 'invalid address specified'],
+      ['testStun', ['stun.example.com', 0], 'invalid port specified'],
+      ['customEvent', ['schema', 'data'], 'invalid data specified'],
+      ['customLogline', [undefined], 'invalid line specified'],
+      ['addToken', [''], 'invalid token specified'],
+      ['addToken', ['token', 'janus.plugin.videoroom'], 'invalid plugins specified'],
+      ['allowToken', ['token', []], 'invalid plugins specified'],
+      ['disallowToken', [undefined, ['janus.plugin.videoroom']], 'invalid token specified'],
+      ['removeToken', [{}], 'invalid token specified'],
+    ];
+
+    for (const [method, args, message] of invalid) {
+      it(`rejects ${method}(${args.map(arg => JSON.stringify(arg)).join(', ')})`, async () => {
+        await assert.rejects(admin[method](...args), e => {
+          assert.ok(e instanceof JanodeError);
+          assert.equal(e.message, message);
+          return true;
+        });
+      });
+    }
+  });
+
+  describe('requests', () => {
+    it('gets the server status', async () => {
+      const status = await admin.getStatus();
+      assert.equal(status.session_timeout, 0);
+    });
+
+    it('lists the sessions and handles and inspects a handle', async () => {
+      const session = await connection.create();
+      const handle = await session.attach(EchoTestPlugin);
+
+      const { sessions } = await admin.listSessions();
+      assert.ok(sessions.includes(session.id));
+      const { handles } = await admin.listHandles(session.id);
+      assert.deepEqual(handles, [handle.id]);
+      const { info } = await admin.handleInfo(session.id, handle.id);
+      assert.equal(info.plugin, EchoTestPlugin.id);
+      await session.destroy();
+    });
+
+    it('detaches a handle of another connection', async () => {
+      const session = await connection.create();
+      const handle = await session.attach(EchoTestPlugin);
+      const detached = nextEvent(handle, EVENT.HANDLE_DETACHED);
+      await admin.detachHandle(session.id, handle.id);
+      await detached;
+      await session.destroy();
+    });
+
+    it('rejects the requests on missing sessions with a core error', async () => {
+      await assert.rejects(admin.destroySession(42), e => {
+        assert.ok(e instanceof JanusCoreError);
+        assert.equal(e.code, JANUS_ERROR.SESSION_NOT_FOUND);
+        assert.equal(e.request, 'destroy_session');
+        return true;
+      });
+    });
+
+    it('rejects a wrong admin secret', async () => {
+      const intruder = await Janode.connect({ address: { url: mock.url, apisecret: 'wrong' }, is_admin: true });
+      await assert.rejects(intruder.getStatus(), e => e instanceof JanusCoreError && e.code === JANUS_ERROR.UNAUTHORIZED);
+      await intruder.close();
+    });
+  });
+});
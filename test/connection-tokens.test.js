@@ -0,0 +1,85 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Janode from '../src/janode.js';
+import { MockJanusServer } from '../src/mock-server.js';
+import EchoTestPlugin from '../src/plugins/echotest-plugin.js';
+import VideoRoomPlugin from '../src/plugins/videoroom-plugin.js';
+
+const { JanusCoreError, JANUS_ERROR } = Janode;
+
+const rejectsWithCode = (promise, code) => assert.rejects(promise, e => {
+  assert.ok(e instanceof JanusCoreError);
+  assert.equal(e.code, code);
+  return true;
+});
+
+describe('stored tokens', () => {
+  let mock;
+  let admin;
+
+  before(async () => {
+    mock = new MockJanusServer({ session_timeout_secs: 0, token_auth: true });
+    await mock.start();
+    admin = await Janode.connect({ address: { url: mock.url }, is_admin: true });
+  });
+
+  after(async () => {
+    await admin.close();
+    await mock.stop();
+  });
+
+  it('manages the stored tokens through the admin API', async () => {
+    assert.deepEqual(await admin.addToken('managed', [EchoTestPlugin.id]), [EchoTestPlugin.id]);
+    assert.deepEqual(await admin.listTokens(), [{ token: 'managed', allowed_plugins: [EchoTestPlugin.id] }]);
+    assert.deepEqual(await admin.allowToken('managed', [VideoRoomPlugin.id]), [EchoTestPlugin.id, VideoRoomPlugin.id]);
+    assert.deepEqual(await admin.disallowToken('managed', [EchoTestPlugin.id]), [VideoRoomPlugin.id]);
+    await admin.removeToken('managed');
+    assert.deepEqual(await admin.listTokens(), []);
+    await rejectsWithCode(admin.removeToken('managed'), JANUS_ERROR.TOKEN_NOT_FOUND);
+  });
+
+  describe('overrides', () => {
+    let connection;
+
+    before(async () => {
+      await admin.addToken('address_token', [EchoTestPlugin.id]);
+      await admin.addToken('user_token', [VideoRoomPlugin.id]);
+      connection = await Janode.connect({ address: { url: mock.url, token: 'address_token' } });
+    });
+
+    after(async () => {
+      await connection.close();
+      await admin.removeToken('address_token');
+      await admin.removeToken('user_token');
+    });
+
+    it('uses the address token by default', async () => {
+      const session = await connection.create();
+      await session.attach(EchoTestPlugin);
+      await rejectsWithCode(session.attach(VideoRoomPlugin), JANUS_ERROR.UNAUTHORIZED_PLUGIN);
+      await session.destroy();
+    });
+
+    it('uses the session token in every request of the session', async () => {
+      await rejectsWithCode(connection.create(30, { token: 'unknown_token' }), JANUS_ERROR.UNAUTHORIZED);
+
+      const session = await connection.create(30, { token: 'user_token' });
+      const handle = await session.attach(VideoRoomPlugin);
+      await rejectsWithCode(session.attach(EchoTestPlugin), JANUS_ERROR.UNAUTHORIZED_PLUGIN);
+      const { exists } = await handle.exists({ room: 1234 });
+      assert.equal(exists, true);
+      await handle.detach();
+      await session.destroy();
+    });
+
+    it('uses the request token over the session one', async () => {
+      const session = await connection.create(30, { token: 'user_token' });
+      const handle = await session.attach(VideoRoomPlugin);
+      await rejectsWithCode(handle.message({ request: 'exists', room: 1234 }, null, { token: 'unknown_token' }), JANUS_ERROR.UNAUTHORIZED);
+      await rejectsWithCode(session.sendRequest({ janus: 'attach', plugin: VideoRoomPlugin.id }, { token: 'address_token' }), JANUS_ERROR.UNAUTHORIZED_PLUGIN);
+      await handle.detach();
+      await session.destroy();
+    });
+  });
+});
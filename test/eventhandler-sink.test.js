@@ -0,0 +1,193 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { request } from 'node:http';
+import WebSocket from 'ws';
+
+import Janode from '../src/janode.js';
+import { EventHandlerSink, EVENT } from '../src/eventhandler-sink.js';
+import { nextEvent } from './helpers.js';
+
+const AUTHORIZATION = `Basic ${Buffer.from('janus:secret').toString('base64')}`;
+
+/**
+ * Push a raw payload to the sink, optionally splitting it in chunks without a content-length.
+ *
+ * @param {number} port
+ * @param {string} body
+ * @param {object} [options]
+ * @param {string} [options.authorization]
+ * @param {number} [options.chunk_size]
+ * @returns {Promise<number>} The status code of the response
+ */
+const push = (port, body, { authorization = AUTHORIZATION, chunk_size } = {}) => new Promise((resolve, reject) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (authorization) headers.Authorization = authorization;
+  if (!chunk_size) headers['Content-Length'] = Buffer.byteLength(body);
+  const req = request({ port, method: 'POST', path: '/', headers }, res => {
+    res.resume();
+    resolve(res.statusCode);
+  });
+  /* The sink may close the socket while the body is still being written */
+  req.on('error', reject);
+  if (chunk_size) {
+    for (let i = 0; i < body.length; i += chunk_size) req.write(body.slice(i, i + chunk_size));
+  }
+  else {
+    req.write(body);
+  }
+  req.end();
+});
+
+const janusEvent = (type, extra = {}) => ({ emitter: 'janus', type, timestamp: 1, event: { name: 'test' }, ...extra });
+
+describe('eventhandler sink', () => {
+  let sink;
+  let port;
+
+  before(async () => {
+    sink = new EventHandlerSink({ port: 0, host: '127.0.0.1', username: 'janus', password: 'secret', max_body_size: 1024 });
+    await sink.start();
+    port = sink._server.address().port;
+  });
+
+  after(async () => {
+    await sink.stop();
+  });
+
+  afterEach(() => {
+    for (const event of Object.values(EVENT)) sink.removeAllListeners(event);
+  });
+
+  describe('basic authentication', () => {
+    it('rejects requests without or with wrong credentials', async () => {
+      const body = JSON.stringify(janusEvent(1));
+      assert.equal(await push(port, body, { authorization: null }), 401);
+      assert.equal(await push(port, body, { authorization: `Basic ${Buffer.from('janus:wrong').toString('base64')}` }), 401);
+      assert.equal(await push(port, body), 200);
+    });
+
+    it('rejects websocket connections with wrong credentials', async () => {
+      const ws = new WebSocket(`ws://127.0.0.1:${port}/`, 'janus-protocol', { headers: { Authorization: 'Basic d3Jvbmc=' } });
+      const [, res] = await once(ws, 'unexpected-response');
+      assert.equal(res.statusCode, 401);
+      res.destroy();
+    });
+
+    it('accepts websocket connections with the right credentials', async () => {
+      const ws = new WebSocket(`ws://127.0.0.1:${port}/`, 'janus-protocol', { headers: { Authorization: AUTHORIZATION } });
+      await nextEvent(ws, 'open');
+      const received = nextEvent(sink, EVENT.CORE);
+      ws.send(JSON.stringify(janusEvent(256)));
+      const { type } = await received;
+      assert.equal(type, 'core');
+      ws.close();
+    });
+  });
+
+  describe('body size limit', () => {
+    it('rejects a large body announced by the content-length', async () => {
+      assert.equal(await push(port, JSON.stringify(janusEvent(1, { pad: 'x'.repeat(2048) }))), 413);
+    });
+
+    it('rejects a large chunked body', async () => {
+      const status = await push(port, JSON.stringify(janusEvent(1, { pad: 'x'.repeat(4096) })), { chunk_size: 128 }).catch(_ => 413);
+      assert.equal(status, 413);
+    });
+
+    it('accepts a body within the limit', async () => {
+      assert.equal(await push(port, JSON.stringify(janusEvent(1)), { chunk_size: 16 }), 200);
+    });
+  });
+
+  describe('batch validation', () => {
+    it('rejects an invalid json payload', async () => {
+      const error = nextEvent(sink, EVENT.ERROR);
+      assert.equal(await push(port, '{ not json'), 400);
+      assert.match((await error).message, /invalid event payload/);
+    });
+
+    it('rejects a whole batch with an invalid element without emitting anything', async () => {
+      const received = [];
+      sink.on(EVENT.EVENT, e => received.push(e));
+      const error = nextEvent(sink, EVENT.ERROR);
+      assert.equal(await push(port, JSON.stringify([janusEvent(1), 'oops', janusEvent(2)])), 400);
+      assert.match((await error).message, /element #1 is not an object/);
+      assert.equal(received.length, 0);
+    });
+
+    it('emits every event of a valid batch in order', async () => {
+      const received = [];
+      sink.on(EVENT.EVENT, ({ type }) => received.push(type));
+      assert.equal(await push(port, JSON.stringify([janusEvent(1), janusEvent(2), janusEvent(64)])), 200);
+      assert.deepEqual(received, ['session', 'handle', 'plugin']);
+    });
+  });
+
+  describe('event type decoding', () => {
+    it('maps every numeric type to its event', async () => {
+      const types = {
+        1: ['session', EVENT.SESSION],
+        2: ['handle', EVENT.HANDLE],
+        4: ['external', EVENT.EXTERNAL],
+        8: ['jsep', EVENT.JSEP],
+        16: ['webrtc', EVENT.WEBRTC],
+        32: ['media', EVENT.MEDIA],
+        64: ['plugin', EVENT.PLUGIN],
+        128: ['transport', EVENT.TRANSPORT],
+        256: ['core', EVENT.CORE],
+      };
+      const received = [];
+      for (const [, event] of Object.values(types)) sink.on(event, ({ type, type_code }) => received.push([event, type, type_code]));
+
+      const codes = Object.keys(types).map(Number);
+      assert.equal(await push(port, JSON.stringify(codes.map(code => janusEvent(code)))), 200);
+      assert.deepEqual(received, codes.map(code => [types[code][1], types[code][0], code]));
+    });
+
+    it('emits unknown types only with the generic event', async () => {
+      const specific = [];
+      for (const event of Object.values(EVENT)) {
+        if (event !== EVENT.EVENT && event !== EVENT.ERROR) sink.on(event, e => specific.push(e));
+      }
+      const generic = nextEvent(sink, EVENT.EVENT);
+      assert.equal(await push(port, JSON.stringify(janusEvent(512, { subtype: 3, session_id: 10, handle_id: 20, opaque_id: 'op' }))), 200);
+      const decoded = await generic;
+      assert.equal(decoded.type, 'unknown');
+      assert.equal(decoded.type_code, 512);
+      assert.equal(decoded.subtype, 3);
+      assert.equal(decoded.session_id, 10);
+      assert.equal(decoded.handle_id, 20);
+      assert.equal(decoded.opaque_id, 'op');
+      assert.equal(decoded.session, null);
+      assert.equal(decoded.handle, null);
+      assert.equal(specific.length, 0);
+    });
+  });
+
+  describe('listener failures', () => {
+    it('replies with a 500 and emits an error, still emitting the remaining events', async () => {
+      const received = [];
+      sink.on(EVENT.SESSION, _ => { throw new Error('listener failure'); });
+      sink.on(EVENT.EVENT, ({ type }) => received.push(type));
+      const error = nextEvent(sink, EVENT.ERROR);
+
+      assert.equal(await push(port, JSON.stringify([janusEvent(1), janusEvent(2)])), 500);
+      const { message, cause } = await error;
+      assert.match(message, /listener failed on session event/);
+      assert.equal(cause.message, 'listener failure');
+      assert.deepEqual(received, ['handle']);
+    });
+
+    it('survives a failing error listener', async () => {
+      sink.on(EVENT.CORE, _ => { throw new Error('listener failure'); });
+      sink.on(EVENT.ERROR, _ => { throw new Error('error listener failure'); });
+      assert.equal(await push(port, JSON.stringify(janusEvent(256))), 500);
+      assert.equal(await push(port, JSON.stringify(janusEvent(1))), 200);
+    });
+  });
+
+  it('requires a port', () => {
+    assert.throws(() => new EventHandlerSink({}), Janode.JanodeError);
+  });
+});
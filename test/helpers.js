@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+
+import Janode from '../src/janode.js';
+import { MockJanusServer } from '../src/mock-server.js';
+
+Janode.Logger.setLevel('none');
+
+/**
+ * Start a mock server and open a connection and a session on it.
+ *
+ * @param {object} [options] - The options of the mock server
+ * @returns {Promise<object>} The mock, the connection, the session and a teardown function
+ */
+export const startMock = async options => {
+  const mock = new MockJanusServer(options);
+  await mock.start();
+  const connection = await Janode.connect({ address: { url: mock.url } });
+  const session = await connection.create();
+  const teardown = async _ => {
+    await connection.close().catch(_ => { });
+    await mock.stop();
+  };
+  return { mock, connection, session, teardown };
+};
+
+/**
+ * Assert that a promise rejects with a PluginError carrying the given code, plugin and request.
+ *
+ * @param {Promise} promise
+ * @param {object} expected
+ * @param {number} expected.code
+ * @param {string} expected.plugin
+ * @param {string} expected.request
+ * @returns {Promise<void>}
+ */
+export const rejectsWithPluginError = (promise, { code, plugin, request }) => assert.rejects(promise, e => {
+  assert.ok(e instanceof Janode.PluginError, `expected a PluginError, got ${e.name}: ${e.message}`);
+  assert.equal(e.code, code);
+  assert.equal(e.plugin, plugin);
+  assert.equal(e.request, request);
+  return true;
+});
+
+/**
+ * Wait for the next event emitted by an emitter, failing after a timeout.
+ *
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @param {number} [timeout_ms=2000]
+ * @returns {Promise<*>} The first argument of the event
+ */
+export const nextEvent = async (emitter, event, timeout_ms = 2000) => {
+  const [data] = await once(emitter, event, { signal: AbortSignal.timeout(timeout_ms) });
+  return data;
+};
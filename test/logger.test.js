@@ -0,0 +1,160 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Logger from '../src/utils/logger.js';
+
+describe('logger', () => {
+  afterEach(() => {
+    Logger.setSink(null);
+    Logger.setLevel('none');
+    Logger.setLevel('', 'a.js');
+  });
+
+  describe('LogContext', () => {
+    it('normalizes the namespace and defaults the identifiers to null', () => {
+      const context = Logger.context({ ns: '[transport-ws.js]' });
+      assert.deepEqual({ ...context }, { ns: 'transport-ws.js', connection: null, session: null, handle: null });
+      assert.ok(Object.isFrozen(context));
+    });
+
+    it('sets the fields of the sink records', () => {
+      const records = [];
+      Logger.setSink(record => records.push(record));
+      Logger.setLevel('debug');
+
+      Logger.info(Logger.context({ ns: 'session.js', connection: 1, session: 2, handle: 3 }), 'hello', { a: 1 }, new Error('oops'));
+      Logger.warn('no context');
+      assert.deepEqual(records, [
+        { level: 'info', ns: 'session.js', connection: 1, session: 2, handle: 3, msg: 'hello {"a":1} oops' },
+        { level: 'warning', ns: null, connection: null, session: null, handle: null, msg: 'no context' },
+      ]);
+    });
+
+    it('prefixes the console output with the namespace and the most specific identifier', t => {
+      const info = t.mock.method(console, 'info', () => { });
+      Logger.setLevel('info');
+
+      Logger.info(Logger.context({ ns: '[handle.js]', session: 2, handle: 3 }), 'attached');
+      const [prefix, ...rest] = info.mock.calls[0].arguments;
+      assert.match(prefix, /INFO/);
+      assert.deepEqual(rest, ['[handle.js]', '[3]', 'attached']);
+    });
+  });
+
+  describe('function sinks', () => {
+    it('receive the records above the threshold', () => {
+      const records = [];
+      Logger.setSink(record => records.push(record.level));
+      Logger.setLevel('warn');
+
+      Logger.debug('debug');
+      Logger.verb('verbose');
+      Logger.info('info');
+      Logger.warn('warning');
+      Logger.error('error');
+      assert.deepEqual(records, ['warning', 'error']);
+    });
+
+    it('fall back to the console when they throw', t => {
+      const error = t.mock.method(console, 'error', () => { });
+      Logger.setSink(_ => { throw new Error('sink failure'); });
+      Logger.setLevel('error');
+
+      assert.doesNotThrow(() => Logger.error(Logger.context({ ns: 'a.js' }), 'message'));
+      assert.equal(error.mock.callCount(), 1);
+      const args = error.mock.calls[0].arguments;
+      assert.ok(args.includes('message'));
+      assert.ok(args.includes('(log sink failed: sink failure)'));
+    });
+  });
+
+  describe('object sinks', () => {
+    it('invoke the method matching the level', () => {
+      const calls = [];
+      const sink = {
+        debug: ({ msg }) => calls.push(['debug', msg]),
+        info: ({ msg }) => calls.push(['info', msg]),
+        warn: ({ msg }) => calls.push(['warn', msg]),
+        error: ({ msg }) => calls.push(['error', msg]),
+      };
+      Logger.setSink(sink);
+      Logger.setLevel('debug');
+
+      Logger.debug('d');
+      Logger.verbose('v');
+      Logger.info('i');
+      Logger.warning('w');
+      Logger.error('e');
+      assert.deepEqual(calls, [['debug', 'd'], ['debug', 'v'], ['info', 'i'], ['warn', 'w'], ['error', 'e']]);
+    });
+
+    it('skip the levels without a method', () => {
+      const calls = [];
+      Logger.setSink({ error: ({ msg }) => calls.push(msg) });
+      Logger.setLevel('debug');
+
+      Logger.info('i');
+      Logger.error('e');
+      assert.deepEqual(calls, ['e']);
+    });
+
+    it('fall back to the console when they throw', t => {
+      const warn = t.mock.method(console, 'warn', () => { });
+      Logger.setSink({ warning: _ => { throw new Error('sink failure'); } });
+      Logger.setLevel('warn');
+
+      assert.doesNotThrow(() => Logger.warn('message'));
+      assert.equal(warn.mock.callCount(), 1);
+    });
+
+    it('are removed with a falsy value', t => {
+      const info = t.mock.method(console, 'info', () => { });
+      const calls = [];
+      Logger.setSink({ info: ({ msg }) => calls.push(msg) });
+      Logger.setLevel('info');
+      Logger.setSink(null);
+
+      Logger.info('i');
+      assert.equal(calls.length, 0);
+      assert.equal(info.mock.callCount(), 1);
+    });
+  });
+
+  describe('levels', () => {
+    it('normalizes the level names', () => {
+      assert.equal(Logger.setLevel('verb'), 'verbose');
+      assert.equal(Logger.setLevel('WARN'), 'warning');
+      assert.equal(Logger.setLevel('invalid'), 'info');
+    });
+
+    it('apply a namespace level over the global one', () => {
+      const records = [];
+      Logger.setSink(({ ns, level }) => records.push(`${ns}:${level}`));
+      Logger.setLevel('error');
+      assert.equal(Logger.setLevel('debug', '[a.js]'), 'debug');
+
+      const a = Logger.context({ ns: 'a.js' });
+      const b = Logger.context({ ns: 'b.js' });
+      Logger.debug(a, 'a');
+      Logger.debug(b, 'b');
+      Logger.error(b, 'b');
+      assert.deepEqual(records, ['a.js:debug', 'b.js:error']);
+
+      /* An invalid level removes the override */
+      assert.equal(Logger.setLevel('', 'a.js'), 'error');
+      Logger.debug(a, 'a');
+      assert.equal(records.length, 2);
+    });
+
+    it('can silence a namespace', () => {
+      const records = [];
+      Logger.setSink(({ ns }) => records.push(ns));
+      Logger.setLevel('debug');
+      Logger.setLevel('none', 'a.js');
+
+      Logger.error(Logger.context({ ns: 'a.js' }), 'a');
+      Logger.error(Logger.context({ ns: 'b.js' }), 'b');
+      assert.deepEqual(records, ['b.js']);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Janode from '../src/janode.js';
+import Metrics from '../src/utils/metrics.js';
+import EchoTestPlugin from '../src/plugins/echotest-plugin.js';
+import { startMock } from './helpers.js';
+
+const BUCKETS = ['0.005', '0.01', '0.025', '0.05', '0.1', '0.25', '0.5', '1', '2.5', '5', '10'];
+
+/* A connection exposing just what the gauges read */
+const fakeConnection = (id, handles_per_session, pending) => ({
+  id,
+  _sessions: new Map(handles_per_session.map((handles, idx) => [idx, { _handles: new Map(Array.from({ length: handles }, (_, h) => [h, {}])) }])),
+  _tm: { size: () => pending },
+});
+
+const sampleLines = (text, name) => text.split('\n').filter(line => line.startsWith(name));
+
+describe('metrics', () => {
+  afterEach(() => {
+    Metrics.reset();
+    Metrics.setHook(null);
+  });
+
+  describe('histograms', () => {
+    it('count an observation in every bucket whose bound is not lower', () => {
+      Metrics.observeRequest('message', 'success', 0.05);
+      Metrics.observeRequest('message', 'success', 3);
+
+      const buckets = sampleLines(Metrics.toPrometheus(), 'janode_request_duration_seconds_bucket');
+      const counts = buckets.map(line => Number(line.split(' ').pop()));
+      /* 0.05 falls in le="0.05" (inclusive), 3 only in le="5" and above */
+      assert.deepEqual(counts, [0, 0, 0, 1, 1, 1, 1, 1, 1, 2, 2, 2]);
+      assert.deepEqual(buckets.map(line => line.match(/le="([^"]+)"/)[1]), [...BUCKETS, '+Inf']);
+    });
+
+    it('keep a series for every combination of labels', () => {
+      Metrics.observeRequest('message', 'success', 0.5);
+      Metrics.observeRequest('message', 'timeout', 0.5);
+      Metrics.observeRequest('attach', 'success', 0.25);
+      Metrics.observeRequest('message', 'success', 0.25);
+
+      const counts = sampleLines(Metrics.toPrometheus(), 'janode_request_duration_seconds_count');
+      assert.deepEqual(counts, [
+        'janode_request_duration_seconds_count{request="message",outcome="success"} 2',
+        'janode_request_duration_seconds_count{request="message",outcome="timeout"} 1',
+        'janode_request_duration_seconds_count{request="attach",outcome="success"} 1',
+      ]);
+      const sums = sampleLines(Metrics.toPrometheus(), 'janode_request_duration_seconds_sum');
+      assert.equal(sums[0], 'janode_request_duration_seconds_sum{request="message",outcome="success"} 0.75');
+    });
+  });
+
+  describe('counters', () => {
+    it('count the errors by source and code', () => {
+      Metrics.countError(458, 'janus');
+      Metrics.countError(458, 'janus');
+      Metrics.countError(426, 'janus.plugin.videoroom');
+
+      assert.deepEqual(sampleLines(Metrics.toPrometheus(), 'janode_errors_total'), [
+        'janode_errors_total{source="janus",code="458"} 2',
+        'janode_errors_total{source="janus.plugin.videoroom",code="426"} 1',
+      ]);
+    });
+
+    it('escape the label values', () => {
+      Metrics.countError(1, 'a "quoted"\\path\nname');
+      assert.deepEqual(sampleLines(Metrics.toPrometheus(), 'janode_errors_total'), [
+        'janode_errors_total{source="a \\"quoted\\"\\\\path\\nname",code="1"} 1',
+      ]);
+    });
+  });
+
+  describe('gauges', () => {
+    it('are computed from the open connections', () => {
+      const first = fakeConnection(1, [2, 1], 3);
+      const second = fakeConnection(2, [], 0);
+      Metrics.addConnection(first);
+      Metrics.addConnection(second);
+
+      const text = Metrics.toPrometheus();
+      assert.deepEqual(sampleLines(text, 'janode_sessions'), ['janode_sessions{connection="1"} 2', 'janode_sessions{connection="2"} 0']);
+      assert.deepEqual(sampleLines(text, 'janode_handles'), ['janode_handles{connection="1"} 3', 'janode_handles{connection="2"} 0']);
+      assert.deepEqual(sampleLines(text, 'janode_pending_transactions'), ['janode_pending_transactions{connection="1"} 3', 'janode_pending_transactions{connection="2"} 0']);
+
+      Metrics.removeConnection(first);
+      Metrics.removeConnection(second);
+      assert.deepEqual(sampleLines(Metrics.toPrometheus(), 'janode_sessions'), []);
+    });
+  });
+
+  describe('prometheus text format', () => {
+    it('matches the golden output', () => {
+      const connection = fakeConnection(7, [1], 0);
+      Metrics.addConnection(connection);
+      Metrics.observeRequest('create', 'success', 0.02);
+      Metrics.observeKeepAlive(0.5);
+      Metrics.countError(403, 'janus');
+
+      const text = Metrics.toPrometheus();
+      Metrics.removeConnection(connection);
+
+      const bucketLines = (name, labels, counts, count) => [
+        ...BUCKETS.map((le, idx) => `${name}_bucket{${labels}le="${le}"} ${counts[idx]}`),
+        `${name}_bucket{${labels}le="+Inf"} ${count}`,
+      ];
+      assert.equal(text, [
+        '# HELP janode_request_duration_seconds Latency of the requests sent to Janus',
+        '# TYPE janode_request_duration_seconds histogram',
+        ...bucketLines('janode_request_duration_seconds', 'request="create",outcome="success",', [0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 1], 1),
+        'janode_request_duration_seconds_sum{request="create",outcome="success"} 0.02',
+        'janode_request_duration_seconds_count{request="create",outcome="success"} 1',
+        '# HELP janode_keepalive_rtt_seconds Round trip time of the session keep-alive requests',
+        '# TYPE janode_keepalive_rtt_seconds histogram',
+        ...bucketLines('janode_keepalive_rtt_seconds', '', [0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1], 1),
+        'janode_keepalive_rtt_seconds_sum 0.5',
+        'janode_keepalive_rtt_seconds_count 1',
+        '# HELP janode_errors_total Errors received from Janus and its plugins',
+        '# TYPE janode_errors_total counter',
+        'janode_errors_total{source="janus",code="403"} 1',
+        '# HELP janode_sessions Sessions open on a connection',
+        '# TYPE janode_sessions gauge',
+        'janode_sessions{connection="7"} 1',
+        '# HELP janode_handles Handles attached on a connection',
+        '# TYPE janode_handles gauge',
+        'janode_handles{connection="7"} 1',
+        '# HELP janode_pending_transactions Transactions waiting for a response on a connection',
+        '# TYPE janode_pending_transactions gauge',
+        'janode_pending_transactions{connection="7"} 0',
+        '',
+      ].join('\n'));
+    });
+
+    it('only has the gauge headers after a reset', () => {
+      Metrics.observePing(0.01);
+      Metrics.reset();
+      assert.deepEqual(Metrics.toPrometheus().split('\n').filter(line => !line.startsWith('#')), ['']);
+    });
+  });
+
+  describe('hook', () => {
+    it('receives every observation', () => {
+      const samples = [];
+      Metrics.setHook(sample => samples.push(sample));
+
+      Metrics.observeRequest('attach', 'error', 0.1);
+      Metrics.countError(460, 'janus');
+      Metrics.observeKeepAlive(0.2);
+      Metrics.observePing(0.3);
+      assert.deepEqual(samples, [
+        { type: 'request', request: 'attach', outcome: 'error', duration: 0.1 },
+        { type: 'error', code: 460, source: 'janus' },
+        { type: 'keepalive', rtt: 0.2 },
+        { type: 'ping', rtt: 0.3 },
+      ]);
+    });
+
+    it('does not break the library when it throws and can be removed', () => {
+      let calls = 0;
+      Metrics.setHook(_ => {
+        calls++;
+        throw new Error('hook failure');
+      });
+      assert.doesNotThrow(() => Metrics.observePing(0.1));
+      Metrics.setHook(null);
+      Metrics.observePing(0.1);
+      assert.equal(calls, 1);
+      assert.equal(sampleLines(Metrics.toPrometheus(), 'janode_ws_ping_rtt_seconds_count')[0], 'janode_ws_ping_rtt_seconds_count 2');
+    });
+  });
+
+  describe('instrumentation', () => {
+    it('records the requests, the errors and the gauges of a live connection', async () => {
+      const env = await startMock();
+      const handle = await env.session.attach(EchoTestPlugin);
+      const samples = [];
+      Metrics.setHook(sample => samples.push(sample));
+      env.mock.addFault({ request: 'message', error: { code: Janode.JANUS_ERROR.PLUGIN_MESSAGE, reason: 'failure' } });
+
+      await assert.rejects(handle.message({ audio: true }), Janode.JanusCoreError);
+      await handle.message({ audio: true });
+
+      assert.deepEqual(samples.filter(({ type }) => type === 'error'), [{ type: 'error', code: Janode.JANUS_ERROR.PLUGIN_MESSAGE, source: 'janus' }]);
+      assert.deepEqual(samples.filter(({ type }) => type === 'request').map(({ request, outcome }) => [request, outcome]), [['message', 'error'], ['message', 'success']]);
+
+      const text = Metrics.toPrometheus();
+      assert.ok(sampleLines(text, 'janode_sessions').includes(`janode_sessions{connection="${env.connection.id}"} 1`));
+      assert.ok(sampleLines(text, 'janode_handles').includes(`janode_handles{connection="${env.connection.id}"} 1`));
+      await env.teardown();
+      assert.deepEqual(sampleLines(Metrics.toPrometheus(), 'janode_sessions'), []);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+
+import Janode from '../src/janode.js';
+import { MockJanusServer } from '../src/mock-server.js';
+import EchoTestPlugin from '../src/plugins/echotest-plugin.js';
+
+Janode.Logger.setLevel('none');
+
+const { EVENT, JanusCoreError, PluginError, TimeoutError } = Janode;
+
+describe('mock server', () => {
+  let mock;
+  let connection;
+
+  before(async () => {
+    mock = new MockJanusServer({ session_timeout_secs: 0 });
+    await mock.start();
+  });
+
+  after(async () => {
+    await mock.stop();
+  });
+
+  beforeEach(async () => {
+    connection = await Janode.connect({ address: { url: mock.url } });
+  });
+
+  afterEach(async () => {
+    mock.clearFaults();
+    await connection.close().catch(_ => { });
+  });
+
+  describe('core requests', () => {
+    it('creates a session, attaches a handle and exchanges a message', async () => {
+      const session = await connection.create();
+      assert.equal(typeof session.id, 'number');
+
+      const handle = await session.attach(EchoTestPlugin);
+      assert.equal(typeof handle.id, 'number');
+
+      const { plugindata: { data } } = await handle.message({ audio: true });
+      assert.equal(data.echotest, 'event');
+      assert.equal(data.result, 'ok');
+
+      const detached = once(handle, EVENT.HANDLE_DETACHED);
+      await handle.detach();
+      const [{ id }] = await detached;
+      assert.equal(id, handle.id);
+      await assert.rejects(handle.message({ audio: true }));
+      await session.destroy();
+    });
+  });
+
+  describe('faults', () => {
+    it('drops a request', async () => {
+      const session = await connection.create();
+      const handle = await session.attach(EchoTestPlugin);
+      mock.addFault({ request: 'message', drop: true });
+
+      await assert.rejects(handle.message({ audio: true }, null, { timeout_secs: 0.3 }), TimeoutError);
+      /* The fault is consumed */
+      const { plugindata: { data } } = await handle.message({ audio: true });
+      assert.equal(data.result, 'ok');
+      await session.destroy();
+    });
+
+    it('delays a request', async () => {
+      const session = await connection.create();
+      const handle = await session.attach(EchoTestPlugin);
+      mock.addFault({ request: 'message', delay_ms: 300 });
+
+      const start = Date.now();
+      await handle.message({ audio: true });
+      assert.ok(Date.now() - start >= 300);
+      await session.destroy();
+    });
+
+    it('replies with a core error', async () => {
+      const session = await connection.create();
+      mock.addFault({ request: 'attach', error: { code: Janode.JANUS_ERROR.PLUGIN_NOT_FOUND, reason: 'No such plugin' } });
+
+      await assert.rejects(session.attach(EchoTestPlugin), e => {
+        assert.ok(e instanceof JanusCoreError);
+        assert.equal(e.code, Janode.JANUS_ERROR.PLUGIN_NOT_FOUND);
+        assert.equal(e.request, 'attach');
+        return true;
+      });
+      await session.destroy();
+    });
+
+    it('replies with a plugin error', async () => {
+      const session = await connection.create();
+      const handle = await session.attach(EchoTestPlugin);
+      mock.addFault({ plugin_request: 'configure', plugin_error: { code: 413, reason: 'Invalid element' } });
+
+      await assert.rejects(handle.message({ request: 'configure' }), e => {
+        assert.ok(e instanceof PluginError);
+        assert.equal(e.code, 413);
+        assert.equal(e.plugin, EchoTestPlugin.id);
+        return true;
+      });
+      await session.destroy();
+    });
+
+    it('replies with a core error when a scripted plugin fails', async () => {
+      const failing = new MockJanusServer({ session_timeout_secs: 0 });
+      await failing.start();
+      failing.setPlugin(EchoTestPlugin.id, ({ body }) => {
+        if (body.sync) throw new Error('sync failure');
+        return Promise.reject(new Error('async failure'));
+      });
+      const failing_connection = await Janode.connect({ address: { url: failing.url } });
+      const session = await failing_connection.create();
+      const handle = await session.attach(EchoTestPlugin);
+
+      for (const body of [{ sync: true }, { sync: false }]) {
+        await assert.rejects(handle.message(body), e => {
+          assert.ok(e instanceof JanusCoreError);
+          assert.equal(e.code, Janode.JANUS_ERROR.PLUGIN_MESSAGE);
+          assert.equal(e.request, 'message');
+          return true;
+        });
+      }
+      await failing_connection.close();
+      await failing.stop();
+    });
+
+    it('destroys the session when a keep-alive is dropped', async () => {
+      const session = await connection.create(0.2);
+      mock.addFault({ request: 'keepalive', drop: true });
+
+      const [{ id }] = await once(session, EVENT.SESSION_DESTROYED);
+      assert.equal(id, session.id);
+    });
+
+    it('expires a session', async () => {
+      const session = await connection.create();
+      const handle = await session.attach(EchoTestPlugin);
+      const detached = once(handle, EVENT.HANDLE_DETACHED);
+      const destroyed = once(session, EVENT.SESSION_DESTROYED);
+
+      mock.expireSession(session.id);
+      const [{ id }] = await destroyed;
+      assert.equal(id, session.id);
+      await detached;
+    });
+  });
+
+  describe('session timeout', () => {
+    let short_mock;
+
+    before(async () => {
+      short_mock = new MockJanusServer({ session_timeout_secs: 1 });
+      await short_mock.start();
+    });
+
+    after(async () => {
+      await short_mock.stop();
+    });
+
+    it('keeps the session alive with keep-alives', async () => {
+      const short_connection = await Janode.connect({ address: { url: short_mock.url } });
+      const session = await short_connection.create(0.3);
+      const handle = await session.attach(EchoTestPlugin);
+
+      await new Promise(resolve => setTimeout(resolve, 2500));
+      const { plugindata: { data } } = await handle.message({ audio: true });
+      assert.equal(data.result, 'ok');
+      await session.destroy();
+      await short_connection.close();
+    });
+
+    it('times out an inactive session', async () => {
+      const short_connection = await Janode.connect({ address: { url: short_mock.url } });
+      /* Keep-alives are far apart from the session timeout */
+      const session = await short_connection.create(60);
+      const [{ id }] = await once(session, EVENT.SESSION_DESTROYED);
+      assert.equal(id, session.id);
+      await short_connection.close();
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Janode from '../src/janode.js';
+import NoSipPlugin, { ERROR_CODE } from '../src/plugins/nosip-plugin.js';
+import { startMock, rejectsWithPluginError, nextEvent } from './helpers.js';
+
+const { EVENT } = NoSipPlugin;
+const plugin = NoSipPlugin.id;
+const OFFER = { type: 'offer', sdp: 'v=0\r\n' };
+const BAREBONE_SDP = 'v=0\r\no=- 0 0 IN IP4 127.0.0.1\r\ns=legacy\r\nt=0 0\r\n';
+
+describe('nosip plugin', () => {
+  let env;
+
+  before(async () => {
+    env = await startMock();
+  });
+
+  after(async () => {
+    await env.teardown();
+  });
+
+  describe('generate and process', () => {
+    it('generates a barebone SDP from a JSEP', async () => {
+      const handle = await env.session.attach(NoSipPlugin);
+      const { type, sdp } = await handle.generate({ jsep: OFFER, info: 'call-1' });
+      assert.equal(type, 'offer');
+      assert.equal(typeof sdp, 'string');
+      assert.equal((await handle.generate({ jsep: OFFER, update: true })).update, true);
+      await handle.detach();
+    });
+
+    it('processes a barebone SDP into a JSEP', async () => {
+      const handle = await env.session.attach(NoSipPlugin);
+      const { jsep, srtp } = await handle.process({ type: 'answer', sdp: BAREBONE_SDP, srtp: 'sdes_optional' });
+      assert.equal(jsep.type, 'answer');
+      assert.equal(srtp, 'sdes_optional');
+      await handle.detach();
+    });
+
+    it('validates and rejects the requests', async () => {
+      const handle = await env.session.attach(NoSipPlugin);
+      await assert.rejects(handle.generate({}), Janode.JanodeError);
+      await assert.rejects(handle.process({ type: 'pranswer', sdp: BAREBONE_SDP }), Janode.JanodeError);
+      await rejectsWithPluginError(handle.process({ type: 'offer' }), { code: ERROR_CODE.MISSING_ELEMENT, plugin, request: 'process' });
+      await rejectsWithPluginError(handle.callHangup(), { code: ERROR_CODE.WRONG_STATE, plugin, request: 'hangup' });
+      await rejectsWithPluginError(handle.startRecording({ audio: true }), { code: ERROR_CODE.WRONG_STATE, plugin, request: 'recording' });
+      await handle.detach();
+    });
+  });
+
+  describe('session', () => {
+    it('records, requests keyframes and hangs up', async () => {
+      const handle = await env.session.attach(NoSipPlugin);
+      await handle.generate({ jsep: OFFER });
+
+      assert.deepEqual(await handle.startRecording({ audio: true, peer_audio: true, filename: '/tmp/rec' }), {});
+      assert.deepEqual(await handle.stopRecording(), {});
+      assert.deepEqual(await handle.keyframe({ user: true, peer: true }), {});
+
+      const hangup = nextEvent(handle, EVENT.NOSIP_HANGUP);
+      assert.deepEqual(await handle.callHangup(), {});
+      assert.deepEqual(await hangup, { reason: 'Janus API' });
+      await handle.detach();
+    });
+  });
+
+  describe('async events', () => {
+    const cases = [
+      [{ event: 'generated', type: 'answer', sdp: BAREBONE_SDP, update: true }, EVENT.NOSIP_GENERATED, { type: 'answer', sdp: BAREBONE_SDP, update: true }],
+      [{ event: 'processed', srtp: 'sdes_mandatory' }, EVENT.NOSIP_PROCESSED, { srtp: 'sdes_mandatory' }],
+      [{ event: 'hangingup' }, EVENT.NOSIP_HANGINGUP, {}],
+      [{ event: 'hangup', reason: 'Remote hangup' }, EVENT.NOSIP_HANGUP, { reason: 'Remote hangup' }],
+      [{ event: 'recordingupdated' }, EVENT.NOSIP_RECORDING_UPDATED, {}],
+    ];
+
+    for (const [result, event, expected] of cases) {
+      it(`maps the ${result.event} event`, async () => {
+        const handle = await env.session.attach(NoSipPlugin);
+        const emitted = nextEvent(handle, event);
+        env.mock.pushEvent(handle.id, { nosip: 'event', result });
+        assert.deepEqual(await emitted, expected);
+        await handle.detach();
+      });
+    }
+
+    it('maps the errors', async () => {
+      const handle = await env.session.attach(NoSipPlugin);
+      const failure = nextEvent(handle, EVENT.NOSIP_ERROR);
+      env.mock.pushEvent(handle.id, { nosip: 'event', error_code: ERROR_CODE.IO_ERROR, error: 'I/O error' });
+      const error = await failure;
+      assert.ok(error instanceof Janode.PluginError);
+      assert.equal(error.code, ERROR_CODE.IO_ERROR);
+      assert.equal(error.plugin, plugin);
+      await handle.detach();
+    });
+  });
+});
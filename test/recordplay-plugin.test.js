@@ -0,0 +1,132 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Janode from '../src/janode.js';
+import RecordPlayPlugin, { ERROR_CODE } from '../src/plugins/recordplay-plugin.js';
+import { startMock, rejectsWithPluginError, nextEvent } from './helpers.js';
+
+const { EVENT } = RecordPlayPlugin;
+const plugin = RecordPlayPlugin.id;
+const OFFER = { type: 'offer', sdp: 'v=0\r\n' };
+const ANSWER = { type: 'answer', sdp: 'v=0\r\n' };
+
+describe('recordplay plugin', () => {
+  let env;
+
+  before(async () => {
+    env = await startMock();
+  });
+
+  after(async () => {
+    await env.teardown();
+  });
+
+  describe('management requests', () => {
+    it('lists and updates the recordings', async () => {
+      const handle = await env.session.attach(RecordPlayPlugin);
+      const { list } = await handle.list();
+      assert.equal(list[0].id, 1);
+      assert.deepEqual(await handle.update(), {});
+      await handle.detach();
+    });
+
+    it('configures the session', async () => {
+      const handle = await env.session.attach(RecordPlayPlugin);
+      const { settings } = await handle.configure({ bitrate: 256000, keyframe_interval: 5000 });
+      assert.deepEqual(settings, { 'video-bitrate-max': 256000, 'video-keyframe-interval': 5000 });
+      await handle.detach();
+    });
+  });
+
+  describe('recording', () => {
+    it('records and stops, adding the recording to the list', async () => {
+      const handle = await env.session.attach(RecordPlayPlugin);
+      const recording = await handle.record({ name: 'test', id: 100, jsep: OFFER, bitrate: 128000 });
+      assert.equal(recording.id, 100);
+      assert.equal(recording.jsep.type, 'answer');
+      assert.equal(handle.recording_id, 100);
+
+      assert.deepEqual(await handle.stop(), { id: 100 });
+      const { list } = await handle.list();
+      assert.ok(list.some(({ id, name }) => id === 100 && name === 'test'));
+      await handle.detach();
+    });
+
+    it('hides the private recordings', async () => {
+      const handle = await env.session.attach(RecordPlayPlugin);
+      await handle.record({ name: 'secret', id: 101, jsep: OFFER, is_private: true });
+      await handle.stop();
+      const { list } = await handle.list();
+      assert.equal(list.some(({ id }) => id === 101), false);
+      await handle.detach();
+    });
+
+    it('validates and rejects the record requests', async () => {
+      const handle = await env.session.attach(RecordPlayPlugin);
+      await assert.rejects(handle.record({ name: 'test', jsep: ANSWER }), Janode.JanodeError);
+      await rejectsWithPluginError(handle.record({ name: 'dup', id: 1, jsep: OFFER }), { code: ERROR_CODE.RECORDING_EXISTS, plugin, request: 'record' });
+      await rejectsWithPluginError(handle.stop(), { code: ERROR_CODE.INVALID_STATE, plugin, request: 'stop' });
+      await handle.detach();
+    });
+  });
+
+  describe('playout', () => {
+    it('prepares, plays, stops and notifies the end of a playout', async () => {
+      const handle = await env.session.attach(RecordPlayPlugin);
+      const preparing = await handle.play({ id: 1 });
+      assert.equal(preparing.id, 1);
+      assert.equal(preparing.jsep.type, 'offer');
+      assert.deepEqual(await handle.start({ jsep: ANSWER }), { id: 1 });
+
+      const done = nextEvent(handle, EVENT.RECORDPLAY_DONE);
+      env.mock.pushEvent(handle.id, { recordplay: 'event', result: { status: 'done' } });
+      assert.deepEqual(await done, { id: 1 });
+
+      assert.deepEqual(await handle.stop(), { id: 1 });
+      await handle.detach();
+    });
+
+    it('validates and rejects the playout requests', async () => {
+      const handle = await env.session.attach(RecordPlayPlugin);
+      await rejectsWithPluginError(handle.play({ id: 999 }), { code: ERROR_CODE.NOT_FOUND, plugin, request: 'play' });
+      await assert.rejects(handle.start({ jsep: OFFER }), Janode.JanodeError);
+      await rejectsWithPluginError(handle.start({ jsep: ANSWER }), { code: ERROR_CODE.INVALID_STATE, plugin, request: 'start' });
+      await handle.detach();
+    });
+  });
+
+  describe('async events', () => {
+    const statuses = [
+      ['recording', EVENT.RECORDPLAY_RECORDING],
+      ['preparing', EVENT.RECORDPLAY_PREPARING],
+      ['playing', EVENT.RECORDPLAY_PLAYING],
+      ['stopped', EVENT.RECORDPLAY_STOPPED],
+      ['done', EVENT.RECORDPLAY_DONE],
+    ];
+
+    for (const [status, event] of statuses) {
+      it(`maps the ${status} status`, async () => {
+        const handle = await env.session.attach(RecordPlayPlugin);
+        const emitted = nextEvent(handle, event);
+        env.mock.pushEvent(handle.id, { recordplay: 'event', result: { status, id: 7, warning: 'no video' } });
+        assert.deepEqual(await emitted, { id: 7, warning: 'no video' });
+        assert.equal(handle.recording_id, 7);
+        await handle.detach();
+      });
+    }
+
+    it('maps the slow link and error events', async () => {
+      const handle = await env.session.attach(RecordPlayPlugin);
+      const slowlink = nextEvent(handle, EVENT.RECORDPLAY_SLOWLINK);
+      env.mock.pushEvent(handle.id, { recordplay: 'event', event: 'slow_link', 'current-bitrate': 64000 });
+      assert.deepEqual(await slowlink, { bitrate: 64000 });
+
+      const failure = nextEvent(handle, EVENT.RECORDPLAY_ERROR);
+      env.mock.pushEvent(handle.id, { recordplay: 'event', error_code: ERROR_CODE.INVALID_RECORDING, error: 'Invalid recording' });
+      const error = await failure;
+      assert.ok(error instanceof Janode.PluginError);
+      assert.equal(error.code, ERROR_CODE.INVALID_RECORDING);
+      await handle.detach();
+    });
+  });
+});
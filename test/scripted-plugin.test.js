@@ -0,0 +1,192 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Janode from '../src/janode.js';
+import createScriptedPlugin from '../src/plugins/scripted-plugin.js';
+import { startMock, nextEvent } from './helpers.js';
+
+const PLUGIN_ID = 'janus.plugin.lua';
+
+/* A Lua plugin answering every request with its name, or with an error when asked to */
+const luaPlugin = ({ body, jsep }) => {
+  if (body.fail) return { async: true, data: { error_code: 400, error: 'failure requested' } };
+  if (body.op === 'custom_fail') return { async: true, data: { failed: true, code: 401, reason: 'custom failure' } };
+  return { async: true, data: { result: 'ok', request: body.request || body.op, params: body }, jsep: (jsep && jsep.type === 'offer') ? { type: 'answer', sdp: 'v=0\r\n' } : undefined };
+};
+
+describe('scripted plugin', () => {
+  let env;
+
+  before(async () => {
+    env = await startMock();
+    env.mock.setPlugin(PLUGIN_ID, luaPlugin);
+  });
+
+  after(async () => {
+    await env.teardown();
+  });
+
+  describe('createScriptedPlugin', () => {
+    it('needs a plugin id', () => {
+      assert.throws(() => createScriptedPlugin({}), Janode.JanodeError);
+      assert.throws(() => createScriptedPlugin({ id: '' }), Janode.JanodeError);
+    });
+
+    it('names the events after the plugin name or the last part of the id', () => {
+      assert.deepEqual(createScriptedPlugin({ id: PLUGIN_ID }).EVENT, { SUCCESS: 'lua_success', ERROR: 'lua_error' });
+      const { EVENT } = createScriptedPlugin({ id: PLUGIN_ID, name: 'echo', events: { JOINED: _ => true } });
+      assert.deepEqual(EVENT, { SUCCESS: 'echo_success', ERROR: 'echo_error', JOINED: 'echo_joined' });
+    });
+
+    it('generates a method for every declared request', () => {
+      const fromList = createScriptedPlugin({ id: PLUGIN_ID, requests: ['configure', 'list_rooms', 'kick-user'] });
+      for (const method of ['configure', 'listRooms', 'kickUser']) assert.equal(typeof fromList.Handle.prototype[method], 'function');
+
+      const fromMap = createScriptedPlugin({ id: PLUGIN_ID, requests: { rooms: 'list_rooms' } });
+      assert.equal(typeof fromMap.Handle.prototype.rooms, 'function');
+      assert.equal(typeof fromMap.Handle.prototype.listRooms, 'undefined');
+    });
+
+    it('rejects the reserved event names', () => {
+      assert.throws(() => createScriptedPlugin({ id: PLUGIN_ID, events: { SUCCESS: _ => true } }), /reserved/);
+      assert.throws(() => createScriptedPlugin({ id: PLUGIN_ID, events: { ERROR: _ => true } }), /reserved/);
+    });
+
+    it('rejects an event without a match function', () => {
+      assert.throws(() => createScriptedPlugin({ id: PLUGIN_ID, events: { JOINED: { data: _ => ({}) } } }), /missing match function/);
+    });
+
+    it('rejects the request methods conflicting with the handle API', () => {
+      for (const request of ['message', 'detach', 'request', 'handle_message']) {
+        assert.throws(() => createScriptedPlugin({ id: PLUGIN_ID, requests: [request] }), /conflicts with the handle API/);
+      }
+      assert.throws(() => createScriptedPlugin({ id: PLUGIN_ID, requests: { trickle: 'trickle' } }), /conflicts with the handle API/);
+    });
+  });
+
+  describe('requests', () => {
+    it('sends the generated requests with their params and jsep', async () => {
+      const Lua = createScriptedPlugin({ id: PLUGIN_ID, requests: ['configure', 'list_rooms'] });
+      const handle = await env.session.attach(Lua);
+
+      const configured = await handle.configure({ audio: true, jsep: { type: 'offer', sdp: 'v=0\r\n' } });
+      assert.equal(configured.result, 'ok');
+      assert.deepEqual(configured.params, { audio: true, request: 'configure' });
+      assert.equal(configured.jsep.type, 'answer');
+
+      assert.equal((await handle.listRooms()).request, 'list_rooms');
+      assert.equal((await handle.request('any', { x: 1 })).params.x, 1);
+      await handle.detach();
+    });
+
+    it('uses the configured request key', async () => {
+      const Lua = createScriptedPlugin({ id: PLUGIN_ID, request_key: 'op', requests: ['status'] });
+      const handle = await env.session.attach(Lua);
+      assert.deepEqual((await handle.status()).params, { op: 'status' });
+      await handle.detach();
+    });
+
+    it('rejects with a PluginError using the default error detection', async () => {
+      const Lua = createScriptedPlugin({ id: PLUGIN_ID, requests: ['configure'] });
+      const handle = await env.session.attach(Lua);
+      await assert.rejects(handle.configure({ fail: true }), e => {
+        assert.ok(e instanceof Janode.PluginError);
+        assert.equal(e.code, 400);
+        assert.equal(e.reason, 'failure requested');
+        assert.equal(e.plugin, PLUGIN_ID);
+        assert.equal(e.request, 'configure');
+        return true;
+      });
+      await handle.detach();
+    });
+
+    it('rejects with a PluginError using the custom error detection', async () => {
+      const Lua = createScriptedPlugin({
+        id: PLUGIN_ID,
+        request_key: 'op',
+        requests: ['custom_fail'],
+        isError: data => data.failed === true,
+        getError: data => data.reason,
+        getErrorCode: data => data.code,
+      });
+      const handle = await env.session.attach(Lua);
+      await assert.rejects(handle.customFail(), e => {
+        assert.ok(e instanceof Janode.PluginError);
+        assert.equal(e.code, 401);
+        assert.equal(e.reason, 'custom failure');
+        return true;
+      });
+      await handle.detach();
+    });
+
+    it('rejects the responses that are not a success', async () => {
+      const Lua = createScriptedPlugin({ id: PLUGIN_ID, requests: ['configure'], isSuccess: data => data.result === 'done' });
+      const handle = await env.session.attach(Lua);
+      await assert.rejects(handle.configure(), /unmanaged event/);
+      await handle.detach();
+    });
+  });
+
+  describe('events', () => {
+    const Lua = createScriptedPlugin({
+      id: PLUGIN_ID,
+      events: {
+        JOINED: data => data.event === 'joined',
+        KICKED: { match: data => data.event === 'kicked', data: ({ reason }) => ({ reason }) },
+      },
+    });
+
+    it('maps the async payloads to the declared events', async () => {
+      const handle = await env.session.attach(Lua);
+
+      const joined = nextEvent(handle, Lua.EVENT.JOINED);
+      env.mock.pushEvent(handle.id, { event: 'joined', room: 1 }, { type: 'offer', sdp: 'v=0\r\n' });
+      assert.deepEqual(await joined, { event: 'joined', room: 1, jsep: { type: 'offer', sdp: 'v=0\r\n' } });
+
+      const kicked = nextEvent(handle, Lua.EVENT.KICKED);
+      env.mock.pushEvent(handle.id, { event: 'kicked', reason: 'bye', room: 1 });
+      assert.deepEqual(await kicked, { reason: 'bye' });
+
+      const success = nextEvent(handle, Lua.EVENT.SUCCESS);
+      env.mock.pushEvent(handle.id, { event: 'other' });
+      assert.deepEqual(await success, { event: 'other' });
+
+      const error = nextEvent(handle, Lua.EVENT.ERROR);
+      env.mock.pushEvent(handle.id, { error: 'broken', error_code: 500 });
+      assert.equal((await error).code, 500);
+      await handle.detach();
+    });
+  });
+
+  describe('failing callbacks', () => {
+    const cases = {
+      isError: { isError: _ => { throw new Error('isError failure'); } },
+      getErrorCode: { getErrorCode: _ => { throw new Error('getErrorCode failure'); } },
+      isSuccess: { isSuccess: _ => { throw new Error('isSuccess failure'); } },
+      match: { events: { BROKEN: _ => { throw new Error('match failure'); } } },
+      data: { events: { BROKEN: { match: _ => true, data: _ => { throw new Error('data failure'); } } } },
+    };
+
+    for (const [callback, options] of Object.entries(cases)) {
+      it(`turns a failing ${callback} into an error`, async () => {
+        const Lua = createScriptedPlugin({ id: PLUGIN_ID, requests: ['configure'], ...options });
+        const handle = await env.session.attach(Lua);
+
+        /* A response rejects the pending request */
+        const body = (callback === 'getErrorCode') ? { fail: true } : {};
+        await assert.rejects(handle.configure(body), e => {
+          assert.ok(e instanceof Janode.JanodeError);
+          assert.equal(e.plugin, PLUGIN_ID);
+          assert.equal(e.cause.message, `${callback} failure`);
+          return true;
+        });
+
+        /* An async event is emitted as an error */
+        const error = nextEvent(handle, Lua.EVENT.ERROR);
+        env.mock.pushEvent(handle.id, (callback === 'getErrorCode') ? { error: 'x' } : { event: 'joined' });
+        assert.match((await error).message, new RegExp(`${callback} failure`));
+        await handle.detach();
+      });
+    }
+  });
+});
@@ -0,0 +1,216 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Janode from '../src/janode.js';
+import SipPlugin, { ERROR_CODE } from '../src/plugins/sip-plugin.js';
+import { startMock, rejectsWithPluginError, nextEvent } from './helpers.js';
+
+const { EVENT } = SipPlugin;
+const plugin = SipPlugin.id;
+const OFFER = { type: 'offer', sdp: 'v=0\r\n' };
+const ANSWER = { type: 'answer', sdp: 'v=0\r\n' };
+
+describe('sip plugin', () => {
+  let env;
+
+  before(async () => {
+    env = await startMock();
+  });
+
+  after(async () => {
+    await env.teardown();
+  });
+
+  /* Attach a handle registered as a guest with the given SIP URI */
+  const guest = async username => {
+    const handle = await env.session.attach(SipPlugin);
+    await handle.register({ username, type: 'guest', display_name: username.slice(4).split('@')[0] });
+    return handle;
+  };
+
+  describe('register', () => {
+    it('resolves a guest registration with the registered event', async () => {
+      const handle = await env.session.attach(SipPlugin);
+      const registered = await handle.register({ username: 'sip:guest@example.com', type: 'guest' });
+      assert.deepEqual(registered, { username: 'sip:guest@example.com', register_sent: false });
+      await handle.detach();
+    });
+
+    it('resolves a regular registration on registering and then emits registered', async () => {
+      const handle = await env.session.attach(SipPlugin);
+      const registered = nextEvent(handle, EVENT.SIP_REGISTERED);
+      const registering = await handle.register({ username: 'sip:alice@example.com', secret: 'secret', proxy: 'sip:example.com' });
+      assert.deepEqual(registering, {});
+      assert.deepEqual(await registered, { username: 'sip:alice@example.com', register_sent: true });
+
+      const unregistered = nextEvent(handle, EVENT.SIP_UNREGISTERED);
+      await handle.unregister();
+      assert.deepEqual(await unregistered, { username: 'sip:alice@example.com' });
+      await handle.detach();
+    });
+
+    it('rejects a failed registration with the SIP code', async () => {
+      const handle = await env.session.attach(SipPlugin);
+      await rejectsWithPluginError(handle.register({ username: 'sip:nopwd@example.com' }), { code: 401, plugin, request: 'register' });
+      await handle.detach();
+    });
+
+    it('rejects with the plugin error codes', async () => {
+      const handle = await env.session.attach(SipPlugin);
+      await rejectsWithPluginError(handle.register({ username: 'alice', type: 'guest' }), { code: ERROR_CODE.INVALID_ADDRESS, plugin, request: 'register' });
+      await handle.register({ username: 'sip:twice@example.com', type: 'guest' });
+      await rejectsWithPluginError(handle.register({ username: 'sip:twice@example.com', type: 'guest' }), { code: ERROR_CODE.ALREADY_REGISTERED, plugin, request: 'register' });
+      await rejectsWithPluginError(handle.sipHangup(), { code: ERROR_CODE.WRONG_STATE, plugin, request: 'hangup' });
+      await handle.detach();
+    });
+
+    it('validates a helper registration', async () => {
+      const handle = await env.session.attach(SipPlugin);
+      await assert.rejects(handle.register({ username: 'sip:helper@example.com', type: 'helper' }), Janode.JanodeError);
+      await handle.detach();
+    });
+  });
+
+  describe('calls', () => {
+    it('calls, accepts and hangs up', async () => {
+      const caller = await guest('sip:bob@example.com');
+      const callee = await guest('sip:carol@example.com');
+
+      const incoming = nextEvent(callee, EVENT.SIP_INCOMING_CALL);
+      const accepted = nextEvent(caller, EVENT.SIP_ACCEPTED);
+      const { call_id } = await caller.call({ uri: 'sip:carol@example.com', jsep: OFFER });
+      assert.equal(typeof call_id, 'string');
+      assert.equal(caller.call_id, call_id);
+
+      const call = await incoming;
+      assert.equal(call.call_id, call_id);
+      assert.equal(call.username, 'sip:bob@example.com');
+      assert.equal(call.displayname, 'bob');
+      assert.equal(call.callee, 'sip:carol@example.com');
+      assert.equal(call.jsep.type, 'offer');
+      assert.equal(callee.call_id, call_id);
+
+      const callee_accepted = nextEvent(callee, EVENT.SIP_ACCEPTED);
+      assert.deepEqual(await callee.accept({ jsep: ANSWER }), { call_id });
+      assert.deepEqual(await callee_accepted, { call_id, username: 'sip:bob@example.com' });
+      const { jsep, username } = await accepted;
+      assert.equal(jsep.type, 'answer');
+      assert.equal(username, 'sip:carol@example.com');
+
+      const caller_hangup = nextEvent(caller, EVENT.SIP_HANGUP);
+      const callee_hangup = nextEvent(callee, EVENT.SIP_HANGUP);
+      assert.deepEqual(await caller.sipHangup(), { call_id });
+      assert.deepEqual(await caller_hangup, { call_id, code: 200, reason: 'Session Terminated' });
+      assert.deepEqual(await callee_hangup, { call_id, code: 200, reason: 'Session Terminated' });
+      assert.equal(caller.call_id, null);
+      assert.equal(callee.call_id, null);
+
+      await caller.detach();
+      await callee.detach();
+    });
+
+    it('notifies a declined call to the caller', async () => {
+      const caller = await guest('sip:dave@example.com');
+      const callee = await guest('sip:erin@example.com');
+
+      const incoming = nextEvent(callee, EVENT.SIP_INCOMING_CALL);
+      const hangup = nextEvent(caller, EVENT.SIP_HANGUP);
+      const { call_id } = await caller.call({ uri: 'sip:erin@example.com', jsep: OFFER });
+      await incoming;
+      assert.deepEqual(await callee.decline({ code: 603 }), { call_id, code: 603 });
+      assert.deepEqual(await hangup, { call_id, code: 603, reason: 'Declined' });
+
+      await caller.detach();
+      await callee.detach();
+    });
+
+    it('hangs up a call to an unknown user', async () => {
+      const caller = await guest('sip:frank@example.com');
+      const hangup = nextEvent(caller, EVENT.SIP_HANGUP);
+      const { call_id } = await caller.call({ uri: 'sip:nobody@example.com', jsep: OFFER });
+      assert.deepEqual(await hangup, { call_id, code: 404, reason: 'Not Found' });
+      assert.equal(caller.call_id, null);
+      await caller.detach();
+    });
+
+    it('notifies a missed call to a busy callee', async () => {
+      const caller = await guest('sip:gina@example.com');
+      const callee = await guest('sip:hank@example.com');
+      const other = await guest('sip:ivan@example.com');
+
+      const incoming = nextEvent(callee, EVENT.SIP_INCOMING_CALL);
+      await caller.call({ uri: 'sip:hank@example.com', jsep: OFFER });
+      await incoming;
+
+      const missed = nextEvent(callee, EVENT.SIP_MISSED_CALL);
+      const busy = nextEvent(other, EVENT.SIP_HANGUP);
+      await other.call({ uri: 'sip:hank@example.com', jsep: OFFER });
+      assert.deepEqual(await missed, { caller: 'sip:ivan@example.com', displayname: 'ivan', callee: 'sip:hank@example.com' });
+      assert.equal((await busy).code, 486);
+
+      await caller.sipHangup();
+      await caller.detach();
+      await callee.detach();
+      await other.detach();
+    });
+
+    it('validates the jsep of a call', async () => {
+      const handle = await guest('sip:jill@example.com');
+      await assert.rejects(handle.call({ uri: 'sip:bob@example.com', jsep: ANSWER }), Janode.JanodeError);
+      await rejectsWithPluginError(handle.accept({ jsep: ANSWER }), { code: ERROR_CODE.WRONG_STATE, plugin, request: 'accept' });
+      await handle.detach();
+    });
+  });
+
+  describe('event mapping', () => {
+    const cases = [
+      [{ event: 'info', sender: 'sip:a@b', displayname: 'a', type: 'text/plain', content: 'hi', headers: { X: '1' } }, EVENT.SIP_INFO,
+        { sender: 'sip:a@b', displayname: 'a', type: 'text/plain', content: 'hi', headers: { X: '1' } }],
+      [{ event: 'message', sender: 'sip:a@b', displayname: 'a', content_type: 'text/plain', content: 'hi' }, EVENT.SIP_MESSAGE,
+        { sender: 'sip:a@b', displayname: 'a', content_type: 'text/plain', content: 'hi' }],
+      [{ event: 'messagedelivery', code: 202, reason: 'Accepted' }, EVENT.SIP_MESSAGE_DELIVERY, { code: 202, reason: 'Accepted' }],
+      [{ event: 'transfer', refer_id: 7, refer_to: 'sip:c@d', referred_by: 'sip:a@b' }, EVENT.SIP_TRANSFER,
+        { refer_id: 7, refer_to: 'sip:c@d', referred_by: 'sip:a@b' }],
+      [{ event: 'proceeding', code: 100 }, EVENT.SIP_PROCEEDING, { code: 100 }],
+      [{ event: 'ringing' }, EVENT.SIP_RINGING, {}],
+      [{ event: 'registration_failed', code: 403, reason: 'Forbidden' }, EVENT.SIP_REGISTRATION_FAILED, { code: 403, reason: 'Forbidden' }],
+      [{ event: 'hangup', code: 487, reason: 'Request Terminated', reason_header: 'Q.850', reason_header_cause: '16' }, EVENT.SIP_HANGUP,
+        { code: 487, reason: 'Request Terminated', reason_header: 'Q.850', reason_header_cause: '16' }],
+    ];
+
+    for (const [result, event, expected] of cases) {
+      it(`maps the async ${result.event} event`, async () => {
+        const handle = await env.session.attach(SipPlugin);
+        const emitted = nextEvent(handle, event);
+        env.mock.pushEvent(handle.id, { sip: 'event', result });
+        assert.deepEqual(await emitted, expected);
+        await handle.detach();
+      });
+    }
+
+    it('maps an async error to the error event', async () => {
+      const handle = await env.session.attach(SipPlugin);
+      const emitted = nextEvent(handle, EVENT.SIP_ERROR);
+      env.mock.pushEvent(handle.id, { sip: 'event', error_code: ERROR_CODE.IO_ERROR, error: 'I/O error' });
+      const error = await emitted;
+      assert.ok(error instanceof Janode.PluginError);
+      assert.equal(error.code, ERROR_CODE.IO_ERROR);
+      assert.equal(error.plugin, plugin);
+      await handle.detach();
+    });
+
+    it('keeps the call-id of an unrelated hangup', async () => {
+      const handle = await env.session.attach(SipPlugin);
+      const incoming = nextEvent(handle, EVENT.SIP_INCOMING_CALL);
+      env.mock.pushEvent(handle.id, { sip: 'event', call_id: 'first', result: { event: 'incomingcall', username: 'sip:a@b', callee: 'sip:c@d' } });
+      await incoming;
+      assert.equal(handle.call_id, 'first');
+
+      const hangup = nextEvent(handle, EVENT.SIP_HANGUP);
+      env.mock.pushEvent(handle.id, { sip: 'event', call_id: 'other', result: { event: 'hangup', code: 200, reason: 'BYE' } });
+      await hangup;
+      assert.equal(handle.call_id, 'first');
+      await handle.detach();
+    });
+  });
+});
@@ -0,0 +1,336 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Janode from '../src/janode.js';
+import StreamingPlugin, { ERROR_CODE } from '../src/plugins/streaming-plugin.js';
+import { startMock, rejectsWithPluginError, nextEvent } from './helpers.js';
+
+const { EVENT } = StreamingPlugin;
+const plugin = StreamingPlugin.id;
+
+describe('streaming plugin', () => {
+  let env;
+
+  before(async () => {
+    env = await startMock();
+  });
+
+  after(async () => {
+    await env.teardown();
+  });
+
+  describe('error codes', () => {
+    it('rejects requests on a missing mountpoint with NO_SUCH_MOUNTPOINT', async () => {
+      const handle = await env.session.attach(StreamingPlugin);
+      await rejectsWithPluginError(handle.watch({ id: 42 }), { code: ERROR_CODE.NO_SUCH_MOUNTPOINT, plugin, request: 'watch' });
+      await rejectsWithPluginError(handle.info({ id: 42 }), { code: ERROR_CODE.NO_SUCH_MOUNTPOINT, plugin, request: 'info' });
+      await rejectsWithPluginError(handle.destroyMountpoint({ id: 42 }), { code: ERROR_CODE.NO_SUCH_MOUNTPOINT, plugin, request: 'destroy' });
+      await handle.detach();
+    });
+
+    it('rejects a duplicate mountpoint id with CANT_CREATE', async () => {
+      const handle = await env.session.attach(StreamingPlugin);
+      await rejectsWithPluginError(handle.createRtpMountpoint({ id: 1, audio: { port: 5002, pt: 111, rtpmap: 'opus/48000/2' } }), { code: ERROR_CODE.CANT_CREATE, plugin, request: 'create' });
+      await handle.detach();
+    });
+  });
+
+  describe('mountpoint creation', () => {
+    let handle;
+
+    before(async () => {
+      handle = await env.session.attach(StreamingPlugin);
+    });
+
+    after(async () => {
+      await handle.detach();
+    });
+
+    it('creates a plain RTP mountpoint and returns its ports', async () => {
+      const created = await handle.createRtpMountpoint({ id: 10, name: 'rtp', description: 'RTP', audio: { port: 5002, pt: 111, rtpmap: 'opus/48000/2' }, video: { port: 0, pt: 96, rtpmap: 'VP8/90000' } });
+      assert.equal(created.id, 10);
+      assert.equal(created.name, 'rtp');
+      assert.equal(created.description, 'RTP');
+      assert.equal(created.audio_port, 5002);
+      assert.equal(typeof created.video_port, 'number');
+      assert.equal(created.data_port, undefined);
+      await handle.destroyMountpoint({ id: 10 });
+    });
+
+    it('creates the live and on demand file mountpoints', async () => {
+      const live = await handle.createFileMountpoint({ id: 11, filename: '/tmp/music.opus', live: true, description: 'live' });
+      assert.equal(live.id, 11);
+      assert.equal(live.description, 'live');
+      const ondemand = await handle.createFileMountpoint({ id: 12, filename: '/tmp/SPEECH.ALAW' });
+      assert.equal(ondemand.id, 12);
+
+      const { list } = await handle.list();
+      assert.equal(list.find(({ id }) => id === 11).type, 'live');
+      assert.equal(list.find(({ id }) => id === 12).type, 'ondemand');
+      await handle.destroyMountpoint({ id: 11 });
+      await handle.destroyMountpoint({ id: 12 });
+    });
+
+    it('validates the file of the file mountpoints', async () => {
+      for (const filename of [undefined, '', '/tmp/music.mp3', '/tmp/opus']) {
+        await assert.rejects(handle.createFileMountpoint({ filename }), e => e instanceof Janode.JanodeError && /\.opus\/\.alaw\/\.mulaw/.test(e.message));
+      }
+    });
+
+    it('creates a RTSP mountpoint', async () => {
+      const created = await handle.createRtspMountpoint({ id: 13, url: 'rtsp://10.0.0.5/stream', rtsp_user: 'cam', rtsp_pwd: 'pwd', video: { pt: 96, rtpmap: 'H264/90000' }, rtsp_failcheck: false });
+      assert.equal(created.id, 13);
+      assert.equal(created.audio_port, undefined);
+      const { list } = await handle.list();
+      assert.equal(list.find(({ id }) => id === 13).type, 'rtsp');
+      assert.equal((await handle.createRtspMountpoint({ id: 14, url: 'RTSPS://10.0.0.5/secure', audio: {} })).id, 14);
+      await handle.destroyMountpoint({ id: 13 });
+      await handle.destroyMountpoint({ id: 14 });
+    });
+
+    it('validates the url and the media of the RTSP mountpoints', async () => {
+      for (const url of [undefined, 'http://10.0.0.5/stream', 'rtsp:10.0.0.5']) {
+        await assert.rejects(handle.createRtspMountpoint({ url, video: {} }), /url must be a rtsp:\/\/ or rtsps:\/\/ url/);
+      }
+      await assert.rejects(handle.createRtspMountpoint({ url: 'rtsp://10.0.0.5/stream' }), /at least one of audio and video must be set/);
+      await assert.rejects(handle.createRtspMountpoint({ url: 'rtsp://10.0.0.5/stream', audio: null, video: true }), /at least one of audio and video must be set/);
+    });
+
+    it('hides the private mountpoints from the list', async () => {
+      await handle.createFileMountpoint({ id: 15, filename: '/tmp/music.opus', is_private: true });
+      const { list } = await handle.list();
+      assert.equal(list.some(({ id }) => id === 15), false);
+      await handle.destroyMountpoint({ id: 15 });
+    });
+  });
+
+  describe('multistream mountpoints', () => {
+    let handle;
+
+    const MEDIA = [
+      { type: 'audio', mid: 'a', port: 5002, pt: 111, codec: 'opus' },
+      { type: 'video', mid: 'v1', label: 'camera', msid: 'cam', port: 5004, rtcpport: 5005, pt: 96, codec: 'vp8', port2: 5006, port3: 5008 },
+      { type: 'video', mid: 'v2', port: 0, pt: 100, codec: 'vp9', fmtp: 'profile-id=2', svc: true },
+    ];
+
+    before(async () => {
+      handle = await env.session.attach(StreamingPlugin);
+    });
+
+    after(async () => {
+      await handle.detach();
+    });
+
+    it('validates the media', async () => {
+      await assert.rejects(handle.createRtpMountpoint({ media: [{ type: 'text', mid: 'a' }] }), /invalid media type text/);
+      await assert.rejects(handle.createRtpMountpoint({ media: [{ type: 'audio' }] }), /missing media mid/);
+      await assert.rejects(handle.createRtpMountpoint({ media: [{ type: 'audio', mid: '' }] }), /missing media mid/);
+      await assert.rejects(handle.createRtpMountpoint({ media: [{ type: 'audio', mid: 'a' }, { type: 'video', mid: 'a' }] }), /duplicated media mid a/);
+    });
+
+    it('creates a mountpoint and returns the ports per mid', async () => {
+      const { id, media } = await handle.createRtpMountpoint({ id: 20, media: MEDIA });
+      assert.equal(id, 20);
+      assert.deepEqual(media.map(({ mid, type, port }) => ({ mid, type, port })).slice(0, 2), [
+        { mid: 'a', type: 'audio', port: 5002 },
+        { mid: 'v1', type: 'video', port: 5004 },
+      ]);
+      assert.deepEqual(media[1], { mid: 'v1', type: 'video', msid: 'cam', port: 5004, rtcp_port: 5005, port_2: 5006, port_3: 5008 });
+      assert.equal(typeof media[2].port, 'number');
+      assert.notEqual(media[2].port, 0);
+    });
+
+    it('exposes the media descriptors in info and list', async () => {
+      const info = await handle.info({ id: 20 });
+      assert.deepEqual(info.media[1], { mid: 'v1', type: 'video', mindex: 1, label: 'camera', msid: 'cam', codec: 'vp8', pt: 96, port: 5004, rtcp_port: 5005, port_2: 5006, port_3: 5008 });
+      assert.equal(info.media[2].fmtp, 'profile-id=2');
+
+      const { list } = await handle.list();
+      assert.deepEqual(list.find(mp => mp.id === 20).media.map(({ mid }) => mid), ['a', 'v1', 'v2']);
+    });
+
+    it('exposes the media descriptors when watching', async () => {
+      const watcher = await env.session.attach(StreamingPlugin);
+      const { status, media } = await watcher.watch({ id: 20 });
+      assert.equal(status, 'preparing');
+      assert.deepEqual(media.map(({ mid, type }) => ({ mid, type })), [{ mid: 'a', type: 'audio' }, { mid: 'v1', type: 'video' }, { mid: 'v2', type: 'video' }]);
+      await watcher.detach();
+      await handle.destroyMountpoint({ id: 20 });
+    });
+
+    it('keeps only the known fields of the media in the status events', async () => {
+      const status = nextEvent(handle, EVENT.STREAMING_STATUS);
+      env.mock.pushEvent(handle.id, {
+        streaming: 'event',
+        result: { status: 'started' },
+        media: [
+          { mid: 'a', mindex: 0, type: 'audio', codec: 'opus', age_ms: 20, unknown: true },
+          { mid: 'v', mindex: 1, type: 'video', label: 7, port: '5004', simulcast: true },
+        ],
+      });
+      const { media } = await status;
+      assert.deepEqual(media, [
+        { mid: 'a', type: 'audio', mindex: 0, codec: 'opus', age_ms: 20 },
+        { mid: 'v', type: 'video', mindex: 1 },
+      ]);
+    });
+  });
+
+  describe('mountpoint management', () => {
+    let handle;
+
+    before(async () => {
+      handle = await env.session.attach(StreamingPlugin);
+      await handle.createRtpMountpoint({ id: 30, description: 'managed', secret: 'adminpwd', audio: { port: 0, pt: 111, rtpmap: 'opus/48000/2' }, video: { port: 0, pt: 96, rtpmap: 'VP8/90000' } });
+    });
+
+    after(async () => {
+      await handle.destroyMountpoint({ id: 30, secret: 'adminpwd' });
+      await handle.detach();
+    });
+
+    it('rejects an edit without properties to edit', async () => {
+      await assert.rejects(handle.editMountpoint({ id: 30, secret: 'adminpwd' }), e => {
+        assert.ok(e instanceof Janode.JanodeError);
+        assert.match(e.message, /no mountpoint property to edit/);
+        return true;
+      });
+      await assert.rejects(handle.editMountpoint({ id: 30, secret: 'adminpwd', permanent: true, new_is_private: 'yes' }), /no mountpoint property to edit/);
+    });
+
+    it('edits a mountpoint', async () => {
+      await rejectsWithPluginError(handle.editMountpoint({ id: 30, secret: 'wrong', new_description: 'edited' }), { code: ERROR_CODE.UNAUTHORIZED, plugin, request: 'edit' });
+      await rejectsWithPluginError(handle.editMountpoint({ id: 31, new_description: 'edited' }), { code: ERROR_CODE.NO_SUCH_MOUNTPOINT, plugin, request: 'edit' });
+
+      const edited = await handle.editMountpoint({ id: 30, secret: 'adminpwd', new_description: 'edited', new_metadata: 'meta' });
+      assert.equal(edited.id, 30);
+      const { description, metadata } = await handle.info({ id: 30 });
+      assert.deepEqual({ description, metadata }, { description: 'edited', metadata: 'meta' });
+    });
+
+    it('reports the viewers and the media stats in info', async () => {
+      const watchers = [await env.session.attach(StreamingPlugin), await env.session.attach(StreamingPlugin)];
+      for (const watcher of watchers) await watcher.watch({ id: 30 });
+
+      const { stats } = await handle.info({ id: 30 });
+      assert.deepEqual(stats, { viewers: 2, enabled: true, media: [{ type: 'audio', age_ms: 20 }, { type: 'video', age_ms: 20 }] });
+
+      await watchers[0].stop();
+      assert.equal((await handle.info({ id: 30 })).stats.viewers, 1);
+      await watchers[1].stop();
+      for (const watcher of watchers) await watcher.detach();
+    });
+
+    it('reports the disabled mountpoints in the stats', async () => {
+      await rejectsWithPluginError(handle.disable({ id: 30 }), { code: ERROR_CODE.UNAUTHORIZED, plugin, request: 'disable' });
+      await handle.disable({ id: 30, secret: 'adminpwd' });
+      assert.equal((await handle.info({ id: 30 })).stats.enabled, false);
+      await handle.enable({ id: 30, secret: 'adminpwd' });
+      assert.equal((await handle.info({ id: 30 })).stats.enabled, true);
+    });
+
+    it('reports the media stats per mid of multistream mountpoints', async () => {
+      await handle.createRtpMountpoint({ id: 32, media: [{ type: 'audio', mid: 'a', port: 5012 }, { type: 'video', mid: 'v', port: 5014 }] });
+      const { stats } = await handle.info({ id: 32 });
+      assert.deepEqual(stats.media.map(({ mid, type }) => ({ mid, type })), [{ mid: 'a', type: 'audio' }, { mid: 'v', type: 'video' }]);
+      assert.equal(stats.viewers, 0);
+      await handle.destroyMountpoint({ id: 32 });
+    });
+
+    it('kicks all the viewers', async () => {
+      await rejectsWithPluginError(handle.kickAll({ id: 30 }), { code: ERROR_CODE.UNAUTHORIZED, plugin, request: 'kick_all' });
+
+      const watcher = await env.session.attach(StreamingPlugin);
+      await watcher.watch({ id: 30 });
+      const stopped = nextEvent(watcher, EVENT.STREAMING_STATUS);
+      assert.deepEqual(await handle.kickAll({ id: 30, secret: 'adminpwd' }), {});
+      assert.equal((await stopped).status, 'stopped');
+      assert.equal((await handle.info({ id: 30 })).stats.viewers, 0);
+      await watcher.detach();
+    });
+  });
+
+  describe('recordings', () => {
+    let handle;
+
+    before(async () => {
+      handle = await env.session.attach(StreamingPlugin);
+    });
+
+    after(async () => {
+      await handle.detach();
+    });
+
+    beforeEach(async () => {
+      await handle.createRtpMountpoint({ id: 40, secret: 'adminpwd', audio: { port: 0, pt: 111, rtpmap: 'opus/48000/2' }, video: { port: 0, pt: 96, rtpmap: 'VP8/90000' } });
+    });
+
+    afterEach(async () => {
+      await handle.destroyMountpoint({ id: 40, secret: 'adminpwd' }).catch(_ => null);
+      handle.recordings.clear();
+    });
+
+    it('tracks the started and the stopped recordings', async () => {
+      await rejectsWithPluginError(handle.startRecording({ id: 40, audio: '/tmp/a.mjr' }), { code: ERROR_CODE.UNAUTHORIZED, plugin, request: 'recording' });
+      assert.equal(handle.recordings.size, 0);
+
+      assert.deepEqual(await handle.startRecording({ id: 40, audio: '/tmp/a.mjr', secret: 'adminpwd' }), {});
+      await handle.startRecording({ id: 40, video: '/tmp/v.mjr', secret: 'adminpwd' });
+      assert.deepEqual(handle.recordings.get('40'), { audio: '/tmp/a.mjr', video: '/tmp/v.mjr' });
+
+      await handle.stopRecording({ id: 40, audio: true, video: false, data: false, secret: 'adminpwd' });
+      assert.deepEqual(handle.recordings.get('40'), { video: '/tmp/v.mjr' });
+      await handle.stopRecording({ id: 40, secret: 'adminpwd' });
+      assert.equal(handle.recordings.has('40'), false);
+    });
+
+    it('normalises the mountpoint ids', async () => {
+      await handle.startRecording({ id: 40, audio: '/tmp/a.mjr', secret: 'adminpwd' });
+      await handle.startRecording({ id: '40', video: '/tmp/v.mjr', secret: 'adminpwd' });
+      assert.deepEqual(Array.from(handle.recordings.keys()), ['40']);
+      assert.deepEqual(handle.recordings.get('40'), { audio: '/tmp/a.mjr', video: '/tmp/v.mjr' });
+
+      await handle.stopRecording({ id: '40', secret: 'adminpwd' });
+      assert.equal(handle.recordings.size, 0);
+    });
+
+    it('drops the recordings of a mountpoint disabled with stop_recording', async () => {
+      await handle.startRecording({ id: 40, audio: '/tmp/a.mjr', secret: 'adminpwd' });
+      await handle.disable({ id: '40', stop_recording: false, secret: 'adminpwd' });
+      assert.equal(handle.recordings.has('40'), true);
+      await handle.disable({ id: '40', secret: 'adminpwd' });
+      assert.equal(handle.recordings.has('40'), false);
+    });
+
+    it('drops the recordings of a destroyed mountpoint', async () => {
+      await handle.startRecording({ id: 40, audio: '/tmp/a.mjr', secret: 'adminpwd' });
+      await handle.destroyMountpoint({ id: '40', secret: 'adminpwd' });
+      assert.equal(handle.recordings.size, 0);
+
+      /* The destroyed events of the mountpoints destroyed by others */
+      handle.recordings.set('41', { audio: '/tmp/a.mjr' });
+      env.mock.pushEvent(handle.id, { streaming: 'destroyed', destroyed: 41 });
+      /* The event is handled before the response to a later request */
+      await handle.list();
+      assert.equal(handle.recordings.size, 0);
+    });
+
+    it('reports the recording flag in info', async () => {
+      assert.equal((await handle.info({ id: 40 })).recording, false);
+      await handle.startRecording({ id: '40', audio: '/tmp/a.mjr', secret: 'adminpwd' });
+      /* Tracked by the handle, even when Janus does not report it */
+      assert.equal((await handle.info({ id: 40 })).recording, true);
+
+      /* Reported by Janus to the other handles providing the secret */
+      const other = await env.session.attach(StreamingPlugin);
+      assert.equal((await other.info({ id: 40 })).recording, false);
+      const info = await other.info({ id: 40, secret: 'adminpwd' });
+      assert.equal(info.recording, true);
+      assert.equal(info.audio_rec, '/tmp/a.mjr');
+      await other.detach();
+
+      await handle.stopRecording({ id: 40, secret: 'adminpwd' });
+      assert.equal((await handle.info({ id: 40 })).recording, false);
+    });
+  });
+});
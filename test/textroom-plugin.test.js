@@ -0,0 +1,133 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Janode from '../src/janode.js';
+import TextRoomPlugin, { ERROR_CODE } from '../src/plugins/textroom-plugin.js';
+import { startMock, rejectsWithPluginError, nextEvent } from './helpers.js';
+
+const { EVENT } = TextRoomPlugin;
+const plugin = TextRoomPlugin.id;
+
+describe('textroom plugin', () => {
+  let env;
+  let handle;
+
+  before(async () => {
+    env = await startMock();
+    handle = await env.session.attach(TextRoomPlugin);
+  });
+
+  after(async () => {
+    await handle.detach();
+    await env.teardown();
+  });
+
+  describe('datachannel setup', () => {
+    it('sets up, acks and restarts the datachannel', async () => {
+      const { jsep } = await handle.setup();
+      assert.equal(jsep.type, 'offer');
+      assert.deepEqual(await handle.ack({ jsep: { type: 'answer', sdp: 'v=0\r\n' } }), {});
+      assert.equal((await handle.restart()).jsep.type, 'offer');
+    });
+
+    it('only acks with an answer', async () => {
+      await assert.rejects(handle.ack({ jsep: { type: 'offer', sdp: 'v=0\r\n' } }), Janode.JanodeError);
+      await assert.rejects(handle.ack({}), Janode.JanodeError);
+    });
+  });
+
+  describe('management requests', () => {
+    it('creates, edits, lists and destroys a room', async () => {
+      assert.deepEqual(await handle.create({ room: 42, description: 'chat', secret: 'pwd' }), { room: 42, permanent: false });
+      assert.deepEqual(await handle.exists({ room: 42 }), { room: 42, exists: true });
+      assert.deepEqual(await handle.edit({ room: 42, secret: 'pwd', new_description: 'renamed', new_secret: 'new' }), { room: 42, permanent: false });
+
+      const { list } = await handle.list();
+      assert.equal(list.find(({ room }) => room === 42).description, 'renamed');
+      assert.deepEqual(await handle.listParticipants({ room: 42 }), { room: 42, participants: [] });
+
+      assert.deepEqual(await handle.destroy({ room: 42, secret: 'new' }), { room: 42, permanent: false });
+      assert.deepEqual(await handle.exists({ room: 42 }), { room: 42, exists: false });
+    });
+
+    it('hides the private rooms from the list', async () => {
+      await handle.create({ room: 43, is_private: true });
+      const { list } = await handle.list();
+      assert.equal(list.some(({ room }) => room === 43), false);
+      await handle.destroy({ room: 43 });
+    });
+
+    it('manages the allowed tokens', async () => {
+      await handle.create({ room: 44 });
+      assert.deepEqual(await handle.allow({ room: 44, action: 'add', list: ['a', 'b'] }), { room: 44, list: ['a', 'b'] });
+      assert.deepEqual(await handle.allow({ room: 44, action: 'remove', list: ['a'] }), { room: 44, list: ['b'] });
+      await rejectsWithPluginError(handle.allow({ room: 44, action: 'toggle' }), { code: ERROR_CODE.INVALID_ELEMENT, plugin, request: 'allowed' });
+      await handle.destroy({ room: 44 });
+    });
+
+    it('sends announcements and messages', async () => {
+      assert.deepEqual(await handle.announcement({ room: 1234, text: 'hello' }), { room: 1234 });
+      assert.deepEqual(await handle.sendMessage({ room: 1234, text: 'hi', to: 'alice' }), { room: 1234 });
+    });
+
+    it('rejects with the plugin error codes', async () => {
+      await rejectsWithPluginError(handle.create({ room: 1234 }), { code: ERROR_CODE.ROOM_EXISTS, plugin, request: 'create' });
+      await rejectsWithPluginError(handle.destroy({ room: 4321 }), { code: ERROR_CODE.NO_SUCH_ROOM, plugin, request: 'destroy' });
+      await rejectsWithPluginError(handle.listParticipants({ room: 4321 }), { code: ERROR_CODE.NO_SUCH_ROOM, plugin, request: 'listparticipants' });
+      await rejectsWithPluginError(handle.kick({ room: 1234, username: 'nobody' }), { code: ERROR_CODE.NO_SUCH_USER, plugin, request: 'kick' });
+
+      await handle.create({ room: 45, secret: 'pwd' });
+      await rejectsWithPluginError(handle.edit({ room: 45, secret: 'wrong', new_description: 'x' }), { code: ERROR_CODE.UNAUTHORIZED, plugin, request: 'edit' });
+      await rejectsWithPluginError(handle.announcement({ room: 45, text: 'x' }), { code: ERROR_CODE.UNAUTHORIZED, plugin, request: 'announcement' });
+      await handle.destroy({ room: 45, secret: 'pwd' });
+    });
+  });
+
+  describe('receiveData', () => {
+    const cases = [
+      [{ textroom: 'join', room: 1234, username: 'alice', display: 'Alice' }, EVENT.TEXTROOM_PEER_JOINED,
+        { room: 1234, username: 'alice', display: 'Alice' }],
+      [{ textroom: 'leave', room: 1234, username: 'alice' }, EVENT.TEXTROOM_PEER_LEAVING, { room: 1234, username: 'alice' }],
+      [{ textroom: 'message', room: 1234, from: 'alice', date: '2026-01-01T00:00:00', text: 'hi' }, EVENT.TEXTROOM_MESSAGE,
+        { room: 1234, from: 'alice', date: '2026-01-01T00:00:00', text: 'hi', whisper: false }],
+      [{ textroom: 'message', room: 1234, from: 'alice', date: '2026-01-01T00:00:00', text: 'psst', whisper: true }, EVENT.TEXTROOM_MESSAGE,
+        { room: 1234, from: 'alice', date: '2026-01-01T00:00:00', text: 'psst', whisper: true }],
+      [{ textroom: 'announcement', room: 1234, date: '2026-01-01T00:00:00', text: 'news' }, EVENT.TEXTROOM_ANNOUNCEMENT,
+        { room: 1234, date: '2026-01-01T00:00:00', text: 'news' }],
+      [{ textroom: 'kicked', room: 1234, username: 'bob' }, EVENT.TEXTROOM_KICKED, { room: 1234, username: 'bob' }],
+      [{ textroom: 'destroyed', room: 1234 }, EVENT.TEXTROOM_DESTROYED, { room: 1234 }],
+    ];
+
+    for (const [payload, event, expected] of cases) {
+      it(`emits the event of a ${payload.textroom} payload`, async () => {
+        const emitted = nextEvent(handle, event);
+        const handled = handle.receiveData(JSON.stringify(payload));
+        assert.equal(handled.event, event);
+        assert.deepEqual(await emitted, expected);
+      });
+    }
+
+    it('accepts parsed payloads', async () => {
+      const emitted = nextEvent(handle, EVENT.TEXTROOM_PEER_JOINED);
+      assert.ok(handle.receiveData({ textroom: 'join', room: 1234, username: 'carol' }));
+      assert.deepEqual(await emitted, { room: 1234, username: 'carol' });
+    });
+
+    it('emits the errors', async () => {
+      const emitted = nextEvent(handle, EVENT.TEXTROOM_ERROR);
+      handle.receiveData({ textroom: 'error', error_code: ERROR_CODE.NOT_IN_ROOM, error: 'Not in room' });
+      const error = await emitted;
+      assert.ok(error instanceof Janode.PluginError);
+      assert.equal(error.code, ERROR_CODE.NOT_IN_ROOM);
+      assert.equal(error.plugin, plugin);
+    });
+
+    it('ignores the invalid payloads', () => {
+      assert.equal(handle.receiveData('{ not json'), null);
+      assert.equal(handle.receiveData('42'), null);
+      assert.equal(handle.receiveData(null), null);
+      assert.equal(handle.receiveData({ videoroom: 'event' }), null);
+      assert.equal(handle.receiveData({ textroom: 'unknown' }), null);
+    });
+  });
+});
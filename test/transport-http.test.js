@@ -0,0 +1,107 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Janode from '../src/janode.js';
+import { MockJanusServer } from '../src/mock-server.js';
+import EchoTestPlugin from '../src/plugins/echotest-plugin.js';
+import VideoRoomPlugin from '../src/plugins/videoroom-plugin.js';
+import { nextEvent } from './helpers.js';
+
+const { EVENT, TransportError } = Janode;
+
+describe('http transport', () => {
+  let mock;
+  let connection;
+
+  before(async () => {
+    mock = new MockJanusServer({ session_timeout_secs: 0 });
+    await mock.start();
+  });
+
+  after(async () => {
+    await mock.stop();
+  });
+
+  beforeEach(async () => {
+    connection = await Janode.connect({ address: { url: mock.http_url } });
+  });
+
+  afterEach(async () => {
+    mock.clearFaults();
+    await connection.close().catch(_ => { });
+  });
+
+  it('pings the server when opening', async () => {
+    mock.addFault({ request: 'ping', error: { code: 490, reason: 'Unknown' } });
+    await assert.rejects(Janode.connect({ address: { url: mock.http_url }, max_retries: 1 }), TransportError);
+  });
+
+  it('sends the requests with a POST and handles the responses', async () => {
+    const info = await connection.getInfo();
+    assert.equal(info.janus, 'server_info');
+
+    const session = await connection.create();
+    const handle = await session.attach(VideoRoomPlugin);
+    /* A synchronous plugin response */
+    const { exists } = await handle.exists({ room: 1234 });
+    assert.equal(exists, true);
+    await handle.detach();
+    await session.destroy();
+  });
+
+  it('delivers the async events through the long-poll', async () => {
+    const session = await connection.create();
+    const handle = await session.attach(EchoTestPlugin);
+    const { plugindata: { data } } = await handle.message({ audio: true });
+    assert.equal(data.result, 'ok');
+
+    const detached = nextEvent(handle, EVENT.HANDLE_DETACHED);
+    await handle.detach();
+    await detached;
+    await session.destroy();
+  });
+
+  it('retries a failed long-poll', async () => {
+    const session = await connection.create();
+    const handle = await session.attach(EchoTestPlugin);
+    mock.addFault({ request: 'longpoll', drop: true });
+
+    /* The event is delivered by the pending long-poll, the following one gets dropped */
+    await handle.message({ audio: true });
+    const start = Date.now();
+    const { plugindata: { data } } = await handle.message({ audio: true }, null, { timeout_secs: 5 });
+    assert.equal(data.result, 'ok');
+    assert.ok(Date.now() - start >= 500, 'the event should be delivered by the retried long-poll');
+    await session.destroy();
+  });
+
+  it('stops the long-poll of a destroyed session', async () => {
+    const session = await connection.create();
+    const pollers = connection._transport._pollers;
+    assert.equal(pollers.has(session.id), true);
+    await session.destroy();
+    assert.equal(pollers.has(session.id), false);
+  });
+
+  it('stops the long-poll of a timed out session', async () => {
+    const session = await connection.create();
+    const pollers = connection._transport._pollers;
+    const destroyed = nextEvent(session, EVENT.SESSION_DESTROYED);
+    /* Let the first long-poll reach the server, a later one would just find the session gone */
+    await new Promise(resolve => setTimeout(resolve, 100));
+    mock.expireSession(session.id);
+    await destroyed;
+    assert.equal(pollers.has(session.id), false);
+  });
+
+  it('closes the transport when the server is unreachable', async () => {
+    const gone = new MockJanusServer({ session_timeout_secs: 0 });
+    await gone.start();
+    const gone_connection = await Janode.connect({ address: { url: gone.http_url } });
+    await gone_connection.create();
+
+    const failed = nextEvent(gone_connection, EVENT.CONNECTION_ERROR);
+    await gone.stop();
+    assert.ok(await failed instanceof TransportError);
+  });
+});
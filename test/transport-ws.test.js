@@ -0,0 +1,93 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Janode from '../src/janode.js';
+import { MockJanusServer } from '../src/mock-server.js';
+import EchoTestPlugin from '../src/plugins/echotest-plugin.js';
+import { nextEvent } from './helpers.js';
+
+const { EVENT } = Janode;
+
+const config = url => ({ address: { url }, reconnect: true, retry_time_secs: 0.1, max_retries: 20 });
+
+describe('websocket transport reconnection', () => {
+  let mock;
+  let connection;
+
+  before(async () => {
+    mock = new MockJanusServer({ session_timeout_secs: 0 });
+    await mock.start();
+  });
+
+  after(async () => {
+    await mock.stop();
+  });
+
+  beforeEach(async () => {
+    connection = await Janode.connect(config(mock.url));
+  });
+
+  afterEach(async () => {
+    await connection.close().catch(_ => { });
+  });
+
+  it('claims the live sessions after a reconnection', async () => {
+    const session = await connection.create();
+    const handle = await session.attach(EchoTestPlugin);
+
+    const reconnecting = nextEvent(connection, EVENT.CONNECTION_RECONNECTING);
+    const reconnected = nextEvent(connection, EVENT.CONNECTION_RECONNECTED);
+    mock.dropConnections();
+    await reconnecting;
+    const { sessions } = await reconnected;
+    assert.deepEqual(sessions, [session.id]);
+
+    /* The async events of the claimed session are delivered on the new websocket */
+    const { plugindata: { data } } = await handle.message({ audio: true });
+    assert.equal(data.result, 'ok');
+    await session.destroy();
+  });
+
+  it('destroys the sessions that can not be claimed', async () => {
+    const alive = await connection.create();
+    const expired = await connection.create();
+    const destroyed = nextEvent(expired, EVENT.SESSION_DESTROYED);
+    const reconnected = nextEvent(connection, EVENT.CONNECTION_RECONNECTED);
+
+    mock.dropConnections();
+    /* The session times out while the websocket is down */
+    mock.expireSession(expired.id);
+
+    const { sessions } = await reconnected;
+    assert.deepEqual(sessions, [alive.id]);
+    assert.equal((await destroyed).id, expired.id);
+    await alive.destroy();
+  });
+
+  it('rejects the pending requests when the websocket drops', async () => {
+    const session = await connection.create();
+    const handle = await session.attach(EchoTestPlugin);
+    mock.addFault({ request: 'message', drop: true });
+
+    const pending = handle.message({ audio: true });
+    /* Let the request reach the mock before dropping the websocket */
+    await new Promise(resolve => setTimeout(resolve, 50));
+    mock.dropConnections();
+    await assert.rejects(pending, Janode.TransportError);
+    await nextEvent(connection, EVENT.CONNECTION_RECONNECTED);
+    await session.destroy();
+  });
+
+  it('resolves a close during a reconnection', async () => {
+    const gone = new MockJanusServer({ session_timeout_secs: 0 });
+    await gone.start();
+    const gone_connection = await Janode.connect(config(gone.url));
+    const reconnecting = nextEvent(gone_connection, EVENT.CONNECTION_RECONNECTING);
+    const closed = nextEvent(gone_connection, EVENT.CONNECTION_CLOSED);
+
+    await gone.stop();
+    await reconnecting;
+    await gone_connection.close();
+    await closed;
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Janode from '../src/janode.js';
+import VideoCallPlugin, { ERROR_CODE } from '../src/plugins/videocall-plugin.js';
+import { startMock, rejectsWithPluginError, nextEvent } from './helpers.js';
+
+const { EVENT } = VideoCallPlugin;
+const plugin = VideoCallPlugin.id;
+const OFFER = { type: 'offer', sdp: 'v=0\r\n' };
+const ANSWER = { type: 'answer', sdp: 'v=0\r\n' };
+
+describe('videocall plugin', () => {
+  let env;
+
+  before(async () => {
+    env = await startMock();
+  });
+
+  after(async () => {
+    await env.teardown();
+  });
+
+  const registered = async username => {
+    const handle = await env.session.attach(VideoCallPlugin);
+    await handle.register({ username });
+    return handle;
+  };
+
+  describe('register and list', () => {
+    it('registers a username and lists it', async () => {
+      const handle = await env.session.attach(VideoCallPlugin);
+      assert.deepEqual(await handle.register({ username: 'alice' }), { username: 'alice' });
+      assert.equal(handle.username, 'alice');
+      const { list } = await handle.list();
+      assert.ok(list.includes('alice'));
+      await handle.detach();
+    });
+
+    it('rejects with the plugin error codes', async () => {
+      const first = await registered('bob');
+      const second = await env.session.attach(VideoCallPlugin);
+      await rejectsWithPluginError(second.register({ username: 'bob' }), { code: ERROR_CODE.USERNAME_TAKEN, plugin, request: 'register' });
+      await rejectsWithPluginError(first.register({ username: 'other' }), { code: ERROR_CODE.ALREADY_REGISTERED, plugin, request: 'register' });
+      await rejectsWithPluginError(second.call({ username: 'bob', jsep: OFFER }), { code: ERROR_CODE.REGISTER_FIRST, plugin, request: 'call' });
+      await rejectsWithPluginError(first.call({ username: 'bob', jsep: OFFER }), { code: ERROR_CODE.USE_ECHO_TEST, plugin, request: 'call' });
+      await rejectsWithPluginError(first.call({ username: 'nobody', jsep: OFFER }), { code: ERROR_CODE.NO_SUCH_USERNAME, plugin, request: 'call' });
+      await rejectsWithPluginError(first.accept({ jsep: ANSWER }), { code: ERROR_CODE.NO_CALL, plugin, request: 'accept' });
+      await first.detach();
+      await second.detach();
+    });
+
+    it('validates the jsep', async () => {
+      const handle = await env.session.attach(VideoCallPlugin);
+      await assert.rejects(handle.call({ username: 'bob', jsep: ANSWER }), Janode.JanodeError);
+      await assert.rejects(handle.accept({ jsep: OFFER }), Janode.JanodeError);
+      await handle.detach();
+    });
+  });
+
+  describe('calls', () => {
+    it('calls, accepts, sets the simulcast layers and hangs up', async () => {
+      const caller = await registered('carol');
+      const callee = await registered('dave');
+
+      const incoming = nextEvent(callee, EVENT.VIDEOCALL_INCOMING_CALL);
+      const accepted = nextEvent(caller, EVENT.VIDEOCALL_ACCEPTED);
+      assert.deepEqual(await caller.call({ username: 'dave', jsep: OFFER }), {});
+      assert.equal(caller.peer, 'dave');
+
+      const call = await incoming;
+      assert.equal(call.username, 'carol');
+      assert.equal(call.jsep.type, 'offer');
+      assert.equal(callee.peer, 'carol');
+
+      assert.deepEqual(await callee.accept({ jsep: ANSWER }), {});
+      const { username, jsep } = await accepted;
+      assert.equal(username, 'dave');
+      assert.equal(jsep.type, 'answer');
+
+      const simulcast = nextEvent(caller, EVENT.VIDEOCALL_SIMULCAST);
+      assert.deepEqual(await caller.set({ substream: 1, temporal: 0, bitrate: 256000 }), {});
+      assert.deepEqual(await simulcast, { videocodec: 'vp8', substream: 1, temporal: 0 });
+
+      const remote_hangup = nextEvent(callee, EVENT.VIDEOCALL_HANGUP);
+      assert.deepEqual(await caller.callHangup(), { username: 'carol', reason: 'Explicit hangup' });
+      assert.deepEqual(await remote_hangup, { username: 'carol', reason: 'Remote hangup' });
+      assert.equal(caller.peer, null);
+      assert.equal(callee.peer, null);
+
+      await caller.detach();
+      await callee.detach();
+    });
+
+    it('hangs up a call to a busy user', async () => {
+      const caller = await registered('erin');
+      const callee = await registered('frank');
+      const other = await registered('gina');
+
+      const incoming = nextEvent(callee, EVENT.VIDEOCALL_INCOMING_CALL);
+      await caller.call({ username: 'frank', jsep: OFFER });
+      await incoming;
+
+      const busy = nextEvent(other, EVENT.VIDEOCALL_HANGUP);
+      await other.call({ username: 'frank', jsep: OFFER });
+      assert.deepEqual(await busy, { username: 'frank', reason: 'User busy' });
+      assert.equal(other.peer, null);
+
+      await caller.callHangup();
+      await caller.detach();
+      await callee.detach();
+      await other.detach();
+    });
+
+    it('renegotiates with set', async () => {
+      const handle = await registered('hank');
+      const { jsep } = await handle.set({ audio: false, jsep: OFFER });
+      assert.equal(jsep.type, 'answer');
+      await handle.detach();
+    });
+  });
+
+  describe('async events', () => {
+    it('maps the update, slow link and error events', async () => {
+      const handle = await env.session.attach(VideoCallPlugin);
+
+      const update = nextEvent(handle, EVENT.VIDEOCALL_UPDATE);
+      env.mock.pushEvent(handle.id, { videocall: 'event', result: { event: 'update' } }, OFFER);
+      assert.deepEqual(await update, { jsep: OFFER });
+
+      const slowlink = nextEvent(handle, EVENT.VIDEOCALL_SLOWLINK);
+      env.mock.pushEvent(handle.id, { videocall: 'event', result: { event: 'slow_link', media: 'video', uplink: true, 'current-bitrate': 128000 } });
+      assert.deepEqual(await slowlink, { media: 'video', uplink: true, bitrate: 128000 });
+
+      const failure = nextEvent(handle, EVENT.VIDEOCALL_ERROR);
+      env.mock.pushEvent(handle.id, { videocall: 'event', error_code: ERROR_CODE.INVALID_SDP, error: 'Invalid SDP' });
+      const error = await failure;
+      assert.ok(error instanceof Janode.PluginError);
+      assert.equal(error.code, ERROR_CODE.INVALID_SDP);
+      await handle.detach();
+    });
+  });
+});
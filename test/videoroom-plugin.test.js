@@ -0,0 +1,269 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import Janode from '../src/janode.js';
+import VideoRoomPlugin, { ERROR_CODE, cascadePublisher } from '../src/plugins/videoroom-plugin.js';
+import { startMock, rejectsWithPluginError, nextEvent } from './helpers.js';
+
+const { EVENT } = VideoRoomPlugin;
+const plugin = VideoRoomPlugin.id;
+const OFFER = { type: 'offer', sdp: 'v=0\r\n' };
+
+describe('videoroom plugin', () => {
+  let env;
+
+  before(async () => {
+    env = await startMock();
+  });
+
+  after(async () => {
+    await env.teardown();
+  });
+
+  describe('error codes', () => {
+    it('rejects the join of a missing room with NO_SUCH_ROOM', async () => {
+      const handle = await env.session.attach(VideoRoomPlugin);
+      await rejectsWithPluginError(handle.joinPublisher({ room: 4321 }), { code: ERROR_CODE.NO_SUCH_ROOM, plugin, request: 'join' });
+      await handle.detach();
+    });
+
+    it('rejects a duplicate publisher id with ID_EXISTS', async () => {
+      const first = await env.session.attach(VideoRoomPlugin);
+      const second = await env.session.attach(VideoRoomPlugin);
+      await first.joinPublisher({ room: 1234, feed: 99 });
+      await rejectsWithPluginError(second.joinPublisher({ room: 1234, feed: 99 }), { code: ERROR_CODE.ID_EXISTS, plugin, request: 'join' });
+      await first.leave();
+      await first.detach();
+      await second.detach();
+    });
+
+    it('rejects the subscription to a missing feed with NO_SUCH_FEED', async () => {
+      const handle = await env.session.attach(VideoRoomPlugin);
+      await rejectsWithPluginError(handle.joinSubscriber({ room: 1234, feed: 42 }), { code: ERROR_CODE.NO_SUCH_FEED, plugin, request: 'join' });
+      await handle.detach();
+    });
+
+    it('rejects configure without joining with JOIN_FIRST', async () => {
+      const handle = await env.session.attach(VideoRoomPlugin);
+      await rejectsWithPluginError(handle.configure({ audio: true }), { code: ERROR_CODE.JOIN_FIRST, plugin, request: 'configure' });
+      await handle.detach();
+    });
+
+    it('rejects unpublish without publishing with NOT_PUBLISHED', async () => {
+      const handle = await env.session.attach(VideoRoomPlugin);
+      await handle.joinPublisher({ room: 1234 });
+      await rejectsWithPluginError(handle.unpublish(), { code: ERROR_CODE.NOT_PUBLISHED, plugin, request: 'unpublish' });
+      await handle.leave();
+      await handle.detach();
+    });
+
+    it('rejects room management requests with ROOM_EXISTS and NO_SUCH_ROOM', async () => {
+      const handle = await env.session.attach(VideoRoomPlugin);
+      await rejectsWithPluginError(handle.create({ room: 1234 }), { code: ERROR_CODE.ROOM_EXISTS, plugin, request: 'create' });
+      await rejectsWithPluginError(handle.destroy({ room: 4321 }), { code: ERROR_CODE.NO_SUCH_ROOM, plugin, request: 'destroy' });
+      await handle.detach();
+    });
+  });
+
+  describe('moderation', () => {
+    it('validates the moderate parameters', async () => {
+      const handle = await env.session.attach(VideoRoomPlugin);
+      await assert.rejects(handle.moderate({ room: 1234, mid: '0', mute: true }), /feed must be a number or a string/);
+      await assert.rejects(handle.moderate({ room: 1234, feed: 1, mid: 0, mute: true }), /mid must be a string/);
+      await assert.rejects(handle.moderate({ room: 1234, feed: 1, mid: '0', mute: 'yes' }), /mute must be a boolean/);
+      await handle.detach();
+    });
+
+    it('mutes and unmutes a stream, notifying the room', async () => {
+      const publisher = await env.session.attach(VideoRoomPlugin);
+      const { feed } = await publisher.joinConfigurePublisher({ room: 1234, jsep: OFFER });
+      const moderator = await env.session.attach(VideoRoomPlugin);
+
+      const muted = nextEvent(publisher, EVENT.VIDEOROOM_MODERATED);
+      assert.deepEqual(await moderator.moderate({ room: 1234, feed, mid: '1', mute: true }), { room: 1234, feed, mid: '1', muted: true });
+      assert.deepEqual(await muted, { room: 1234, feed, mid: '1', muted: true });
+
+      const unmuted = nextEvent(publisher, EVENT.VIDEOROOM_MODERATED);
+      assert.deepEqual(await moderator.moderate({ room: 1234, feed, mid: '1', mute: false }), { room: 1234, feed, mid: '1', muted: false });
+      assert.deepEqual(await unmuted, { room: 1234, feed, mid: '1', muted: false });
+
+      await rejectsWithPluginError(moderator.moderate({ room: 1234, feed, mid: '9', mute: true }), { code: ERROR_CODE.NO_SUCH_FEED, plugin, request: 'moderate' });
+      await rejectsWithPluginError(moderator.moderate({ room: 4321, feed, mid: '1', mute: true }), { code: ERROR_CODE.NO_SUCH_ROOM, plugin, request: 'moderate' });
+
+      await publisher.leave();
+      await rejectsWithPluginError(moderator.moderate({ room: 1234, feed, mid: '1', mute: true }), { code: ERROR_CODE.NO_SUCH_FEED, plugin, request: 'moderate' });
+      await Promise.all([publisher.detach(), moderator.detach()]);
+    });
+  });
+
+  describe('edit', () => {
+    it('validates the edit parameters', async () => {
+      const handle = await env.session.attach(VideoRoomPlugin);
+      await assert.rejects(handle.edit({ room: 1234, new_bitrate: -1 }), /new_bitrate must be a non negative integer/);
+      await assert.rejects(handle.edit({ room: 1234, new_bitrate: 1.5 }), /new_bitrate must be a non negative integer/);
+      await assert.rejects(handle.edit({ room: 1234, new_fir_freq: '10' }), /new_fir_freq must be a non negative integer/);
+      await assert.rejects(handle.edit({ room: 1234, new_max_publishers: 0 }), /new_max_publishers must be a positive integer/);
+      await assert.rejects(handle.edit({ room: 1234, permanent: true }), /no room property to edit/);
+      await handle.detach();
+    });
+
+    it('edits a room', async () => {
+      const handle = await env.session.attach(VideoRoomPlugin);
+      await handle.create({ room: 5555 });
+      assert.deepEqual(await handle.edit({ room: 5555, new_description: 'renamed', new_bitrate: 0, new_max_publishers: 3 }), { room: 5555 });
+      const { list } = await handle.list();
+      assert.equal(list.find(({ room }) => room === 5555).description, 'renamed');
+      await rejectsWithPluginError(handle.edit({ room: 4321, new_description: 'x' }), { code: ERROR_CODE.NO_SUCH_ROOM, plugin, request: 'edit' });
+      await handle.destroy({ room: 5555 });
+      await handle.detach();
+    });
+  });
+
+  describe('remote publishers', () => {
+    it('adds, updates and removes a remote publisher', async () => {
+      const handle = await env.session.attach(VideoRoomPlugin);
+      const streams = [{ type: 'audio', mindex: 0, mid: '0', codec: 'opus' }];
+      const added = await handle.addRemotePublisher({ room: 1234, feed: 500, display: 'remote', streams, port: 20000 });
+      assert.deepEqual(added, { room: 1234, feed: 500, ip: '127.0.0.1', port: 20000 });
+
+      const { participants } = await handle.listParticipants({ room: 1234 });
+      assert.ok(participants.some(({ feed, publisher }) => feed === 500 && publisher === true));
+
+      assert.deepEqual(await handle.updateRemotePublisher({ room: 1234, feed: 500, streams, display: 'renamed' }), { room: 1234, feed: 500 });
+      assert.deepEqual(await handle.removeRemotePublisher({ room: 1234, feed: 500 }), { room: 1234, feed: 500 });
+      await rejectsWithPluginError(handle.removeRemotePublisher({ room: 1234, feed: 500 }), { code: ERROR_CODE.NO_SUCH_FEED, plugin, request: 'remove_remote_publisher' });
+      await rejectsWithPluginError(handle.addRemotePublisher({ room: 1234, streams: [] }), { code: ERROR_CODE.MISSING_ELEMENT, plugin, request: 'add_remote_publisher' });
+      await handle.detach();
+    });
+
+    it('publishes a feed remotely and lists the remote publications', async () => {
+      const handle = await env.session.attach(VideoRoomPlugin);
+      const { feed } = await handle.joinConfigurePublisher({ room: 1234, jsep: OFFER });
+
+      assert.deepEqual(await handle.publishRemotely({ room: 1234, feed, remote_id: 'r1', host: '10.0.0.2', port: 20000, rtcp_port: 20001 }), { room: 1234, feed, remote_id: 'r1' });
+      assert.deepEqual(await handle.listRemotes({ room: 1234, feed }), { room: 1234, feed, remotes: [{ remote_id: 'r1', host: '10.0.0.2', port: 20000, rtcp_port: 20001 }] });
+      await rejectsWithPluginError(handle.publishRemotely({ room: 1234, feed, remote_id: 'r1', host: '10.0.0.2', port: 20000 }), { code: ERROR_CODE.ID_EXISTS, plugin, request: 'publish_remotely' });
+
+      assert.deepEqual(await handle.unpublishRemotely({ room: 1234, feed, remote_id: 'r1' }), { room: 1234, feed, remote_id: 'r1' });
+      assert.deepEqual((await handle.listRemotes({ room: 1234, feed })).remotes, []);
+      await rejectsWithPluginError(handle.unpublishRemotely({ room: 1234, feed, remote_id: 'r1' }), { code: ERROR_CODE.NO_SUCH_FEED, plugin, request: 'unpublish_remotely' });
+
+      await handle.leave();
+      await rejectsWithPluginError(handle.listRemotes({ room: 1234, feed }), { code: ERROR_CODE.NO_SUCH_FEED, plugin, request: 'list_remotes' });
+      await handle.detach();
+    });
+  });
+
+  describe('cascadePublisher', () => {
+    let target_env;
+    let manager;
+    let target_manager;
+
+    before(async () => {
+      target_env = await startMock();
+      manager = await env.session.attach(VideoRoomPlugin);
+      target_manager = await target_env.session.attach(VideoRoomPlugin);
+      await target_manager.create({ room: 4321 });
+    });
+
+    after(async () => {
+      await target_manager.detach();
+      await manager.detach();
+      await target_env.teardown();
+    });
+
+    /* Publish a feed in the source room */
+    const publish = async feed => {
+      const handle = await env.session.attach(VideoRoomPlugin);
+      await handle.joinConfigurePublisher({ room: 1234, feed, display: `feed-${feed}`, jsep: OFFER });
+      return handle;
+    };
+
+    const cascade = feed => cascadePublisher({
+      source: { connection: env.connection, room: 1234, feed },
+      target: { connection: target_env.connection, room: 4321 },
+    });
+
+    const targetFeeds = async _ => (await target_manager.listParticipants({ room: 4321 })).participants.map(({ feed }) => feed);
+    const sessionCounts = _ => [env.mock._sessions.size, target_env.mock._sessions.size];
+
+    it('relays a publisher and tears down everything when stopped', async () => {
+      const publisher = await publish(601);
+      const sessions = sessionCounts();
+
+      const { feed, remote_id, stop, done } = await cascade(601);
+      assert.equal(typeof remote_id, 'string');
+      assert.deepEqual(await targetFeeds(), [feed]);
+      assert.deepEqual((await manager.listRemotes({ room: 1234, feed: 601 })).remotes.map(({ remote_id }) => remote_id), [remote_id]);
+
+      /* Stopping twice returns the same teardown */
+      const stopping = stop();
+      assert.equal(stop(), stopping);
+      await stopping;
+      await done;
+      await stop();
+
+      assert.deepEqual(await targetFeeds(), []);
+      assert.deepEqual((await manager.listRemotes({ room: 1234, feed: 601 })).remotes, []);
+      assert.deepEqual(sessionCounts(), sessions);
+
+      await publisher.leave();
+      await publisher.detach();
+    });
+
+    it('compares the feed identifiers regardless of their type', async () => {
+      const publisher = await publish(602);
+      const { stop } = await cascade('602');
+      assert.equal((await targetFeeds()).length, 1);
+      assert.equal((await manager.listRemotes({ room: 1234, feed: 602 })).remotes.length, 1);
+      await stop();
+      await publisher.leave();
+      await publisher.detach();
+    });
+
+    it('tears down when the source unpublishes', async () => {
+      const publisher = await publish(603);
+      const sessions = sessionCounts();
+      const { done } = await cascade('603');
+
+      await publisher.unpublish();
+      await done;
+      assert.deepEqual(await targetFeeds(), []);
+      assert.deepEqual(sessionCounts(), sessions);
+
+      await publisher.leave();
+      await publisher.detach();
+    });
+
+    it('tears down when the source leaves', async () => {
+      const publisher = await publish(604);
+      const sessions = sessionCounts();
+      const { done } = await cascade(604);
+
+      await publisher.leave();
+      await done;
+      assert.deepEqual(await targetFeeds(), []);
+      assert.deepEqual(sessionCounts(), sessions);
+      await publisher.detach();
+    });
+
+    it('rejects a feed that is not publishing and cleans up', async () => {
+      const sessions = sessionCounts();
+      await assert.rejects(cascade(699), e => e instanceof Janode.JanodeError && /not publishing/.test(e.message));
+      assert.deepEqual(sessionCounts(), sessions);
+    });
+
+    it('cleans up the remote publisher when the remote publication fails', async () => {
+      const publisher = await publish(605);
+      const sessions = sessionCounts();
+
+      env.mock.addFault({ plugin_request: 'publish_remotely', plugin_error: { code: ERROR_CODE.UNAUTHORIZED, reason: 'Unauthorized' } });
+      await rejectsWithPluginError(cascade(605), { code: ERROR_CODE.UNAUTHORIZED, plugin, request: 'publish_remotely' });
+      assert.deepEqual(await targetFeeds(), []);
+      assert.deepEqual(sessionCounts(), sessions);
+
+      await publisher.leave();
+      await publisher.detach();
+    });
+  });
+});